@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Execução em lote do simulador para uma carteira de empresas.
+ * Lê uma pasta de arquivos SPED (agrupados por CNPJ) ou um CSV de parâmetros, executa a
+ * projeção completa de 2026 a 2033 para cada empresa e grava um resultado por empresa
+ * (Excel e/ou JSON) e um resumo consolidado da carteira.
+ * @module simulacao-lote
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Uso:
+ *   node js/cli/simulacao-lote.js --sped <pasta> --saida <pasta> [--formato xlsx|json|ambos] [--detalhado]
+ *   node js/cli/simulacao-lote.js --csv <arquivo> --saida <pasta> [--formato xlsx|json|ambos] [--detalhado]
+ *
+ * O CSV aceita separador vírgula ou ponto e vírgula. As colunas "nome" e "cnpj" identificam a
+ * empresa; as demais usam os nomes da estrutura plana do DataManager (faturamento, margem, regime,
+ * pmr, percVista, aliquota...). Percentuais podem ser informados como decimal (0,15) ou com "%" (15%).
+ * A saída em Excel requer o pacote "xlsx" (SheetJS) instalado no Node.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SimulationEngine = require('../simulation/simulation-engine-node.js');
+
+['../config/plano-referencial-repository.js', '../importador/sped-validator.js', '../importador/sped-parser.js',
+    '../importador/sped-reconciliacao.js', '../importador/sped-extractor.js'].forEach(script => {
+    const arquivo = path.join(__dirname, script);
+    vm.runInThisContext(fs.readFileSync(arquivo, 'utf8'), { filename: arquivo });
+});
+
+let XLSX = null;
+try {
+    XLSX = require('xlsx');
+} catch (erro) {
+    XLSX = null;
+}
+
+const ANO_INICIAL = 2026;
+const ANO_FINAL = 2033;
+const FORMATOS = ['xlsx', 'json', 'ambos'];
+
+/**
+ * Interpreta os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem "node" e o nome do script)
+ * @returns {Object} - { sped, csv, saida, formato, detalhado }
+ * @throws {Error} - Se os argumentos forem inválidos
+ */
+function lerArgumentos(argv) {
+    const argumentos = { sped: null, csv: null, saida: null, formato: 'ambos', detalhado: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--sped':
+                argumentos.sped = argv[++i];
+                break;
+            case '--csv':
+                argumentos.csv = argv[++i];
+                break;
+            case '--saida':
+                argumentos.saida = argv[++i];
+                break;
+            case '--formato':
+                argumentos.formato = argv[++i];
+                break;
+            case '--detalhado':
+                argumentos.detalhado = true;
+                break;
+            default:
+                throw new Error(`Argumento desconhecido: ${argv[i]}`);
+        }
+    }
+
+    if (!argumentos.sped === !argumentos.csv) {
+        throw new Error('Informe exatamente uma origem: --sped <pasta> ou --csv <arquivo>');
+    }
+    if (!argumentos.saida) {
+        throw new Error('Informe a pasta de saída com --saida <pasta>');
+    }
+    if (!FORMATOS.includes(argumentos.formato)) {
+        throw new Error(`Formato inválido: ${argumentos.formato}. Use ${FORMATOS.join(', ')}`);
+    }
+
+    return argumentos;
+}
+
+/**
+ * Divide uma linha de CSV respeitando campos entre aspas
+ * @param {string} linha - Linha do arquivo
+ * @param {string} separador - Separador de campos
+ * @returns {Array<string>} - Campos da linha
+ */
+function dividirLinhaCsv(linha, separador) {
+    const campos = [];
+    let atual = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < linha.length; i++) {
+        const caractere = linha[i];
+
+        if (caractere === '"') {
+            if (entreAspas && linha[i + 1] === '"') {
+                atual += '"';
+                i++;
+            } else {
+                entreAspas = !entreAspas;
+            }
+        } else if (caractere === separador && !entreAspas) {
+            campos.push(atual.trim());
+            atual = '';
+        } else {
+            atual += caractere;
+        }
+    }
+    campos.push(atual.trim());
+
+    return campos;
+}
+
+/**
+ * Converte um valor textual do CSV para número ou booleano quando aplicável
+ * @param {string} valor - Valor lido
+ * @param {string} separador - Separador do arquivo (";" indica decimal com vírgula)
+ * @returns {*} - Valor convertido
+ */
+function converterValorCsv(valor, separador) {
+    if (valor === 'true' || valor === 'false') {
+        return valor === 'true';
+    }
+
+    if (/^-?[\d.,]+%?$/.test(valor)) {
+        const percentual = valor.endsWith('%');
+        let numero = percentual ? valor.slice(0, -1) : valor;
+        numero = separador === ';' ? numero.replace(/\./g, '').replace(',', '.') : numero.replace(/,/g, '');
+        const convertido = parseFloat(numero);
+        if (!isNaN(convertido)) {
+            return percentual ? convertido / 100 : convertido;
+        }
+    }
+
+    return valor;
+}
+
+/**
+ * Lê um CSV de parâmetros e monta os dados de cada empresa
+ * @param {string} arquivo - Caminho do CSV
+ * @returns {Array<Object>} - Empresas { nome, cnpj, origem, dados }
+ */
+function lerEmpresasCsv(arquivo) {
+    const linhas = fs.readFileSync(arquivo, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter(linha => linha.trim());
+    if (linhas.length < 2) {
+        throw new Error(`CSV sem empresas: ${arquivo}`);
+    }
+
+    const separador = linhas[0].includes(';') ? ';' : ',';
+    const colunas = dividirLinhaCsv(linhas[0], separador);
+    const padraoPlano = window.DataManager.converterParaEstruturaPlana(window.DataManager.obterEstruturaAninhadaPadrao());
+
+    return linhas.slice(1).map((linha, indice) => {
+        const valores = dividirLinhaCsv(linha, separador);
+        const campos = {};
+        colunas.forEach((coluna, i) => {
+            if (valores[i] !== undefined && valores[i] !== '') {
+                campos[coluna] = converterValorCsv(valores[i], separador);
+            }
+        });
+
+        const { nome, cnpj, ...parametros } = campos;
+        const dadosPlanos = { ...padraoPlano, ...parametros };
+        if (parametros.percVista !== undefined && parametros.percPrazo === undefined) {
+            dadosPlanos.percPrazo = 1 - parametros.percVista;
+        }
+
+        return {
+            nome: nome ? String(nome) : `Empresa ${indice + 1}`,
+            cnpj: cnpj ? String(cnpj) : '',
+            origem: 'csv',
+            dados: window.DataManager.converterParaEstruturaAninhada(dadosPlanos)
+        };
+    });
+}
+
+/**
+ * Lê os arquivos SPED de uma pasta e monta os dados de cada empresa.
+ * Arquivos com o mesmo CNPJ (EFD ICMS/IPI, Contribuições, ECF, ECD) são combinados.
+ * @param {string} pasta - Pasta com os arquivos SPED (.txt)
+ * @returns {Array<Object>} - Empresas { nome, cnpj, origem, dados }
+ */
+function lerEmpresasSped(pasta) {
+    const arquivos = fs.readdirSync(pasta)
+        .filter(nome => nome.toLowerCase().endsWith('.txt'))
+        .sort();
+    if (arquivos.length === 0) {
+        throw new Error(`Nenhum arquivo SPED (.txt) encontrado em ${pasta}`);
+    }
+
+    const grupos = {};
+    arquivos.forEach(nomeArquivo => {
+        const caminho = path.join(pasta, nomeArquivo);
+        // Arquivos SPED são gerados em ISO-8859-1
+        const dadosArquivo = SpedParser.processarConteudo(fs.readFileSync(caminho, 'latin1'));
+        dadosArquivo.metadados = {
+            nomeArquivo,
+            tamanhoBytes: fs.statSync(caminho).size,
+            dataProcessamento: new Date().toISOString()
+        };
+
+        const chave = (dadosArquivo.empresa?.cnpj || '').replace(/\D/g, '') || nomeArquivo;
+        if (!grupos[chave]) grupos[chave] = [];
+        grupos[chave].push(dadosArquivo);
+    });
+
+    return Object.keys(grupos).map(chave => {
+        // Os arquivos com erro estrutural são simulados mesmo assim, mas sinalizados
+        const validacao = SpedValidator.consolidarRelatorio(grupos[chave]);
+        if (validacao.totalErros > 0) {
+            process.stderr.write(`Aviso: ${chave} - ${validacao.totalErros} erro(s) e ${validacao.totalAvisos} aviso(s) na validação estrutural do SPED\n`);
+        }
+
+        const dadosCombinados = SpedParser.combinarResultados(grupos[chave]);
+        const dadosSimulador = SpedExtractor.extrairDadosParaSimulador(dadosCombinados);
+
+        return {
+            nome: dadosSimulador.empresa?.nome || chave,
+            cnpj: dadosSimulador.empresa?.cnpj || '',
+            origem: 'sped',
+            dados: montarDadosSped(dadosSimulador)
+        };
+    });
+}
+
+/**
+ * Completa os dados extraídos do SPED com a estrutura padrão e anexa a composição tributária
+ * @param {Object} dadosSimulador - Resultado de SpedExtractor.extrairDadosParaSimulador
+ * @returns {Object} - Dados em formato aninhado para o motor de simulação
+ */
+function montarDadosSped(dadosSimulador) {
+    const dados = window.DataManager.obterEstruturaAninhadaPadrao();
+
+    Object.keys(dadosSimulador).forEach(secao => {
+        const valor = dadosSimulador[secao];
+        dados[secao] = valor && typeof valor === 'object' && !Array.isArray(valor) ?
+            { ...dados[secao], ...valor } :
+            valor;
+    });
+
+    const composicao = dadosSimulador.parametrosFiscais?.composicaoTributaria;
+    if (composicao) {
+        const somar = valores => Object.values(valores || {}).reduce((total, valor) => total + (valor || 0), 0);
+
+        dados.dadosSpedImportados = {
+            composicaoTributaria: {
+                debitos: composicao.debitos,
+                creditos: composicao.creditos,
+                aliquotasEfetivas: composicao.aliquotasEfetivas,
+                totalDebitos: somar(composicao.debitos),
+                totalCreditos: somar(composicao.creditos)
+            },
+            reconciliacao: dadosSimulador.reconciliacao || null,
+            distribuicaoDestino: dadosSimulador.distribuicaoDestino || null,
+            origemDados: 'sped',
+            timestampImportacao: new Date().toISOString()
+        };
+    }
+
+    return dados;
+}
+
+/**
+ * Executa a projeção completa de uma empresa
+ * @param {Object} empresa - Empresa { nome, cnpj, origem, dados }
+ * @returns {Object} - Resultado do SimulationEngine
+ * @throws {Error} - Se o faturamento não for positivo
+ */
+function simularEmpresa(empresa) {
+    const dados = JSON.parse(JSON.stringify(empresa.dados));
+    if (!(dados.empresa?.faturamento > 0)) {
+        throw new Error('Faturamento não informado ou inválido');
+    }
+
+    dados.parametrosSimulacao = {
+        ...dados.parametrosSimulacao,
+        dataInicial: `${ANO_INICIAL}-01-01`,
+        dataFinal: `${ANO_FINAL}-12-31`
+    };
+
+    return SimulationEngine.run(dados);
+}
+
+/**
+ * Monta a linha do resumo da carteira para uma empresa
+ * @param {Object} empresa - Empresa simulada
+ * @param {Object|null} resultado - Resultado da simulação (null em caso de erro)
+ * @param {string} [mensagemErro] - Mensagem de erro
+ * @returns {Object} - Linha do resumo
+ */
+function montarLinhaResumo(empresa, resultado, mensagemErro) {
+    if (!resultado) {
+        return { empresa: empresa.nome, cnpj: empresa.cnpj, origem: empresa.origem, status: 'erro', mensagem: mensagemErro };
+    }
+
+    const impactoBase = resultado.impactoBase;
+    const acumulado = resultado.projecaoTemporal.impactoAcumulado || {};
+
+    return {
+        empresa: empresa.nome,
+        cnpj: empresa.cnpj,
+        origem: empresa.origem,
+        status: 'ok',
+        regime: resultado.dadosUtilizados.empresa.regime || '',
+        faturamentoMensal: resultado.dadosUtilizados.empresa.faturamento,
+        diferencaCapitalGiroAnoInicial: impactoBase.diferencaCapitalGiro || 0,
+        percentualImpactoAnoInicial: impactoBase.percentualImpacto || 0,
+        impactoDiasFaturamento: impactoBase.impactoDiasFaturamento || 0,
+        necessidadeCapitalGiroAcumulada: acumulado.totalNecessidadeCapitalGiro || 0,
+        custoFinanceiroAcumulado: acumulado.custoFinanceiroTotal || 0
+    };
+}
+
+/**
+ * Cria a pasta de trabalho Excel com o resumo e a projeção anual de uma empresa
+ * @param {Object} empresa - Empresa simulada
+ * @param {Object} resultado - Resultado da simulação
+ * @returns {Object} - Pasta de trabalho SheetJS
+ */
+function criarPlanilhaEmpresa(empresa, resultado) {
+    const linha = montarLinhaResumo(empresa, resultado);
+    const resumo = [
+        ['SIMULAÇÃO DO SPLIT PAYMENT - RESULTADO POR EMPRESA'],
+        ['Expertzy Inteligência Tributária'],
+        [],
+        ['Empresa', linha.empresa],
+        ['CNPJ', linha.cnpj],
+        ['Origem dos dados', linha.origem === 'sped' ? 'SPED' : 'CSV'],
+        ['Regime tributário', linha.regime],
+        ['Faturamento mensal', linha.faturamentoMensal],
+        [],
+        [`Impacto no ano de ${ANO_INICIAL}`],
+        ['Diferença no capital de giro', linha.diferencaCapitalGiroAnoInicial],
+        ['Impacto percentual', linha.percentualImpactoAnoInicial / 100],
+        ['Impacto em dias de faturamento', linha.impactoDiasFaturamento],
+        [],
+        [`Impacto acumulado ${ANO_INICIAL}-${ANO_FINAL}`],
+        ['Necessidade de capital de giro', linha.necessidadeCapitalGiroAcumulada],
+        ['Custo financeiro', linha.custoFinanceiroAcumulado]
+    ];
+
+    const projecao = [[
+        'Ano', 'Capital de Giro (Atual)', 'Capital de Giro (Split Payment)', 'Diferença',
+        'Impacto (%)', 'Impostos (Sistema Atual)', 'Impostos (Split Payment)', 'Necessidade Adicional'
+    ]];
+    const exportacao = resultado.resultadosExportacao;
+    if (exportacao) {
+        exportacao.anos.forEach(ano => {
+            const dadosAno = exportacao.resultadosPorAno[ano];
+            projecao.push([
+                parseInt(ano, 10),
+                dadosAno.capitalGiroAtual,
+                dadosAno.capitalGiroSplitPayment,
+                dadosAno.diferenca,
+                dadosAno.percentualImpacto / 100,
+                dadosAno.sistemaAtual,
+                dadosAno.impostoDevido,
+                resultado.projecaoTemporal.resultadosAnuais[ano]?.necessidadeAdicionalCapitalGiro || 0
+            ]);
+        });
+    }
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(resumo), 'Resumo');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(projecao), 'Projeção');
+    return wb;
+}
+
+/**
+ * Cria a pasta de trabalho Excel com o resumo da carteira
+ * @param {Array<Object>} linhas - Linhas do resumo
+ * @returns {Object} - Pasta de trabalho SheetJS
+ */
+function criarPlanilhaCarteira(linhas) {
+    const dadosPlanilha = [[
+        'Empresa', 'CNPJ', 'Origem', 'Status', 'Regime', 'Faturamento Mensal',
+        `Diferença Capital de Giro ${ANO_INICIAL}`, `Impacto ${ANO_INICIAL} (%)`, 'Impacto em Dias de Faturamento',
+        `Necessidade Acumulada ${ANO_INICIAL}-${ANO_FINAL}`, 'Custo Financeiro Acumulado', 'Mensagem'
+    ]];
+
+    linhas.forEach(linha => {
+        dadosPlanilha.push([
+            linha.empresa,
+            linha.cnpj,
+            linha.origem,
+            linha.status,
+            linha.regime || '',
+            linha.faturamentoMensal ?? '',
+            linha.diferencaCapitalGiroAnoInicial ?? '',
+            linha.percentualImpactoAnoInicial !== undefined ? linha.percentualImpactoAnoInicial / 100 : '',
+            linha.impactoDiasFaturamento ?? '',
+            linha.necessidadeCapitalGiroAcumulada ?? '',
+            linha.custoFinanceiroAcumulado ?? '',
+            linha.mensagem || ''
+        ]);
+    });
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(dadosPlanilha), 'Carteira');
+    return wb;
+}
+
+/**
+ * Gera um nome de arquivo seguro e único para a empresa
+ * @param {Object} empresa - Empresa simulada
+ * @param {Set<string>} usados - Nomes já utilizados
+ * @returns {string} - Nome base do arquivo (sem extensão)
+ */
+function nomeArquivoEmpresa(empresa, usados) {
+    const base = (empresa.cnpj.replace(/\D/g, '') || empresa.nome)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'empresa';
+
+    let nome = base;
+    for (let sufixo = 2; usados.has(nome); sufixo++) {
+        nome = `${base}-${sufixo}`;
+    }
+    usados.add(nome);
+    return nome;
+}
+
+/**
+ * Executa o lote completo
+ * @param {Object} argumentos - Argumentos interpretados
+ * @returns {Array<Object>} - Linhas do resumo da carteira
+ */
+function executarLote(argumentos) {
+    const gravarExcel = argumentos.formato !== 'json' && XLSX !== null;
+    const gravarJson = argumentos.formato !== 'xlsx' || XLSX === null;
+    if (argumentos.formato !== 'json' && XLSX === null) {
+        process.stderr.write('Pacote "xlsx" não encontrado: os resultados serão gravados apenas em JSON.\n');
+    }
+
+    const empresas = argumentos.sped ? lerEmpresasSped(argumentos.sped) : lerEmpresasCsv(argumentos.csv);
+    fs.mkdirSync(argumentos.saida, { recursive: true });
+
+    const usados = new Set(['carteira']);
+    const linhas = empresas.map((empresa, indice) => {
+        process.stdout.write(`[${indice + 1}/${empresas.length}] ${empresa.nome}... `);
+
+        let resultado;
+        try {
+            resultado = simularEmpresa(empresa);
+        } catch (erro) {
+            process.stdout.write(`erro: ${erro.message}\n`);
+            return montarLinhaResumo(empresa, null, erro.message);
+        }
+
+        const nomeArquivo = nomeArquivoEmpresa(empresa, usados);
+        if (gravarJson) {
+            const conteudo = { empresa: { nome: empresa.nome, cnpj: empresa.cnpj, origem: empresa.origem }, ...resultado };
+            fs.writeFileSync(path.join(argumentos.saida, `${nomeArquivo}.json`), JSON.stringify(conteudo, null, 2));
+        }
+        if (gravarExcel) {
+            XLSX.writeFile(criarPlanilhaEmpresa(empresa, resultado), path.join(argumentos.saida, `${nomeArquivo}.xlsx`));
+        }
+
+        process.stdout.write('ok\n');
+        return montarLinhaResumo(empresa, resultado);
+    });
+
+    if (gravarJson) {
+        fs.writeFileSync(path.join(argumentos.saida, 'carteira.json'), JSON.stringify(linhas, null, 2));
+    }
+    if (gravarExcel) {
+        XLSX.writeFile(criarPlanilhaCarteira(linhas), path.join(argumentos.saida, 'carteira.xlsx'));
+    }
+
+    return linhas;
+}
+
+if (require.main === module) {
+    let argumentos;
+    try {
+        argumentos = lerArgumentos(process.argv.slice(2));
+    } catch (erro) {
+        process.stderr.write(`${erro.message}\n`);
+        process.stderr.write('Uso: node js/cli/simulacao-lote.js (--sped <pasta> | --csv <arquivo>) --saida <pasta> [--formato xlsx|json|ambos] [--detalhado]\n');
+        process.exit(2);
+    }
+
+    // Os módulos de cálculo registram cada etapa no console
+    if (!argumentos.detalhado) {
+        console.log = function() {};
+        console.warn = function() {};
+        console.group = function() {};
+        console.groupEnd = function() {};
+    }
+
+    try {
+        const linhas = executarLote(argumentos);
+        const falhas = linhas.filter(linha => linha.status === 'erro').length;
+        process.stdout.write(`${linhas.length - falhas} empresa(s) simulada(s), ${falhas} com erro. Resultados em ${argumentos.saida}\n`);
+        process.exitCode = falhas > 0 ? 1 : 0;
+    } catch (erro) {
+        process.stderr.write(`Erro: ${erro.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    lerEmpresasCsv,
+    lerEmpresasSped,
+    simularEmpresa,
+    executarLote
+};
@@ -0,0 +1,367 @@
+/**
+ * AliquotasIBSRepository - Alíquotas do IBS por destino (parcela estadual e municipal)
+ * Versão: 1.0.0
+ * O IBS é devido ao estado e ao município de destino da operação. A tabela informa a alíquota
+ * estadual por UF e a municipal por código IBGE do município; destinos sem linha própria usam
+ * as alíquotas de referência. A tabela é editável, persistida no localStorage e pode ser
+ * importada/exportada em CSV ou JSON.
+ */
+window.AliquotasIBSRepository = (function() {
+    const CHAVE_ARMAZENAMENTO = 'aliquotas-ibs-split-payment';
+
+    // Divisão de referência da alíquota de 17,7% do IBS entre estados e municípios
+    const ALIQUOTAS_REFERENCIA = {
+        estadual: 0.100,
+        municipal: 0.077
+    };
+
+    // Unidades da federação pelo código IBGE (dois primeiros dígitos do código do município)
+    const UFS = {
+        '11': { sigla: 'RO', nome: 'Rondônia' },
+        '12': { sigla: 'AC', nome: 'Acre' },
+        '13': { sigla: 'AM', nome: 'Amazonas' },
+        '14': { sigla: 'RR', nome: 'Roraima' },
+        '15': { sigla: 'PA', nome: 'Pará' },
+        '16': { sigla: 'AP', nome: 'Amapá' },
+        '17': { sigla: 'TO', nome: 'Tocantins' },
+        '21': { sigla: 'MA', nome: 'Maranhão' },
+        '22': { sigla: 'PI', nome: 'Piauí' },
+        '23': { sigla: 'CE', nome: 'Ceará' },
+        '24': { sigla: 'RN', nome: 'Rio Grande do Norte' },
+        '25': { sigla: 'PB', nome: 'Paraíba' },
+        '26': { sigla: 'PE', nome: 'Pernambuco' },
+        '27': { sigla: 'AL', nome: 'Alagoas' },
+        '28': { sigla: 'SE', nome: 'Sergipe' },
+        '29': { sigla: 'BA', nome: 'Bahia' },
+        '31': { sigla: 'MG', nome: 'Minas Gerais' },
+        '32': { sigla: 'ES', nome: 'Espírito Santo' },
+        '33': { sigla: 'RJ', nome: 'Rio de Janeiro' },
+        '35': { sigla: 'SP', nome: 'São Paulo' },
+        '41': { sigla: 'PR', nome: 'Paraná' },
+        '42': { sigla: 'SC', nome: 'Santa Catarina' },
+        '43': { sigla: 'RS', nome: 'Rio Grande do Sul' },
+        '50': { sigla: 'MS', nome: 'Mato Grosso do Sul' },
+        '51': { sigla: 'MT', nome: 'Mato Grosso' },
+        '52': { sigla: 'GO', nome: 'Goiás' },
+        '53': { sigla: 'DF', nome: 'Distrito Federal' }
+    };
+
+    const SIGLAS = Object.values(UFS).map(uf => uf.sigla);
+
+    // Linhas personalizadas (sobrepõem as alíquotas de referência)
+    let linhasPersonalizadas = [];
+
+    /**
+     * Normaliza uma alíquota informada como percentual (10,0) ou decimal (0.10)
+     * @param {*} valor - Valor informado
+     * @returns {number|null} - Alíquota decimal ou null se inválida
+     */
+    function normalizarAliquota(valor) {
+        if (valor === undefined || valor === null || valor === '') return null;
+        const numero = typeof valor === 'number' ? valor : parseFloat(String(valor).replace(',', '.'));
+        if (isNaN(numero) || numero < 0) return null;
+        return numero > 1 ? numero / 100 : numero;
+    }
+
+    /**
+     * Valida e normaliza uma linha da tabela
+     * @param {Object} linha - {tipo: 'uf'|'municipio', codigo, nome, aliquota}
+     * @returns {Object} - {linha, erro}
+     */
+    function normalizarLinha(linha) {
+        const tipo = String((linha && linha.tipo) || '').toLowerCase();
+        const aliquota = normalizarAliquota(linha && linha.aliquota);
+        let codigo = String((linha && linha.codigo) || '').trim();
+
+        if (tipo === 'uf') {
+            codigo = codigo.toUpperCase();
+            if (!SIGLAS.includes(codigo)) return { linha: null, erro: `UF inválida: ${codigo}` };
+        } else if (tipo === 'municipio') {
+            codigo = codigo.replace(/\D/g, '');
+            if (!/^\d{7}$/.test(codigo) || !UFS[codigo.substr(0, 2)]) {
+                return { linha: null, erro: `Código IBGE de município inválido: ${codigo}` };
+            }
+        } else {
+            return { linha: null, erro: `Tipo inválido: ${tipo} (use uf ou municipio)` };
+        }
+
+        if (aliquota === null) return { linha: null, erro: `Alíquota inválida para ${codigo}` };
+
+        return {
+            linha: {
+                tipo,
+                codigo,
+                nome: String(linha.nome || (tipo === 'uf' ? Object.values(UFS).find(uf => uf.sigla === codigo).nome : '')).trim(),
+                aliquota
+            },
+            erro: null
+        };
+    }
+
+    // Carregar tabela salva no localStorage
+    function carregarTabelaSalva() {
+        if (typeof localStorage === 'undefined') return;
+
+        const tabelaSalva = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+        if (tabelaSalva) {
+            try {
+                const dados = JSON.parse(tabelaSalva);
+                linhasPersonalizadas = Array.isArray(dados.linhas) ? dados.linhas : [];
+                console.log('Alíquotas do IBS por destino carregadas do localStorage');
+            } catch (error) {
+                console.error('Erro ao carregar alíquotas do IBS do localStorage:', error);
+                linhasPersonalizadas = [];
+            }
+        }
+    }
+
+    // Salvar tabela no localStorage
+    function salvarTabela() {
+        if (typeof localStorage === 'undefined') return true;
+
+        try {
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({ linhas: linhasPersonalizadas }));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar alíquotas do IBS no localStorage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Incorpora linhas importadas à tabela
+     * @param {Array<Object>} linhas - Linhas brutas
+     * @param {boolean} substituir - Se true, descarta as linhas personalizadas atuais
+     * @returns {Object} - {importados, erros}
+     */
+    function incorporarLinhas(linhas, substituir) {
+        const erros = [];
+        const validas = [];
+
+        linhas.forEach((linha, indice) => {
+            const resultado = normalizarLinha(linha);
+            if (resultado.erro) {
+                erros.push(`Linha ${indice + 1}: ${resultado.erro}`);
+            } else {
+                validas.push(resultado.linha);
+            }
+        });
+
+        if (substituir) {
+            linhasPersonalizadas = [];
+        }
+
+        validas.forEach(linha => {
+            linhasPersonalizadas = linhasPersonalizadas.filter(
+                existente => !(existente.codigo === linha.codigo && existente.tipo === linha.tipo)
+            );
+            linhasPersonalizadas.push(linha);
+        });
+
+        salvarTabela();
+        return { importados: validas.length, erros };
+    }
+
+    // API pública
+    return {
+        /**
+         * Inicializa o repositório
+         */
+        inicializar: function() {
+            carregarTabelaSalva();
+            console.log('AliquotasIBSRepository inicializado');
+        },
+
+        /**
+         * Retorna as alíquotas de referência
+         * @returns {Object} - {estadual, municipal, total}
+         */
+        obterReferencia: function() {
+            return {
+                estadual: ALIQUOTAS_REFERENCIA.estadual,
+                municipal: ALIQUOTAS_REFERENCIA.municipal,
+                total: ALIQUOTAS_REFERENCIA.estadual + ALIQUOTAS_REFERENCIA.municipal
+            };
+        },
+
+        /**
+         * Retorna a UF de um município pelo código IBGE
+         * @param {string} codMunicipio - Código IBGE do município (7 dígitos)
+         * @returns {string} - Sigla da UF ou '' se o código for desconhecido
+         */
+        obterUF: function(codMunicipio) {
+            const uf = UFS[String(codMunicipio || '').replace(/\D/g, '').substr(0, 2)];
+            return uf ? uf.sigla : '';
+        },
+
+        /**
+         * Retorna a tabela vigente: uma linha por UF (personalizada ou de referência)
+         * seguida dos municípios com alíquota própria
+         * @returns {Array<Object>} - Linhas {tipo, codigo, nome, aliquota, personalizada}
+         */
+        obterTabela: function() {
+            const ufs = Object.values(UFS).map(uf => {
+                const personalizada = linhasPersonalizadas.find(linha => linha.tipo === 'uf' && linha.codigo === uf.sigla);
+                return {
+                    tipo: 'uf',
+                    codigo: uf.sigla,
+                    nome: uf.nome,
+                    aliquota: personalizada ? personalizada.aliquota : ALIQUOTAS_REFERENCIA.estadual,
+                    personalizada: !!personalizada
+                };
+            });
+
+            const municipios = linhasPersonalizadas
+                .filter(linha => linha.tipo === 'municipio')
+                .map(linha => ({ ...linha, personalizada: true }));
+
+            return [...ufs, ...municipios];
+        },
+
+        /**
+         * Obtém as alíquotas do IBS de um destino
+         * @param {string} uf - Sigla da UF de destino
+         * @param {string} [codMunicipio] - Código IBGE do município de destino
+         * @returns {Object} - {uf, codMunicipio, estadual, municipal}
+         */
+        obterAliquotas: function(uf, codMunicipio) {
+            const siglaUF = String(uf || '').toUpperCase() || this.obterUF(codMunicipio);
+            const linhaUF = linhasPersonalizadas.find(linha => linha.tipo === 'uf' && linha.codigo === siglaUF);
+            const linhaMunicipio = codMunicipio ?
+                linhasPersonalizadas.find(linha => linha.tipo === 'municipio' && linha.codigo === String(codMunicipio)) : null;
+
+            return {
+                uf: siglaUF,
+                codMunicipio: codMunicipio || '',
+                estadual: linhaUF ? linhaUF.aliquota : ALIQUOTAS_REFERENCIA.estadual,
+                municipal: linhaMunicipio ? linhaMunicipio.aliquota : ALIQUOTAS_REFERENCIA.municipal
+            };
+        },
+
+        /**
+         * Adiciona ou atualiza a alíquota de uma UF ou município
+         * @param {Object} linha - {tipo: 'uf'|'municipio', codigo, nome, aliquota}
+         * @returns {boolean} - Sucesso da operação
+         */
+        salvarAliquota: function(linha) {
+            const resultado = normalizarLinha(linha);
+            if (resultado.erro) {
+                console.error('Alíquota do IBS inválida:', resultado.erro);
+                return false;
+            }
+
+            return incorporarLinhas([resultado.linha], false).importados === 1;
+        },
+
+        /**
+         * Descarta as personalizações e volta às alíquotas de referência
+         * @returns {boolean} - Sucesso da operação
+         */
+        restaurarPadrao: function() {
+            linhasPersonalizadas = [];
+            return salvarTabela();
+        },
+
+        /**
+         * Exporta as linhas personalizadas em JSON
+         * @returns {string} - JSON com referência e linhas
+         */
+        exportarJSON: function() {
+            return JSON.stringify({
+                versao: '1.0.0',
+                dataExportacao: new Date().toISOString(),
+                referencia: this.obterReferencia(),
+                linhas: linhasPersonalizadas
+            }, null, 2);
+        },
+
+        /**
+         * Exporta a tabela vigente em CSV (separador ';', alíquotas em decimal)
+         * @returns {string} - Conteúdo CSV
+         */
+        exportarCSV: function() {
+            const escapar = valor => {
+                const texto = valor === null || valor === undefined ? '' : String(valor);
+                return /[;"\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+            };
+
+            const linhas = this.obterTabela().map(linha => [
+                linha.tipo, linha.codigo, linha.nome, linha.aliquota
+            ].map(escapar).join(';'));
+
+            return ['tipo;codigo;nome;aliquota', ...linhas].join('\n');
+        },
+
+        /**
+         * Importa linhas a partir de um JSON (array de linhas ou objeto com a propriedade linhas)
+         * @param {string} texto - Conteúdo JSON
+         * @param {Object} [opcoes] - {substituir: boolean}
+         * @returns {Object} - {importados, erros}
+         */
+        importarJSON: function(texto, opcoes = {}) {
+            let dados;
+            try {
+                dados = JSON.parse(texto);
+            } catch (error) {
+                return { importados: 0, erros: ['JSON inválido: ' + error.message] };
+            }
+
+            const linhas = Array.isArray(dados) ? dados : dados.linhas;
+            if (!Array.isArray(linhas)) {
+                return { importados: 0, erros: ['JSON sem lista de alíquotas'] };
+            }
+
+            return incorporarLinhas(linhas, !!opcoes.substituir);
+        },
+
+        /**
+         * Importa linhas a partir de um CSV com cabeçalho tipo;codigo;nome;aliquota (separador ';' ou ',')
+         * @param {string} texto - Conteúdo CSV
+         * @param {Object} [opcoes] - {substituir: boolean}
+         * @returns {Object} - {importados, erros}
+         */
+        importarCSV: function(texto, opcoes = {}) {
+            const registros = String(texto || '').split(/\r?\n/).filter(linha => linha.trim());
+            if (registros.length < 2) {
+                return { importados: 0, erros: ['CSV sem linhas de dados'] };
+            }
+
+            const separador = registros[0].includes(';') ? ';' : ',';
+            const dividir = registro => {
+                const campos = [];
+                let atual = '';
+                let entreAspas = false;
+                for (let i = 0; i < registro.length; i++) {
+                    const caractere = registro[i];
+                    if (caractere === '"') {
+                        if (entreAspas && registro[i + 1] === '"') {
+                            atual += '"';
+                            i++;
+                        } else {
+                            entreAspas = !entreAspas;
+                        }
+                    } else if (caractere === separador && !entreAspas) {
+                        campos.push(atual);
+                        atual = '';
+                    } else {
+                        atual += caractere;
+                    }
+                }
+                campos.push(atual);
+                return campos.map(campo => campo.trim());
+            };
+
+            const cabecalho = dividir(registros[0]);
+            const linhas = registros.slice(1).map(registro => {
+                const campos = dividir(registro);
+                const linha = {};
+                cabecalho.forEach((coluna, indice) => {
+                    linha[coluna] = campos[indice];
+                });
+                return linha;
+            });
+
+            return incorporarLinhas(linhas, !!opcoes.substituir);
+        }
+    };
+})();
@@ -0,0 +1,387 @@
+/**
+ * ClassificacaoNCMRepository - Tabela de classificação NCM/NBS para os regimes diferenciados do IVA Dual
+ * Versão: 1.0.0
+ * Mapeia códigos NCM (mercadorias) e NBS (serviços) para reduções de alíquota, alíquota zero,
+ * Cesta Básica Nacional e regimes específicos. A tabela é editável, persistida no localStorage
+ * e pode ser importada/exportada em CSV ou JSON.
+ */
+window.ClassificacaoNCMRepository = (function() {
+    // Regimes diferenciados e o fator aplicado sobre a alíquota de referência
+    const REGIMES = {
+      'padrao': { nome: 'Alíquota padrão', fator: 1 },
+      'reducao-60': { nome: 'Redução de 60%', fator: 0.4 },
+      'reducao-30': { nome: 'Redução de 30%', fator: 0.7 },
+      'aliquota-zero': { nome: 'Alíquota zero', fator: 0 },
+      'cesta-basica': { nome: 'Cesta Básica Nacional (alíquota zero)', fator: 0 },
+      'isento': { nome: 'Isenção', fator: 0 },
+      'especifico': { nome: 'Regime específico', fator: null } // Usa as alíquotas da própria linha
+    };
+
+    // Equivalência das categorias legadas de IVADualSystem.calcularCBS/calcularIBS
+    const CATEGORIAS_LEGADAS = {
+      'standard': 'padrao',
+      'exempt': 'isento'
+    };
+
+    // Tabela padrão - códigos NCM sem pontuação, comparados por prefixo
+    const TABELA_PADRAO = [
+      // Cesta Básica Nacional de Alimentos
+      { codigo: '1006', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Arroz' },
+      { codigo: '071333', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Feijões' },
+      { codigo: '0401', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Leite' },
+      { codigo: '040510', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Manteiga' },
+      { codigo: '0901', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Café' },
+      { codigo: '110620', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Farinha de mandioca' },
+      { codigo: '1101', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Farinha de trigo' },
+      { codigo: '170114', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Açúcar' },
+      { codigo: '1902', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Massas alimentícias' },
+      { codigo: '0201', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Carnes bovinas frescas ou refrigeradas' },
+      { codigo: '0207', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Carnes de aves' },
+      { codigo: '0302', tipo: 'ncm', regime: 'cesta-basica', descricao: 'Peixes frescos ou refrigerados' },
+
+      // Alíquota zero - produtos hortícolas, frutas e ovos
+      { codigo: '0407', tipo: 'ncm', regime: 'aliquota-zero', descricao: 'Ovos' },
+      { codigo: '0701', tipo: 'ncm', regime: 'aliquota-zero', descricao: 'Batatas' },
+      { codigo: '0702', tipo: 'ncm', regime: 'aliquota-zero', descricao: 'Tomates' },
+      { codigo: '0803', tipo: 'ncm', regime: 'aliquota-zero', descricao: 'Bananas' },
+
+      // Redução de 60%
+      { codigo: '3004', tipo: 'ncm', regime: 'reducao-60', descricao: 'Medicamentos' },
+      { codigo: '9018', tipo: 'ncm', regime: 'reducao-60', descricao: 'Dispositivos médicos' },
+      { codigo: '3101', tipo: 'ncm', regime: 'reducao-60', descricao: 'Adubos e fertilizantes' },
+      { codigo: '3808', tipo: 'ncm', regime: 'reducao-60', descricao: 'Defensivos agropecuários' },
+      { codigo: '1507', tipo: 'ncm', regime: 'reducao-60', descricao: 'Óleo de soja' },
+
+      // Regimes específicos (alíquotas não informadas: usa a de referência)
+      { codigo: '2710', tipo: 'ncm', regime: 'especifico', descricao: 'Combustíveis - tributação monofásica' }
+    ];
+
+    // Estado persistido: linhas personalizadas e se a tabela padrão continua ativa
+    let linhasPersonalizadas = [];
+    let usarTabelaPadrao = true;
+
+    /**
+     * Normaliza um código NCM/NBS removendo pontuação
+     * @param {string} codigo - Código informado
+     * @returns {string} - Código apenas com dígitos
+     */
+    function normalizarCodigo(codigo) {
+        return String(codigo || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Normaliza uma alíquota informada como percentual (8,8) ou decimal (0.088)
+     * @param {*} valor - Valor informado
+     * @returns {number|null} - Alíquota decimal ou null se não informada
+     */
+    function normalizarAliquota(valor) {
+        if (valor === undefined || valor === null || valor === '') return null;
+        const numero = typeof valor === 'number' ? valor : parseFloat(String(valor).replace(',', '.'));
+        if (isNaN(numero)) return null;
+        return numero > 1 ? numero / 100 : numero;
+    }
+
+    /**
+     * Valida e normaliza uma linha da tabela
+     * @param {Object} linha - Linha informada
+     * @returns {Object} - {linha, erro}
+     */
+    function normalizarLinha(linha) {
+        const codigo = normalizarCodigo(linha && linha.codigo);
+        const tipo = String((linha && linha.tipo) || 'ncm').toLowerCase();
+        const regime = String((linha && linha.regime) || '').toLowerCase();
+
+        if (!codigo) return { linha: null, erro: 'Código NCM/NBS não informado' };
+        if (!['ncm', 'nbs'].includes(tipo)) return { linha: null, erro: `Tipo de código inválido: ${tipo}` };
+        if (!REGIMES[regime]) return { linha: null, erro: `Regime desconhecido para ${codigo}: ${regime}` };
+
+        return {
+            linha: {
+                codigo,
+                tipo,
+                regime,
+                descricao: (linha.descricao || '').trim(),
+                aliquotaCBS: normalizarAliquota(linha.aliquotaCBS),
+                aliquotaIBS: normalizarAliquota(linha.aliquotaIBS)
+            },
+            erro: null
+        };
+    }
+
+    // Carregar tabela salva no localStorage
+    function carregarTabelaSalva() {
+        const tabelaSalva = localStorage.getItem('classificacao-ncm-split-payment');
+        if (tabelaSalva) {
+            try {
+                const dados = JSON.parse(tabelaSalva);
+                linhasPersonalizadas = Array.isArray(dados.linhas) ? dados.linhas : [];
+                usarTabelaPadrao = dados.usarTabelaPadrao !== false;
+                console.log('Classificação NCM/NBS personalizada carregada do localStorage');
+            } catch (error) {
+                console.error('Erro ao carregar classificação NCM/NBS do localStorage:', error);
+                linhasPersonalizadas = [];
+                usarTabelaPadrao = true;
+            }
+        }
+    }
+
+    // Salvar tabela no localStorage
+    function salvarTabela() {
+        try {
+            localStorage.setItem('classificacao-ncm-split-payment', JSON.stringify({
+                linhas: linhasPersonalizadas,
+                usarTabelaPadrao
+            }));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar classificação NCM/NBS no localStorage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Incorpora linhas importadas à tabela
+     * @param {Array<Object>} linhas - Linhas brutas
+     * @param {boolean} substituir - Se true, descarta a tabela atual (inclusive a padrão)
+     * @returns {Object} - {importados, erros}
+     */
+    function incorporarLinhas(linhas, substituir) {
+        const erros = [];
+        const validas = [];
+
+        linhas.forEach((linha, indice) => {
+            const resultado = normalizarLinha(linha);
+            if (resultado.erro) {
+                erros.push(`Linha ${indice + 1}: ${resultado.erro}`);
+            } else {
+                validas.push(resultado.linha);
+            }
+        });
+
+        if (substituir) {
+            linhasPersonalizadas = [];
+            usarTabelaPadrao = false;
+        }
+
+        validas.forEach(linha => {
+            linhasPersonalizadas = linhasPersonalizadas.filter(
+                existente => !(existente.codigo === linha.codigo && existente.tipo === linha.tipo)
+            );
+            linhasPersonalizadas.push(linha);
+        });
+
+        salvarTabela();
+        return { importados: validas.length, erros };
+    }
+
+    // API pública
+    return {
+        /**
+         * Inicializa o repositório
+         */
+        inicializar: function() {
+            carregarTabelaSalva();
+            console.log('ClassificacaoNCMRepository inicializado');
+        },
+
+        /**
+         * Retorna os regimes diferenciados disponíveis
+         * @returns {Object} - Regimes com nome e fator
+         */
+        obterRegimes: function() {
+            return { ...REGIMES };
+        },
+
+        /**
+         * Retorna o fator aplicado à alíquota de referência para um regime
+         * Aceita também as categorias legadas 'standard' e 'exempt'.
+         * @param {string} regime - Código do regime
+         * @returns {number|null|undefined} - Fator, null para regime específico, undefined se desconhecido
+         */
+        obterFatorRegime: function(regime) {
+            const codigo = CATEGORIAS_LEGADAS[regime] || regime;
+            return REGIMES[codigo] ? REGIMES[codigo].fator : undefined;
+        },
+
+        /**
+         * Retorna a tabela vigente, com as linhas personalizadas sobrepondo as padrão
+         * @returns {Array<Object>} - Linhas da tabela
+         */
+        obterTabela: function() {
+            const personalizadas = new Set(linhasPersonalizadas.map(linha => `${linha.tipo}:${linha.codigo}`));
+            const padrao = usarTabelaPadrao ?
+                TABELA_PADRAO.filter(linha => !personalizadas.has(`${linha.tipo}:${linha.codigo}`)) : [];
+
+            return [...padrao, ...linhasPersonalizadas].map(linha => ({ ...linha }));
+        },
+
+        /**
+         * Classifica um código NCM/NBS pela linha de prefixo mais longo
+         * @param {string} codigo - Código NCM ou NBS
+         * @param {string} [tipo='ncm'] - Tipo do código ('ncm' ou 'nbs')
+         * @returns {Object|null} - Linha da tabela ou null se o código não tiver tratamento diferenciado
+         */
+        classificar: function(codigo, tipo = 'ncm') {
+            const codigoNormalizado = normalizarCodigo(codigo);
+            if (!codigoNormalizado) return null;
+
+            let melhorLinha = null;
+            this.obterTabela().forEach(linha => {
+                if (linha.tipo === tipo && codigoNormalizado.startsWith(linha.codigo) &&
+                    (!melhorLinha || linha.codigo.length > melhorLinha.codigo.length)) {
+                    melhorLinha = linha;
+                }
+            });
+
+            return melhorLinha;
+        },
+
+        /**
+         * Adiciona ou atualiza uma linha personalizada
+         * @param {Object} linha - {codigo, tipo, regime, descricao, aliquotaCBS, aliquotaIBS}
+         * @returns {boolean} - Sucesso da operação
+         */
+        salvarClassificacao: function(linha) {
+            const resultado = normalizarLinha(linha);
+            if (resultado.erro) {
+                console.error('Classificação NCM/NBS inválida:', resultado.erro);
+                return false;
+            }
+
+            return incorporarLinhas([resultado.linha], false).importados === 1;
+        },
+
+        /**
+         * Remove uma linha personalizada
+         * @param {string} codigo - Código NCM/NBS
+         * @param {string} [tipo='ncm'] - Tipo do código
+         * @returns {boolean} - Sucesso da operação
+         */
+        removerClassificacao: function(codigo, tipo = 'ncm') {
+            const codigoNormalizado = normalizarCodigo(codigo);
+            const quantidadeAnterior = linhasPersonalizadas.length;
+
+            linhasPersonalizadas = linhasPersonalizadas.filter(
+                linha => !(linha.codigo === codigoNormalizado && linha.tipo === tipo)
+            );
+
+            if (linhasPersonalizadas.length === quantidadeAnterior) {
+                // Linhas da tabela padrão não podem ser removidas individualmente
+                return false;
+            }
+
+            return salvarTabela();
+        },
+
+        /**
+         * Descarta as personalizações e volta à tabela padrão
+         * @returns {boolean} - Sucesso da operação
+         */
+        restaurarPadrao: function() {
+            linhasPersonalizadas = [];
+            usarTabelaPadrao = true;
+            return salvarTabela();
+        },
+
+        /**
+         * Exporta a tabela vigente em JSON
+         * @returns {string} - JSON com regimes e linhas
+         */
+        exportarJSON: function() {
+            return JSON.stringify({
+                versao: '1.0.0',
+                dataExportacao: new Date().toISOString(),
+                linhas: this.obterTabela()
+            }, null, 2);
+        },
+
+        /**
+         * Exporta a tabela vigente em CSV (separador ';', alíquotas em decimal)
+         * @returns {string} - Conteúdo CSV
+         */
+        exportarCSV: function() {
+            const escapar = valor => {
+                const texto = valor === null || valor === undefined ? '' : String(valor);
+                return /[;"\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+            };
+
+            const linhas = this.obterTabela().map(linha => [
+                linha.codigo, linha.tipo, linha.regime, linha.descricao, linha.aliquotaCBS, linha.aliquotaIBS
+            ].map(escapar).join(';'));
+
+            return ['codigo;tipo;regime;descricao;aliquotaCBS;aliquotaIBS', ...linhas].join('\n');
+        },
+
+        /**
+         * Importa linhas a partir de um JSON (array de linhas ou objeto com a propriedade linhas)
+         * @param {string} texto - Conteúdo JSON
+         * @param {Object} [opcoes] - {substituir: boolean}
+         * @returns {Object} - {importados, erros}
+         */
+        importarJSON: function(texto, opcoes = {}) {
+            let dados;
+            try {
+                dados = JSON.parse(texto);
+            } catch (error) {
+                return { importados: 0, erros: ['JSON inválido: ' + error.message] };
+            }
+
+            const linhas = Array.isArray(dados) ? dados : dados.linhas;
+            if (!Array.isArray(linhas)) {
+                return { importados: 0, erros: ['JSON sem lista de classificações'] };
+            }
+
+            return incorporarLinhas(linhas, !!opcoes.substituir);
+        },
+
+        /**
+         * Importa linhas a partir de um CSV com cabeçalho (separador ';' ou ',')
+         * @param {string} texto - Conteúdo CSV
+         * @param {Object} [opcoes] - {substituir: boolean}
+         * @returns {Object} - {importados, erros}
+         */
+        importarCSV: function(texto, opcoes = {}) {
+            const registros = String(texto || '').split(/\r?\n/).filter(linha => linha.trim());
+            if (registros.length < 2) {
+                return { importados: 0, erros: ['CSV sem linhas de dados'] };
+            }
+
+            const separador = registros[0].includes(';') ? ';' : ',';
+            const dividir = registro => {
+                const campos = [];
+                let atual = '';
+                let entreAspas = false;
+                for (let i = 0; i < registro.length; i++) {
+                    const caractere = registro[i];
+                    if (caractere === '"') {
+                        if (entreAspas && registro[i + 1] === '"') {
+                            atual += '"';
+                            i++;
+                        } else {
+                            entreAspas = !entreAspas;
+                        }
+                    } else if (caractere === separador && !entreAspas) {
+                        campos.push(atual);
+                        atual = '';
+                    } else {
+                        atual += caractere;
+                    }
+                }
+                campos.push(atual);
+                return campos.map(campo => campo.trim());
+            };
+
+            const cabecalho = dividir(registros[0]);
+            const linhas = registros.slice(1).map(registro => {
+                const campos = dividir(registro);
+                const linha = {};
+                cabecalho.forEach((coluna, indice) => {
+                    linha[coluna] = campos[indice];
+                });
+                return linha;
+            });
+
+            return incorporarLinhas(linhas, !!opcoes.substituir);
+        }
+    };
+})();
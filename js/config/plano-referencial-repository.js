@@ -0,0 +1,240 @@
+/**
+ * PlanoReferencialRepository - Mapeamento das contas contábeis da ECD para o ciclo financeiro
+ * Versão: 1.0.0
+ * Define quais contas do balanço (J100) e dos lançamentos (I250) representam clientes, estoques
+ * e fornecedores, e quais contas da DRE (J150) representam receita bruta e custo das vendas.
+ * A classificação usa, nesta ordem, o código do plano referencial informado no I051, o prefixo
+ * do código da conta e palavras da descrição. O mapeamento é editável e persistido no localStorage.
+ */
+window.PlanoReferencialRepository = (function() {
+    const CHAVE_ARMAZENAMENTO = 'plano-referencial-split-payment';
+
+    // Grupos usados no cálculo de PMR, PMP e PME
+    const GRUPOS = ['clientes', 'estoques', 'fornecedores', 'receitaBruta', 'cmv'];
+
+    // Mapeamento padrão - códigos do plano referencial e do plano da empresa comparados por prefixo
+    const MAPEAMENTO_PADRAO = {
+        clientes: {
+            nome: 'Clientes',
+            referenciais: [],
+            contas: ['1.1.2'],
+            descricoes: ['client', 'duplicatas a receber']
+        },
+        estoques: {
+            nome: 'Estoques',
+            referenciais: [],
+            contas: ['1.1.3'],
+            descricoes: ['estoq']
+        },
+        fornecedores: {
+            nome: 'Fornecedores',
+            referenciais: [],
+            contas: ['2.1.1'],
+            descricoes: ['fornece']
+        },
+        receitaBruta: {
+            nome: 'Receita Bruta',
+            referenciais: [],
+            contas: ['3.1.1'],
+            descricoes: ['receita bruta']
+        },
+        cmv: {
+            nome: 'Custo das Vendas (CMV/CPV/CSP)',
+            referenciais: [],
+            contas: ['3.2'],
+            descricoes: ['custo das mercadorias', 'custo dos produtos', 'custo dos servi', 'cmv', 'cpv']
+        }
+    };
+
+    // Mapeamento personalizado (null enquanto vale o padrão)
+    let mapeamentoPersonalizado = null;
+
+    /**
+     * Normaliza a lista de prefixos ou palavras de um grupo
+     * @param {*} lista - Array ou texto separado por vírgulas
+     * @param {boolean} minusculas - Se true, converte para minúsculas (descrições)
+     * @returns {Array<string>} - Itens não vazios
+     */
+    function normalizarLista(lista, minusculas) {
+        const itens = Array.isArray(lista) ? lista : String(lista || '').split(',');
+        return itens
+            .map(item => String(item).trim())
+            .filter(Boolean)
+            .map(item => minusculas ? item.toLowerCase() : item);
+    }
+
+    /**
+     * Valida e normaliza um mapeamento completo
+     * @param {Object} mapeamento - Mapeamento informado, por grupo
+     * @returns {Object} - {mapeamento, erro}
+     */
+    function normalizarMapeamento(mapeamento) {
+        if (!mapeamento || typeof mapeamento !== 'object') {
+            return { mapeamento: null, erro: 'Mapeamento não informado' };
+        }
+
+        const desconhecidos = Object.keys(mapeamento).filter(grupo => !GRUPOS.includes(grupo));
+        if (desconhecidos.length > 0) {
+            return { mapeamento: null, erro: `Grupo desconhecido: ${desconhecidos.join(', ')}` };
+        }
+
+        const normalizado = {};
+        GRUPOS.forEach(grupo => {
+            const informado = mapeamento[grupo] || {};
+            normalizado[grupo] = {
+                nome: informado.nome || MAPEAMENTO_PADRAO[grupo].nome,
+                referenciais: normalizarLista(informado.referenciais, false),
+                contas: normalizarLista(informado.contas, false),
+                descricoes: normalizarLista(informado.descricoes, true)
+            };
+        });
+
+        return { mapeamento: normalizado, erro: null };
+    }
+
+    // Carregar mapeamento salvo no localStorage
+    function carregarMapeamentoSalvo() {
+        if (typeof localStorage === 'undefined') return;
+
+        const mapeamentoSalvo = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+        if (mapeamentoSalvo) {
+            try {
+                const resultado = normalizarMapeamento(JSON.parse(mapeamentoSalvo));
+                mapeamentoPersonalizado = resultado.mapeamento;
+                console.log('Mapeamento do plano referencial carregado do localStorage');
+            } catch (error) {
+                console.error('Erro ao carregar mapeamento do plano referencial do localStorage:', error);
+                mapeamentoPersonalizado = null;
+            }
+        }
+    }
+
+    // Salvar mapeamento no localStorage
+    function salvarMapeamentoArmazenado() {
+        if (typeof localStorage === 'undefined') return true;
+
+        try {
+            if (mapeamentoPersonalizado) {
+                localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify(mapeamentoPersonalizado));
+            } else {
+                localStorage.removeItem(CHAVE_ARMAZENAMENTO);
+            }
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar mapeamento do plano referencial no localStorage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Verifica se um código começa por algum dos prefixos
+     * @param {string} codigo - Código da conta
+     * @param {Array<string>} prefixos - Prefixos configurados
+     * @returns {boolean}
+     */
+    function possuiPrefixo(codigo, prefixos) {
+        return prefixos.some(prefixo => codigo === prefixo || codigo.startsWith(prefixo));
+    }
+
+    // API pública
+    return {
+        /**
+         * Inicializa o repositório
+         */
+        inicializar: function() {
+            carregarMapeamentoSalvo();
+            console.log('PlanoReferencialRepository inicializado');
+        },
+
+        /**
+         * Retorna os grupos de contas mapeados
+         * @returns {Array<string>} - Identificadores dos grupos
+         */
+        obterGrupos: function() {
+            return [...GRUPOS];
+        },
+
+        /**
+         * Retorna o mapeamento vigente
+         * @returns {Object} - Por grupo: {nome, referenciais, contas, descricoes}
+         */
+        obterMapeamento: function() {
+            return JSON.parse(JSON.stringify(mapeamentoPersonalizado || MAPEAMENTO_PADRAO));
+        },
+
+        /**
+         * Substitui o mapeamento vigente
+         * @param {Object} mapeamento - Por grupo: {referenciais, contas, descricoes}
+         * @returns {Object} - {sucesso, erro}
+         */
+        salvarMapeamento: function(mapeamento) {
+            const resultado = normalizarMapeamento(mapeamento);
+            if (resultado.erro) {
+                return { sucesso: false, erro: resultado.erro };
+            }
+
+            mapeamentoPersonalizado = resultado.mapeamento;
+            return { sucesso: salvarMapeamentoArmazenado(), erro: null };
+        },
+
+        /**
+         * Descarta as personalizações e volta ao mapeamento padrão
+         * @returns {boolean} - Sucesso da operação
+         */
+        restaurarPadrao: function() {
+            mapeamentoPersonalizado = null;
+            return salvarMapeamentoArmazenado();
+        },
+
+        /**
+         * Classifica uma conta contábil em um dos grupos do ciclo financeiro
+         * O código referencial (I051) tem precedência sobre o código e a descrição da conta.
+         * @param {Object} conta - {codigoConta, descricaoConta}
+         * @param {Array<string>} [contasReferenciais] - Códigos do plano referencial vinculados à conta
+         * @returns {string|null} - Grupo da conta ou null se não pertencer a nenhum
+         */
+        classificarConta: function(conta, contasReferenciais = []) {
+            const mapeamento = mapeamentoPersonalizado || MAPEAMENTO_PADRAO;
+            const codigo = String((conta && conta.codigoConta) || '');
+            const descricao = String((conta && conta.descricaoConta) || '').toLowerCase();
+
+            const porReferencial = GRUPOS.find(grupo => contasReferenciais.some(referencial =>
+                possuiPrefixo(String(referencial), mapeamento[grupo].referenciais)));
+            if (porReferencial) return porReferencial;
+
+            const porCodigo = GRUPOS.find(grupo => codigo && possuiPrefixo(codigo, mapeamento[grupo].contas));
+            if (porCodigo) return porCodigo;
+
+            return GRUPOS.find(grupo => descricao &&
+                mapeamento[grupo].descricoes.some(palavra => descricao.includes(palavra))) || null;
+        },
+
+        /**
+         * Exporta o mapeamento vigente em JSON
+         * @returns {string} - JSON com os grupos
+         */
+        exportarJSON: function() {
+            return JSON.stringify({
+                versao: '1.0.0',
+                dataExportacao: new Date().toISOString(),
+                grupos: this.obterMapeamento()
+            }, null, 2);
+        },
+
+        /**
+         * Importa o mapeamento a partir de um JSON (objeto por grupo ou com a propriedade grupos)
+         * @param {string} texto - Conteúdo JSON
+         * @returns {Object} - {sucesso, erro}
+         */
+        importarJSON: function(texto) {
+            let dados;
+            try {
+                dados = JSON.parse(texto);
+            } catch (error) {
+                return { sucesso: false, erro: 'JSON inválido: ' + error.message };
+            }
+
+            return this.salvarMapeamento(dados && dados.grupos ? dados.grupos : dados);
+        }
+    };
+})();
@@ -0,0 +1,346 @@
+/**
+ * TabelaAliquotasRepository - Tabela anual de alíquotas da CBS e do IBS na transição
+ * Versão: 1.0.0
+ * Cada versão da tabela informa, por ano, as alíquotas de teste, as alíquotas de referência,
+ * o percentual de implantação, as reduções da alíquota de referência e a parcela ainda devida
+ * de PIS/COFINS e ICMS/ISS. A versão padrão segue a LC 214/2025; versões editadas são gravadas
+ * como novas versões no localStorage e nunca sobrescrevem uma versão existente, para que as
+ * simulações salvas continuem calculadas com a tabela em que foram executadas.
+ */
+window.TabelaAliquotasRepository = (function() {
+    const CHAVE_ARMAZENAMENTO = 'tabela-aliquotas-split-payment';
+
+    const VERSAO_PADRAO = 'LC214-2025';
+
+    // Colunas de cada linha anual (valores decimais)
+    const CAMPOS = [
+        'aliquotaCBS', 'aliquotaIBS', 'testeCBS', 'testeIBS', 'percentualCBS', 'percentualIBS',
+        'reducaoCBS', 'reducaoIBS', 'percentualPisCofins', 'percentualIcmsIss'
+    ];
+
+    /**
+     * Monta uma linha anual da tabela
+     * @param {Object} valores - Valores informados (os ausentes ficam zerados)
+     * @returns {Object} - Linha com todas as colunas
+     */
+    function criarLinha(valores) {
+        const linha = {};
+        CAMPOS.forEach(campo => {
+            linha[campo] = typeof valores[campo] === 'number' ? valores[campo] : 0;
+        });
+        return linha;
+    }
+
+    // Tabela da LC 214/2025: teste em 2026 (compensado com o PIS/COFINS devido), CBS plena em 2027 (reduzida em 0,1 p.p. enquanto o IBS
+    // está em teste), IBS de 10% a 40% entre 2029 e 2032 com redução equivalente do ICMS/ISS
+    const TABELA_PADRAO = {
+        id: VERSAO_PADRAO,
+        descricao: 'LC 214/2025 - cronograma legal',
+        dataCriacao: '2025-01-16',
+        anos: {
+            2026: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, testeCBS: 0.009, testeIBS: 0.001,
+                percentualPisCofins: 1, percentualIcmsIss: 1 }),
+            2027: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, testeIBS: 0.001, percentualCBS: 1,
+                reducaoCBS: 0.001, percentualIcmsIss: 1 }),
+            2028: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, testeIBS: 0.001, percentualCBS: 1,
+                reducaoCBS: 0.001, percentualIcmsIss: 1 }),
+            2029: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, percentualCBS: 1, percentualIBS: 0.1,
+                percentualIcmsIss: 0.9 }),
+            2030: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, percentualCBS: 1, percentualIBS: 0.2,
+                percentualIcmsIss: 0.8 }),
+            2031: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, percentualCBS: 1, percentualIBS: 0.3,
+                percentualIcmsIss: 0.7 }),
+            2032: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, percentualCBS: 1, percentualIBS: 0.4,
+                percentualIcmsIss: 0.6 }),
+            2033: criarLinha({ aliquotaCBS: 0.088, aliquotaIBS: 0.177, percentualCBS: 1, percentualIBS: 1 })
+        }
+    };
+
+    // Versões personalizadas (por id) e versão ativa
+    let versoesPersonalizadas = {};
+    let versaoAtiva = VERSAO_PADRAO;
+
+    /**
+     * Valida e normaliza as linhas anuais de uma tabela
+     * @param {Object} anos - Ano -> linha
+     * @returns {Object} - {anos, erro}
+     */
+    function normalizarAnos(anos) {
+        if (!anos || typeof anos !== 'object' || Object.keys(anos).length === 0) {
+            return { anos: null, erro: 'Tabela sem anos informados' };
+        }
+
+        const normalizado = {};
+        for (const ano of Object.keys(anos)) {
+            if (!/^\d{4}$/.test(ano)) {
+                return { anos: null, erro: `Ano inválido: ${ano}` };
+            }
+
+            const valores = {};
+            for (const campo of CAMPOS) {
+                let valor = anos[ano] ? anos[ano][campo] : 0;
+                if (typeof valor === 'string') {
+                    valor = parseFloat(valor.replace(',', '.'));
+                }
+                if (valor === undefined || valor === null) valor = 0;
+                if (typeof valor !== 'number' || isNaN(valor) || valor < 0 || valor > 1) {
+                    return { anos: null, erro: `Valor inválido em ${ano} (${campo}): use decimal entre 0 e 1` };
+                }
+                valores[campo] = valor;
+            }
+            normalizado[ano] = criarLinha(valores);
+        }
+
+        return { anos: normalizado, erro: null };
+    }
+
+    // Carregar versões salvas no localStorage
+    function carregarVersoesSalvas() {
+        if (typeof localStorage === 'undefined') return;
+
+        const dadosSalvos = localStorage.getItem(CHAVE_ARMAZENAMENTO);
+        if (dadosSalvos) {
+            try {
+                const dados = JSON.parse(dadosSalvos);
+                versoesPersonalizadas = {};
+                Object.values(dados.versoes || {}).forEach(versao => {
+                    const resultado = normalizarAnos(versao.anos);
+                    if (!resultado.erro && versao.id !== VERSAO_PADRAO) {
+                        versoesPersonalizadas[versao.id] = { ...versao, anos: resultado.anos };
+                    }
+                });
+                versaoAtiva = versoesPersonalizadas[dados.versaoAtiva] ? dados.versaoAtiva : VERSAO_PADRAO;
+                console.log('Tabelas de alíquotas carregadas do localStorage');
+            } catch (error) {
+                console.error('Erro ao carregar tabelas de alíquotas do localStorage:', error);
+                versoesPersonalizadas = {};
+                versaoAtiva = VERSAO_PADRAO;
+            }
+        }
+    }
+
+    // Salvar versões no localStorage
+    function salvarVersoesArmazenadas() {
+        if (typeof localStorage === 'undefined') return true;
+
+        try {
+            localStorage.setItem(CHAVE_ARMAZENAMENTO, JSON.stringify({
+                versaoAtiva: versaoAtiva,
+                versoes: versoesPersonalizadas
+            }));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar tabelas de alíquotas no localStorage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Gera um identificador de versão ainda não utilizado
+     * @returns {string} - Identificador no formato AAAAMMDD-n
+     */
+    function gerarIdVersao() {
+        const data = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        let sequencial = 1;
+        while (versoesPersonalizadas[`${data}-${sequencial}`]) {
+            sequencial++;
+        }
+        return `${data}-${sequencial}`;
+    }
+
+    /**
+     * Obtém uma versão pelo identificador
+     * @param {string} id - Identificador da versão
+     * @returns {Object|null} - Versão ou null se não existir
+     */
+    function buscarVersao(id) {
+        if (id === VERSAO_PADRAO) return TABELA_PADRAO;
+        return versoesPersonalizadas[id] || null;
+    }
+
+    // API pública
+    return {
+        VERSAO_PADRAO,
+
+        /**
+         * Inicializa o repositório
+         */
+        inicializar: function() {
+            carregarVersoesSalvas();
+            console.log('TabelaAliquotasRepository inicializado');
+        },
+
+        /**
+         * Lista as versões disponíveis, começando pela padrão
+         * @returns {Array<Object>} - {id, descricao, dataCriacao, padrao}
+         */
+        listarVersoes: function() {
+            return [TABELA_PADRAO, ...Object.values(versoesPersonalizadas)].map(versao => ({
+                id: versao.id,
+                descricao: versao.descricao,
+                dataCriacao: versao.dataCriacao,
+                padrao: versao.id === VERSAO_PADRAO
+            }));
+        },
+
+        /**
+         * Retorna uma cópia da versão informada
+         * @param {string} id - Identificador da versão
+         * @returns {Object|null} - {id, descricao, dataCriacao, anos} ou null
+         */
+        obterVersao: function(id) {
+            const versao = buscarVersao(id);
+            return versao ? JSON.parse(JSON.stringify(versao)) : null;
+        },
+
+        /**
+         * Retorna uma cópia da versão ativa (usada nas novas simulações)
+         * @returns {Object} - {id, descricao, dataCriacao, anos}
+         */
+        obterVersaoAtiva: function() {
+            return this.obterVersao(versaoAtiva) || this.obterVersao(VERSAO_PADRAO);
+        },
+
+        /**
+         * Define a versão usada nas novas simulações
+         * @param {string} id - Identificador da versão
+         * @returns {boolean} - true se a versão existir
+         */
+        ativarVersao: function(id) {
+            if (!buscarVersao(id)) return false;
+
+            versaoAtiva = id;
+            salvarVersoesArmazenadas();
+            return true;
+        },
+
+        /**
+         * Grava uma tabela editada como nova versão e a torna ativa
+         * @param {Object} anos - Ano -> linha com as colunas da tabela
+         * @param {string} [descricao] - Descrição da versão
+         * @returns {Object} - {sucesso, erro, id}
+         */
+        salvarNovaVersao: function(anos, descricao) {
+            const resultado = normalizarAnos(anos);
+            if (resultado.erro) {
+                return { sucesso: false, erro: resultado.erro, id: null };
+            }
+
+            const id = gerarIdVersao();
+            versoesPersonalizadas[id] = {
+                id: id,
+                descricao: descricao || `Tabela personalizada ${id}`,
+                dataCriacao: new Date().toISOString(),
+                anos: resultado.anos
+            };
+            versaoAtiva = id;
+
+            return { sucesso: salvarVersoesArmazenadas(), erro: null, id: id };
+        },
+
+        /**
+         * Registra a versão gravada em uma simulação salva, sem alterar a versão ativa
+         * Uma versão idêntica já existente é reaproveitada; se o identificador já pertencer a
+         * uma tabela diferente, a versão recebe um novo identificador.
+         * @param {Object} versao - {id, descricao, dataCriacao, anos}
+         * @returns {string|null} - Identificador da versão registrada ou null se for inválida
+         */
+        registrarVersao: function(versao) {
+            if (!versao || !versao.id) return null;
+
+            const resultado = normalizarAnos(versao.anos);
+            if (resultado.erro) {
+                console.warn(`Tabela de alíquotas ${versao.id} ignorada: ${resultado.erro}`);
+                return null;
+            }
+
+            const existente = buscarVersao(versao.id);
+            if (existente && JSON.stringify(existente.anos) === JSON.stringify(resultado.anos)) {
+                return versao.id;
+            }
+
+            const id = existente ? gerarIdVersao() : versao.id;
+            versoesPersonalizadas[id] = {
+                id: id,
+                descricao: versao.descricao || `Tabela ${versao.id}`,
+                dataCriacao: versao.dataCriacao || new Date().toISOString(),
+                anos: resultado.anos
+            };
+            salvarVersoesArmazenadas();
+            return id;
+        },
+
+        /**
+         * Remove uma versão personalizada (a versão padrão não pode ser removida)
+         * @param {string} id - Identificador da versão
+         * @returns {boolean} - Sucesso da operação
+         */
+        removerVersao: function(id) {
+            if (!versoesPersonalizadas[id]) return false;
+
+            delete versoesPersonalizadas[id];
+            if (versaoAtiva === id) {
+                versaoAtiva = VERSAO_PADRAO;
+            }
+            return salvarVersoesArmazenadas();
+        },
+
+        /**
+         * Volta a usar a versão padrão nas novas simulações (as personalizadas são mantidas)
+         * @returns {boolean} - Sucesso da operação
+         */
+        restaurarPadrao: function() {
+            versaoAtiva = VERSAO_PADRAO;
+            return salvarVersoesArmazenadas();
+        },
+
+        /**
+         * Obtém a linha de um ano em uma tabela
+         * Anos posteriores ao último informado usam a última linha (alíquotas plenas).
+         * @param {Object} tabela - Versão da tabela ({anos})
+         * @param {number} ano - Ano de referência
+         * @returns {Object|null} - Linha do ano ou null se a tabela não cobrir o ano
+         */
+        obterLinhaAno: function(tabela, ano) {
+            if (!tabela || !tabela.anos) return null;
+            if (tabela.anos[ano]) return tabela.anos[ano];
+
+            const anos = Object.keys(tabela.anos).map(Number).sort((a, b) => a - b);
+            const ultimoAno = anos[anos.length - 1];
+            return ano > ultimoAno ? tabela.anos[ultimoAno] : null;
+        },
+
+        /**
+         * Exporta as versões em JSON
+         * @returns {string} - JSON com a versão ativa e todas as versões
+         */
+        exportarJSON: function() {
+            return JSON.stringify({
+                versao: '1.0.0',
+                dataExportacao: new Date().toISOString(),
+                versaoAtiva: versaoAtiva,
+                versoes: [TABELA_PADRAO, ...Object.values(versoesPersonalizadas)]
+            }, null, 2);
+        },
+
+        /**
+         * Importa versões a partir de um JSON exportado (as versões existentes são mantidas)
+         * @param {string} texto - Conteúdo JSON
+         * @returns {Object} - {sucesso, erro, importadas}
+         */
+        importarJSON: function(texto) {
+            let dados;
+            try {
+                dados = JSON.parse(texto);
+            } catch (error) {
+                return { sucesso: false, erro: 'JSON inválido: ' + error.message, importadas: 0 };
+            }
+
+            const versoes = Array.isArray(dados && dados.versoes) ? dados.versoes : [dados];
+            const importadas = versoes.filter(versao => versao && versao.id !== VERSAO_PADRAO &&
+                this.registrarVersao(versao)).length;
+
+            return { sucesso: true, erro: null, importadas: importadas };
+        }
+    };
+})();
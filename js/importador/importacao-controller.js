@@ -6,6 +6,18 @@ const ImportacaoController = (function() {
     // Elementos da interface
     let elements = {};
     
+    // AbortController da importação em andamento (null quando não há importação)
+    let controleImportacao = null;
+    
+    // Relatório de validação estrutural da última importação (null enquanto não houver)
+    let relatorioValidacao = null;
+    
+    // Conciliação de receitas da última importação (null enquanto não houver)
+    let reconciliacaoAtual = null;
+    
+    // Receita por UF/município de destino da última importação (null enquanto não houver)
+    let distribuicaoDestinoAtual = null;
+    
     /**
      * Inicializa o controller
      */
@@ -23,6 +35,8 @@ const ImportacaoController = (function() {
             importProdutos: document.getElementById('import-produtos'),
             importImpostos: document.getElementById('import-impostos'),
             importCiclo: document.getElementById('import-ciclo'),
+            importSimulacaoItens: document.getElementById('import-simulacao-itens'),
+            importSalvarBanco: document.getElementById('import-salvar-banco'),
             
             // Controles adicionais
             periodoReferencia: document.getElementById('periodo-referencia'),
@@ -30,6 +44,27 @@ const ImportacaoController = (function() {
             // Botões
             btnImportar: document.getElementById('btn-importar-sped'),
             btnCancelar: document.getElementById('btn-cancelar-importacao'),
+            btnBaixarValidacao: document.getElementById('btn-baixar-validacao'),
+            
+            // Conciliação de receitas entre escriturações
+            conciliacaoContainer: document.getElementById('conciliacao-sped-container'),
+            fonteFaturamento: document.getElementById('fonte-faturamento-sped'),
+            tabelaConciliacao: document.getElementById('conciliacao-sped'),
+            
+            // IBS por UF de destino da receita
+            ibsDestinoContainer: document.getElementById('ibs-destino-sped-container'),
+            tabelaIbsDestino: document.getElementById('ibs-destino-sped'),
+            
+            // Mapeamento do plano de contas da ECD para o ciclo financeiro
+            mapeamentoPlanoReferencial: document.getElementById('mapeamento-plano-referencial'),
+            btnSalvarMapeamento: document.getElementById('btn-salvar-mapeamento'),
+            btnRestaurarMapeamento: document.getElementById('btn-restaurar-mapeamento'),
+            
+            // Importações salvas no banco local
+            empresasSalvas: document.getElementById('sped-empresas-salvas'),
+            tabelaImportacoesSalvas: document.getElementById('tabela-importacoes-salvas'),
+            btnCarregarImportacoes: document.getElementById('btn-carregar-importacoes'),
+            btnExcluirImportacoes: document.getElementById('btn-excluir-importacoes'),
             
             // Área de log
             logArea: document.getElementById('import-log')
@@ -44,6 +79,15 @@ const ImportacaoController = (function() {
         // Adiciona event listeners
         adicionarEventListeners();
         
+        // Lista as importações já salvas no banco local
+        atualizarEmpresasSalvas();
+        
+        // Carrega o mapeamento do plano de contas usado no ciclo financeiro
+        if (window.PlanoReferencialRepository) {
+            window.PlanoReferencialRepository.inicializar();
+            exibirMapeamentoPlanoReferencial();
+        }
+        
         console.log('ImportacaoController inicializado');
     }
     
@@ -61,6 +105,28 @@ const ImportacaoController = (function() {
     function adicionarEventListeners() {
         elements.btnImportar.addEventListener('click', iniciarImportacao);
         elements.btnCancelar.addEventListener('click', cancelarImportacao);
+        
+        if (elements.btnBaixarValidacao) {
+            elements.btnBaixarValidacao.addEventListener('click', baixarRelatorioValidacao);
+        }
+        if (elements.fonteFaturamento) {
+            elements.fonteFaturamento.addEventListener('change', alterarFonteFaturamento);
+        }
+        if (elements.btnSalvarMapeamento) {
+            elements.btnSalvarMapeamento.addEventListener('click', salvarMapeamentoPlanoReferencial);
+        }
+        if (elements.btnRestaurarMapeamento) {
+            elements.btnRestaurarMapeamento.addEventListener('click', restaurarMapeamentoPlanoReferencial);
+        }
+        if (elements.empresasSalvas) {
+            elements.empresasSalvas.addEventListener('change', atualizarImportacoesSalvas);
+        }
+        if (elements.btnCarregarImportacoes) {
+            elements.btnCarregarImportacoes.addEventListener('click', carregarImportacoesSalvas);
+        }
+        if (elements.btnExcluirImportacoes) {
+            elements.btnExcluirImportacoes.addEventListener('click', excluirImportacoesSalvas);
+        }
     }
     
     /**
@@ -78,57 +144,561 @@ const ImportacaoController = (function() {
         
         adicionarLog('Iniciando importação de dados SPED...', 'info');
         
-        // Processa cada arquivo selecionado
-        const promessas = [];
+        // Relaciona os arquivos selecionados
+        const arquivos = [];
         
-        if (elements.spedFiscal.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedFiscal.files[0], 'fiscal'));
-        }
+        // EFD ICMS/IPI e Contribuições são mensais: cada arquivo selecionado é um período
+        Array.from(elements.spedFiscal.files).forEach(arquivo => {
+            arquivos.push({ arquivo, tipo: 'fiscal' });
+        });
         
-        if (elements.spedContribuicoes.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedContribuicoes.files[0], 'contribuicoes'));
-        }
+        Array.from(elements.spedContribuicoes.files).forEach(arquivo => {
+            arquivos.push({ arquivo, tipo: 'contribuicoes' });
+        });
         
         if (elements.spedEcf.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedEcf.files[0], 'ecf'));
+            arquivos.push({ arquivo: elements.spedEcf.files[0], tipo: 'ecf' });
         }
         
         if (elements.spedEcd.files.length > 0) {
-            promessas.push(processarArquivoSped(elements.spedEcd.files[0], 'ecd'));
+            arquivos.push({ arquivo: elements.spedEcd.files[0], tipo: 'ecd' });
         }
         
-        // Aguarda o processamento de todos os arquivos
-        Promise.all(promessas)
-            .then(resultados => {
-                // Combina os resultados
-                const dadosCombinados = combinarResultados(resultados);
+        const controle = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        controleImportacao = controle;
+        
+        // Processa um arquivo por vez, para que apenas um seja lido em memória de cada vez
+        const resultados = [];
+        arquivos.reduce((cadeia, item) => cadeia.then(() =>
+            processarArquivoSped(item.arquivo, item.tipo, controle ? controle.signal : undefined)
+                .then(dados => {
+                    resultados.push(dados);
+                })
+        ), Promise.resolve())
+            .then(() => {
+                controleImportacao = null;
                 
-                // Extrai dados para o simulador
-                const dadosSimulador = SpedExtractor.extrairDadosParaSimulador(dadosCombinados);
+                if (!validarImportacao(resultados)) {
+                    adicionarLog('Importação interrompida devido aos erros de validação.', 'error');
+                    return;
+                }
                 
-                // Preenche os campos do simulador
-                preencherCamposSimulador(dadosSimulador);
+                aplicarDadosSped(resultados);
                 
                 adicionarLog('Importação concluída com sucesso!', 'success');
+                
+                // Persiste os arquivos interpretados para uso posterior sem novo upload
+                if (elements.importSalvarBanco && elements.importSalvarBanco.checked) {
+                    salvarImportacoes(resultados);
+                }
             })
             .catch(erro => {
+                if (controleImportacao === controle) {
+                    controleImportacao = null;
+                }
+                
+                // O cancelamento já foi registrado por cancelarImportacao
+                if (erro.cancelado) return;
+                
                 adicionarLog('Erro durante a importação: ' + erro.message, 'error');
                 console.error('Erro na importação:', erro);
             });
     }
     
+    /**
+     * Valida a estrutura dos arquivos e a consistência dos períodos antes de usá-los
+     * Havendo erros, o usuário decide se os dados devem ser aplicados mesmo assim.
+     * @param {Array} resultados - Resultados do SpedParser, um por arquivo
+     * @returns {boolean} Verdadeiro se a importação deve prosseguir
+     */
+    function validarImportacao(resultados) {
+        if (typeof SpedValidator === 'undefined') return true;
+        
+        relatorioValidacao = SpedValidator.consolidarRelatorio(resultados);
+        const { totalErros, totalAvisos } = relatorioValidacao;
+        
+        if (elements.btnBaixarValidacao) {
+            elements.btnBaixarValidacao.style.display = '';
+        }
+        
+        if (totalErros === 0 && totalAvisos === 0) {
+            adicionarLog('Validação estrutural concluída sem erros ou avisos.', 'success');
+            return true;
+        }
+        
+        adicionarLog(`Validação estrutural: ${totalErros} erro(s) e ${totalAvisos} aviso(s). Baixe o relatório para os detalhes.`,
+                     totalErros > 0 ? 'error' : 'warning');
+        
+        // Mostra no log as primeiras ocorrências de cada arquivo
+        relatorioValidacao.arquivos.forEach(arquivo => {
+            arquivo.erros.slice(0, 3).forEach(ocorrencia => {
+                adicionarLog(`${arquivo.nomeArquivo}, linha ${ocorrencia.linha} (${ocorrencia.registro}): ${ocorrencia.mensagem}`, 'error');
+            });
+        });
+        relatorioValidacao.periodos.erros.forEach(ocorrencia => {
+            adicionarLog(`${ocorrencia.arquivo || 'Períodos'}: ${ocorrencia.mensagem}`, 'error');
+        });
+        relatorioValidacao.periodos.avisos.forEach(ocorrencia => {
+            adicionarLog(`${ocorrencia.arquivo || 'Períodos'}: ${ocorrencia.mensagem}`, 'warning');
+        });
+        
+        if (totalErros === 0) return true;
+        
+        return confirm(`Foram encontrados ${totalErros} erro(s) na validação dos arquivos SPED. ` +
+                       'Os valores importados podem estar incompletos. Deseja aplicar os dados ao simulador mesmo assim?');
+    }
+    
+    /**
+     * Baixa o relatório de validação da última importação em CSV
+     */
+    function baixarRelatorioValidacao() {
+        if (!relatorioValidacao) return;
+        
+        const blob = new Blob([SpedValidator.gerarRelatorioCSV(relatorioValidacao)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = 'validacao-sped.csv';
+        document.body.appendChild(a);
+        a.click();
+        
+        // Limpeza
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+    
+    /**
+     * Combina os arquivos interpretados e preenche o simulador com os dados extraídos
+     * @param {Array} resultados - Resultados do SpedParser, um por arquivo
+     */
+    function aplicarDadosSped(resultados) {
+        // Combina os resultados
+        const dadosCombinados = SpedParser.combinarResultados(resultados);
+        
+        // Extrai dados para o simulador
+        const dadosSimulador = SpedExtractor.extrairDadosParaSimulador(dadosCombinados, {
+            simulacaoPorItem: !!(elements.importSimulacaoItens && elements.importSimulacaoItens.checked)
+        });
+        
+        if (dadosSimulador.historicoMensal) {
+            logSerieMensal(dadosSimulador.historicoMensal);
+        }
+        
+        if (dadosSimulador.cicloFinanceiro && dadosSimulador.cicloFinanceiro.detalhamentoContabil) {
+            logCicloContabil(dadosSimulador.cicloFinanceiro.detalhamentoContabil);
+        }
+        
+        reconciliacaoAtual = dadosSimulador.reconciliacao || null;
+        if (reconciliacaoAtual) {
+            logReconciliacao(reconciliacaoAtual);
+        }
+        exibirReconciliacao();
+        
+        distribuicaoDestinoAtual = dadosSimulador.distribuicaoDestino || null;
+        exibirIBSPorDestino(dadosSimulador);
+        
+        // Preenche os campos do simulador
+        preencherCamposSimulador(dadosSimulador);
+    }
+    
+    /**
+     * Exibe o IBS mensal por UF de destino e registra no log as UFs que concentram a retenção
+     * @param {Object} dadosSimulador - Dados extraídos do SPED (estrutura aninhada)
+     */
+    function exibirIBSPorDestino(dadosSimulador) {
+        if (!elements.ibsDestinoContainer) return;
+        
+        const disponivel = distribuicaoDestinoAtual && typeof window.IVADualSystem !== 'undefined' &&
+            typeof window.AliquotasIBSRepository !== 'undefined';
+        elements.ibsDestinoContainer.style.display = disponivel ? '' : 'none';
+        if (!disponivel) return;
+        
+        const ivaConfig = dadosSimulador.ivaConfig || {};
+        const ibs = window.IVADualSystem.calcularIBSPorDestino(
+            dadosSimulador.empresa.faturamento || 0,
+            distribuicaoDestinoAtual.destinos,
+            { aliquota: ivaConfig.ibs, taxCategory: ivaConfig.categoriaIva, reducaoEspecial: ivaConfig.reducaoEspecial }
+        );
+        
+        let html = '<table class="comparison-table"><thead><tr>' +
+            '<th>UF</th><th>Receita</th><th>IBS Estadual</th><th>IBS Municipal</th><th>Alíquota Efetiva</th><th>Participação no IBS</th>' +
+            '</tr></thead><tbody>';
+        
+        ibs.porUF.forEach(linha => {
+            html += `<tr><td>${linha.uf === 'EX' ? 'Exterior' : linha.uf}</td>` +
+                `<td>${formatarMoeda(linha.base)}</td>` +
+                `<td>${formatarMoeda(linha.estadual)}</td>` +
+                `<td>${formatarMoeda(linha.municipal)}</td>` +
+                `<td>${(linha.aliquotaEfetiva * 100).toFixed(2)}%</td>` +
+                `<td>${(linha.participacao * 100).toFixed(1)}%</td></tr>`;
+        });
+        
+        html += '</tbody></table>';
+        html += `<p class="text-muted">IBS mensal com alíquota plena: ${formatarMoeda(ibs.total)} ` +
+            `(estadual ${formatarMoeda(ibs.estadual)}, municipal ${formatarMoeda(ibs.municipal)}).</p>`;
+        elements.tabelaIbsDestino.innerHTML = html;
+        
+        const principais = ibs.porUF.filter(linha => linha.total > 0).slice(0, 3)
+            .map(linha => `${linha.uf} (${(linha.participacao * 100).toFixed(1)}%)`);
+        if (principais.length > 0) {
+            adicionarLog(`IBS por destino: ${ibs.porUF.length} UF(s) de destino; maior retenção em ${principais.join(', ')}.`, 'info');
+        }
+    }
+    
+    /**
+     * Registra no log os prazos do ciclo financeiro apurados com os saldos da ECD
+     * @param {Object} cicloContabil - Prazos consolidados e por período (SpedExtractor)
+     */
+    function logCicloContabil(cicloContabil) {
+        const formatarPrazo = prazo => prazo === null ? 'não apurável' : `${Math.round(prazo)} dias`;
+        const formatarData = data => `${data.substr(0, 2)}/${data.substr(2, 2)}/${data.substr(4, 4)}`;
+        
+        cicloContabil.periodos.forEach(periodo => {
+            adicionarLog(`Ciclo financeiro ECD ${formatarData(periodo.periodoInicial)} a ${formatarData(periodo.periodoFinal)}` +
+                         `${periodo.meses.length > 0 ? ` (${periodo.meses.length} meses de lançamentos)` : ''}: ` +
+                         `PMR ${formatarPrazo(periodo.pmr)}, PMP ${formatarPrazo(periodo.pmp)}, PME ${formatarPrazo(periodo.pme)}.`, 'info');
+        });
+        
+        adicionarLog(`Ciclo financeiro pelos saldos contábeis: PMR ${formatarPrazo(cicloContabil.pmr)}, ` +
+                     `PMP ${formatarPrazo(cicloContabil.pmp)}, PME ${formatarPrazo(cicloContabil.pme)}.`, 'success');
+    }
+    
+    /**
+     * Exibe o mapeamento vigente do plano de contas em JSON para edição
+     */
+    function exibirMapeamentoPlanoReferencial() {
+        if (!elements.mapeamentoPlanoReferencial) return;
+        
+        elements.mapeamentoPlanoReferencial.value =
+            JSON.stringify(window.PlanoReferencialRepository.obterMapeamento(), null, 2);
+    }
+    
+    /**
+     * Salva o mapeamento do plano de contas editado pelo usuário
+     */
+    function salvarMapeamentoPlanoReferencial() {
+        const resultado = window.PlanoReferencialRepository.importarJSON(elements.mapeamentoPlanoReferencial.value);
+        if (!resultado.sucesso) {
+            adicionarLog('Mapeamento do plano de contas não salvo: ' + resultado.erro, 'error');
+            return;
+        }
+        
+        exibirMapeamentoPlanoReferencial();
+        adicionarLog('Mapeamento do plano de contas salvo. Importe novamente a ECD para recalcular o ciclo financeiro.', 'success');
+    }
+    
+    /**
+     * Volta ao mapeamento padrão do plano de contas
+     */
+    function restaurarMapeamentoPlanoReferencial() {
+        if (!confirm('Descartar o mapeamento personalizado do plano de contas e voltar ao padrão?')) return;
+        
+        window.PlanoReferencialRepository.restaurarPadrao();
+        exibirMapeamentoPlanoReferencial();
+        adicionarLog('Mapeamento padrão do plano de contas restaurado.', 'info');
+    }
+    
+    /**
+     * Registra no log a fonte de receita adotada e as divergências entre escriturações
+     * @param {Object} reconciliacao - Conciliação calculada pelo SpedReconciliacao
+     */
+    function logReconciliacao(reconciliacao) {
+        const fonte = SpedReconciliacao.obterFonteEscolhida(reconciliacao);
+        if (!fonte) return;
+        
+        adicionarLog(`Faturamento e margem obtidos de: ${fonte.descricao} (${formatarMoeda(fonte.faturamentoMensal)}/mês).`, 'info');
+        
+        reconciliacao.divergencias.forEach(divergencia => {
+            adicionarLog(`Conciliação de receitas: ${divergencia.mensagem}.`, 'warning');
+        });
+    }
+    
+    /**
+     * Exibe as fontes de receita conciliadas e o seletor da fonte do faturamento
+     */
+    function exibirReconciliacao() {
+        if (!elements.conciliacaoContainer) return;
+        
+        const fontes = reconciliacaoAtual ? reconciliacaoAtual.fontes : [];
+        elements.conciliacaoContainer.style.display = fontes.length > 0 ? '' : 'none';
+        if (fontes.length === 0) return;
+        
+        elements.fonteFaturamento.innerHTML = '';
+        fontes.forEach(fonte => {
+            const option = document.createElement('option');
+            option.value = fonte.id;
+            option.textContent = fonte.descricao;
+            option.selected = fonte.id === reconciliacaoAtual.fonteEscolhida;
+            elements.fonteFaturamento.appendChild(option);
+        });
+        
+        let html = '<table class="comparison-table"><thead><tr>' +
+            '<th>Fonte</th><th>Faturamento Mensal</th><th>Margem</th><th>Meses</th><th>Divergência</th>' +
+            '</tr></thead><tbody>';
+        
+        fontes.forEach(fonte => {
+            const escolhida = fonte.id === reconciliacaoAtual.fonteEscolhida;
+            const divergencia = escolhida ? 'Referência' : `${(fonte.divergencia * 100).toFixed(1)}%`;
+            
+            html += `<tr${fonte.divergente ? ' class="log-warning"' : ''}>` +
+                `<td>${fonte.descricao}</td>` +
+                `<td>${formatarMoeda(fonte.faturamentoMensal)}</td>` +
+                `<td>${fonte.margem === null ? '-' : (fonte.margem * 100).toFixed(2) + '%'}</td>` +
+                `<td>${fonte.meses}</td>` +
+                `<td>${divergencia}${fonte.divergente ? ' (acima da tolerância)' : ''}</td></tr>`;
+        });
+        
+        html += '</tbody></table>';
+        html += `<p class="text-muted">Tolerância: ${(reconciliacaoAtual.tolerancia * 100).toFixed(1)}%.</p>`;
+        elements.tabelaConciliacao.innerHTML = html;
+    }
+    
+    /**
+     * Troca a fonte de receita e atualiza faturamento e margem no simulador
+     */
+    function alterarFonteFaturamento() {
+        if (!reconciliacaoAtual) return;
+        
+        const fonte = SpedReconciliacao.escolherFonte(reconciliacaoAtual, elements.fonteFaturamento.value);
+        if (!fonte) return;
+        
+        exibirReconciliacao();
+        // Mesma faixa aplicada pelo DataManager na importação (margem entre 0 e 1)
+        preencherFaturamentoMargem({
+            faturamento: fonte.faturamentoMensal,
+            margem: fonte.margem === null ? null : Math.max(0, Math.min(1, fonte.margem))
+        });
+        logReconciliacao(reconciliacaoAtual);
+    }
+    
+    /**
+     * Obtém a conciliação de receitas da última importação
+     * @returns {Object|null} Conciliação com a fonte escolhida ou null
+     */
+    function obterReconciliacao() {
+        return reconciliacaoAtual;
+    }
+    
+    /**
+     * Obtém a distribuição da receita por destino da última importação
+     * @returns {Object|null} Distribuição (SpedExtractor) ou null
+     */
+    function obterDistribuicaoDestino() {
+        return distribuicaoDestinoAtual;
+    }
+    
+    /**
+     * Registra no log a série mês a mês e a sazonalidade detectada no faturamento
+     * @param {Object} historicoMensal - Série e sazonalidade calculadas pelo SpedExtractor
+     */
+    function logSerieMensal(historicoMensal) {
+        const meses = historicoMensal.meses;
+        const somar = valores => Object.values(valores).reduce((soma, valor) => soma + (valor || 0), 0);
+        
+        adicionarLog(`Série mensal: ${meses.length} competência(s), de ${meses[0].competencia} a ${meses[meses.length - 1].competencia}.`, 'info');
+        
+        meses.forEach(mes => {
+            const faturamento = mes.faturamento === null ? 'sem documentos de saída' : formatarMoeda(mes.faturamento);
+            adicionarLog(`${mes.competencia}: faturamento ${faturamento}, débitos ${formatarMoeda(somar(mes.debitos))}, créditos ${formatarMoeda(somar(mes.creditos))}.`, 'info');
+        });
+        
+        const sazonalidade = historicoMensal.sazonalidade;
+        if (!sazonalidade) {
+            adicionarLog('Menos de 3 meses com faturamento: será usado o fator de sazonalidade padrão.', 'warning');
+        } else if (!sazonalidade.anoCompleto) {
+            adicionarLog(`Histórico cobre ${sazonalidade.mesesCalendario} dos 12 meses do calendário: será usado o fator de sazonalidade padrão.`, 'warning');
+        } else if (sazonalidade.sazonal) {
+            adicionarLog(`Sazonalidade detectada: pico no mês ${sazonalidade.mesPico}, ${((sazonalidade.fatorPico - 1) * 100).toFixed(1)}% acima da média mensal.`, 'warning');
+        } else {
+            adicionarLog(`Faturamento estável entre os meses (variação de ${(sazonalidade.coeficienteVariacao * 100).toFixed(1)}%).`, 'info');
+        }
+    }
+    
+    /**
+     * Salva os arquivos interpretados no banco local (IndexedDB)
+     * @param {Array} resultados - Resultados do SpedParser, um por arquivo
+     * @returns {Promise} Promessa concluída após salvar todos os arquivos
+     */
+    function salvarImportacoes(resultados) {
+        if (typeof SpedRepository === 'undefined') {
+            return Promise.resolve();
+        }
+        
+        const promessas = resultados.map(dados => 
+            SpedRepository.salvarImportacao(dados)
+                .then(registro => {
+                    adicionarLog(`Arquivo ${registro.nomeArquivo} salvo no banco local (${registro.tipo}, ${registro.periodo}).`, 'success');
+                })
+                .catch(erro => {
+                    adicionarLog(`Não foi possível salvar ${dados.metadados?.nomeArquivo || 'o arquivo'} no banco local: ${erro.message}`, 'warning');
+                })
+        );
+        
+        return Promise.all(promessas).then(atualizarEmpresasSalvas);
+    }
+    
+    /**
+     * Atualiza a lista de empresas com importações salvas
+     * @returns {Promise} Promessa concluída após atualizar a lista
+     */
+    function atualizarEmpresasSalvas() {
+        if (!elements.empresasSalvas || typeof SpedRepository === 'undefined') {
+            return Promise.resolve();
+        }
+        
+        const selecionada = elements.empresasSalvas.value;
+        
+        return SpedRepository.listarEmpresas()
+            .then(empresas => {
+                elements.empresasSalvas.innerHTML = '<option value="">Selecione uma empresa...</option>';
+                empresas.forEach(empresa => {
+                    const option = document.createElement('option');
+                    option.value = empresa.cnpj;
+                    option.textContent = `${empresa.nome || 'Empresa sem nome'} (${empresa.cnpj})`;
+                    option.selected = empresa.cnpj === selecionada;
+                    elements.empresasSalvas.appendChild(option);
+                });
+                
+                return atualizarImportacoesSalvas();
+            })
+            .catch(erro => {
+                console.warn('Banco local de SPED indisponível:', erro.message);
+            });
+    }
+    
+    /**
+     * Exibe os períodos importados da empresa selecionada
+     * @returns {Promise} Promessa concluída após atualizar a tabela
+     */
+    function atualizarImportacoesSalvas() {
+        const container = elements.tabelaImportacoesSalvas;
+        if (!container) {
+            return Promise.resolve();
+        }
+        
+        const cnpj = elements.empresasSalvas.value;
+        if (!cnpj) {
+            container.innerHTML = '<p class="text-muted">Nenhuma empresa selecionada.</p>';
+            return Promise.resolve();
+        }
+        
+        return SpedRepository.listarImportacoes(cnpj).then(importacoes => {
+            let html = '<table class="comparison-table"><thead><tr>' +
+                '<th><input type="checkbox" id="selecionar-todas-importacoes" checked /></th>' +
+                '<th>Período</th><th>Tipo</th><th>Arquivo</th><th>Documentos</th><th>Valor dos Documentos</th><th>Importado em</th>' +
+                '</tr></thead><tbody>';
+            
+            importacoes.forEach(importacao => {
+                html += `<tr><td><input type="checkbox" class="importacao-salva" value="${importacao.id}" checked /></td>` +
+                    `<td>${importacao.periodo}</td>` +
+                    `<td>${importacao.tipo}</td>` +
+                    `<td>${importacao.nomeArquivo}</td>` +
+                    `<td>${importacao.resumo.documentos}</td>` +
+                    `<td>${formatarMoeda(importacao.resumo.valorDocumentos)}</td>` +
+                    `<td>${new Date(importacao.dataImportacao).toLocaleString('pt-BR')}</td></tr>`;
+            });
+            
+            html += '</tbody></table>';
+            container.innerHTML = html;
+            
+            document.getElementById('selecionar-todas-importacoes').addEventListener('change', function() {
+                container.querySelectorAll('.importacao-salva').forEach(checkbox => {
+                    checkbox.checked = this.checked;
+                });
+            });
+        });
+    }
+    
+    /**
+     * Obtém os identificadores das importações marcadas na tabela
+     * @returns {Array<string>} Identificadores selecionados
+     */
+    function obterImportacoesSelecionadas() {
+        if (!elements.tabelaImportacoesSalvas) return [];
+        
+        return Array.from(elements.tabelaImportacoesSalvas.querySelectorAll('.importacao-salva:checked'))
+            .map(checkbox => checkbox.value);
+    }
+    
+    /**
+     * Carrega no simulador as importações salvas selecionadas
+     */
+    function carregarImportacoesSalvas() {
+        const ids = obterImportacoesSelecionadas();
+        if (ids.length === 0) {
+            adicionarLog('Selecione pelo menos um período salvo para carregar.', 'error');
+            return;
+        }
+        
+        limparLog();
+        adicionarLog(`Carregando ${ids.length} arquivo(s) do banco local...`, 'info');
+        
+        SpedRepository.obterDadosSped(ids)
+            .then(resultados => {
+                if (!validarImportacao(resultados)) {
+                    adicionarLog('Carregamento interrompido devido aos erros de validação.', 'error');
+                    return;
+                }
+                
+                aplicarDadosSped(resultados);
+                adicionarLog('Dados salvos carregados no simulador.', 'success');
+            })
+            .catch(erro => {
+                adicionarLog('Erro ao carregar os dados salvos: ' + erro.message, 'error');
+                console.error('Erro ao carregar importações salvas:', erro);
+            });
+    }
+    
+    /**
+     * Exclui do banco local as importações salvas selecionadas
+     */
+    function excluirImportacoesSalvas() {
+        const ids = obterImportacoesSelecionadas();
+        if (ids.length === 0) {
+            adicionarLog('Selecione pelo menos um período salvo para excluir.', 'error');
+            return;
+        }
+        
+        if (!confirm(`Excluir ${ids.length} arquivo(s) do banco local? Esta ação não pode ser desfeita.`)) {
+            return;
+        }
+        
+        SpedRepository.excluirImportacoes(ids)
+            .then(() => {
+                adicionarLog(`${ids.length} arquivo(s) excluído(s) do banco local.`, 'info');
+                return atualizarEmpresasSalvas();
+            })
+            .catch(erro => {
+                adicionarLog('Erro ao excluir os dados salvos: ' + erro.message, 'error');
+            });
+    }
+    
    /**
      * Processa um arquivo SPED
      * @param {File} arquivo - Arquivo a ser processado
      * @param {string} tipo - Tipo de arquivo SPED
+     * @param {AbortSignal} [sinal] - Sinal de cancelamento da importação
      * @returns {Promise} Promessa com os dados extraídos
      */
-    function processarArquivoSped(arquivo, tipo) {
+    function processarArquivoSped(arquivo, tipo, sinal) {
         adicionarLog(`Processando arquivo ${arquivo.name}...`, 'info');
 
+        // Registra o progresso da leitura a cada 10% do arquivo
+        let proximoPercentual = 10;
+        const aoProgredir = function(bytesProcessados, totalBytes, linhasProcessadas) {
+            const percentual = totalBytes > 0 ? Math.floor((bytesProcessados / totalBytes) * 100) : 100;
+            if (percentual >= proximoPercentual && percentual < 100) {
+                adicionarLog(`${arquivo.name}: ${percentual}% lido (${linhasProcessadas.toLocaleString('pt-BR')} linhas).`, 'info');
+                proximoPercentual = Math.floor(percentual / 10) * 10 + 10;
+            }
+        };
+
         return new Promise((resolve, reject) => {
             try {
-                SpedParser.processarArquivo(arquivo, tipo)
+                SpedParser.processarArquivoEmWorker(arquivo, tipo, { sinal, aoProgredir })
                     .then(dados => {
                         // Adiciona metadados ao objeto de resultado
                         dados.metadados = {
@@ -141,11 +711,19 @@ const ImportacaoController = (function() {
                         // Log detalhado dos dados encontrados
                         logDadosExtraidos(dados, tipo);
 
+                        // Acima do limite de detalhe, os itens passam a ser somados por competência, CFOP e CST
+                        const registrosAgregados = Object.values(dados.registrosAgregados || {}).reduce((total, qtd) => total + qtd, 0);
+                        if (registrosAgregados > 0) {
+                            adicionarLog(`${arquivo.name}: ${registrosAgregados.toLocaleString('pt-BR')} registros de detalhe somados em linhas agregadas por competência, CFOP e CST.`, 'info');
+                        }
+
                         adicionarLog(`Arquivo ${arquivo.name} processado com sucesso.`, 'success');
                         resolve(dados);
                     })
                     .catch(erro => {
-                        adicionarLog(`Erro ao processar ${arquivo.name}: ${erro.message}`, 'error');
+                        if (!erro.cancelado) {
+                            adicionarLog(`Erro ao processar ${arquivo.name}: ${erro.message}`, 'error');
+                        }
                         reject(erro);
                     });
             } catch (erro) {
@@ -189,6 +767,19 @@ const ImportacaoController = (function() {
                     };
                 }
 
+                // Conhecimentos de transporte (D100) e notas de comunicação (D500)
+                if (dados.documentosServico && dados.documentosServico.length > 0) {
+                    const qtdTransporte = dados.documentosServico.filter(doc => doc.registro === 'D100').length;
+                    const qtdComunicacao = dados.documentosServico.length - qtdTransporte;
+                    mensagens.push(`Encontrados ${qtdTransporte} conhecimentos de transporte e ${qtdComunicacao} notas de comunicação (bloco D).`);
+
+                    logDetalhado.registros.documentosServico = {
+                        quantidade: dados.documentosServico.length,
+                        valorTotal: dados.documentosServico.reduce((sum, doc) => sum + (doc.valorTotal || 0), 0),
+                        amostra: dados.documentosServico.slice(0, 3)
+                    };
+                }
+
                 // Resumo de impostos com valores detalhados
                 if (dados.impostos && dados.impostos.icms) {
                     const apuracaoICMS = dados.impostos.icms[0] || {};
@@ -225,6 +816,14 @@ const ImportacaoController = (function() {
                 break;
 
             case 'contribuicoes':
+                // Blocos A (serviços) e F (demais operações e retenções na fonte)
+                const qtdServicos = (dados.documentosServico || []).length;
+                const qtdOperacoesF = (dados.demaisOperacoes || []).length;
+                const qtdRetencoes = (dados.retencoesFonte || []).length;
+                if (qtdServicos + qtdOperacoesF + qtdRetencoes > 0) {
+                    mensagens.push(`Encontrados ${qtdServicos} documentos de serviço (A100), ${qtdOperacoesF} operações do bloco F (F100/F120/F130) e ${qtdRetencoes} retenções na fonte (F600).`);
+                }
+
                 // Resumo de créditos com valores detalhados
                 if (dados.creditos) {
                     const qtdCreditosPIS = (dados.creditos.pis || []).length;
@@ -374,246 +973,6 @@ const ImportacaoController = (function() {
         window.logsImportacao.push(logDetalhado);
     }
     
-    /**
-     * Combina os resultados de múltiplos arquivos SPED
-     * @param {Array} resultados - Array de resultados por arquivo
-     * @returns {Object} Dados combinados
-     */
-    function combinarResultados(resultados) {
-        // Inicializa objeto combinado com estrutura expandida
-        const combinado = {
-            empresa: {},
-            documentos: [],
-            itens: [],
-            itensAnaliticos: [],
-            impostos: {},
-            creditos: {},
-            debitos: {}, // Adicionar para garantir estrutura correta
-            regimes: {},
-            ajustes: {},
-            receitasNaoTributadas: {},
-            balancoPatrimonial: [],
-            demonstracaoResultado: [],
-            lancamentosContabeis: [],
-            partidasLancamento: [],
-            calculoImposto: {},
-            incentivosFiscais: [],
-            participantes: [],
-            inventario: [],
-            discriminacaoReceita: [],
-            metadados: {
-                arquivosProcessados: []
-            }
-        };
-
-        // Combina os resultados com validação estrutural
-        resultados.forEach(resultado => {
-            if (!resultado || typeof resultado !== 'object') return;
-
-            // Registra o arquivo processado
-            if (resultado.metadados) {
-                combinado.metadados.arquivosProcessados.push(resultado.metadados);
-            }
-
-            // Dados da empresa - prioriza o que tem nome preenchido
-            if (resultado.empresa && Object.keys(resultado.empresa).length > 0) {
-                const nomeEmpresaAtual = resultado.empresa.nome || '';
-                const nomeEmpresaExistente = combinado.empresa.nome || '';
-
-                // Prioriza resultado com nome da empresa preenchido
-                if (nomeEmpresaAtual && (!nomeEmpresaExistente || 
-                     Object.keys(combinado.empresa).length < Object.keys(resultado.empresa).length)) {
-                    combinado.empresa = {...resultado.empresa};
-                }
-            }
-
-            // Arrays simples (concatena todos)
-            const arrayProps = [
-                'documentos', 'itens', 'itensAnaliticos', 'balancoPatrimonial', 
-                'demonstracaoResultado', 'lancamentosContabeis', 'partidasLancamento',
-                'incentivosFiscais', 'participantes', 'inventario', 'discriminacaoReceita'
-            ];
-
-            arrayProps.forEach(prop => {
-                if (Array.isArray(resultado[prop])) {
-                    combinado[prop] = combinado[prop].concat(resultado[prop] || []);
-                }
-            });
-
-            // Objetos de arrays categorizados (mescla por categoria)
-            const objArrayProps = ['impostos', 'creditos', 'receitasNaoTributadas', 'ajustes'];
-
-            objArrayProps.forEach(prop => {
-                if (resultado[prop] && typeof resultado[prop] === 'object') {
-                    Object.entries(resultado[prop]).forEach(([categoria, valores]) => {
-                        if (!combinado[prop][categoria]) {
-                            combinado[prop][categoria] = [];
-                        }
-                        if (Array.isArray(valores)) {
-                            combinado[prop][categoria] = combinado[prop][categoria].concat(valores);
-                        }
-                    });
-                }
-            });
-
-            // Objetos simples (mescla com preferência para dados mais detalhados)
-            const objProps = ['regimes', 'calculoImposto'];
-
-            objProps.forEach(prop => {
-                if (resultado[prop] && typeof resultado[prop] === 'object') {
-                    if (!combinado[prop]) combinado[prop] = {};
-
-                    Object.entries(resultado[prop]).forEach(([chave, valor]) => {
-                        // Se já existir, verifica qual é mais completo
-                        if (!combinado[prop][chave] || 
-                            (typeof valor === 'object' && 
-                             Object.keys(valor).length > Object.keys(combinado[prop][chave]).length)) {
-                            combinado[prop][chave] = {...valor};
-                        }
-                    });
-                }
-            });
-
-            // Valores calculados - propriedades numéricas no nível raiz do objeto
-            const valorProps = [
-                'receitaBruta', 'receitaLiquida', 'lucroBruto', 'resultadoOperacional',
-                'lucroLiquido', 'saldoClientes', 'saldoEstoques', 'saldoFornecedores',
-                'ativoCirculante', 'passivoCirculante', 'capitalGiro', 'aliquotaEfetivaIRPJ',
-                'aliquotaEfetivaCSLL', 'percentualExportacao', 'valorTotalIncentivos'
-            ];
-
-            valorProps.forEach(prop => {
-                if (typeof resultado[prop] === 'number' && (!combinado[prop] || combinado[prop] === 0)) {
-                    combinado[prop] = resultado[prop];
-                }
-            });
-        });
-
-        // Processa relações cruzadas entre os dados após a combinação
-        processarRelacoesCruzadas(combinado);
-
-        return combinado;
-    }
-    
-    /**
-     * Processa relações cruzadas entre dados de diferentes arquivos
-     * @param {Object} dados - Dados combinados
-     */
-    function processarRelacoesCruzadas(dados) {
-        // Relaciona documentos com participantes
-        if (dados.documentos.length > 0 && dados.participantes.length > 0) {
-            const participantesPorCodigo = {};
-
-            dados.participantes.forEach(participante => {
-                if (participante.codigo) {
-                    participantesPorCodigo[participante.codigo] = participante;
-                }
-            });
-
-            dados.documentos.forEach(doc => {
-                if (doc.codPart && participantesPorCodigo[doc.codPart]) {
-                    doc.participante = participantesPorCodigo[doc.codPart];
-                }
-            });
-        }
-
-        // Relaciona itens com documentos
-        if (dados.documentos.length > 0 && dados.itens.length > 0) {
-            const itensPorDocumento = {};
-
-            dados.itens.forEach(item => {
-                if (item.documentoId) {
-                    if (!itensPorDocumento[item.documentoId]) {
-                        itensPorDocumento[item.documentoId] = [];
-                    }
-                    itensPorDocumento[item.documentoId].push(item);
-                }
-            });
-
-            dados.documentos.forEach(doc => {
-                if (doc.id && itensPorDocumento[doc.id]) {
-                    doc.itens = itensPorDocumento[doc.id];
-                }
-            });
-        }
-
-        // Calcula valores agregados
-        calcularValoresAgregados(dados);
-    }
-    
-    /**
-     * Calcula valores agregados a partir dos dados combinados
-     * @param {Object} dados - Dados combinados
-     */
-    function calcularValoresAgregados(dados) {
-        // Se não tiver dados contábeis da ECD, tenta calcular com base nos documentos fiscais
-        if (!dados.receitaBruta && dados.documentos.length > 0) {
-            // Calcular receita bruta com base nos documentos de saída
-            const documentosSaida = dados.documentos.filter(doc => 
-                doc.indOper === '1' && // Saída
-                doc.situacao === '00'  // Documento regular
-            );
-
-            if (documentosSaida.length > 0) {
-                // Agrupa por mês/ano
-                const receitaPorMes = {};
-                let dataInicial = null;
-                let dataFinal = null;
-
-                documentosSaida.forEach(doc => {
-                    if (!doc.dataEmissao) return;
-
-                    // Formata data para YYYY-MM
-                    const dataEmissao = doc.dataEmissao.replace(/(\d{2})(\d{2})(\d{4})/, '$3-$2');
-                    const valorDoc = doc.valorTotal || 0;
-
-                    if (!receitaPorMes[dataEmissao]) {
-                        receitaPorMes[dataEmissao] = 0;
-                    }
-
-                    receitaPorMes[dataEmissao] += valorDoc;
-
-                    // Atualiza período de análise
-                    const dataObj = new Date(doc.dataEmissao.replace(/(\d{2})(\d{2})(\d{4})/, '$2/$1/$3'));
-
-                    if (!dataInicial || dataObj < dataInicial) {
-                        dataInicial = dataObj;
-                    }
-
-                    if (!dataFinal || dataObj > dataFinal) {
-                        dataFinal = dataObj;
-                    }
-                });
-
-                // Calcula receita média mensal
-                if (Object.keys(receitaPorMes).length > 0) {
-                    const totalReceita = Object.values(receitaPorMes).reduce((sum, val) => sum + val, 0);
-                    dados.receitaBruta = totalReceita * 12 / Object.keys(receitaPorMes).length;
-                }
-            }
-        }
-
-        // Se não tiver informações de ciclo financeiro, calcula com base nos dados disponíveis
-        if (!dados.saldoClientes && dados.balancoPatrimonial && dados.balancoPatrimonial.length > 0) {
-            // Busca contas de clientes no balanço
-            const contasClientes = dados.balancoPatrimonial.filter(conta => 
-                (conta.codigoConta.startsWith('1.1.2') || // Ativo Circulante > Créditos
-                 conta.descricaoConta.toLowerCase().includes('client')) && 
-                conta.naturezaSaldo === 'D' // Saldo devedor
-            );
-
-            if (contasClientes.length > 0) {
-                dados.saldoClientes = contasClientes.reduce((sum, conta) => sum + conta.saldoFinal, 0);
-            }
-        }
-
-        // Calcula valores para resultado operacional
-        if (!dados.resultadoOperacional && dados.lucroBruto) {
-            // Estimativa simples baseada em margem típica
-            dados.resultadoOperacional = dados.lucroBruto * 0.7; // 70% do lucro bruto
-        }
-    }
-    
     /**
      * Preenche os campos do simulador com os dados extraídos
      * @param {Object} dados - Dados formatados para o simulador
@@ -651,6 +1010,11 @@ const ImportacaoController = (function() {
                 adicionarLog('Configurações do IVA Dual preenchidas com sucesso.', 'success');
             }
 
+            // Simulação CBS/IBS por item (C170)
+            if (dados.simulacaoItens) {
+                preencherSimulacaoPorItem(dados.ivaConfig, dados.simulacaoItens);
+            }
+
             // Rolar para a aba de simulação após preencher
             setTimeout(() => {
                 const abaPrincipal = document.querySelector('.tab-button[data-tab="simulacao"]');
@@ -682,6 +1046,44 @@ const ImportacaoController = (function() {
             campoEmpresa.value = dadosEmpresa.nome;
         }
 
+        preencherFaturamentoMargem(dadosEmpresa);
+
+        // Tipo de empresa
+        const campoTipoEmpresa = document.getElementById('tipo-empresa');
+        if (campoTipoEmpresa && dadosEmpresa.tipoEmpresa) {
+            campoTipoEmpresa.value = dadosEmpresa.tipoEmpresa;
+            // Dispara evento para atualizar campos dependentes
+            campoTipoEmpresa.dispatchEvent(new Event('change'));
+        }
+
+        // Regime tributário
+        const campoRegime = document.getElementById('regime');
+        if (campoRegime && dadosEmpresa.regime) {
+            campoRegime.value = dadosEmpresa.regime;
+            // Dispara evento para atualizar campos dependentes
+            campoRegime.dispatchEvent(new Event('change'));
+        }
+
+        // Índices de sazonalidade do histórico mensal (vazio mantém o fator padrão)
+        const indices = dadosEmpresa.indicesSazonalidade;
+        const campoSazonalidade = document.getElementById('indices-sazonalidade');
+        if (campoSazonalidade) {
+            campoSazonalidade.value = indices ? JSON.stringify(indices) : '';
+        }
+
+        const infoSazonalidade = document.getElementById('sazonalidade-info');
+        if (infoSazonalidade) {
+            infoSazonalidade.textContent = indices ?
+                `Sazonalidade do SPED: mês de pico com ${Math.max(...indices).toFixed(2)}× o faturamento médio.` : '';
+            infoSazonalidade.style.display = indices ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Preenche faturamento mensal e margem operacional no formulário
+     * @param {Object} dadosEmpresa - Dados com faturamento (valor mensal) e margem (decimal)
+     */
+    function preencherFaturamentoMargem(dadosEmpresa) {
         // Faturamento mensal
         const campoFaturamento = document.getElementById('faturamento');
         if (campoFaturamento && dadosEmpresa.faturamento) {
@@ -702,22 +1104,6 @@ const ImportacaoController = (function() {
             // Converte decimal para percentual
             campoMargem.value = (dadosEmpresa.margem * 100).toFixed(2);
         }
-
-        // Tipo de empresa
-        const campoTipoEmpresa = document.getElementById('tipo-empresa');
-        if (campoTipoEmpresa && dadosEmpresa.tipoEmpresa) {
-            campoTipoEmpresa.value = dadosEmpresa.tipoEmpresa;
-            // Dispara evento para atualizar campos dependentes
-            campoTipoEmpresa.dispatchEvent(new Event('change'));
-        }
-
-        // Regime tributário
-        const campoRegime = document.getElementById('regime');
-        if (campoRegime && dadosEmpresa.regime) {
-            campoRegime.value = dadosEmpresa.regime;
-            // Dispara evento para atualizar campos dependentes
-            campoRegime.dispatchEvent(new Event('change'));
-        }
     }
 
     /**
@@ -793,6 +1179,56 @@ const ImportacaoController = (function() {
                 campoPisCofinsRegime.dispatchEvent(new Event('change'));
             }
 
+            // Imposto Seletivo identificado pelo NCM dos itens vendidos
+            const seletivo = parametrosFiscais.impostoSeletivo;
+            if (seletivo && seletivo.categoria) {
+                const campoCategoriaSeletivo = document.getElementById('categoria-seletivo');
+                if (campoCategoriaSeletivo) {
+                    campoCategoriaSeletivo.value = seletivo.categoria;
+                }
+
+                const campoReceitaSeletivo = document.getElementById('receita-seletivo');
+                if (campoReceitaSeletivo) {
+                    campoReceitaSeletivo.value = (seletivo.percentualReceita * 100).toFixed(1);
+                }
+
+                const campoAliquotaSeletivo = document.getElementById('aliquota-seletivo');
+                if (campoAliquotaSeletivo) {
+                    campoAliquotaSeletivo.value = seletivo.aliquota !== null ? (seletivo.aliquota * 100).toFixed(2) : '';
+                }
+
+                adicionarLog(`Produtos sujeitos ao Imposto Seletivo: ${(seletivo.percentualReceita * 100).toFixed(1)}% ` +
+                    `da receita de itens (${Object.keys(seletivo.porCategoria || {}).join(', ')}).`, 'info');
+            }
+
+            // Substituição tributária do ICMS identificada pelo ICMS-ST das notas
+            const substituicao = parametrosFiscais.substituicaoTributaria;
+            if (substituicao && substituicao.papel) {
+                const campoPapelST = document.getElementById('papel-st');
+                if (campoPapelST) {
+                    campoPapelST.value = substituicao.papel;
+                }
+
+                const campoReceitaST = document.getElementById('receita-st');
+                if (campoReceitaST) {
+                    campoReceitaST.value = (substituicao.percentualReceita * 100).toFixed(1);
+                }
+
+                const campoMvaST = document.getElementById('mva-st');
+                if (campoMvaST && typeof substituicao.mva === 'number') {
+                    campoMvaST.value = (substituicao.mva * 100).toFixed(1);
+                }
+
+                const campoAliquotaInternaST = document.getElementById('aliquota-interna-st');
+                if (campoAliquotaInternaST) {
+                    campoAliquotaInternaST.value = substituicao.aliquotaInterna !== null ? (substituicao.aliquotaInterna * 100).toFixed(2) : '';
+                }
+
+                adicionarLog(`ICMS-ST: empresa ${substituicao.papel === 'substituto' ? 'substituta' : 'substituída'} em ` +
+                    `${(substituicao.percentualReceita * 100).toFixed(1)}% das saídas (retido R$ ${(substituicao.icmsSTRetidoMensal || 0).toFixed(2)}/mês, ` +
+                    `pago nas entradas R$ ${(substituicao.icmsSTEntradasMensal || 0).toFixed(2)}/mês).`, 'info');
+            }
+
             // PRIORIDADE 2: Preencher campos complementares apenas se não houver dados do SPED
             const configImpostos = parametrosFiscais.configuracaoImpostos || {};
 
@@ -1139,46 +1575,81 @@ const ImportacaoController = (function() {
 
                 // Preenche os campos manualmente
                 if (ivaConfig) {
-                    // Alíquota CBS
-                    const campoAliquotaCbs = document.getElementById('aliquota-cbs');
-                    if (campoAliquotaCbs && ivaConfig.cbs) {
-                        campoAliquotaCbs.value = (ivaConfig.cbs * 100).toFixed(1);
-                    }
+                    preencherCamposIVA(ivaConfig);
+                }
+            }
+        }
+    }
 
-                    // Alíquota IBS
-                    const campoAliquotaIbs = document.getElementById('aliquota-ibs');
-                    if (campoAliquotaIbs && ivaConfig.ibs) {
-                        campoAliquotaIbs.value = (ivaConfig.ibs * 100).toFixed(1);
-                    }
+    /**
+     * Preenche os campos de alíquota do IVA Dual a partir de uma configuração
+     * @param {Object} ivaConfig - Configurações do IVA Dual
+     */
+    function preencherCamposIVA(ivaConfig) {
+        // Alíquota CBS
+        const campoAliquotaCbs = document.getElementById('aliquota-cbs');
+        if (campoAliquotaCbs && typeof ivaConfig.cbs === 'number') {
+            campoAliquotaCbs.value = (ivaConfig.cbs * 100).toFixed(1);
+        }
 
-                    // Redução Especial
-                    const campoReducao = document.getElementById('reducao');
-                    if (campoReducao && ivaConfig.reducaoEspecial) {
-                        campoReducao.value = (ivaConfig.reducaoEspecial * 100).toFixed(1);
-                    }
+        // Alíquota IBS
+        const campoAliquotaIbs = document.getElementById('aliquota-ibs');
+        if (campoAliquotaIbs && typeof ivaConfig.ibs === 'number') {
+            campoAliquotaIbs.value = (ivaConfig.ibs * 100).toFixed(1);
+        }
 
-                    // Categoria IVA
-                    const campoCategoriaIva = document.getElementById('categoria-iva');
-                    if (campoCategoriaIva && ivaConfig.categoriaIva) {
-                        campoCategoriaIva.value = ivaConfig.categoriaIva;
-                    }
+        // Redução Especial
+        const campoReducao = document.getElementById('reducao');
+        if (campoReducao && typeof ivaConfig.reducaoEspecial === 'number') {
+            campoReducao.value = (ivaConfig.reducaoEspecial * 100).toFixed(1);
+        }
 
-                    // Calcular alíquota total
-                    const campoAliquota = document.getElementById('aliquota');
-                    if (campoAliquota) {
-                        const aliquotaTotal = (ivaConfig.cbs + ivaConfig.ibs) * 
-                                             (1 - ivaConfig.reducaoEspecial);
-                        campoAliquota.value = (aliquotaTotal * 100).toFixed(1);
-                    }
-                }
-            }
+        // Categoria IVA
+        const campoCategoriaIva = document.getElementById('categoria-iva');
+        if (campoCategoriaIva && ivaConfig.categoriaIva) {
+            campoCategoriaIva.value = ivaConfig.categoriaIva;
+        }
+
+        // Calcular alíquota total
+        const campoAliquota = document.getElementById('aliquota');
+        if (campoAliquota) {
+            const aliquotaTotal = (ivaConfig.cbs + ivaConfig.ibs) * 
+                                 (1 - (ivaConfig.reducaoEspecial || 0));
+            campoAliquota.value = (aliquotaTotal * 100).toFixed(1);
         }
     }
+
+    /**
+     * Aplica ao formulário o resultado da simulação CBS/IBS por item
+     * As alíquotas efetivas do portfólio prevalecem sobre as do setor selecionado.
+     * @param {Object} ivaConfig - Configurações do IVA Dual com alíquotas efetivas dos itens
+     * @param {Object} simulacaoItens - Resultado de ItemTaxSimulator.simularItens
+     */
+    function preencherSimulacaoPorItem(ivaConfig, simulacaoItens) {
+        preencherCamposIVA(ivaConfig);
+
+        // Mantém o mapa tributário disponível para relatórios e memória de cálculo
+        window.simulacaoItensSped = simulacaoItens;
+
+        const categorias = Object.entries(simulacaoItens.mapa.porCategoria)
+            .map(([categoria, valores]) => `${categoria}: ${valores.quantidadeItens}`)
+            .join(', ');
+
+        adicionarLog(`Simulação por item: ${simulacaoItens.quantidadeItens} itens (${categorias}).`, 'info');
+        adicionarLog(`Alíquota efetiva do portfólio: CBS ${(simulacaoItens.aliquotaEfetivaCBS * 100).toFixed(2)}%, ` +
+                     `IBS ${(simulacaoItens.aliquotaEfetivaIBS * 100).toFixed(2)}%.`, 'success');
+    }
     
     /**
      * Cancela o processo de importação
      */
     function cancelarImportacao() {
+        // Interrompe a leitura em andamento, encerrando o worker do arquivo atual
+        if (controleImportacao) {
+            controleImportacao.abort();
+            controleImportacao = null;
+        }
+        
         // Limpa os campos de arquivo
         elements.spedFiscal.value = '';
         elements.spedContribuicoes.value = '';
@@ -1245,6 +1716,8 @@ const ImportacaoController = (function() {
     // Interface pública
     return {
         inicializar,
-        adicionarLog
+        adicionarLog,
+        obterReconciliacao,
+        obterDistribuicaoDestino
     };
 })();
\ No newline at end of file
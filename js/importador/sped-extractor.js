@@ -6,9 +6,12 @@ const SpedExtractor = (function() {
     /**
      * Extrai dados relevantes para o simulador a partir dos dados SPED
      * @param {Object} dadosSped - Dados extraídos pelo SpedParser
+     * @param {Object} [opcoes] - Opções de extração
+     * @param {boolean} [opcoes.simulacaoPorItem=false] - Recalcula CBS/IBS item a item (C170)
+     * @param {Array<Object>} [opcoes.regrasNCM] - Regras adicionais de classificação por NCM
      * @returns {Object} Objeto formatado para o simulador
      */
-    function extrairDadosParaSimulador(dadosSped) {
+    function extrairDadosParaSimulador(dadosSped, opcoes = {}) {
         // Validar a estrutura dos dados de entrada
         if (!dadosSped || typeof dadosSped !== 'object') {
             console.error('Dados SPED inválidos ou não fornecidos');
@@ -27,12 +30,66 @@ const SpedExtractor = (function() {
             ivaConfig: extrairDadosIVA(dadosSped)
         };
 
+        // Série mês a mês dos períodos importados, para conferência na interface e relatórios
+        const serieMensal = calcularSerieMensal(dadosSped);
+        if (serieMensal.length > 0) {
+            dadosSimulador.historicoMensal = {
+                meses: serieMensal,
+                sazonalidade: calcularSazonalidade(serieMensal)
+            };
+        }
+
+        // Conciliação da receita entre escriturações: a fonte escolhida define faturamento e margem
+        if (typeof SpedReconciliacao !== 'undefined') {
+            const reconciliacao = SpedReconciliacao.reconciliar(dadosSped, opcoes.reconciliacao);
+            aplicarFonteFaturamento(dadosSimulador, SpedReconciliacao.obterFonteEscolhida(reconciliacao));
+            dadosSimulador.reconciliacao = reconciliacao;
+        }
+
+        // Receita por UF/município de destino, para o IBS por destino
+        const distribuicaoDestino = calcularDistribuicaoDestino(dadosSped);
+        if (distribuicaoDestino) {
+            dadosSimulador.distribuicaoDestino = distribuicaoDestino;
+        }
+
+        // Produtos sujeitos ao Imposto Seletivo, identificados pelo NCM dos itens vendidos
+        const impostoSeletivo = identificarImpostoSeletivo(dadosSped);
+        if (impostoSeletivo) {
+            dadosSimulador.parametrosFiscais.impostoSeletivo = impostoSeletivo;
+        }
+
+        // Papel na substituição tributária do ICMS, pelo ICMS-ST das saídas (C190) e das entradas (C170)
+        const substituicaoTributaria = identificarSubstituicaoTributaria(dadosSped);
+        if (substituicaoTributaria) {
+            dadosSimulador.parametrosFiscais.substituicaoTributaria = substituicaoTributaria;
+        }
+
+        // Modo item a item: substitui a alíquota setorial única pela efetiva dos itens
+        if (opcoes.simulacaoPorItem) {
+            aplicarSimulacaoPorItem(dadosSimulador, dadosSped, opcoes);
+        }
+
         // Validar estrutura resultante
         return window.DataManager ? 
             window.DataManager.validarENormalizar(dadosSimulador) : 
             dadosSimulador;
     }
 
+    /**
+     * Aplica a fonte de receita escolhida na conciliação aos dados da empresa
+     * A margem só é substituída quando a fonte a informa (ECD e ECF)
+     * @param {Object} dadosSimulador - Dados no formato do simulador (alterados no local)
+     * @param {Object|null} fonte - Fonte escolhida (SpedReconciliacao.obterFonteEscolhida)
+     */
+    function aplicarFonteFaturamento(dadosSimulador, fonte) {
+        if (!fonte) return;
+
+        dadosSimulador.empresa.faturamento = fonte.faturamentoMensal;
+        if (fonte.margem !== null && fonte.margem !== undefined) {
+            dadosSimulador.empresa.margem = fonte.margem;
+        }
+    }
+
     /**
      * Extrai dados da empresa
      * @param {Object} dadosSped - Dados SPED
@@ -57,6 +114,10 @@ const SpedExtractor = (function() {
         // Determinar setor para IVA Dual com base no CNAE
         const setorIVA = determinarSetorIVA(dadosSped);
 
+        // Sazonalidade do faturamento: com histórico parcial, os meses não observados (índice 1)
+        // distorceriam o pico, e a simulação mantém o fator padrão
+        const sazonalidade = calcularSazonalidade(calcularSerieMensal(dadosSped));
+
         return {
             nome: empresa.nome || '',
             cnpj: empresa.cnpj || '',
@@ -64,7 +125,8 @@ const SpedExtractor = (function() {
             margem: margemOperacional,
             tipoEmpresa: tipoEmpresa,
             regime: regimeTributario,
-            setor: setorIVA
+            setor: setorIVA,
+            indicesSazonalidade: sazonalidade && sazonalidade.anoCompleto ? sazonalidade.indicesMensais : null
         };
     }
     
@@ -85,8 +147,14 @@ const SpedExtractor = (function() {
             return dadosSped.dre.receita_liquida.valor / 12;
         }
 
-        // Se não encontrou na contabilidade, calcula pelos documentos fiscais
-        const documentos = dadosSped.documentos || [];
+        // Com documentos datados, usa a média dos meses efetivamente faturados
+        const mesesFaturados = calcularSerieMensal(dadosSped).filter(mes => mes.faturamento !== null);
+        if (mesesFaturados.length > 0) {
+            return mesesFaturados.reduce((soma, mes) => soma + mes.faturamento, 0) / mesesFaturados.length;
+        }
+
+        // Se não encontrou na contabilidade, calcula pelos documentos fiscais (mercadorias e serviços do bloco D)
+        const documentos = obterDocumentosFiscais(dadosSped);
         let faturamentoTotal = 0;
         let countDocumentosSaida = 0;
         let dataInicial = null;
@@ -122,6 +190,154 @@ const SpedExtractor = (function() {
             faturamentoTotal / Math.max(1, Math.ceil(countDocumentosSaida / 30)) : 0;
     }
 
+    /**
+     * Relaciona os documentos fiscais de mercadorias (C100), de serviços de transporte
+     * e comunicação (D100/D500) e de serviços sujeitos ao ISS (A100)
+     * @param {Object} dadosSped - Dados SPED
+     * @returns {Array<Object>} Documentos fiscais
+     */
+    function obterDocumentosFiscais(dadosSped) {
+        return (dadosSped.documentos || []).concat(dadosSped.documentosServico || []);
+    }
+
+    /**
+     * Soma o ICMS dos registros analíticos (C190, D190, D590) cujo CFOP começa por um dos prefixos
+     * @param {Object} dadosSped - Dados SPED
+     * @param {Array<string>} prefixosCfop - Prefixos de CFOP (ex.: ['5', '6', '7'] para saídas)
+     * @returns {number} Valor do ICMS
+     */
+    function somarIcmsAnalitico(dadosSped, prefixosCfop) {
+        return (dadosSped.itensAnaliticos || [])
+            .filter(item => item.categoria === 'icms' && prefixosCfop.includes(String(item.cfop || '').charAt(0)))
+            .reduce((total, item) => total + (item.valorIcms || 0), 0);
+    }
+
+    /**
+     * Monta a série mensal de faturamento, débitos e créditos por tributo
+     * O faturamento vem dos documentos de saída (C100, D100, D500 e A100) pela data de emissão; débitos e
+     * créditos vêm da apuração de cada competência (E110/E111, E200/E210, M100/M200, M500/M600).
+     * Valores null indicam que o mês não possui o dado (ex.: EFD Contribuições não importada).
+     * @param {Object} dadosSped - Dados SPED combinados
+     * @returns {Array<Object>} Meses em ordem cronológica: { competencia, faturamento, debitos, creditos }
+     */
+    function calcularSerieMensal(dadosSped) {
+        const meses = {};
+
+        const obterMes = competencia => {
+            if (!meses[competencia]) {
+                meses[competencia] = {
+                    competencia: competencia,
+                    faturamento: null,
+                    debitos: { pis: null, cofins: null, icms: null, ipi: null },
+                    creditos: { pis: null, cofins: null, icms: null, ipi: null }
+                };
+            }
+            return meses[competencia];
+        };
+
+        const acumular = (registros, secao, tributo, obterValor) => {
+            (registros || []).forEach(registro => {
+                if (!registro.competencia) return;
+                const mes = obterMes(registro.competencia);
+                mes[secao][tributo] = (mes[secao][tributo] || 0) + (obterValor(registro) || 0);
+            });
+        };
+
+        // Faturamento: saídas não canceladas, denegadas ou inutilizadas
+        const situacoesIgnoradas = ['02', '03', '04', '05'];
+        obterDocumentosFiscais(dadosSped).forEach(doc => {
+            if (doc.indOper !== '1' || situacoesIgnoradas.includes(doc.situacao)) return;
+            if (!/^\d{8}$/.test(doc.dataEmissao || '')) return;
+
+            const mes = obterMes(`${doc.dataEmissao.substr(4, 4)}-${doc.dataEmissao.substr(2, 2)}`);
+            mes.faturamento = (mes.faturamento || 0) + (doc.valorTotal || 0);
+        });
+
+        const impostos = dadosSped.impostos || {};
+        const debitos = dadosSped.debitos || {};
+        const creditos = dadosSped.creditos || {};
+        const ajustes = dadosSped.ajustes || {};
+
+        acumular(impostos.icms, 'debitos', 'icms', apuracao => apuracao.valorTotalDebitos);
+        acumular(ajustes.icms, 'debitos', 'icms', ajuste => ajuste.valorAjuste);
+        acumular(impostos.icms, 'creditos', 'icms', apuracao => apuracao.valorTotalCreditos);
+
+        acumular(impostos.ipi, 'debitos', 'ipi', apuracao => apuracao.valorTotalDebitos);
+        acumular(ajustes.ipi, 'debitos', 'ipi', ajuste => ajuste.valorAjuste);
+        acumular(impostos.ipi, 'creditos', 'ipi', apuracao => apuracao.valorTotalCreditos);
+
+        acumular(debitos.pis, 'debitos', 'pis', debito => debito.valorTotalContribuicao);
+        acumular(debitos.cofins, 'debitos', 'cofins', debito => debito.valorTotalContribuicao);
+
+        // Apenas os totais M100/M500; os detalhes M105/M505 repetiriam os mesmos créditos
+        acumular((creditos.pis || []).filter(c => c.tipo === 'credito'), 'creditos', 'pis', c => c.valorCredito);
+        acumular((creditos.cofins || []).filter(c => c.tipo === 'credito'), 'creditos', 'cofins', c => c.valorCredito);
+
+        return Object.keys(meses).sort().map(competencia => meses[competencia]);
+    }
+
+    /**
+     * Calcula a média mensal de um tributo nos meses da série que possuem o dado
+     * @param {Array<Object>} serie - Série de calcularSerieMensal
+     * @param {string} secao - 'debitos' ou 'creditos'
+     * @param {string} tributo - pis, cofins, icms ou ipi
+     * @returns {number|null} Média mensal ou null se nenhum mês possuir o dado
+     */
+    function calcularMediaSerie(serie, secao, tributo) {
+        const valores = serie.map(mes => mes[secao][tributo]).filter(valor => valor !== null);
+        if (valores.length === 0) return null;
+
+        return Math.max(0, valores.reduce((soma, valor) => soma + valor, 0) / valores.length);
+    }
+
+    /**
+     * Calcula os índices de sazonalidade do faturamento por mês do calendário
+     * O índice de cada mês é a razão entre seu faturamento médio e a média geral;
+     * meses sem histórico recebem 1 e os doze índices são normalizados para média 1,
+     * preservando o faturamento anual. Os índices só substituem o fator padrão da simulação
+     * quando os 12 meses do calendário foram observados (anoCompleto).
+     * @param {Array<Object>} serie - Série de calcularSerieMensal
+     * @returns {Object|null} { indicesMensais, fatorPico, mesPico, coeficienteVariacao, mesesAnalisados,
+     *                        mesesCalendario, anoCompleto, sazonal } ou null se houver menos de 3 meses faturados
+     */
+    function calcularSazonalidade(serie) {
+        const mesesFaturados = serie.filter(mes => mes.faturamento !== null);
+        if (mesesFaturados.length < 3) return null;
+
+        const media = mesesFaturados.reduce((soma, mes) => soma + mes.faturamento, 0) / mesesFaturados.length;
+        if (media <= 0) return null;
+
+        // Agrupar por mês do calendário (janeiro = 0)
+        const somaPorMes = new Array(12).fill(0);
+        const contagemPorMes = new Array(12).fill(0);
+        mesesFaturados.forEach(mes => {
+            const indice = parseInt(mes.competencia.substr(5, 2), 10) - 1;
+            somaPorMes[indice] += mes.faturamento;
+            contagemPorMes[indice]++;
+        });
+
+        const brutos = somaPorMes.map((soma, i) => contagemPorMes[i] > 0 ? (soma / contagemPorMes[i]) / media : 1);
+        const mediaBrutos = brutos.reduce((soma, indice) => soma + indice, 0) / 12;
+        const indicesMensais = brutos.map(indice => Math.round((indice / mediaBrutos) * 10000) / 10000);
+
+        const variancia = mesesFaturados.reduce((soma, mes) => soma + Math.pow(mes.faturamento - media, 2), 0) /
+                          mesesFaturados.length;
+        const coeficienteVariacao = Math.sqrt(variancia) / media;
+        const fatorPico = Math.max(...indicesMensais);
+        const mesesCalendario = contagemPorMes.filter(contagem => contagem > 0).length;
+
+        return {
+            indicesMensais: indicesMensais,
+            fatorPico: fatorPico,
+            mesPico: indicesMensais.indexOf(fatorPico) + 1,
+            coeficienteVariacao: coeficienteVariacao,
+            mesesAnalisados: mesesFaturados.length,
+            mesesCalendario: mesesCalendario,
+            anoCompleto: mesesCalendario === 12,
+            sazonal: coeficienteVariacao >= 0.1 // Variação acima de 10% em torno da média
+        };
+    }
+
     /**
      * Calcula a margem operacional com base nos dados SPED
      * @param {Object} dadosSped - Dados extraídos do SPED
@@ -251,6 +467,13 @@ const SpedExtractor = (function() {
             }
         });
 
+        // Prestações de transporte e comunicação não têm itens: usa os analíticos D190/D590
+        (dadosSped.itensAnaliticos || []).forEach(item => {
+            if (item.cfop && (item.registro === 'D190' || item.registro === 'D590')) {
+                cfops.add(item.cfop);
+            }
+        });
+
         // CFOPs típicos de indústria - Lista expandida
         const cfopsIndustria = [
             // Industrialização própria
@@ -269,9 +492,18 @@ const SpedExtractor = (function() {
             '5933', '5932', '5933', '6933', '6932', '9301', '9302',
             // Serviços de transporte e comunicação
             '5301', '5302', '5303', '5304', '5305', '5306', '5307',
-            '6301', '6302', '6303', '6304', '6305', '6306', '6307'
+            '6301', '6302', '6303', '6304', '6305', '6306', '6307',
+            '5351', '5352', '5353', '5354', '5355', '5356', '5357', '5359', '5360',
+            '6351', '6352', '6353', '6354', '6355', '6356', '6357', '6359', '6360', '7358'
         ];
 
+        // Sem CFOPs, mas com serviços prestados na EFD Contribuições (A100)
+        const prestaServicos = (dadosSped.documentosServico || [])
+            .some(doc => doc.registro === 'A100' && doc.indOper === '1');
+        if (cfops.size === 0 && prestaServicos) {
+            return 'servicos';
+        }
+
         let countIndustria = 0;
         let countServicos = 0;
         let countComercio = 0;
@@ -457,9 +689,12 @@ const SpedExtractor = (function() {
                     cofins: debitos.cofins && debitos.cofins.length > 0 ? 'sped' : 'estimado',
                     icms: impostos.icms && impostos.icms.length > 0 ? 'sped' : 'estimado',
                     ipi: impostos.ipi && impostos.ipi.length > 0 ? 'sped' : 'estimado',
-                    iss: 'estimado' // ISS não consta no SPED
+                    iss: dadosISS.fonte === 'sped_a100' ? 'sped' : 'estimado'
                 },
 
+                // PIS/COFINS retidos na fonte (F600/A100), já incluídos nos débitos
+                retencoesFonte: calcularRetencoesFonte(dadosSped),
+
                 // Período de referência dos dados
                 periodoReferencia: {
                     dataInicial: dadosSped.empresa?.dataInicial || null,
@@ -499,9 +734,34 @@ const SpedExtractor = (function() {
                     baseCalculo: dadosPisCofins.percentualBase / 100,
                     percAproveitamento: dadosPisCofins.percentualAproveitamento / 100
                 }
+            },
+
+            // Incentivo fiscal de ICMS, reduzido na transição de 2029 a 2032
+            incentivoICMS: {
+                ativo: incentivosICMS.possuiIncentivo,
+                percentualReducao: Math.min(1, incentivosICMS.percentualReducao / 100),
+                compensacao: false
             }
         };
 
+        // Com vários períodos importados, débitos e créditos passam a ser a média mensal das
+        // apurações, e não a soma de todos os arquivos
+        const serieMensal = calcularSerieMensal(dadosSped);
+        if (serieMensal.length > 0) {
+            ['pis', 'cofins', 'icms', 'ipi'].forEach(tributo => {
+                const mediaDebitos = calcularMediaSerie(serieMensal, 'debitos', tributo);
+                if (mediaDebitos !== null) {
+                    parametros.composicaoTributaria.debitos[tributo] = mediaDebitos;
+                }
+
+                const mediaCreditos = calcularMediaSerie(serieMensal, 'creditos', tributo);
+                if (mediaCreditos !== null) {
+                    parametros.composicaoTributaria.creditos[tributo] = mediaCreditos;
+                    parametros.creditos[tributo] = mediaCreditos;
+                }
+            });
+        }
+
         // CORREÇÃO CRÍTICA: Calcular alíquotas efetivas baseadas em (débitos - créditos)/faturamento
         if (faturamentoMensal > 0) {
             const creditosPIS = parametros.composicaoTributaria.creditos.pis;
@@ -565,12 +825,20 @@ const SpedExtractor = (function() {
      * @returns {number} Número de meses
      */
     function calcularMesesAnalisados(dadosSped) {
+        // Vários arquivos: conta as competências efetivamente importadas
+        const serieMensal = calcularSerieMensal(dadosSped);
+        if (serieMensal.length > 0) {
+            return serieMensal.length;
+        }
+
         if (!dadosSped.empresa?.dataInicial || !dadosSped.empresa?.dataFinal) {
             return 12; // Assume ano completo se não tiver datas
         }
 
-        const dataInicial = new Date(dadosSped.empresa.dataInicial);
-        const dataFinal = new Date(dadosSped.empresa.dataFinal);
+        // Datas do registro 0000 no formato DDMMAAAA
+        const converterData = data => new Date(String(data).replace(/(\d{2})(\d{2})(\d{4})/, '$3-$2-$1'));
+        const dataInicial = converterData(dadosSped.empresa.dataInicial);
+        const dataFinal = converterData(dadosSped.empresa.dataFinal);
 
         const diffTime = Math.abs(dataFinal - dataInicial);
         const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
@@ -885,11 +1153,32 @@ const SpedExtractor = (function() {
      * @returns {Object} Informações sobre ISS
      */
     function calcularDadosISS(dadosSped) {
-        // Como o ISS não está no SPED, usamos valores padrão ou estimativas
+        // O ISS só consta no SPED quando há serviços na EFD Contribuições (A100);
+        // sem eles, usamos valores padrão ou estimativas
         const resultado = {
-            aliquotaMedia: 5.0 // Valor padrão
+            aliquotaMedia: 5.0, // Valor padrão
+            valorMensal: null,
+            fonte: 'estimado'
         };
 
+        const situacoesIgnoradas = ['02', '03', '04', '05'];
+        const servicosPrestados = (dadosSped.documentosServico || []).filter(doc =>
+            doc.registro === 'A100' && doc.indOper === '1' && !situacoesIgnoradas.includes(doc.situacao));
+        const valorIss = servicosPrestados.reduce((total, doc) => total + (doc.valorIss || 0), 0);
+
+        if (valorIss > 0) {
+            const baseIss = servicosPrestados
+                .filter(doc => doc.valorIss > 0)
+                .reduce((total, doc) => total + (doc.valorTotal || 0) - (doc.valorDesconto || 0), 0);
+
+            resultado.valorMensal = valorIss / calcularMesesAnalisados(dadosSped);
+            resultado.fonte = 'sped_a100';
+            if (baseIss > 0) {
+                resultado.aliquotaMedia = (valorIss / baseIss) * 100;
+            }
+            return resultado;
+        }
+
         // Verificamos o município para estimar a alíquota
         if (dadosSped.empresa && dadosSped.empresa.municipio) {
             const municipio = dadosSped.empresa.municipio;
@@ -997,6 +1286,66 @@ const SpedExtractor = (function() {
         }
     }
 
+    /**
+     * Soma PIS ou COFINS escriturados nos blocos A e F da EFD Contribuições
+     * Créditos: serviços tomados (A170 com CST 50 a 66), F100 com direito a crédito, F120 e F130.
+     * Débitos: serviços prestados (A100) e receitas tributadas do F100.
+     * @param {Object} dadosSped - Dados SPED
+     * @param {string} tributo - 'pis' ou 'cofins'
+     * @param {string} natureza - 'credito' ou 'debito'
+     * @returns {number} Valor médio mensal
+     */
+    function somarContribuicaoBlocosAF(dadosSped, tributo, natureza) {
+        const campoValor = tributo === 'pis' ? 'valorPis' : 'valorCofins';
+        const campoCst = tributo === 'pis' ? 'cstPis' : 'cstCofins';
+        const situacoesIgnoradas = ['02', '03', '04', '05'];
+        const somar = registros => registros.reduce((total, registro) => total + (registro[campoValor] || 0), 0);
+
+        let total = 0;
+        if (natureza === 'credito') {
+            const itensTomados = (dadosSped.itensServico || []).filter(item => {
+                const cst = parseInt(item[campoCst], 10);
+                return item.indOper === '0' && cst >= 50 && cst <= 66;
+            });
+            total = somar(itensTomados) + somar((dadosSped.demaisOperacoes || []).filter(op => op.indOper === '0'));
+        } else {
+            const servicosPrestados = (dadosSped.documentosServico || []).filter(doc =>
+                doc.registro === 'A100' && doc.indOper === '1' && !situacoesIgnoradas.includes(doc.situacao));
+            total = somar(servicosPrestados) + somar((dadosSped.demaisOperacoes || []).filter(op => op.indOper === '1'));
+        }
+
+        return total > 0 ? total / calcularMesesAnalisados(dadosSped) : 0;
+    }
+
+    /**
+     * Calcula o PIS e a COFINS retidos na fonte por mês
+     * Usa o F600 (retenções sofridas); sem ele, as retenções destacadas nos serviços prestados (A100).
+     * @param {Object} dadosSped - Dados SPED
+     * @returns {Object} { pis, cofins } - Valores mensais retidos
+     */
+    function calcularRetencoesFonte(dadosSped) {
+        let registros = (dadosSped.retencoesFonte || []).map(retencao => ({
+            pis: retencao.valorPis,
+            cofins: retencao.valorCofins
+        }));
+
+        if (registros.length === 0) {
+            registros = (dadosSped.documentosServico || [])
+                .filter(doc => doc.registro === 'A100' && doc.indOper === '1')
+                .map(doc => ({ pis: doc.valorPisRetido, cofins: doc.valorCofinsRetido }));
+        }
+
+        if (registros.length === 0) {
+            return { pis: 0, cofins: 0 };
+        }
+
+        const meses = calcularMesesAnalisados(dadosSped);
+        return {
+            pis: registros.reduce((total, r) => total + (r.pis || 0), 0) / meses,
+            cofins: registros.reduce((total, r) => total + (r.cofins || 0), 0) / meses
+        };
+    }
+
     /**
      * Calcula créditos de PIS
      * @param {Object} dadosSped - Dados SPED
@@ -1042,7 +1391,16 @@ const SpedExtractor = (function() {
             });
         }
 
-        // PRIORIDADE 3: Estimativa baseada no regime e faturamento
+        // PRIORIDADE 3: Créditos escriturados nos blocos A (serviços tomados) e F (demais operações,
+        // depreciação e aquisição do imobilizado)
+        if (valorCreditos === 0) {
+            valorCreditos = somarContribuicaoBlocosAF(dadosSped, 'pis', 'credito');
+            if (valorCreditos > 0) {
+                fonteUtilizada = 'sped_blocos_a_f';
+            }
+        }
+
+        // PRIORIDADE 4: Estimativa baseada no regime e faturamento
         if (valorCreditos === 0) {
             const regime = determinarRegimeTributario(dadosSped);
             const faturamentoAnual = calcularFaturamentoMensal(dadosSped) * 12;
@@ -1113,7 +1471,16 @@ const SpedExtractor = (function() {
             });
         }
 
-        // PRIORIDADE 3: Estimativa baseada no regime e faturamento
+        // PRIORIDADE 3: Créditos escriturados nos blocos A (serviços tomados) e F (demais operações,
+        // depreciação e aquisição do imobilizado)
+        if (valorCreditos === 0) {
+            valorCreditos = somarContribuicaoBlocosAF(dadosSped, 'cofins', 'credito');
+            if (valorCreditos > 0) {
+                fonteUtilizada = 'sped_blocos_a_f';
+            }
+        }
+
+        // PRIORIDADE 4: Estimativa baseada no regime e faturamento
         if (valorCreditos === 0) {
             const regime = determinarRegimeTributario(dadosSped);
             const faturamentoAnual = calcularFaturamentoMensal(dadosSped) * 12;
@@ -1154,31 +1521,27 @@ const SpedExtractor = (function() {
             });
         }
 
-        // Segunda fonte: registros analíticos C190 (créditos de entradas)
-        if (valorCreditos === 0 && dadosSped.itensAnaliticos && Array.isArray(dadosSped.itensAnaliticos)) {
-            const itensEntrada = dadosSped.itensAnaliticos.filter(item => 
-                item.categoria === 'icms' && 
-                (item.cfop.startsWith('1') || item.cfop.startsWith('2')) && // Entradas
-                item.valorIcms > 0
-            );
+        // Segunda fonte: registros analíticos C190, D190 e D590 (créditos de entradas e de
+        // serviços de transporte e comunicação tomados)
+        if (valorCreditos === 0) {
+            valorCreditos = somarIcmsAnalitico(dadosSped, ['1', '2', '3']);
+        }
 
-            valorCreditos = itensEntrada.reduce((total, item) => {
-                return total + (item.valorIcms || 0);
-            }, 0);
+        // Valores escriturados cobrem os meses importados
+        if (valorCreditos > 0) {
+            return valorCreditos / calcularMesesAnalisados(dadosSped);
         }
 
         // Estimativa baseada no faturamento se não encontrou dados
-        if (valorCreditos === 0) {
-            const tipoEmpresa = determinarTipoEmpresa(dadosSped);
+        const tipoEmpresa = determinarTipoEmpresa(dadosSped);
 
-            if (tipoEmpresa !== 'servicos') {
-                const faturamento = calcularFaturamentoMensal(dadosSped) * 12;
-                const aliquotaMedia = 0.18;
-                const baseCalculoCompras = faturamento * 0.7; // 70% do faturamento em compras
-                const aproveitamentoICMS = 0.85; // 85% de aproveitamento típico
+        if (tipoEmpresa !== 'servicos') {
+            const faturamento = calcularFaturamentoMensal(dadosSped) * 12;
+            const aliquotaMedia = 0.18;
+            const baseCalculoCompras = faturamento * 0.7; // 70% do faturamento em compras
+            const aproveitamentoICMS = 0.85; // 85% de aproveitamento típico
 
-                valorCreditos = baseCalculoCompras * aliquotaMedia * aproveitamentoICMS;
-            }
+            valorCreditos = baseCalculoCompras * aliquotaMedia * aproveitamentoICMS;
         }
 
         return valorCreditos / 12; // Retorna valor mensal
@@ -1300,6 +1663,17 @@ const SpedExtractor = (function() {
             detalhamento.total
         );
 
+        // Sem consolidação, usa as receitas escrituradas nos blocos A (serviços prestados) e F
+        if (valorDebitos === 0) {
+            valorDebitos = somarContribuicaoBlocosAF(dadosSped, 'pis', 'debito');
+            if (valorDebitos > 0) {
+                fonteUtilizada = 'sped_blocos_a_f';
+            }
+        }
+
+        // Retenções na fonte (F600/A100) antecipam parte do débito; o débito permanece bruto
+        detalhamento.retencoesFonte = calcularRetencoesFonte(dadosSped).pis;
+
         // Fallback: estimativa se não encontrou dados
         if (valorDebitos === 0) {
             const regime = determinarRegimeTributario(dadosSped);
@@ -1323,7 +1697,10 @@ const SpedExtractor = (function() {
                 m200: dadosSped.debitos?.pis?.length || 0,
                 m205: dadosSped.ajustes?.pis?.length || 0,
                 m210: dadosSped.detalhamento?.pis?.length || 0,
-                totalizacao: dadosSped.totalizacao?.pis?.length || 0
+                totalizacao: dadosSped.totalizacao?.pis?.length || 0,
+                a100: (dadosSped.documentosServico || []).filter(doc => doc.registro === 'A100').length,
+                f100f120f130: dadosSped.demaisOperacoes?.length || 0,
+                f600: dadosSped.retencoesFonte?.length || 0
             }
         });
 
@@ -1400,6 +1777,17 @@ const SpedExtractor = (function() {
             detalhamento.total
         );
 
+        // Sem consolidação, usa as receitas escrituradas nos blocos A (serviços prestados) e F
+        if (valorDebitos === 0) {
+            valorDebitos = somarContribuicaoBlocosAF(dadosSped, 'cofins', 'debito');
+            if (valorDebitos > 0) {
+                fonteUtilizada = 'sped_blocos_a_f';
+            }
+        }
+
+        // Retenções na fonte (F600/A100) antecipam parte do débito; o débito permanece bruto
+        detalhamento.retencoesFonte = calcularRetencoesFonte(dadosSped).cofins;
+
         // Fallback: estimativa se não encontrou dados
         if (valorDebitos === 0) {
             const regime = determinarRegimeTributario(dadosSped);
@@ -1423,7 +1811,10 @@ const SpedExtractor = (function() {
                 m600: dadosSped.debitos?.cofins?.length || 0,
                 m605: dadosSped.ajustes?.cofins?.length || 0,
                 m610: dadosSped.detalhamento?.cofins?.length || 0,
-                totalizacao: dadosSped.totalizacao?.cofins?.length || 0
+                totalizacao: dadosSped.totalizacao?.cofins?.length || 0,
+                a100: (dadosSped.documentosServico || []).filter(doc => doc.registro === 'A100').length,
+                f100f120f130: dadosSped.demaisOperacoes?.length || 0,
+                f600: dadosSped.retencoesFonte?.length || 0
             }
         });
 
@@ -1472,6 +1863,15 @@ const SpedExtractor = (function() {
         detalhamento.total = detalhamento.apuracao + detalhamento.ajustes + detalhamento.incentivos;
         valorDebitos = Math.max(0, detalhamento.total); // Não pode ser negativo
 
+        // PRIORIDADE 3: Sem apuração, soma o ICMS das saídas nos analíticos (C190, D190, D590).
+        // O E110 já totaliza as prestações de transporte e comunicação do bloco D.
+        if (valorDebitos === 0) {
+            valorDebitos = somarIcmsAnalitico(dadosSped, ['5', '6', '7']) / calcularMesesAnalisados(dadosSped);
+            if (valorDebitos > 0) {
+                fonteUtilizada = 'sped_analiticos';
+            }
+        }
+
         // Fallback: estimativa se não encontrou dados
         if (valorDebitos === 0) {
             const tipoEmpresa = determinarTipoEmpresa(dadosSped);
@@ -1493,7 +1893,8 @@ const SpedExtractor = (function() {
             detalhamento: detalhamento,
             registrosEncontrados: {
                 e110: dadosSped.impostos?.icms?.length || 0,
-                e111: dadosSped.ajustes?.icms?.length || 0
+                e111: dadosSped.ajustes?.icms?.length || 0,
+                d100d500: dadosSped.documentosServico?.length || 0
             }
         });
 
@@ -1569,19 +1970,237 @@ const SpedExtractor = (function() {
      * @returns {number} Valor dos débitos de ISS
      */
     function calcularDebitosISS(dadosSped) {
+        // ISS destacado nos serviços prestados (A100)
+        const dadosISS = calcularDadosISS(dadosSped);
+        if (dadosISS.valorMensal !== null) {
+            return dadosISS.valorMensal;
+        }
+
         // ISS só se aplica a serviços
         const tipoEmpresa = determinarTipoEmpresa(dadosSped);
         if (tipoEmpresa !== 'servicos') {
             return 0;
         }
 
+        // Transporte intermunicipal/interestadual e comunicação (D100/D500) são tributados pelo ICMS
+        const somarSaidas = documentos => documentos
+            .filter(doc => doc.indOper === '1')
+            .reduce((soma, doc) => soma + (doc.valorTotal || 0), 0);
+        const totalSaidas = somarSaidas(obterDocumentosFiscais(dadosSped));
+        const servicosIcms = (dadosSped.documentosServico || []).filter(doc => doc.registro !== 'A100');
+        const participacaoIcms = totalSaidas > 0 ? somarSaidas(servicosIcms) / totalSaidas : 0;
+
         // ISS não consta no SPED, então estimamos
-        const faturamento = calcularFaturamentoMensal(dadosSped) * 12;
+        const faturamento = calcularFaturamentoMensal(dadosSped) * 12 * (1 - participacaoIcms);
         const aliquotaMedia = 0.05; // 5% como padrão
 
         return (faturamento * aliquotaMedia) / 12; // Retorna valor mensal
     }
 
+    /**
+     * Natureza do saldo esperada em cada grupo do plano referencial (J100/J150)
+     * e sinal dos lançamentos (I250) que aumentam o saldo do grupo
+     */
+    const NATUREZA_GRUPOS_CICLO = {
+        clientes: 'D',
+        estoques: 'D',
+        fornecedores: 'C',
+        receitaBruta: 'C',
+        cmv: 'D'
+    };
+
+    /**
+     * Calcula PMR, PMP e PME com os saldos contábeis da ECD, por período escriturado
+     * Clientes, estoques e fornecedores vêm do balanço (J100) e receita bruta e custo das vendas
+     * da DRE (J150), classificados pelo PlanoReferencialRepository. Havendo lançamentos (I250) no
+     * período, os saldos são reconstituídos mês a mês a partir do saldo inicial; sem eles, o saldo
+     * médio é a média entre o saldo inicial e o final.
+     *   PMR = saldo médio de clientes / receita bruta × dias
+     *   PME = saldo médio de estoques / custo das vendas × dias
+     *   PMP = saldo médio de fornecedores / compras × dias, com compras = CMV + estoque final - estoque inicial
+     * @param {Object} dadosSped - Dados SPED
+     * @returns {Object|null} { pmr, pmp, pme, periodos } (prazo null quando não apurável) ou null sem ECD classificável
+     */
+    function calcularCicloContabil(dadosSped) {
+        const repositorio = window.PlanoReferencialRepository;
+        const balanco = dadosSped.balancoPatrimonial || [];
+        if (!repositorio || balanco.length === 0) return null;
+
+        const planoPorConta = {};
+        (dadosSped.planoContas || []).forEach(conta => {
+            planoPorConta[conta.codigoConta] = conta;
+        });
+
+        const classificar = conta => {
+            const plano = planoPorConta[conta.codigoConta];
+            return repositorio.classificarConta({
+                codigoConta: conta.codigoConta,
+                descricaoConta: conta.descricaoConta || (plano ? plano.descricaoConta : '')
+            }, plano ? plano.contasReferenciais : []);
+        };
+
+        // Agrupa balanço e DRE pelo período da escrituração
+        const periodos = {};
+        const obterPeriodo = conta => {
+            const chave = `${conta.periodoInicial || ''}-${conta.periodoFinal || ''}`;
+            if (!periodos[chave]) {
+                periodos[chave] = { periodoInicial: conta.periodoInicial, periodoFinal: conta.periodoFinal, balanco: [], resultado: [] };
+            }
+            return periodos[chave];
+        };
+        balanco.forEach(conta => obterPeriodo(conta).balanco.push(conta));
+        (dadosSped.demonstracaoResultado || []).forEach(conta => obterPeriodo(conta).resultado.push(conta));
+
+        const detalhamento = Object.values(periodos)
+            .map(periodo => calcularCicloPeriodo(periodo, dadosSped.partidasLancamento || [], classificar))
+            .filter(Boolean)
+            .sort((a, b) => (a.periodoFinal.substr(4, 4) + a.periodoFinal.substr(2, 2))
+                .localeCompare(b.periodoFinal.substr(4, 4) + b.periodoFinal.substr(2, 2)));
+        if (detalhamento.length === 0) return null;
+
+        // Consolidado: média dos saldos ponderada pelos dias sobre a base acumulada dos períodos
+        const consolidar = (prazo, grupo, base) => {
+            const validos = detalhamento.filter(periodo => periodo[prazo] !== null);
+            const totalBase = validos.reduce((soma, periodo) => soma + periodo[base], 0);
+            if (validos.length === 0 || !(totalBase > 0)) return null;
+            return validos.reduce((soma, periodo) => soma + periodo.saldoMedio[grupo] * periodo.dias, 0) / totalBase;
+        };
+
+        const ciclo = {
+            pmr: consolidar('pmr', 'clientes', 'receitaBruta'),
+            pmp: consolidar('pmp', 'fornecedores', 'compras'),
+            pme: consolidar('pme', 'estoques', 'cmv'),
+            periodos: detalhamento
+        };
+
+        return ciclo.pmr === null && ciclo.pmp === null && ciclo.pme === null ? null : ciclo;
+    }
+
+    /**
+     * Calcula saldos médios e prazos de um período da ECD
+     * @param {Object} periodo - { periodoInicial, periodoFinal, balanco, resultado }
+     * @param {Array} partidas - Partidas de lançamento (I250) de todos os arquivos
+     * @param {Function} classificar - Classifica uma conta em um grupo do ciclo
+     * @returns {Object|null} Saldos, bases e prazos do período ou null se as datas forem inválidas
+     */
+    function calcularCicloPeriodo(periodo, partidas, classificar) {
+        const { periodoInicial, periodoFinal } = periodo;
+        if (!/^\d{8}$/.test(periodoInicial || '') || !/^\d{8}$/.test(periodoFinal || '')) return null;
+
+        const paraData = data => Date.UTC(+data.substr(4, 4), +data.substr(2, 2) - 1, +data.substr(0, 2));
+        const paraOrdenavel = data => data.substr(4, 4) + data.substr(2, 2) + data.substr(0, 2);
+        const dias = Math.round((paraData(periodoFinal) - paraData(periodoInicial)) / 86400000) + 1;
+
+        // Soma as contas do grupo com a natureza esperada, sem repetir contas já somadas pela conta superior
+        const somarGrupo = (contas, grupo, campo) => {
+            const doGrupo = contas.filter(conta => conta.naturezaSaldo === NATUREZA_GRUPOS_CICLO[grupo] &&
+                classificar(conta) === grupo);
+            const contasRaiz = doGrupo.filter(conta => !doGrupo.some(superior =>
+                superior !== conta && superior.codigoConta.length < conta.codigoConta.length &&
+                conta.codigoConta.startsWith(superior.codigoConta)));
+            return {
+                encontrado: contasRaiz.length > 0,
+                valor: contasRaiz.reduce((soma, conta) => soma + Math.abs(conta[campo] || 0), 0)
+            };
+        };
+
+        const saldoInicial = {};
+        const saldoFinal = {};
+        const encontrado = {};
+        ['clientes', 'estoques', 'fornecedores'].forEach(grupo => {
+            const inicial = somarGrupo(periodo.balanco, grupo, 'saldoInicial');
+            saldoInicial[grupo] = inicial.valor;
+            saldoFinal[grupo] = somarGrupo(periodo.balanco, grupo, 'saldoFinal').valor;
+            encontrado[grupo] = inicial.encontrado;
+        });
+
+        const receitaDre = somarGrupo(periodo.resultado, 'receitaBruta', 'saldoFinal');
+        const cmvDre = somarGrupo(periodo.resultado, 'cmv', 'saldoFinal');
+
+        // Movimento mensal dos grupos pelos lançamentos do período, exceto os de encerramento
+        const inicio = paraOrdenavel(periodoInicial);
+        const fim = paraOrdenavel(periodoFinal);
+        const movimentos = {};
+        partidas.forEach(partida => {
+            if (!/^\d{8}$/.test(partida.dataLancamento || '') || partida.indicadorLancamento === 'E') return;
+
+            const data = paraOrdenavel(partida.dataLancamento);
+            if (data < inicio || data > fim) return;
+
+            const grupo = classificar(partida);
+            if (!grupo) return;
+
+            const competencia = `${data.substr(0, 4)}-${data.substr(4, 2)}`;
+            const sinal = partida.naturezaPartida === NATUREZA_GRUPOS_CICLO[grupo] ? 1 : -1;
+            if (!movimentos[competencia]) movimentos[competencia] = {};
+            movimentos[competencia][grupo] = (movimentos[competencia][grupo] || 0) + sinal * (partida.valorPartida || 0);
+        });
+
+        const meses = [];
+        const saldoMedio = {};
+        if (Object.keys(movimentos).length > 0) {
+            const saldo = { ...saldoInicial };
+            let ano = +periodoInicial.substr(4, 4);
+            let mes = +periodoInicial.substr(2, 2);
+            const ultimaCompetencia = `${fim.substr(0, 4)}-${fim.substr(4, 2)}`;
+
+            for (;;) {
+                const competencia = `${ano}-${String(mes).padStart(2, '0')}`;
+                const movimento = movimentos[competencia] || {};
+                const mesAtual = { competencia, dias: new Date(Date.UTC(ano, mes, 0)).getUTCDate(), saldoMedio: {} };
+
+                ['clientes', 'estoques', 'fornecedores'].forEach(grupo => {
+                    const saldoFimMes = saldo[grupo] + (movimento[grupo] || 0);
+                    mesAtual.saldoMedio[grupo] = (saldo[grupo] + saldoFimMes) / 2;
+                    saldo[grupo] = saldoFimMes;
+                });
+                mesAtual.receitaBruta = movimento.receitaBruta || 0;
+                mesAtual.cmv = movimento.cmv || 0;
+                mesAtual.compras = mesAtual.cmv + (movimento.estoques || 0);
+                mesAtual.pmr = mesAtual.receitaBruta > 0 ? mesAtual.saldoMedio.clientes / mesAtual.receitaBruta * mesAtual.dias : null;
+                mesAtual.pme = mesAtual.cmv > 0 ? mesAtual.saldoMedio.estoques / mesAtual.cmv * mesAtual.dias : null;
+                mesAtual.pmp = mesAtual.compras > 0 ? mesAtual.saldoMedio.fornecedores / mesAtual.compras * mesAtual.dias : null;
+                meses.push(mesAtual);
+
+                if (competencia >= ultimaCompetencia) break;
+                mes++;
+                if (mes > 12) {
+                    mes = 1;
+                    ano++;
+                }
+            }
+
+            ['clientes', 'estoques', 'fornecedores'].forEach(grupo => {
+                saldoMedio[grupo] = meses.reduce((soma, m) => soma + m.saldoMedio[grupo] * m.dias, 0) / dias;
+            });
+        } else {
+            ['clientes', 'estoques', 'fornecedores'].forEach(grupo => {
+                saldoMedio[grupo] = (saldoInicial[grupo] + saldoFinal[grupo]) / 2;
+            });
+        }
+
+        // A DRE prevalece; sem ela, usa o movimento dos lançamentos
+        const receitaBruta = receitaDre.encontrado ? receitaDre.valor : meses.reduce((soma, m) => soma + m.receitaBruta, 0);
+        const cmv = cmvDre.encontrado ? cmvDre.valor : meses.reduce((soma, m) => soma + m.cmv, 0);
+        const compras = cmv + saldoFinal.estoques - saldoInicial.estoques;
+
+        return {
+            periodoInicial,
+            periodoFinal,
+            dias,
+            saldoInicial,
+            saldoFinal,
+            saldoMedio,
+            receitaBruta,
+            cmv,
+            compras,
+            pmr: encontrado.clientes && receitaBruta > 0 ? saldoMedio.clientes / receitaBruta * dias : null,
+            pme: encontrado.estoques && cmv > 0 ? saldoMedio.estoques / cmv * dias : null,
+            pmp: encontrado.fornecedores && compras > 0 ? saldoMedio.fornecedores / compras * dias : null,
+            meses
+        };
+    }
+
     /**
      * Extrai dados do ciclo financeiro
      * @param {Object} dadosSped - Dados SPED
@@ -1597,15 +2216,27 @@ const SpedExtractor = (function() {
             percPrazo: 0.7 // Percentual de vendas a prazo
         };
 
-        // Se tiver dados da ECD, calcula os prazos com base nos saldos contábeis
-        if (dadosSped.saldoClientes && dadosSped.receitaBruta && 
+        // Prazos reais pelos saldos da ECD classificados pelo plano referencial
+        const cicloContabil = calcularCicloContabil(dadosSped);
+        if (cicloContabil) {
+            // Valores contábeis: o limite só descarta distorções de contas mal classificadas
+            ['pmr', 'pmp', 'pme'].forEach(prazo => {
+                if (cicloContabil[prazo] !== null) {
+                    ciclo[prazo] = limitarValor(Math.round(cicloContabil[prazo]), 0, 360);
+                }
+            });
+            ciclo.detalhamentoContabil = cicloContabil;
+        }
+
+        // Sem a classificação contábil, estima os prazos com base nos saldos agregados da ECD
+        if ((!cicloContabil || cicloContabil.pmr === null) && dadosSped.saldoClientes && dadosSped.receitaBruta && 
             dadosSped.receitaBruta > 0) {
             // PMR = (Clientes / Receita Bruta) × 360
             ciclo.pmr = Math.round((dadosSped.saldoClientes / (dadosSped.receitaBruta / 12)) * 30);
             ciclo.pmr = limitarValor(ciclo.pmr, 1, 180); // Limita a valores razoáveis
         }
 
-        if (dadosSped.saldoFornecedores && dadosSped.receitaBruta && 
+        if ((!cicloContabil || cicloContabil.pmp === null) && dadosSped.saldoFornecedores && dadosSped.receitaBruta && 
             dadosSped.receitaBruta > 0) {
             // Estima compras como percentual da receita
             const comprasEstimadas = dadosSped.receitaBruta * 0.6; // 60% da receita
@@ -1615,7 +2246,7 @@ const SpedExtractor = (function() {
             ciclo.pmp = limitarValor(ciclo.pmp, 1, 180); // Limita a valores razoáveis
         }
 
-        if (dadosSped.saldoEstoques && dadosSped.receitaBruta && 
+        if ((!cicloContabil || cicloContabil.pme === null) && dadosSped.saldoEstoques && dadosSped.receitaBruta && 
             dadosSped.receitaBruta > 0) {
             // Estima CMV como percentual da receita
             const cmvEstimado = dadosSped.receitaBruta * 0.7; // 70% da receita
@@ -1707,6 +2338,236 @@ const SpedExtractor = (function() {
         };
     }
     
+    /**
+     * Distribui a receita das saídas pelo destino da operação
+     * O destino é o município do participante (0150) do documento; saídas sem participante
+     * identificado (ex.: NFC-e a consumidor final) ficam no município do estabelecimento (0000).
+     * Participantes com município fora da tabela do IBGE são tratados como exterior ('EX').
+     * @param {Object} dadosSped - Dados SPED
+     * @returns {Object|null} { origem, valorTotal, destinos: [{uf, codMunicipio, valor, percentual}] }
+     */
+    function calcularDistribuicaoDestino(dadosSped) {
+        if (typeof window.AliquotasIBSRepository === 'undefined') return null;
+
+        const empresa = dadosSped.empresa || {};
+        const origem = {
+            uf: empresa.uf || window.AliquotasIBSRepository.obterUF(empresa.codMunicipio),
+            codMunicipio: empresa.codMunicipio || ''
+        };
+
+        const participantesPorCodigo = {};
+        (dadosSped.participantes || []).forEach(participante => {
+            if (participante.codigo) {
+                participantesPorCodigo[participante.codigo] = participante;
+            }
+        });
+
+        const situacoesIgnoradas = ['02', '03', '04', '05'];
+        const porDestino = {};
+        let valorTotal = 0;
+
+        obterDocumentosFiscais(dadosSped).forEach(doc => {
+            if (doc.indOper !== '1' || situacoesIgnoradas.includes(doc.situacao)) return;
+
+            const participante = doc.participante || participantesPorCodigo[doc.codPart];
+            const codMunicipio = participante && participante.codMunicipio ? participante.codMunicipio : origem.codMunicipio;
+            const uf = participante && participante.codMunicipio ?
+                (window.AliquotasIBSRepository.obterUF(codMunicipio) || 'EX') : origem.uf;
+
+            const chave = `${uf}:${codMunicipio}`;
+            porDestino[chave] = porDestino[chave] || { uf: uf, codMunicipio: codMunicipio, valor: 0 };
+            porDestino[chave].valor += doc.valorTotal || 0;
+            valorTotal += doc.valorTotal || 0;
+        });
+
+        if (!(valorTotal > 0)) return null;
+
+        const destinos = Object.values(porDestino)
+            .map(destino => ({ ...destino, percentual: destino.valor / valorTotal }))
+            .sort((a, b) => b.valor - a.valor);
+
+        return { origem: origem, valorTotal: valorTotal, destinos: destinos };
+    }
+
+    /**
+     * Identifica a receita com produtos sujeitos ao Imposto Seletivo a partir dos itens de saída (C170)
+     * A categoria é a de maior receita; com mais de uma categoria, a alíquota é a média ponderada pela receita.
+     * @param {Object} dadosSped - Dados SPED
+     * @returns {Object|null} { categoria, percentualReceita, aliquota, manterIPI, porCategoria } ou null
+     */
+    function identificarImpostoSeletivo(dadosSped) {
+        if (typeof window.ImpostoSeletivoModule === 'undefined') return null;
+
+        const porCategoria = {};
+        let receitaSaidas = 0;
+
+        (dadosSped.itens || []).forEach(item => {
+            const saida = item.indOper !== undefined ?
+                item.indOper === '1' :
+                ['5', '6', '7'].includes(String(item.cfop || '').charAt(0));
+            if (!saida) return;
+
+            const valor = Math.max(0, (item.valorItem || 0) - (item.valorDesconto || 0));
+            receitaSaidas += valor;
+
+            const categoria = window.ImpostoSeletivoModule.classificarNCM(item.ncm);
+            if (categoria) {
+                porCategoria[categoria] = (porCategoria[categoria] || 0) + valor;
+            }
+        });
+
+        const categorias = Object.keys(porCategoria).sort((a, b) => porCategoria[b] - porCategoria[a]);
+        if (categorias.length === 0 || !(receitaSaidas > 0)) return null;
+
+        const receitaSeletivo = categorias.reduce((total, categoria) => total + porCategoria[categoria], 0);
+        const aliquotaMedia = categorias.reduce((total, categoria) =>
+            total + window.ImpostoSeletivoModule.obterCategoria(categoria).aliquota * porCategoria[categoria], 0) / receitaSeletivo;
+
+        return {
+            categoria: categorias[0],
+            percentualReceita: receitaSeletivo / receitaSaidas,
+            aliquota: categorias.length > 1 ? aliquotaMedia : null,
+            manterIPI: false,
+            porCategoria: porCategoria
+        };
+    }
+
+    /**
+     * Identifica o papel da empresa na substituição tributária do ICMS
+     * Substituta: saídas com ICMS-ST retido (VL_ICMS_ST do C190); a MVA e a alíquota interna são deduzidas das
+     * bases declaradas. Substituída: saídas com CST x60 ou CSOSN 500 (ICMS cobrado anteriormente por ST), cujo
+     * imposto foi pago aos fornecedores nas entradas com ICMS-ST (C170). Prevalece o papel com maior receita.
+     * @param {Object} dadosSped - Dados SPED
+     * @returns {Object|null} { papel, percentualReceita, mva, aliquotaInterna, icmsSTRetidoMensal, icmsSTEntradasMensal }
+     *          ou null sem operações com ST
+     */
+    function identificarSubstituicaoTributaria(dadosSped) {
+        let receitaSaidas = 0;
+        let receitaSubstituto = 0;
+        let receitaSubstituido = 0;
+        let baseSTSaidas = 0;
+        let icmsSTRetido = 0;
+        let icmsProprioST = 0;
+
+        // C190 das notas fiscais (D190/D590 não têm ICMS-ST)
+        (dadosSped.itensAnaliticos || []).forEach(item => {
+            if (item.categoria !== 'icms' || item.registro) return;
+            if (!['5', '6', '7'].includes(String(item.cfop || '').charAt(0))) return;
+
+            // VL_OPR inclui o ICMS-ST cobrado do adquirente
+            const icmsST = item.valorIcmsST || 0;
+            const valor = Math.max(0, (item.valorOperacao || 0) - icmsST);
+            receitaSaidas += valor;
+
+            const cst = String(item.cstIcms || '');
+            if (icmsST > 0) {
+                receitaSubstituto += valor;
+                baseSTSaidas += item.valorBaseCalculoST || 0;
+                icmsSTRetido += icmsST;
+                icmsProprioST += item.valorIcms || 0;
+            } else if (cst.endsWith('60') || cst === '500') {
+                receitaSubstituido += valor;
+            }
+        });
+
+        // ICMS-ST destacado nas notas de entrada, pago ao fornecedor substituto
+        let icmsSTEntradas = 0;
+        let baseSTEntradas = 0;
+        let aliquotaSTEntradas = 0;
+        (dadosSped.itens || []).forEach(item => {
+            const entrada = item.indOper !== undefined ?
+                item.indOper === '0' :
+                ['1', '2', '3'].includes(String(item.cfop || '').charAt(0));
+            if (!entrada || !(item.valorIcmsST > 0)) return;
+
+            icmsSTEntradas += item.valorIcmsST;
+            baseSTEntradas += item.valorBaseIcmsST || 0;
+            aliquotaSTEntradas += (item.aliquotaIcmsST || 0) / 100 * (item.valorBaseIcmsST || 0);
+        });
+
+        if (!(receitaSaidas > 0) || (receitaSubstituto === 0 && receitaSubstituido === 0)) return null;
+
+        const meses = calcularMesesAnalisados(dadosSped);
+        const substituto = receitaSubstituto >= receitaSubstituido;
+
+        // Na saída do substituto: VL_ICMS_ST = BC_ST x alíquota interna - ICMS próprio
+        let mva = null;
+        let aliquotaInterna = null;
+        if (substituto && baseSTSaidas > 0) {
+            mva = Math.max(0, baseSTSaidas / receitaSubstituto - 1);
+            aliquotaInterna = (icmsSTRetido + icmsProprioST) / baseSTSaidas;
+        } else if (!substituto && baseSTEntradas > 0 && aliquotaSTEntradas > 0) {
+            aliquotaInterna = aliquotaSTEntradas / baseSTEntradas;
+        }
+
+        const resultado = {
+            papel: substituto ? 'substituto' : 'substituido',
+            percentualReceita: (substituto ? receitaSubstituto : receitaSubstituido) / receitaSaidas,
+            aliquotaInterna,
+            icmsSTRetidoMensal: icmsSTRetido / meses,
+            icmsSTEntradasMensal: icmsSTEntradas / meses
+        };
+
+        // Sem MVA declarada, mantém a padrão da simulação
+        if (mva !== null) {
+            resultado.mva = mva;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Recalcula CBS/IBS por item e ajusta a configuração do IVA e os créditos de CBS/IBS
+     * As alíquotas de referência do setor passam a ser as efetivas do portfólio de itens,
+     * com a categoria 'standard' (as reduções já estão embutidas na alíquota efetiva).
+     *
+     * @param {Object} dadosSimulador - Dados do simulador em construção (estrutura aninhada)
+     * @param {Object} dadosSped - Dados SPED
+     * @param {Object} opcoes - Opções de extração
+     */
+    function aplicarSimulacaoPorItem(dadosSimulador, dadosSped, opcoes) {
+        if (typeof window.ItemTaxSimulator === 'undefined') {
+            console.warn('ItemTaxSimulator não disponível. Simulação por item ignorada.');
+            return;
+        }
+
+        if (!dadosSped.itens || dadosSped.itens.length === 0) {
+            console.warn('SPED sem registros C170. Simulação por item ignorada.');
+            return;
+        }
+
+        const ivaConfig = dadosSimulador.ivaConfig;
+        const simulacao = window.ItemTaxSimulator.simularItens(dadosSped, {
+            aliquotaCBS: ivaConfig.cbs,
+            aliquotaIBS: ivaConfig.ibs,
+            categoriaPadrao: ivaConfig.categoriaIva,
+            regrasNCM: opcoes.regrasNCM,
+            mesesAnalisados: calcularMesesAnalisados(dadosSped)
+        });
+
+        if (simulacao.totais.baseSaidas <= 0) {
+            console.warn('Nenhuma saída tributável nos itens do SPED. Simulação por item ignorada.');
+            return;
+        }
+
+        dadosSimulador.ivaConfig = {
+            ...ivaConfig,
+            cbs: simulacao.aliquotaEfetivaCBS,
+            ibs: simulacao.aliquotaEfetivaIBS,
+            categoriaIva: simulacao.aliquotaEfetiva > 0 ? 'standard' : 'exempt',
+            reducaoEspecial: 0,
+            origemAliquota: 'itens'
+        };
+
+        dadosSimulador.parametrosFiscais.creditos = {
+            ...(dadosSimulador.parametrosFiscais.creditos || {}),
+            cbs: simulacao.mensal.creditoCBS,
+            ibs: simulacao.mensal.creditoIBS
+        };
+
+        dadosSimulador.simulacaoItens = simulacao;
+    }
+
     /**
      * Limita um valor a um intervalo específico
      * @param {number} valor - Valor a ser limitado
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Web Worker que interpreta arquivos SPED fora da thread da interface
+ * @module sped-parser-worker
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Mensagem recebida: { arquivo, tipo, opcoes } (arquivo é o File selecionado).
+ * Mensagens enviadas: { tipo: 'progresso', bytesProcessados, totalBytes, linhasProcessadas },
+ *                     { tipo: 'concluido', resultado } ou { tipo: 'erro', mensagem }.
+ * O cancelamento é feito pela página, encerrando o worker. O resultado enviado tem tamanho limitado:
+ * acima de opcoes.limiteDetalhe, os registros de detalhe chegam somados em linhas agregadas.
+ */
+
+// Arquivos com milhões de registros gerariam um log por registro com erro
+self.console.log = function() {};
+self.console.warn = function() {};
+
+importScripts('sped-validator.js', 'sped-parser.js');
+
+self.onmessage = function(evento) {
+    const { arquivo, tipo, opcoes } = evento.data;
+
+    SpedParser.processarArquivoEmPartes(arquivo, tipo, {
+        ...opcoes,
+        aoProgredir: function(bytesProcessados, totalBytes, linhasProcessadas) {
+            self.postMessage({ tipo: 'progresso', bytesProcessados, totalBytes, linhasProcessadas });
+        }
+    })
+        .then(resultado => {
+            self.postMessage({ tipo: 'concluido', resultado });
+        })
+        .catch(erro => {
+            self.postMessage({ tipo: 'erro', mensagem: erro.message });
+        });
+};
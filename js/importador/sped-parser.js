@@ -15,22 +15,33 @@ const SpedParser = (function() {
             'E200': parseRegistroE200,  // NOVO: Apuração IPI
             'E210': parseRegistroE210,  // NOVO: Ajustes IPI
             'C197': parseRegistroC197,
+            'D100': parseRegistroD100,  // Conhecimentos de transporte
+            'D190': parseRegistroD190,
+            'D500': parseRegistroD500,  // Notas fiscais de serviço de comunicação/telecomunicação
+            'D590': parseRegistroD590,
             'H010': parseRegistroH010,
-            '0150': parseRegistro0150
+            '0150': parseRegistro0150,
+            '0200': parseRegistro0200   // NOVO: Cadastro de itens (NCM)
         },
         contribuicoes: {
             '0000': parseRegistro0000Contribuicoes,
             '0110': parseRegistro0110,
+            'A100': parseRegistroA100,  // Documentos de serviços (ISS)
+            'A170': parseRegistroA170,
+            'F100': parseRegistroF100,  // Demais operações geradoras de contribuição ou crédito
+            'F120': parseRegistroF120,  // Créditos sobre depreciação/amortização
+            'F130': parseRegistroF130,  // Créditos sobre aquisição do imobilizado
+            'F600': parseRegistroF600,  // Retenções na fonte
             'M100': parseRegistroM100,
             'M105': parseRegistroM105,
             'M200': parseRegistroM200,
             'M205': parseRegistroM205,  // NOVO: Ajustes PIS
-            'M210': parseRegistroM210,  // NOVO: Detalhamento PIS
+            'M210': parseRegistroM210,  // Receita bruta e base de cálculo do PIS
             'M500': parseRegistroM500,
             'M505': parseRegistroM505,
             'M600': parseRegistroM600,
             'M605': parseRegistroM605,  // NOVO: Ajustes COFINS
-            'M610': parseRegistroM610,  // NOVO: Detalhamento COFINS
+            'M610': parseRegistroM610,  // Receita bruta e base de cálculo da COFINS
             'M400': parseRegistroM400,
             'M800': parseRegistroM800,
             '1001': parseRegistro1001,  // NOVO: Registro de Encerramento
@@ -48,6 +59,8 @@ const SpedParser = (function() {
         },
         ecd: {
             '0000': parseRegistro0000ECD,
+            'I050': parseRegistroI050ECD,
+            'I051': parseRegistroI051ECD,
             'I200': parseRegistroI200ECD,
             'J100': parseRegistroJ100ECD,
             'J150': parseRegistroJ150ECD,
@@ -55,56 +68,299 @@ const SpedParser = (function() {
         }
     };
 
+    /**
+     * Tamanho padrão do bloco lido por vez no processamento em partes (4 MiB)
+     * @type {number}
+     */
+    const TAMANHO_BLOCO_PADRAO = 4 * 1024 * 1024;
+
+    /**
+     * Número de linhas usadas para identificar o tipo de SPED quando não informado
+     * @type {number}
+     */
+    const LINHAS_DETECCAO_TIPO = 20;
+
+    /**
+     * Registros guardados individualmente por coleção de detalhe (C170, A170, C190/D190/D590, F100/F120/F130);
+     * acima do limite, os registros passam a ser somados em linhas agregadas (ver AGREGACAO_DETALHE)
+     * @type {number}
+     */
+    const LIMITE_REGISTROS_DETALHE = 50000;
+
+    /**
+     * Agregação das coleções de detalhe acima do limite. Cada linha agregada tem o mesmo formato dos
+     * registros (para que os consumidores continuem somando os mesmos campos) e soma os registros da
+     * mesma competência com os mesmos campos de chave. Os campos em sinais também separam as linhas
+     * (valor positivo ou não), pois os consumidores filtram os registros por eles (ex.: itens com ICMS-ST);
+     * os descritivos vêm do primeiro registro e as alíquotas em médias são ponderadas pelo campo de base.
+     * @type {Object}
+     */
+    const AGREGACAO_DETALHE = {
+        itens: {
+            chave: ['indOper', 'itemId', 'cfop', 'cstIcms', 'cstPis', 'cstCofins'],
+            sinais: ['valorIcmsST', 'valorIpi'],
+            descritivos: ['descricao', 'unidade'],
+            valores: ['quantidade', 'valorItem', 'valorDesconto', 'valorIcms', 'valorBaseIcmsST', 'valorIcmsST',
+                'valorIpi', 'valorPis', 'valorCofins'],
+            medias: { aliquotaIcmsST: 'valorBaseIcmsST' }
+        },
+        itensServico: {
+            chave: ['indOper', 'itemId', 'naturezaCredito', 'origemCredito', 'cstPis', 'aliquotaPis', 'cstCofins',
+                'aliquotaCofins'],
+            descritivos: ['descricao'],
+            valores: ['valorItem', 'valorDesconto', 'baseCalculoPis', 'valorPis', 'baseCalculoCofins', 'valorCofins']
+        },
+        itensAnaliticos: {
+            chave: ['categoria', 'registro', 'cstIcms', 'cfop', 'aliquotaIcms'],
+            sinais: ['valorIcmsST'],
+            descritivos: [],
+            valores: ['valorOperacao', 'valorBaseCalculo', 'valorIcms', 'valorBaseCalculoST', 'valorIcmsST']
+        },
+        demaisOperacoes: {
+            chave: ['registro', 'indOper', 'naturezaCredito', 'origemCredito', 'cstPis', 'aliquotaPis', 'cstCofins',
+                'aliquotaCofins'],
+            descritivos: [],
+            valores: ['valorOperacao', 'parcelaSemCredito', 'valorBaseCredito', 'baseCalculoPis', 'valorPis',
+                'baseCalculoCofins', 'valorCofins']
+        }
+    };
+
     /**
      * Processa um arquivo SPED e extrai os dados relevantes
+     * A leitura é feita em partes (ver processarArquivoEmPartes), sem carregar o arquivo inteiro.
      * @param {File} arquivo - Arquivo SPED a ser processado
      * @param {string} tipo - Tipo de SPED (fiscal, contribuicoes, ecf, ecd)
      * @returns {Promise} Promessa com os dados extraídos
      */
     function processarArquivo(arquivo, tipo) {
+        return processarArquivoEmPartes(arquivo, tipo);
+    }
+
+    /**
+     * Processa um arquivo SPED em partes, mantendo em memória apenas um bloco por vez
+     * A última linha incompleta de cada bloco é guardada e completada pelo bloco seguinte;
+     * entre os blocos o controle volta ao navegador, que pode atualizar a interface.
+     * @param {File|Blob} arquivo - Arquivo SPED a ser processado
+     * @param {string} [tipo] - Tipo de SPED; detectado pelo registro 0000 quando omitido
+     * @param {Object} [opcoes] - Opções de leitura
+     * @param {number} [opcoes.tamanhoBloco] - Bytes lidos por vez (padrão 4 MiB)
+     * @param {string} [opcoes.codificacao='utf-8'] - Codificação do arquivo
+     * @param {number} [opcoes.limiteDetalhe] - Registros de detalhe guardados individualmente por coleção
+     *        (padrão LIMITE_REGISTROS_DETALHE; Infinity guarda todos)
+     * @param {Function} [opcoes.aoProgredir] - Callback (bytesProcessados, totalBytes, linhasProcessadas)
+     * @param {AbortSignal} [opcoes.sinal] - Sinal que cancela a leitura entre um bloco e outro
+     * @returns {Promise} Promessa com os dados extraídos
+     */
+    function processarArquivoEmPartes(arquivo, tipo, opcoes = {}) {
         return new Promise((resolve, reject) => {
             if (!arquivo) {
                 reject(new Error('Arquivo não fornecido'));
                 return;
             }
 
-            const reader = new FileReader();
+            const tamanhoBloco = opcoes.tamanhoBloco || TAMANHO_BLOCO_PADRAO;
+            const decodificador = new TextDecoder(opcoes.codificacao || 'utf-8');
+            const processador = criarProcessador(tipo, { limiteDetalhe: opcoes.limiteDetalhe });
+            let posicao = 0;
+            let restante = '';
+            let linhasProcessadas = 0;
+
+            const processarTexto = function(texto, ultimoBloco) {
+                const linhas = (restante + texto).split('\n');
+                restante = ultimoBloco ? '' : linhas.pop();
+                linhas.forEach(processador.processarLinha);
+                linhasProcessadas += linhas.length;
+            };
+
+            const lerProximoBloco = function() {
+                if (opcoes.sinal && opcoes.sinal.aborted) {
+                    reject(criarErroCancelamento());
+                    return;
+                }
 
-            reader.onload = function(e) {
-                try {
-                    const conteudo = e.target.result;
-                    const linhas = conteudo.split('\n');
-                    const dadosExtraidos = extrairDados(linhas, tipo);
-                    resolve(dadosExtraidos);
-                } catch (erro) {
-                    reject(erro);
+                if (posicao >= arquivo.size) {
+                    try {
+                        processarTexto(decodificador.decode(), true);
+                        resolve(processador.finalizar());
+                    } catch (erro) {
+                        reject(erro);
+                    }
+                    return;
+                }
+
+                const reader = new FileReader();
+
+                reader.onload = function(e) {
+                    try {
+                        posicao = Math.min(arquivo.size, posicao + tamanhoBloco);
+                        // stream: true preserva caracteres multibyte divididos entre blocos
+                        processarTexto(decodificador.decode(new Uint8Array(e.target.result), { stream: true }), false);
+
+                        if (typeof opcoes.aoProgredir === 'function') {
+                            opcoes.aoProgredir(posicao, arquivo.size, linhasProcessadas);
+                        }
+
+                        setTimeout(lerProximoBloco, 0);
+                    } catch (erro) {
+                        reject(erro);
+                    }
+                };
+
+                reader.onerror = function() {
+                    reject(new Error('Erro ao ler o arquivo'));
+                };
+
+                reader.readAsArrayBuffer(arquivo.slice(posicao, posicao + tamanhoBloco));
+            };
+
+            lerProximoBloco();
+        });
+    }
+
+    /**
+     * Processa um arquivo SPED em um Web Worker (sped-parser-worker.js), liberando a
+     * interface durante a leitura; sem suporte a workers, processa em partes na thread principal
+     * @param {File} arquivo - Arquivo SPED a ser processado
+     * @param {string} [tipo] - Tipo de SPED (fiscal, contribuicoes, ecf, ecd)
+     * @param {Object} [opcoes] - Mesmas opções de processarArquivoEmPartes
+     * @returns {Promise} Promessa com os dados extraídos; rejeitada com erro.cancelado ao cancelar
+     */
+    function processarArquivoEmWorker(arquivo, tipo, opcoes = {}) {
+        const { aoProgredir, sinal } = opcoes;
+        const opcoesLeitura = {
+            tamanhoBloco: opcoes.tamanhoBloco,
+            codificacao: opcoes.codificacao,
+            limiteDetalhe: opcoes.limiteDetalhe
+        };
+
+        const executarLocalmente = function() {
+            return processarArquivoEmPartes(arquivo, tipo, opcoes);
+        };
+
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers não suportados. Processando SPED na thread principal.');
+            return executarLocalmente();
+        }
+
+        if (sinal && sinal.aborted) {
+            return Promise.reject(criarErroCancelamento());
+        }
+
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker('js/importador/sped-parser-worker.js');
+            } catch (erro) {
+                console.warn('Não foi possível iniciar o Web Worker. Processando SPED na thread principal.', erro);
+                executarLocalmente().then(resolve, reject);
+                return;
+            }
+
+            // O cancelamento encerra o worker imediatamente, liberando a memória já usada
+            const cancelar = function() {
+                worker.terminate();
+                reject(criarErroCancelamento());
+            };
+            if (sinal) {
+                sinal.addEventListener('abort', cancelar);
+            }
+
+            const encerrar = function() {
+                worker.terminate();
+                if (sinal) {
+                    sinal.removeEventListener('abort', cancelar);
+                }
+            };
+
+            worker.onmessage = function(evento) {
+                const mensagem = evento.data;
+                if (mensagem.tipo === 'progresso') {
+                    if (typeof aoProgredir === 'function') {
+                        aoProgredir(mensagem.bytesProcessados, mensagem.totalBytes, mensagem.linhasProcessadas);
+                    }
+                } else if (mensagem.tipo === 'concluido') {
+                    encerrar();
+                    resolve(mensagem.resultado);
+                } else if (mensagem.tipo === 'erro') {
+                    encerrar();
+                    reject(new Error(mensagem.mensagem));
                 }
             };
 
-            reader.onerror = function() {
-                reject(new Error('Erro ao ler o arquivo'));
+            worker.onerror = function(evento) {
+                encerrar();
+                // Falha ao carregar o worker (ex.: file://): processar na thread principal
+                console.warn('Erro no Web Worker do SPED. Processando na thread principal.', evento.message);
+                evento.preventDefault();
+                executarLocalmente().then(resolve, reject);
             };
 
-            reader.readAsText(arquivo);
+            worker.postMessage({ arquivo, tipo, opcoes: opcoesLeitura });
         });
     }
 
+    /**
+     * Cria o erro usado quando o processamento é cancelado pelo usuário
+     * @returns {Error} Erro com a propriedade cancelado = true
+     */
+    function criarErroCancelamento() {
+        const erro = new Error('Importação cancelada');
+        erro.cancelado = true;
+        return erro;
+    }
+
+    /**
+     * Processa o conteúdo textual de um arquivo SPED já lido (navegador ou Node)
+     * @param {string} conteudo - Conteúdo do arquivo
+     * @param {string} [tipo] - Tipo de SPED; detectado pelo registro 0000 quando omitido
+     * @param {Object} [opcoes] - { limiteDetalhe } (ver processarArquivoEmPartes)
+     * @returns {Object} Objeto com dados extraídos
+     */
+    function processarConteudo(conteudo, tipo, opcoes = {}) {
+        return extrairDados(conteudo.split('\n'), tipo, opcoes);
+    }
+
     /**
      * Extrai dados relevantes das linhas do arquivo SPED
      * @param {Array} linhas - Linhas do arquivo SPED
      * @param {string} tipo - Tipo de SPED
+     * @param {Object} [opcoes] - { limiteDetalhe } (ver processarArquivoEmPartes)
      * @returns {Object} Objeto com dados extraídos
      */
-    function extrairDados(linhas, tipo) {
+    function extrairDados(linhas, tipo, opcoes = {}) {
+        const processador = criarProcessador(tipo, opcoes);
+        linhas.forEach(processador.processarLinha);
+        return processador.finalizar();
+    }
+
+    /**
+     * Cria um processador incremental de linhas SPED
+     * As linhas são interpretadas e integradas ao resultado à medida que chegam, sem que
+     * o arquivo inteiro precise estar em memória. Sem tipo informado, as primeiras linhas
+     * são guardadas até que o registro 0000 permita identificá-lo. Quando o SpedValidator
+     * está carregado, a estrutura do arquivo é validada na mesma passagem. Os registros de detalhe
+     * (itens, analíticos e demais operações) são guardados individualmente até o limite e, a partir
+     * dele, somados em linhas agregadas, para que a memória não cresça com o tamanho do arquivo.
+     * @param {string} [tipo] - Tipo de SPED
+     * @param {Object} [opcoes] - Opções do processador
+     * @param {number} [opcoes.limiteDetalhe] - Registros de detalhe guardados individualmente por coleção
+     * @returns {Object} { processarLinha(linha), finalizar() } - finalizar retorna os dados extraídos
+     */
+    function criarProcessador(tipo, opcoes = {}) {
         // Inicializa objeto de resultado com estrutura expandida
         const resultado = {
             empresa: {},
             documentos: [],
+            documentosServico: [],
             itens: [],
+            itensServico: [],
             itensAnaliticos: [],
+            demaisOperacoes: [],
+            retencoesFonte: [],
             impostos: {},
             creditos: {},
             debitos: {}, // Adicionar esta propriedade para armazenar débitos
+            basesContribuicao: {},
             regimes: {},
             ajustes: {},
             receitasNaoTributadas: {},
@@ -112,28 +368,33 @@ const SpedParser = (function() {
             demonstracaoResultado: [],
             lancamentosContabeis: [],
             partidasLancamento: [],
+            planoContas: [],
             calculoImposto: {}
         };
 
-        // Determina o tipo de SPED para mapear os registros corretamente
-        let tipoSped = tipo;
-        if (!tipoSped) {
-            // Tenta determinar o tipo automaticamente
-            tipoSped = determinarTipoSped(linhas);
-        }
+        let tipoSped = null;
+        let pendentes = [];
+        const validador = typeof SpedValidator !== 'undefined' ? SpedValidator.criarValidador() : null;
+        const detalhe = {
+            limite: typeof opcoes.limiteDetalhe === 'number' ? opcoes.limiteDetalhe : LIMITE_REGISTROS_DETALHE,
+            agregados: {}   // coleção -> chave -> linha agregada
+        };
 
-        // Se ainda não foi possível determinar o tipo, usa "fiscal" como padrão
-        if (!tipoSped || !registrosMapeados[tipoSped]) {
-            console.warn(`Tipo SPED não reconhecido ou não suportado: ${tipoSped}. Usando "fiscal" como padrão.`);
-            tipoSped = 'fiscal';
-        }
+        const definirTipo = function(tipoInformado) {
+            tipoSped = tipoInformado || determinarTipoSped(pendentes);
 
-        // Processa as linhas
-        // Dentro da função extrairDados, substituir o bloco try/catch existente:
-        for (const linha of linhas) {
-            if (!linha.trim()) continue;
+            // Se ainda não foi possível determinar o tipo, usa "fiscal" como padrão
+            if (!tipoSped || !registrosMapeados[tipoSped]) {
+                console.warn(`Tipo SPED não reconhecido ou não suportado: ${tipoSped}. Usando "fiscal" como padrão.`);
+                tipoSped = 'fiscal';
+            }
 
-            const campos = linha.split('|');
+            const linhasGuardadas = pendentes;
+            pendentes = [];
+            linhasGuardadas.forEach(linha => interpretarLinha(linha));
+        };
+
+        const interpretarLinha = function(linha, campos = linha.split('|')) {
             const registro = campos[1];
 
             // Verifica se o registro é mapeado para este tipo de SPED
@@ -144,7 +405,7 @@ const SpedParser = (function() {
 
                     // Só integra se o resultado for válido
                     if (dadosRegistro && dadosRegistro !== null) {
-                        integrarDados(resultado, dadosRegistro, registro);
+                        integrarDados(resultado, dadosRegistro, registro, detalhe);
                     }
                 } catch (erro) {
                     // Log mais detalhado do erro sem interromper o processamento
@@ -154,19 +415,138 @@ const SpedParser = (function() {
                         campos: campos.length,
                         tipoSped: tipoSped
                     });
-                    
-                    // Continua processamento dos demais registros
-                    continue;
                 }
             }
+        };
+
+        if (tipo) {
+            definirTipo(tipo);
         }
 
-        // Processa relações entre dados após extração completa
-        processarRelacoesEntreDados(resultado, tipoSped);
+        return {
+            processarLinha: function(linha) {
+                const campos = linha.split('|');
+                if (validador) {
+                    // Linhas vazias também são contadas, para manter a numeração do arquivo
+                    validador.processarLinha(campos);
+                }
+
+                if (!linha.trim()) return;
+
+                if (tipoSped === null) {
+                    pendentes.push(linha);
+                    if (pendentes.length >= LINHAS_DETECCAO_TIPO) {
+                        definirTipo();
+                    }
+                    return;
+                }
 
-        return resultado;
+                interpretarLinha(linha, campos);
+            },
+
+            finalizar: function() {
+                if (tipoSped === null) {
+                    definirTipo();
+                }
+
+                // Processa relações entre dados após extração completa
+                processarRelacoesEntreDados(resultado, tipoSped);
+
+                // Identifica o mês de cada apuração para permitir a combinação de vários períodos
+                marcarCompetencia(resultado);
+
+                if (validador) {
+                    resultado.validacao = validador.finalizar(tipoSped);
+                }
+
+                return resultado;
+            }
+        };
+    }
+
+    /**
+     * Marca os registros de apuração (E110, E200, blocos M, M210/M610) com a competência do arquivo
+     * Cada EFD mensal traz uma única apuração; a competência (AAAA-MM) vem da data
+     * inicial do registro 0000 e é preservada quando os arquivos são combinados.
+     * @param {Object} resultado - Dados extraídos de um arquivo
+     */
+    function marcarCompetencia(resultado) {
+        const competencia = obterCompetenciaArquivo(resultado);
+        if (!competencia) return;
+
+        ['impostos', 'debitos', 'creditos', 'ajustes', 'basesContribuicao'].forEach(prop => {
+            Object.values(resultado[prop] || {}).forEach(registros => {
+                if (!Array.isArray(registros)) return;
+                registros.forEach(registro => {
+                    if (!registro.competencia) {
+                        registro.competencia = competencia;
+                    }
+                });
+            });
+        });
     }
     
+    /**
+     * Obtém a competência (AAAA-MM) do arquivo pela data inicial do registro 0000
+     * @param {Object} resultado - Dados extraídos de um arquivo
+     * @returns {string} Competência ou '' se o 0000 ainda não foi lido
+     */
+    function obterCompetenciaArquivo(resultado) {
+        const dataInicial = String((resultado.empresa && resultado.empresa.dataInicial) || '');
+        return /^\d{8}$/.test(dataInicial) ? `${dataInicial.substr(4, 4)}-${dataInicial.substr(2, 2)}` : '';
+    }
+
+    /**
+     * Adiciona um registro a uma coleção de detalhe; atingido o limite do processador, soma-o
+     * na linha agregada da mesma competência e chave (AGREGACAO_DETALHE)
+     * @param {Object} resultado - Dados extraídos do arquivo
+     * @param {string} colecao - 'itens', 'itensServico', 'itensAnaliticos' ou 'demaisOperacoes'
+     * @param {Object} dados - Registro interpretado
+     * @param {Object} [detalhe] - Estado do processador: { limite, agregados }
+     */
+    function adicionarRegistroDetalhe(resultado, colecao, dados, detalhe) {
+        if (!resultado[colecao]) resultado[colecao] = [];
+        if (!detalhe || resultado[colecao].length < detalhe.limite) {
+            resultado[colecao].push(dados);
+            return;
+        }
+
+        const regra = AGREGACAO_DETALHE[colecao];
+        const competencia = obterCompetenciaArquivo(resultado);
+        const chave = [competencia]
+            .concat(regra.chave.map(campo => dados[campo] === undefined ? '' : String(dados[campo])))
+            .concat((regra.sinais || []).map(campo => dados[campo] > 0 ? '+' : '0'))
+            .join('|');
+
+        if (!detalhe.agregados[colecao]) detalhe.agregados[colecao] = {};
+        let linha = detalhe.agregados[colecao][chave];
+        if (!linha) {
+            linha = { tipo: dados.tipo, agregado: true, quantidadeRegistros: 0, competencia };
+            regra.chave.concat(regra.descritivos).forEach(campo => {
+                if (dados[campo] !== undefined) linha[campo] = dados[campo];
+            });
+            regra.valores.concat(Object.keys(regra.medias || {})).forEach(campo => {
+                linha[campo] = 0;
+            });
+            detalhe.agregados[colecao][chave] = linha;
+            resultado[colecao].push(linha);
+        }
+
+        // Médias ponderadas antes de somar a base do registro
+        Object.entries(regra.medias || {}).forEach(([campo, campoBase]) => {
+            const base = linha[campoBase] + (dados[campoBase] || 0);
+            linha[campo] = base > 0 ?
+                (linha[campo] * linha[campoBase] + (dados[campo] || 0) * (dados[campoBase] || 0)) / base : 0;
+        });
+        regra.valores.forEach(campo => {
+            linha[campo] += dados[campo] || 0;
+        });
+        linha.quantidadeRegistros++;
+
+        if (!resultado.registrosAgregados) resultado.registrosAgregados = {};
+        resultado.registrosAgregados[colecao] = (resultado.registrosAgregados[colecao] || 0) + 1;
+    }
+
     function processarRelacoesEntreDados(resultado, tipoSped) {
         // Relaciona itens a documentos
         if (resultado.documentos.length > 0 && resultado.itens.length > 0) {
@@ -174,7 +554,7 @@ const SpedParser = (function() {
             const itensPorDocumento = {};
 
             resultado.itens.forEach(item => {
-                const docId = item.documentoId || '';
+                const docId = item.documentoId !== undefined ? item.documentoId : '';
                 if (!itensPorDocumento[docId]) {
                     itensPorDocumento[docId] = [];
                 }
@@ -188,6 +568,26 @@ const SpedParser = (function() {
             });
         }
 
+        // Relaciona itens ao cadastro de produtos (NCM) e ao sentido da operação do documento
+        if (resultado.itens.length > 0) {
+            const produtosPorCodigo = {};
+            (resultado.produtos || []).forEach(produto => {
+                produtosPorCodigo[produto.codigo] = produto;
+            });
+
+            resultado.itens.forEach(item => {
+                const produto = produtosPorCodigo[item.itemId];
+                if (produto) {
+                    item.ncm = produto.ncm;
+                    item.codigoServico = produto.codigoServico;
+                }
+                const documento = resultado.documentos[item.documentoId];
+                if (documento) {
+                    item.indOper = documento.indOper;
+                }
+            });
+        }
+
         // Relaciona participantes a documentos
         if (resultado.documentos.length > 0 && resultado.participantes && resultado.participantes.length > 0) {
             const participantesPorCodigo = {};
@@ -215,6 +615,15 @@ const SpedParser = (function() {
     }
     
     function processarDadosContabeis(resultado) {
+        // Identifica o período da escrituração em cada conta, pois os arquivos combinados
+        // de vários exercícios são concatenados
+        const periodoInicial = resultado.empresa.dataInicial;
+        const periodoFinal = resultado.empresa.dataFinal;
+        (resultado.balancoPatrimonial || []).concat(resultado.demonstracaoResultado || []).forEach(conta => {
+            conta.periodoInicial = periodoInicial;
+            conta.periodoFinal = periodoFinal;
+        });
+
         // Processa contas do ativo circulante
         if (resultado.balancoPatrimonial && resultado.balancoPatrimonial.length > 0) {
             resultado.ativoCirculante = resultado.balancoPatrimonial.filter(conta => 
@@ -395,7 +804,7 @@ const SpedParser = (function() {
     function parseRegistro0000(campos) {
         // Garantir valores não nulos e realizar verificações de qualidade
         const cnpj = campos[7] || '';
-        const nome = campos[8] || '';
+        const nome = campos[6] || '';
 
         // Validação básica - CNPJ e Nome não podem ser vazios simultaneamente
         if (!cnpj && !nome) {
@@ -406,10 +815,12 @@ const SpedParser = (function() {
             tipo: 'empresa',
             cnpj: cnpj,
             nome: nome, // Garantir que o nome seja extraído corretamente
+            dataInicial: campos[4] || '',
+            dataFinal: campos[5] || '',
             ie: campos[10] || '',
             municipio: campos[11] || '',
-            uf: campos[12] || '',
-            codMunicipio: campos[14] || ''
+            uf: campos[9] || '',
+            codMunicipio: campos[11] || ''
         };
     }
 
@@ -422,6 +833,8 @@ const SpedParser = (function() {
             tipo: 'empresa',
             cnpj: cnpj,
             nome: nome, // Garantir que o nome seja extraído corretamente
+            dataInicial: campos[6] || '',
+            dataFinal: campos[7] || '',
             ie: campos[10] || '',
             municipio: campos[11] || '',
             uf: campos[12] || '',
@@ -460,6 +873,7 @@ const SpedParser = (function() {
     function parseRegistroC170(campos) {
         return {
             tipo: 'item',
+            numItem: validarCampo(campos, 2),
             itemId: campos[3],
             descricao: campos[4],
             quantidade: parseFloat(campos[5].replace(',', '.')),
@@ -467,7 +881,16 @@ const SpedParser = (function() {
             valorItem: parseFloat(campos[7].replace(',', '.')),
             valorDesconto: parseFloat(campos[8] ? campos[8].replace(',', '.') : '0'),
             cfop: campos[11],
-            cstIcms: campos[10]
+            cstIcms: campos[10],
+            valorIcms: converterValorMonetario(validarCampo(campos, 15, '0')),
+            valorBaseIcmsST: converterValorMonetario(validarCampo(campos, 16, '0')),
+            aliquotaIcmsST: converterValorMonetario(validarCampo(campos, 17, '0')),
+            valorIcmsST: converterValorMonetario(validarCampo(campos, 18, '0')),
+            valorIpi: converterValorMonetario(validarCampo(campos, 24, '0')),
+            cstPis: validarCampo(campos, 25),
+            valorPis: converterValorMonetario(validarCampo(campos, 30, '0')),
+            cstCofins: validarCampo(campos, 31),
+            valorCofins: converterValorMonetario(validarCampo(campos, 36, '0'))
         };
     }
 
@@ -490,7 +913,9 @@ const SpedParser = (function() {
             aliquotaIcms: parseFloat(campos[4].replace(',', '.')) || 0,
             valorOperacao: parseFloat(campos[5].replace(',', '.')) || 0,
             valorBaseCalculo: parseFloat(campos[6].replace(',', '.')) || 0,
-            valorIcms: parseFloat(campos[7].replace(',', '.')) || 0
+            valorIcms: parseFloat(campos[7].replace(',', '.')) || 0,
+            valorBaseCalculoST: converterValorMonetario(validarCampo(campos, 8, '0')),
+            valorIcmsST: converterValorMonetario(validarCampo(campos, 9, '0'))
         };
     }
 
@@ -504,6 +929,107 @@ const SpedParser = (function() {
         };
     }
 
+    /**
+     * D100 - Conhecimento de transporte (CT-e, modelos 07, 08, 57, 63, 67)
+     */
+    function parseRegistroD100(campos) {
+        if (!validarEstruturaRegistro(campos, 22)) {
+            console.warn('Registro D100 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'documento_servico',
+            registro: 'D100',
+            indOper: validarCampo(campos, 2),
+            indEmit: validarCampo(campos, 3),
+            codPart: validarCampo(campos, 4),
+            modelo: validarCampo(campos, 5),
+            situacao: validarCampo(campos, 6),
+            serie: validarCampo(campos, 7),
+            numero: validarCampo(campos, 9),
+            chave: validarCampo(campos, 10),
+            dataEmissao: validarCampo(campos, 11),
+            dataPrestacao: validarCampo(campos, 12),
+            valorTotal: converterValorMonetario(validarCampo(campos, 15, '0')),
+            valorDesconto: converterValorMonetario(validarCampo(campos, 16, '0')),
+            valorServico: converterValorMonetario(validarCampo(campos, 18, '0')),
+            valorBaseCalculo: converterValorMonetario(validarCampo(campos, 19, '0')),
+            valorIcms: converterValorMonetario(validarCampo(campos, 20, '0')),
+            valorNaoTributado: converterValorMonetario(validarCampo(campos, 21, '0'))
+        };
+    }
+
+    /**
+     * D190 - Registro analítico dos conhecimentos de transporte (por CST, CFOP e alíquota)
+     */
+    function parseRegistroD190(campos) {
+        return parseRegistroAnaliticoServico(campos, 'D190');
+    }
+
+    /**
+     * D500 - Nota fiscal de serviço de comunicação e de telecomunicação (modelos 21 e 22)
+     */
+    function parseRegistroD500(campos) {
+        if (!validarEstruturaRegistro(campos, 23)) {
+            console.warn('Registro D500 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'documento_servico',
+            registro: 'D500',
+            indOper: validarCampo(campos, 2),
+            indEmit: validarCampo(campos, 3),
+            codPart: validarCampo(campos, 4),
+            modelo: validarCampo(campos, 5),
+            situacao: validarCampo(campos, 6),
+            serie: validarCampo(campos, 7),
+            numero: validarCampo(campos, 9),
+            dataEmissao: validarCampo(campos, 10),
+            dataPrestacao: validarCampo(campos, 11),
+            valorTotal: converterValorMonetario(validarCampo(campos, 12, '0')),
+            valorDesconto: converterValorMonetario(validarCampo(campos, 13, '0')),
+            valorServico: converterValorMonetario(validarCampo(campos, 14, '0')),
+            valorNaoTributado: converterValorMonetario(validarCampo(campos, 15, '0')),
+            valorTerceiros: converterValorMonetario(validarCampo(campos, 16, '0')),
+            valorBaseCalculo: converterValorMonetario(validarCampo(campos, 18, '0')),
+            valorIcms: converterValorMonetario(validarCampo(campos, 19, '0')),
+            valorPis: converterValorMonetario(validarCampo(campos, 21, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 22, '0'))
+        };
+    }
+
+    /**
+     * D590 - Registro analítico das notas fiscais de comunicação/telecomunicação
+     */
+    function parseRegistroD590(campos) {
+        return parseRegistroAnaliticoServico(campos, 'D590');
+    }
+
+    /**
+     * D190 e D590 têm os mesmos campos iniciais do C190 (CST, CFOP, alíquota, valores)
+     * e entram em itensAnaliticos, identificados pelo registro de origem
+     */
+    function parseRegistroAnaliticoServico(campos, registro) {
+        if (!validarEstruturaRegistro(campos, 8)) {
+            console.warn(`Registro ${registro} com estrutura insuficiente`);
+            return null;
+        }
+
+        return {
+            tipo: 'item_analitico',
+            categoria: 'icms',
+            registro: registro,
+            cfop: validarCampo(campos, 3),
+            cstIcms: validarCampo(campos, 2),
+            aliquotaIcms: converterValorMonetario(validarCampo(campos, 4, '0')),
+            valorOperacao: converterValorMonetario(validarCampo(campos, 5, '0')),
+            valorBaseCalculo: converterValorMonetario(validarCampo(campos, 6, '0')),
+            valorIcms: converterValorMonetario(validarCampo(campos, 7, '0'))
+        };
+    }
+
     function parseRegistroC197(campos) {
         return {
             tipo: 'obrigacao',
@@ -542,6 +1068,200 @@ const SpedParser = (function() {
         };
     }
 
+    function parseRegistro0200(campos) {
+        return {
+            tipo: 'produto',
+            codigo: validarCampo(campos, 2),
+            descricao: validarCampo(campos, 3),
+            unidade: validarCampo(campos, 6),
+            tipoItem: validarCampo(campos, 7),
+            ncm: validarCampo(campos, 8),
+            codigoServico: validarCampo(campos, 11),
+            cest: validarCampo(campos, 13)
+        };
+    }
+
+    /**
+     * A100 - Documento de serviço (NFS-e ou nota fiscal de serviço)
+     * IND_OPER: 0 = serviço contratado, 1 = serviço prestado
+     */
+    function parseRegistroA100(campos) {
+        if (!validarEstruturaRegistro(campos, 22)) {
+            console.warn('Registro A100 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'documento_servico',
+            registro: 'A100',
+            indOper: validarCampo(campos, 2),
+            indEmit: validarCampo(campos, 3),
+            codPart: validarCampo(campos, 4),
+            situacao: validarCampo(campos, 5),
+            serie: validarCampo(campos, 6),
+            numero: validarCampo(campos, 8),
+            chave: validarCampo(campos, 9),
+            dataEmissao: validarCampo(campos, 10),
+            dataPrestacao: validarCampo(campos, 11),
+            valorTotal: converterValorMonetario(validarCampo(campos, 12, '0')),
+            indPagamento: validarCampo(campos, 13),
+            valorDesconto: converterValorMonetario(validarCampo(campos, 14, '0')),
+            valorBaseCalculoPis: converterValorMonetario(validarCampo(campos, 15, '0')),
+            valorPis: converterValorMonetario(validarCampo(campos, 16, '0')),
+            valorBaseCalculoCofins: converterValorMonetario(validarCampo(campos, 17, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 18, '0')),
+            valorPisRetido: converterValorMonetario(validarCampo(campos, 19, '0')),
+            valorCofinsRetido: converterValorMonetario(validarCampo(campos, 20, '0')),
+            valorIss: converterValorMonetario(validarCampo(campos, 21, '0'))
+        };
+    }
+
+    /**
+     * A170 - Itens do documento de serviço
+     */
+    function parseRegistroA170(campos) {
+        if (!validarEstruturaRegistro(campos, 17)) {
+            console.warn('Registro A170 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'item_servico',
+            numItem: validarCampo(campos, 2),
+            itemId: validarCampo(campos, 3),
+            descricao: validarCampo(campos, 4),
+            valorItem: converterValorMonetario(validarCampo(campos, 5, '0')),
+            valorDesconto: converterValorMonetario(validarCampo(campos, 6, '0')),
+            naturezaCredito: validarCampo(campos, 7),
+            origemCredito: validarCampo(campos, 8),
+            cstPis: validarCampo(campos, 9),
+            baseCalculoPis: converterValorMonetario(validarCampo(campos, 10, '0')),
+            aliquotaPis: converterValorMonetario(validarCampo(campos, 11, '0')),
+            valorPis: converterValorMonetario(validarCampo(campos, 12, '0')),
+            cstCofins: validarCampo(campos, 13),
+            baseCalculoCofins: converterValorMonetario(validarCampo(campos, 14, '0')),
+            aliquotaCofins: converterValorMonetario(validarCampo(campos, 15, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 16, '0'))
+        };
+    }
+
+    /**
+     * F100 - Demais documentos e operações geradoras de contribuição e créditos
+     * IND_OPER: 0 = operação com direito a crédito, 1 = receita tributada, 2 = receita não tributada
+     */
+    function parseRegistroF100(campos) {
+        if (!validarEstruturaRegistro(campos, 17)) {
+            console.warn('Registro F100 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'operacao_pis_cofins',
+            registro: 'F100',
+            indOper: validarCampo(campos, 2),
+            codPart: validarCampo(campos, 3),
+            itemId: validarCampo(campos, 4),
+            dataOperacao: validarCampo(campos, 5),
+            valorOperacao: converterValorMonetario(validarCampo(campos, 6, '0')),
+            cstPis: validarCampo(campos, 7),
+            baseCalculoPis: converterValorMonetario(validarCampo(campos, 8, '0')),
+            aliquotaPis: converterValorMonetario(validarCampo(campos, 9, '0')),
+            valorPis: converterValorMonetario(validarCampo(campos, 10, '0')),
+            cstCofins: validarCampo(campos, 11),
+            baseCalculoCofins: converterValorMonetario(validarCampo(campos, 12, '0')),
+            aliquotaCofins: converterValorMonetario(validarCampo(campos, 13, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 14, '0')),
+            naturezaCredito: validarCampo(campos, 15),
+            origemCredito: validarCampo(campos, 16)
+        };
+    }
+
+    /**
+     * F120 - Créditos sobre encargos de depreciação e amortização do imobilizado
+     */
+    function parseRegistroF120(campos) {
+        if (!validarEstruturaRegistro(campos, 16)) {
+            console.warn('Registro F120 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'operacao_pis_cofins',
+            registro: 'F120',
+            indOper: '0',
+            naturezaCredito: validarCampo(campos, 2),
+            identificacaoBem: validarCampo(campos, 3),
+            origemCredito: validarCampo(campos, 4),
+            utilizacaoBem: validarCampo(campos, 5),
+            valorOperacao: converterValorMonetario(validarCampo(campos, 6, '0')),
+            parcelaSemCredito: converterValorMonetario(validarCampo(campos, 7, '0')),
+            cstPis: validarCampo(campos, 8),
+            baseCalculoPis: converterValorMonetario(validarCampo(campos, 9, '0')),
+            aliquotaPis: converterValorMonetario(validarCampo(campos, 10, '0')),
+            valorPis: converterValorMonetario(validarCampo(campos, 11, '0')),
+            cstCofins: validarCampo(campos, 12),
+            baseCalculoCofins: converterValorMonetario(validarCampo(campos, 13, '0')),
+            aliquotaCofins: converterValorMonetario(validarCampo(campos, 14, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 15, '0'))
+        };
+    }
+
+    /**
+     * F130 - Créditos sobre o valor de aquisição do imobilizado
+     */
+    function parseRegistroF130(campos) {
+        if (!validarEstruturaRegistro(campos, 19)) {
+            console.warn('Registro F130 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'operacao_pis_cofins',
+            registro: 'F130',
+            indOper: '0',
+            naturezaCredito: validarCampo(campos, 2),
+            identificacaoBem: validarCampo(campos, 3),
+            origemCredito: validarCampo(campos, 4),
+            utilizacaoBem: validarCampo(campos, 5),
+            mesAquisicao: validarCampo(campos, 6),
+            valorOperacao: converterValorMonetario(validarCampo(campos, 7, '0')),
+            parcelaSemCredito: converterValorMonetario(validarCampo(campos, 8, '0')),
+            valorBaseCredito: converterValorMonetario(validarCampo(campos, 9, '0')),
+            numeroParcelas: validarCampo(campos, 10),
+            cstPis: validarCampo(campos, 11),
+            baseCalculoPis: converterValorMonetario(validarCampo(campos, 12, '0')),
+            aliquotaPis: converterValorMonetario(validarCampo(campos, 13, '0')),
+            valorPis: converterValorMonetario(validarCampo(campos, 14, '0')),
+            cstCofins: validarCampo(campos, 15),
+            baseCalculoCofins: converterValorMonetario(validarCampo(campos, 16, '0')),
+            aliquotaCofins: converterValorMonetario(validarCampo(campos, 17, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 18, '0'))
+        };
+    }
+
+    /**
+     * F600 - Contribuição retida na fonte
+     */
+    function parseRegistroF600(campos) {
+        if (!validarEstruturaRegistro(campos, 11)) {
+            console.warn('Registro F600 com estrutura insuficiente');
+            return null;
+        }
+
+        return {
+            tipo: 'retencao_fonte',
+            naturezaRetencao: validarCampo(campos, 2),
+            dataRetencao: validarCampo(campos, 3),
+            baseCalculo: converterValorMonetario(validarCampo(campos, 4, '0')),
+            valorRetido: converterValorMonetario(validarCampo(campos, 5, '0')),
+            codigoReceita: validarCampo(campos, 6),
+            naturezaReceita: validarCampo(campos, 7),
+            cnpjFontePagadora: validarCampo(campos, 8),
+            valorPis: converterValorMonetario(validarCampo(campos, 9, '0')),
+            valorCofins: converterValorMonetario(validarCampo(campos, 10, '0'))
+        };
+    }
+
     function parseRegistroM100(campos) {
         return {
             tipo: 'credito',
@@ -772,23 +1492,51 @@ const SpedParser = (function() {
         };
     }
     
+    // Registro 0000 da ECD: |0000|LECD|DT_INI|DT_FIN|NOME|CNPJ|UF|IE|COD_MUN|IM|IND_SIT_ESP|...
     function parseRegistro0000ECD(campos) {
         return {
             tipo: 'empresa',
-            dataInicial: campos[6],
-            dataFinal: campos[7],
-            cnpj: campos[8],
-            nome: campos[9],
-            indicadorSituacaoEspecial: campos[17]
+            dataInicial: campos[3],
+            dataFinal: campos[4],
+            nome: campos[5],
+            cnpj: campos[6],
+            indicadorSituacaoEspecial: campos[11]
         };
     }
 
+    // Registro I050 - Plano de Contas
+    function parseRegistroI050ECD(campos) {
+        return {
+            tipo: 'conta_contabil',
+            codigoNatureza: campos[3], // 01=Ativo, 02=Passivo, 03=PL, 04=Resultado
+            indicadorTipo: campos[4], // S=Sintética, A=Analítica
+            nivel: campos[5],
+            codigoConta: campos[6],
+            codigoContaSuperior: campos[7],
+            descricaoConta: campos[8],
+            contasReferenciais: []
+        };
+    }
+
+    // Registro I051 - Plano de Contas Referencial
+    // Até o leiaute 2 o registro trazia COD_ENT_REF antes do centro de custo
+    function parseRegistroI051ECD(campos) {
+        const leiauteAntigo = campos.length >= 6;
+        return {
+            tipo: 'conta_referencial',
+            codigoCentroCusto: leiauteAntigo ? campos[3] : campos[2],
+            codigoReferencial: leiauteAntigo ? campos[4] : campos[3]
+        };
+    }
+
+    // Registro I200 - Lançamento Contábil: |I200|NUM_LCTO|DT_LCTO|VL_LCTO|IND_LCTO|
     function parseRegistroI200ECD(campos) {
         return {
             tipo: 'lancamento_contabil',
             numeroLancamento: campos[2],
             dataLancamento: campos[3],
-            valorLancamento: parseFloat(campos[5].replace(',', '.')) || 0
+            valorLancamento: parseFloat((campos[4] || '').replace(',', '.')) || 0,
+            indicadorLancamento: campos[5] // N=Normal, E=Encerramento de resultado
         };
     }
 
@@ -895,22 +1643,21 @@ const SpedParser = (function() {
         }
     }
 
-    // Registro M210 - Detalhamento da Consolidação da Contribuição PIS
+    // Registro M210 - Detalhamento da Contribuição PIS por código de contribuição
+    // VL_REC_BRT e VL_BC_CONT ocupam as mesmas posições nos leiautes anterior e posterior a 2019
     function parseRegistroM210(campos) {
-        if (!validarEstruturaRegistro(campos, 8)) {
+        if (!validarEstruturaRegistro(campos, 5)) {
             console.warn('Registro M210 com estrutura insuficiente');
             return null;
         }
 
         try {
             return {
-                tipo: 'detalhamento_consolidacao',
+                tipo: 'base_contribuicao',
                 categoria: 'pis',
-                codigoReceita: validarCampo(campos, 3),
-                valorContribuicao: converterValorMonetario(validarCampo(campos, 4, '0')),
-                valorMulta: converterValorMonetario(validarCampo(campos, 5, '0')),
-                valorJuros: converterValorMonetario(validarCampo(campos, 6, '0')),
-                dataVencimento: validarCampo(campos, 7)
+                codigoContribuicao: validarCampo(campos, 2),
+                receitaBruta: converterValorMonetario(validarCampo(campos, 3, '0')),
+                baseCalculo: converterValorMonetario(validarCampo(campos, 4, '0'))
             };
         } catch (erro) {
             console.warn('Erro ao processar registro M210:', erro.message);
@@ -941,22 +1688,21 @@ const SpedParser = (function() {
         }
     }
 
-    // Registro M610 - Detalhamento da Consolidação da Contribuição COFINS
+    // Registro M610 - Detalhamento da Contribuição COFINS por código de contribuição
+    // VL_REC_BRT e VL_BC_CONT ocupam as mesmas posições nos leiautes anterior e posterior a 2019
     function parseRegistroM610(campos) {
-        if (!validarEstruturaRegistro(campos, 8)) {
+        if (!validarEstruturaRegistro(campos, 5)) {
             console.warn('Registro M610 com estrutura insuficiente');
             return null;
         }
 
         try {
             return {
-                tipo: 'detalhamento_consolidacao',
+                tipo: 'base_contribuicao',
                 categoria: 'cofins',
-                codigoReceita: validarCampo(campos, 3),
-                valorContribuicao: converterValorMonetario(validarCampo(campos, 4, '0')),
-                valorMulta: converterValorMonetario(validarCampo(campos, 5, '0')),
-                valorJuros: converterValorMonetario(validarCampo(campos, 6, '0')),
-                dataVencimento: validarCampo(campos, 7)
+                codigoContribuicao: validarCampo(campos, 2),
+                receitaBruta: converterValorMonetario(validarCampo(campos, 3, '0')),
+                baseCalculo: converterValorMonetario(validarCampo(campos, 4, '0'))
             };
         } catch (erro) {
             console.warn('Erro ao processar registro M610:', erro.message);
@@ -1025,8 +1771,12 @@ const SpedParser = (function() {
 
     /**
      * Integra dados extraídos ao resultado
+     * @param {Object} resultado - Dados extraídos do arquivo
+     * @param {Object} dados - Registro interpretado
+     * @param {string} tipoRegistro - Código do registro (ex.: 'C170')
+     * @param {Object} [detalhe] - Limite e linhas agregadas das coleções de detalhe (ver criarProcessador)
      */
-    function integrarDados(resultado, dados, tipoRegistro) {
+    function integrarDados(resultado, dados, tipoRegistro, detalhe) {
         if (!dados || !dados.tipo) {
             console.warn(`Dados inválidos para integração do registro ${tipoRegistro}`);
             return;
@@ -1043,19 +1793,57 @@ const SpedParser = (function() {
 
                 case 'documento':
                     if (dados.indOper !== undefined) {
+                        // Índice no arquivo; não identifica o documento após a combinação de arquivos
+                        dados.id = resultado.documentos.length;
                         resultado.documentos.push(dados);
                     }
                     break;
 
+                case 'documento_servico':
+                    if (!resultado.documentosServico) resultado.documentosServico = [];
+                    dados.id = resultado.documentosServico.length;
+                    resultado.documentosServico.push(dados);
+                    break;
+
                 case 'item':
                     if (dados.itemId || dados.descricao) {
-                        resultado.itens.push(dados);
+                        // C170 é filho do C100 imediatamente anterior
+                        const documentoAtual = resultado.documentos[resultado.documentos.length - 1];
+                        if (documentoAtual) {
+                            dados.documentoId = documentoAtual.id;
+                            dados.indOper = documentoAtual.indOper;
+                        }
+                        adicionarRegistroDetalhe(resultado, 'itens', dados, detalhe);
                     }
                     break;
 
+                case 'item_servico': {
+                    // A170 é filho do A100 imediatamente anterior
+                    const documentoServico = (resultado.documentosServico || [])[resultado.documentosServico.length - 1];
+                    if (documentoServico) {
+                        dados.documentoServicoId = documentoServico.id;
+                        dados.indOper = documentoServico.indOper;
+                    }
+                    adicionarRegistroDetalhe(resultado, 'itensServico', dados, detalhe);
+                    break;
+                }
+
+                case 'operacao_pis_cofins':
+                    adicionarRegistroDetalhe(resultado, 'demaisOperacoes', dados, detalhe);
+                    break;
+
+                case 'retencao_fonte':
+                    if (!resultado.retencoesFonte) resultado.retencoesFonte = [];
+                    resultado.retencoesFonte.push(dados);
+                    break;
+
+                case 'produto':
+                    if (!resultado.produtos) resultado.produtos = [];
+                    resultado.produtos.push(dados);
+                    break;
+
                 case 'item_analitico':
-                    if (!resultado.itensAnaliticos) resultado.itensAnaliticos = [];
-                    resultado.itensAnaliticos.push(dados);
+                    adicionarRegistroDetalhe(resultado, 'itensAnaliticos', dados, detalhe);
                     break;
 
                 case 'ajuste':
@@ -1079,6 +1867,14 @@ const SpedParser = (function() {
                     resultado.debitos[dados.categoria].push(dados);
                     break;
 
+                case 'base_contribuicao':
+                    if (!resultado.basesContribuicao) resultado.basesContribuicao = {};
+                    if (!resultado.basesContribuicao[dados.categoria]) {
+                        resultado.basesContribuicao[dados.categoria] = [];
+                    }
+                    resultado.basesContribuicao[dados.categoria].push(dados);
+                    break;
+
                 case 'credito':
                 case 'credito_detalhe':
                     if (!resultado.creditos[dados.categoria]) {
@@ -1140,10 +1936,32 @@ const SpedParser = (function() {
                     resultado.lancamentosContabeis.push(dados);
                     break;
 
-                case 'partida_lancamento':
+                case 'partida_lancamento': {
+                    // I250 é filho do I200 imediatamente anterior
                     if (!resultado.partidasLancamento) resultado.partidasLancamento = [];
+                    const lancamento = (resultado.lancamentosContabeis || [])[resultado.lancamentosContabeis.length - 1];
+                    if (lancamento) {
+                        dados.numeroLancamento = lancamento.numeroLancamento;
+                        dados.dataLancamento = lancamento.dataLancamento;
+                        dados.indicadorLancamento = lancamento.indicadorLancamento;
+                    }
                     resultado.partidasLancamento.push(dados);
                     break;
+                }
+
+                case 'conta_contabil':
+                    if (!resultado.planoContas) resultado.planoContas = [];
+                    resultado.planoContas.push(dados);
+                    break;
+
+                case 'conta_referencial': {
+                    // I051 é filho do I050 imediatamente anterior
+                    const conta = (resultado.planoContas || [])[resultado.planoContas.length - 1];
+                    if (conta && dados.codigoReferencial) {
+                        conta.contasReferenciais.push(dados.codigoReferencial);
+                    }
+                    break;
+                }
 
                 case 'balanco_patrimonial':
                     if (!resultado.balancoPatrimonial) resultado.balancoPatrimonial = [];
@@ -1163,9 +1981,255 @@ const SpedParser = (function() {
         }
     }
 
+    /**
+     * Combina os resultados de múltiplos arquivos SPED
+     * @param {Array} resultados - Array de resultados por arquivo
+     * @returns {Object} Dados combinados
+     */
+    function combinarResultados(resultados) {
+        // Inicializa objeto combinado com estrutura expandida
+        const combinado = {
+            empresa: {},
+            documentos: [],
+            documentosServico: [],
+            itens: [],
+            itensServico: [],
+            itensAnaliticos: [],
+            demaisOperacoes: [],
+            retencoesFonte: [],
+            produtos: [],
+            impostos: {},
+            creditos: {},
+            debitos: {}, // Adicionar para garantir estrutura correta
+            basesContribuicao: {},
+            regimes: {},
+            ajustes: {},
+            receitasNaoTributadas: {},
+            balancoPatrimonial: [],
+            demonstracaoResultado: [],
+            lancamentosContabeis: [],
+            partidasLancamento: [],
+            planoContas: [],
+            calculoImposto: {},
+            incentivosFiscais: [],
+            participantes: [],
+            inventario: [],
+            discriminacaoReceita: [],
+            metadados: {
+                arquivosProcessados: []
+            }
+        };
+
+        // Combina os resultados com validação estrutural
+        resultados.forEach(resultado => {
+            if (!resultado || typeof resultado !== 'object') return;
+
+            // Arquivos salvos antes da marcação de competência ainda não a possuem
+            if (resultado.empresa) {
+                marcarCompetencia(resultado);
+            }
+
+            // Registra o arquivo processado
+            if (resultado.metadados) {
+                combinado.metadados.arquivosProcessados.push(resultado.metadados);
+            }
+
+            // Dados da empresa - prioriza o que tem nome preenchido
+            if (resultado.empresa && Object.keys(resultado.empresa).length > 0) {
+                const nomeEmpresaAtual = resultado.empresa.nome || '';
+                const nomeEmpresaExistente = combinado.empresa.nome || '';
+
+                // Prioriza resultado com nome da empresa preenchido
+                if (nomeEmpresaAtual && (!nomeEmpresaExistente || 
+                     Object.keys(combinado.empresa).length < Object.keys(resultado.empresa).length)) {
+                    combinado.empresa = {...resultado.empresa};
+                }
+            }
+
+            // Arrays simples (concatena todos)
+            const arrayProps = [
+                'documentos', 'documentosServico', 'itens', 'itensServico', 'itensAnaliticos', 'demaisOperacoes',
+                'retencoesFonte', 'produtos', 'balancoPatrimonial', 
+                'demonstracaoResultado', 'lancamentosContabeis', 'partidasLancamento', 'planoContas',
+                'incentivosFiscais', 'participantes', 'inventario', 'discriminacaoReceita'
+            ];
+
+            arrayProps.forEach(prop => {
+                if (Array.isArray(resultado[prop])) {
+                    combinado[prop] = combinado[prop].concat(resultado[prop] || []);
+                }
+            });
+
+            // Registros de detalhe somados em linhas agregadas (acima do limite do processador)
+            Object.entries(resultado.registrosAgregados || {}).forEach(([colecao, quantidade]) => {
+                if (!combinado.registrosAgregados) combinado.registrosAgregados = {};
+                combinado.registrosAgregados[colecao] = (combinado.registrosAgregados[colecao] || 0) + quantidade;
+            });
+
+            // Objetos de arrays categorizados (mescla por categoria)
+            const objArrayProps = ['impostos', 'creditos', 'debitos', 'basesContribuicao', 'receitasNaoTributadas', 'ajustes'];
+
+            objArrayProps.forEach(prop => {
+                if (resultado[prop] && typeof resultado[prop] === 'object') {
+                    Object.entries(resultado[prop]).forEach(([categoria, valores]) => {
+                        if (!combinado[prop][categoria]) {
+                            combinado[prop][categoria] = [];
+                        }
+                        if (Array.isArray(valores)) {
+                            combinado[prop][categoria] = combinado[prop][categoria].concat(valores);
+                        }
+                    });
+                }
+            });
+
+            // Objetos simples (mescla com preferência para dados mais detalhados)
+            const objProps = ['regimes', 'calculoImposto'];
+
+            objProps.forEach(prop => {
+                if (resultado[prop] && typeof resultado[prop] === 'object') {
+                    if (!combinado[prop]) combinado[prop] = {};
+
+                    Object.entries(resultado[prop]).forEach(([chave, valor]) => {
+                        // Se já existir, verifica qual é mais completo
+                        if (!combinado[prop][chave] || 
+                            (typeof valor === 'object' && 
+                             Object.keys(valor).length > Object.keys(combinado[prop][chave]).length)) {
+                            combinado[prop][chave] = {...valor};
+                        }
+                    });
+                }
+            });
+
+            // Valores calculados - propriedades numéricas no nível raiz do objeto
+            const valorProps = [
+                'receitaBruta', 'receitaLiquida', 'lucroBruto', 'resultadoOperacional',
+                'lucroLiquido', 'saldoClientes', 'saldoEstoques', 'saldoFornecedores',
+                'ativoCirculante', 'passivoCirculante', 'capitalGiro', 'aliquotaEfetivaIRPJ',
+                'aliquotaEfetivaCSLL', 'percentualExportacao', 'valorTotalIncentivos'
+            ];
+
+            valorProps.forEach(prop => {
+                if (typeof resultado[prop] === 'number' && (!combinado[prop] || combinado[prop] === 0)) {
+                    combinado[prop] = resultado[prop];
+                }
+            });
+        });
+
+        // Processa relações cruzadas entre os dados após a combinação
+        processarRelacoesCruzadas(combinado);
+
+        return combinado;
+    }
+    
+    /**
+     * Processa relações cruzadas entre dados de diferentes arquivos
+     * @param {Object} dados - Dados combinados
+     */
+    function processarRelacoesCruzadas(dados) {
+        // Relaciona documentos com participantes
+        if (dados.documentos.length > 0 && dados.participantes.length > 0) {
+            const participantesPorCodigo = {};
+
+            dados.participantes.forEach(participante => {
+                if (participante.codigo) {
+                    participantesPorCodigo[participante.codigo] = participante;
+                }
+            });
+
+            dados.documentos.forEach(doc => {
+                if (doc.codPart && participantesPorCodigo[doc.codPart]) {
+                    doc.participante = participantesPorCodigo[doc.codPart];
+                }
+            });
+        }
+
+        // Itens e documentos já foram relacionados em cada arquivo (processarRelacoesEntreDados):
+        // documentoId é o índice do documento no próprio arquivo e se repete entre arquivos
+
+        // Calcula valores agregados
+        calcularValoresAgregados(dados);
+    }
+    
+    /**
+     * Calcula valores agregados a partir dos dados combinados
+     * @param {Object} dados - Dados combinados
+     */
+    function calcularValoresAgregados(dados) {
+        // Se não tiver dados contábeis da ECD, tenta calcular com base nos documentos fiscais
+        if (!dados.receitaBruta && dados.documentos.length > 0) {
+            // Calcular receita bruta com base nos documentos de saída
+            const documentosSaida = dados.documentos.filter(doc => 
+                doc.indOper === '1' && // Saída
+                doc.situacao === '00'  // Documento regular
+            );
+
+            if (documentosSaida.length > 0) {
+                // Agrupa por mês/ano
+                const receitaPorMes = {};
+                let dataInicial = null;
+                let dataFinal = null;
+
+                documentosSaida.forEach(doc => {
+                    if (!doc.dataEmissao) return;
+
+                    // Formata data para YYYY-MM
+                    const dataEmissao = doc.dataEmissao.replace(/(\d{2})(\d{2})(\d{4})/, '$3-$2');
+                    const valorDoc = doc.valorTotal || 0;
+
+                    if (!receitaPorMes[dataEmissao]) {
+                        receitaPorMes[dataEmissao] = 0;
+                    }
+
+                    receitaPorMes[dataEmissao] += valorDoc;
+
+                    // Atualiza período de análise
+                    const dataObj = new Date(doc.dataEmissao.replace(/(\d{2})(\d{2})(\d{4})/, '$2/$1/$3'));
+
+                    if (!dataInicial || dataObj < dataInicial) {
+                        dataInicial = dataObj;
+                    }
+
+                    if (!dataFinal || dataObj > dataFinal) {
+                        dataFinal = dataObj;
+                    }
+                });
+
+                // Calcula receita média mensal
+                if (Object.keys(receitaPorMes).length > 0) {
+                    const totalReceita = Object.values(receitaPorMes).reduce((sum, val) => sum + val, 0);
+                    dados.receitaBruta = totalReceita * 12 / Object.keys(receitaPorMes).length;
+                }
+            }
+        }
+
+        // Se não tiver informações de ciclo financeiro, calcula com base nos dados disponíveis
+        if (!dados.saldoClientes && dados.balancoPatrimonial && dados.balancoPatrimonial.length > 0) {
+            // Busca contas de clientes no balanço
+            const contasClientes = dados.balancoPatrimonial.filter(conta => 
+                (conta.codigoConta.startsWith('1.1.2') || // Ativo Circulante > Créditos
+                 conta.descricaoConta.toLowerCase().includes('client')) && 
+                conta.naturezaSaldo === 'D' // Saldo devedor
+            );
+
+            if (contasClientes.length > 0) {
+                dados.saldoClientes = contasClientes.reduce((sum, conta) => sum + conta.saldoFinal, 0);
+            }
+        }
+
+        // Calcula valores para resultado operacional
+        if (!dados.resultadoOperacional && dados.lucroBruto) {
+            // Estimativa simples baseada em margem típica
+            dados.resultadoOperacional = dados.lucroBruto * 0.7; // 70% do lucro bruto
+        }
+    }
+    
     // Interface pública
     return {
         processarArquivo,
+        processarArquivoEmPartes,
+        processarArquivoEmWorker,
+        processarConteudo,
+        combinarResultados,
         tiposSuportados: Object.keys(registrosMapeados)
     };
 })();
\ No newline at end of file
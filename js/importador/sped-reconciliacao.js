@@ -0,0 +1,235 @@
+/**
+ * SpedReconciliacao - Módulo de conciliação de receitas entre escriturações
+ * Compara o faturamento informado nos documentos fiscais (EFD ICMS/IPI e A100), nas bases
+ * da EFD Contribuições (M210/M610), na ECF (Y540) e na ECD (J150), aponta divergências
+ * acima da tolerância e permite escolher a fonte que define faturamento e margem.
+ */
+const SpedReconciliacao = (function() {
+    /**
+     * Divergência relativa aceita entre as fontes (5%)
+     * @type {number}
+     */
+    const TOLERANCIA_PADRAO = 0.05;
+
+    /**
+     * Ordem de preferência da fonte padrão: da escrituração mais abrangente para a mais parcial
+     * @type {Array<string>}
+     */
+    const PRIORIDADE_FONTES = ['ecd', 'ecf', 'documentos', 'contribuicoes'];
+
+    const situacoesIgnoradas = ['02', '03', '04', '05'];
+
+    /**
+     * Calcula a média dos meses que possuem valor
+     * @param {Object} valoresPorMes - Competência (AAAA-MM) -> valor
+     * @returns {Object|null} { media, meses } ou null se não houver meses
+     */
+    function calcularMediaMensal(valoresPorMes) {
+        const meses = Object.keys(valoresPorMes);
+        if (meses.length === 0) return null;
+
+        const total = meses.reduce((soma, mes) => soma + valoresPorMes[mes], 0);
+        return { media: total / meses.length, meses: meses.length };
+    }
+
+    /**
+     * Receita dos documentos de saída (C100, D100, D500, A100), pela data de emissão
+     */
+    function obterFonteDocumentos(dadosSped) {
+        const porMes = {};
+        (dadosSped.documentos || []).concat(dadosSped.documentosServico || []).forEach(doc => {
+            if (doc.indOper !== '1' || situacoesIgnoradas.includes(doc.situacao)) return;
+            if (!/^\d{8}$/.test(doc.dataEmissao || '')) return;
+
+            const competencia = `${doc.dataEmissao.substr(4, 4)}-${doc.dataEmissao.substr(2, 2)}`;
+            porMes[competencia] = (porMes[competencia] || 0) + (doc.valorTotal || 0);
+        });
+
+        const media = calcularMediaMensal(porMes);
+        return media && {
+            id: 'documentos',
+            descricao: 'Documentos fiscais de saída (C100, D100, D500, A100)',
+            faturamentoMensal: media.media,
+            margem: null,
+            meses: media.meses
+        };
+    }
+
+    /**
+     * Receita bruta declarada nas bases de cálculo da EFD Contribuições
+     * Usa o M210 (PIS); o M610 (COFINS) é usado apenas quando o M210 não foi escriturado,
+     * pois ambos repetem a mesma receita.
+     */
+    function obterFonteContribuicoes(dadosSped) {
+        const bases = dadosSped.basesContribuicao || {};
+        const registros = (bases.pis && bases.pis.length > 0) ? bases.pis : (bases.cofins || []);
+
+        const porMes = {};
+        registros.forEach(base => {
+            const competencia = base.competencia || 'sem-competencia';
+            porMes[competencia] = (porMes[competencia] || 0) + (base.receitaBruta || 0);
+        });
+
+        const media = calcularMediaMensal(porMes);
+        return media && media.media > 0 && {
+            id: 'contribuicoes',
+            descricao: 'EFD Contribuições - receita bruta (M210/M610)',
+            faturamentoMensal: media.media,
+            margem: null,
+            meses: media.meses
+        };
+    }
+
+    /**
+     * Receita bruta anual da ECF: soma da receita por estabelecimento (Y540)
+     * A receita da DRE (N500, linha 3.01) é líquida das deduções e não é comparável às demais
+     * fontes, todas brutas; ela é usada apenas como base da margem.
+     */
+    function obterFonteEcf(dadosSped) {
+        const receitaY540 = (dadosSped.discriminacaoReceita || [])
+            .reduce((soma, item) => soma + (item.valorReceita || 0), 0);
+        if (!(receitaY540 > 0)) return null;
+
+        const dre = dadosSped.dre || {};
+        const receitaLiquida = dre.receita_liquida ? dre.receita_liquida.valor : 0;
+        const resultadoOperacional = dre.resultado_operacional ? dre.resultado_operacional.valor : null;
+        return {
+            id: 'ecf',
+            descricao: 'ECF - receita bruta por estabelecimento (Y540)',
+            faturamentoMensal: receitaY540 / 12,
+            margem: resultadoOperacional !== null && receitaLiquida > 0 ? resultadoOperacional / receitaLiquida : null,
+            meses: 12
+        };
+    }
+
+    /**
+     * Receita anual da ECD: contas da demonstração de resultado (J150) classificadas como receita
+     * bruta pelo PlanoReferencialRepository, como no ciclo contábil do SpedExtractor
+     * Soma as contas diretamente porque o receitaBruta combinado é estimado pelos documentos fiscais
+     * quando não há ECD; a margem usa a receita líquida e o resultado operacional do SpedParser.
+     */
+    function obterFonteEcd(dadosSped) {
+        const repositorio = window.PlanoReferencialRepository;
+        const contas = dadosSped.demonstracaoResultado || [];
+        if (!repositorio || contas.length === 0) return null;
+
+        const planoPorConta = {};
+        (dadosSped.planoContas || []).forEach(conta => {
+            planoPorConta[conta.codigoConta] = conta;
+        });
+
+        const receitas = contas.filter(conta => {
+            if (conta.naturezaSaldo !== 'C') return false;
+            const plano = planoPorConta[conta.codigoConta];
+            return repositorio.classificarConta({
+                codigoConta: conta.codigoConta,
+                descricaoConta: conta.descricaoConta || (plano ? plano.descricaoConta : '')
+            }, plano ? plano.contasReferenciais : []) === 'receitaBruta';
+        });
+
+        // Sem repetir contas já somadas pela conta superior
+        const receitaBruta = receitas
+            .filter(conta => !receitas.some(superior => superior !== conta &&
+                String(superior.codigoConta).length < String(conta.codigoConta).length &&
+                String(conta.codigoConta).startsWith(superior.codigoConta)))
+            .reduce((soma, conta) => soma + Math.abs(conta.saldoFinal || 0), 0);
+        if (!(receitaBruta > 0)) return null;
+
+        const receitaLiquida = dadosSped.receitaLiquida || 0;
+        const resultadoOperacional = dadosSped.resultadoOperacional || 0;
+        return {
+            id: 'ecd',
+            descricao: 'ECD - receita bruta (J150)',
+            faturamentoMensal: receitaBruta / 12,
+            margem: resultadoOperacional && receitaLiquida > 0 ? resultadoOperacional / receitaLiquida : null,
+            meses: 12
+        };
+    }
+
+    /**
+     * Recalcula as divergências de cada fonte em relação à fonte escolhida
+     * @param {Object} reconciliacao - Resultado de reconciliar
+     */
+    function calcularDivergencias(reconciliacao) {
+        const referencia = reconciliacao.fontes.find(fonte => fonte.id === reconciliacao.fonteEscolhida);
+
+        reconciliacao.fontes.forEach(fonte => {
+            if (!referencia || fonte === referencia || !(referencia.faturamentoMensal > 0)) {
+                fonte.divergencia = 0;
+                fonte.divergente = false;
+                return;
+            }
+
+            fonte.divergencia = (fonte.faturamentoMensal - referencia.faturamentoMensal) / referencia.faturamentoMensal;
+            fonte.divergente = Math.abs(fonte.divergencia) > reconciliacao.tolerancia;
+        });
+
+        reconciliacao.divergencias = reconciliacao.fontes.filter(fonte => fonte.divergente).map(fonte => ({
+            fonte: fonte.id,
+            referencia: referencia.id,
+            divergencia: fonte.divergencia,
+            mensagem: `${fonte.descricao} diverge ${(fonte.divergencia * 100).toFixed(1)}% de ${referencia.descricao}`
+        }));
+    }
+
+    /**
+     * Concilia a receita entre as escriturações importadas
+     * @param {Object} dadosSped - Dados SPED combinados (SpedParser.combinarResultados)
+     * @param {Object} [opcoes] - Opções
+     * @param {number} [opcoes.tolerancia=0.05] - Divergência relativa aceita
+     * @param {string} [opcoes.fonte] - Fonte escolhida; sem ela, a mais abrangente disponível
+     * @returns {Object} { fontes, fonteEscolhida, tolerancia, divergencias }
+     */
+    function reconciliar(dadosSped, opcoes = {}) {
+        const fontes = [
+            obterFonteEcd(dadosSped),
+            obterFonteEcf(dadosSped),
+            obterFonteDocumentos(dadosSped),
+            obterFonteContribuicoes(dadosSped)
+        ].filter(Boolean);
+
+        const disponivel = id => fontes.some(fonte => fonte.id === id);
+        const reconciliacao = {
+            fontes: fontes,
+            fonteEscolhida: disponivel(opcoes.fonte) ? opcoes.fonte : (PRIORIDADE_FONTES.find(disponivel) || null),
+            tolerancia: typeof opcoes.tolerancia === 'number' ? opcoes.tolerancia : TOLERANCIA_PADRAO,
+            divergencias: []
+        };
+
+        calcularDivergencias(reconciliacao);
+        return reconciliacao;
+    }
+
+    /**
+     * Troca a fonte que define faturamento e margem
+     * @param {Object} reconciliacao - Resultado de reconciliar (alterado no local)
+     * @param {string} idFonte - Identificador da fonte
+     * @returns {Object|null} A fonte escolhida ou null se não estiver disponível
+     */
+    function escolherFonte(reconciliacao, idFonte) {
+        const fonte = reconciliacao.fontes.find(f => f.id === idFonte);
+        if (!fonte) return null;
+
+        reconciliacao.fonteEscolhida = idFonte;
+        calcularDivergencias(reconciliacao);
+        return fonte;
+    }
+
+    /**
+     * Obtém a fonte escolhida
+     * @param {Object} reconciliacao - Resultado de reconciliar
+     * @returns {Object|null} Fonte { id, descricao, faturamentoMensal, margem, meses }
+     */
+    function obterFonteEscolhida(reconciliacao) {
+        if (!reconciliacao) return null;
+        return reconciliacao.fontes.find(fonte => fonte.id === reconciliacao.fonteEscolhida) || null;
+    }
+
+    // Interface pública
+    return {
+        reconciliar,
+        escolherFonte,
+        obterFonteEscolhida,
+        TOLERANCIA_PADRAO
+    };
+})();
@@ -0,0 +1,402 @@
+/**
+ * SpedValidator - Módulo de validação estrutural de arquivos SPED
+ * Verifica a hierarquia entre registros pai e filho, a abertura e o encerramento
+ * dos blocos, os contadores do bloco 9 e a consistência dos períodos entre arquivos,
+ * gerando um relatório de erros e avisos antes que os dados alimentem o simulador.
+ */
+const SpedValidator = (function() {
+    /**
+     * Registros filhos e o registro pai que deve precedê-los
+     * O pai permanece aberto enquanto os registros seguintes forem do mesmo grupo
+     * (mesmo bloco e mesma centena, ex.: C1xx para o C100).
+     */
+    const hierarquia = {
+        'A170': 'A100',
+        'C170': 'C100',
+        'C190': 'C100',
+        'D190': 'D100',
+        'D590': 'D500',
+        'E111': 'E110',
+        'E210': 'E200',
+        'I051': 'I050',
+        'I250': 'I200',
+        'M105': 'M100',
+        'M205': 'M200',
+        'M210': 'M200',
+        'M505': 'M500',
+        'M605': 'M600',
+        'M610': 'M600'
+    };
+
+    /**
+     * Limite de ocorrências guardadas por arquivo; as demais são apenas contadas
+     * @type {number}
+     */
+    const LIMITE_OCORRENCIAS = 500;
+
+    /**
+     * Cria um validador incremental para um arquivo SPED
+     * Deve receber todas as linhas do arquivo, na ordem, inclusive as vazias,
+     * para que os números de linha do relatório correspondam ao arquivo.
+     * @returns {Object} { processarLinha(campos), finalizar(tipoSped) } - finalizar retorna o relatório do arquivo
+     */
+    function criarValidador() {
+        const relatorio = {
+            tipoSped: null,
+            erros: [],
+            avisos: [],
+            ocorrenciasOmitidas: 0,
+            totalLinhas: 0,
+            registros: {}
+        };
+
+        let numeroLinha = 0;
+        let ultimaLinhaRegistro = 0;        // Ocorrências de fim de arquivo apontam para a última linha com registro
+        const paisAbertos = {};             // registro pai -> linha em que foi aberto
+        const blocos = {};                  // letra -> { abertura, encerramento, indicadorMovimento, quantidadeDeclarada, linhas }
+        const contadoresDeclarados = {};    // registro -> { quantidade, linha } (9900)
+        let totalDeclarado = null;          // 9999
+
+        const registrar = function(lista, linha, registro, mensagem) {
+            if (relatorio.erros.length + relatorio.avisos.length >= LIMITE_OCORRENCIAS) {
+                relatorio.ocorrenciasOmitidas++;
+                return;
+            }
+            lista.push({ linha, registro, mensagem });
+        };
+
+        const erro = (linha, registro, mensagem) => registrar(relatorio.erros, linha, registro, mensagem);
+        const aviso = (linha, registro, mensagem) => registrar(relatorio.avisos, linha, registro, mensagem);
+
+        const obterBloco = function(letra) {
+            if (!blocos[letra]) {
+                blocos[letra] = { abertura: null, encerramento: null, indicadorMovimento: null, quantidadeDeclarada: null, linhas: 0 };
+            }
+            return blocos[letra];
+        };
+
+        /**
+         * Verifica abertura (X001), encerramento (X990) e a posição do registro dentro do bloco
+         */
+        const validarBloco = function(campos, registro) {
+            const letra = registro.charAt(0);
+            const bloco = obterBloco(letra);
+            bloco.linhas++;
+
+            if (registro.substr(1) === '001') {
+                if (bloco.abertura !== null) {
+                    erro(numeroLinha, registro, `Bloco ${letra} aberto mais de uma vez (primeira abertura na linha ${bloco.abertura})`);
+                }
+                bloco.abertura = numeroLinha;
+                bloco.indicadorMovimento = campos[2] || '';
+                return;
+            }
+
+            // O registro 0000 antecede a abertura do bloco 0
+            if (registro === '0000') return;
+
+            if (bloco.abertura === null) {
+                erro(numeroLinha, registro, `Registro fora de bloco: ${letra}001 não encontrado antes desta linha`);
+            } else if (bloco.encerramento !== null && registro !== '9999') {
+                erro(numeroLinha, registro, `Registro após o encerramento do bloco ${letra} (${letra}990 na linha ${bloco.encerramento})`);
+            }
+
+            if (registro.substr(1) === '990') {
+                bloco.encerramento = numeroLinha;
+                bloco.quantidadeDeclarada = parseInt(campos[2], 10);
+            }
+        };
+
+        /**
+         * Verifica se o registro filho está sob um registro pai aberto
+         */
+        const validarHierarquia = function(registro) {
+            // Fecha os pais cujo grupo terminou
+            Object.keys(paisAbertos).forEach(pai => {
+                if (pai.substr(0, 2) !== registro.substr(0, 2) || pai === registro) {
+                    delete paisAbertos[pai];
+                }
+            });
+
+            const pai = hierarquia[registro];
+            if (pai && paisAbertos[pai] === undefined) {
+                erro(numeroLinha, registro, `Registro ${registro} sem o registro pai ${pai}`);
+            }
+
+            if (Object.values(hierarquia).includes(registro)) {
+                paisAbertos[registro] = numeroLinha;
+            }
+        };
+
+        return {
+            processarLinha: function(campos) {
+                numeroLinha++;
+
+                const registro = campos[1];
+                if (campos.length === 1 && !campos[0].trim()) return; // Linha vazia
+
+                if (campos[0] !== '' || !/^[0-9A-Z]\d{3}$/.test(registro || '')) {
+                    erro(numeroLinha, registro || '', 'Linha fora do leiaute SPED (esperado |REG|...|)');
+                    return;
+                }
+
+                relatorio.totalLinhas++;
+                ultimaLinhaRegistro = numeroLinha;
+                relatorio.registros[registro] = (relatorio.registros[registro] || 0) + 1;
+
+                if (relatorio.totalLinhas === 1 && registro !== '0000') {
+                    erro(numeroLinha, registro, 'O arquivo deve começar pelo registro 0000');
+                }
+
+                validarBloco(campos, registro);
+                validarHierarquia(registro);
+
+                if (registro === '9900') {
+                    const registroContado = campos[2];
+                    if (contadoresDeclarados[registroContado]) {
+                        aviso(numeroLinha, registro, `Registro ${registroContado} totalizado mais de uma vez no 9900`);
+                    }
+                    contadoresDeclarados[registroContado] = { quantidade: parseInt(campos[3], 10), linha: numeroLinha };
+                } else if (registro === '9999') {
+                    totalDeclarado = { quantidade: parseInt(campos[2], 10), linha: numeroLinha };
+                }
+            },
+
+            finalizar: function(tipoSped) {
+                relatorio.tipoSped = tipoSped || null;
+
+                // Blocos: encerramento, quantidade de linhas (X990) e indicador de movimento (X001)
+                Object.keys(blocos).sort().forEach(letra => {
+                    const bloco = blocos[letra];
+                    if (bloco.abertura === null) return; // Já apontado como registro fora de bloco
+
+                    if (bloco.encerramento === null) {
+                        erro(bloco.abertura, `${letra}001`, `Bloco ${letra} sem o registro de encerramento ${letra}990`);
+                        return;
+                    }
+
+                    if (bloco.quantidadeDeclarada !== bloco.linhas) {
+                        erro(bloco.encerramento, `${letra}990`,
+                             `Quantidade de linhas do bloco ${letra} declarada (${bloco.quantidadeDeclarada}) difere da encontrada (${bloco.linhas})`);
+                    }
+
+                    // IND_MOV: 0 = bloco com dados, 1 = bloco sem dados (apenas abertura e encerramento)
+                    const possuiDados = bloco.linhas > (letra === '0' ? 3 : 2);
+                    if (bloco.indicadorMovimento === '1' && possuiDados && letra !== '9') {
+                        aviso(bloco.abertura, `${letra}001`, `Bloco ${letra} declarado sem movimento, mas possui registros`);
+                    } else if (bloco.indicadorMovimento === '0' && !possuiDados) {
+                        aviso(bloco.abertura, `${letra}001`, `Bloco ${letra} declarado com movimento, mas não possui registros`);
+                    }
+                });
+
+                // Contadores do bloco 9
+                if (relatorio.totalLinhas > 0) {
+                    if (Object.keys(contadoresDeclarados).length === 0) {
+                        aviso(ultimaLinhaRegistro, '9900', 'Arquivo sem os totalizadores de registros (9900)');
+                    } else {
+                        Object.keys(relatorio.registros).forEach(registro => {
+                            const declarado = contadoresDeclarados[registro];
+                            const encontrado = relatorio.registros[registro];
+                            if (!declarado) {
+                                erro(ultimaLinhaRegistro, '9900', `Registro ${registro} sem totalização no 9900 (${encontrado} ocorrências)`);
+                            } else if (declarado.quantidade !== encontrado) {
+                                erro(declarado.linha, '9900',
+                                     `Quantidade do registro ${registro} declarada (${declarado.quantidade}) difere da encontrada (${encontrado})`);
+                            }
+                        });
+
+                        Object.keys(contadoresDeclarados).forEach(registro => {
+                            if (!relatorio.registros[registro]) {
+                                erro(contadoresDeclarados[registro].linha, '9900', `Registro ${registro} totalizado no 9900, mas ausente no arquivo`);
+                            }
+                        });
+                    }
+
+                    if (!totalDeclarado) {
+                        erro(ultimaLinhaRegistro, '9999', 'Arquivo sem o registro de encerramento 9999');
+                    } else if (totalDeclarado.quantidade !== relatorio.totalLinhas) {
+                        erro(totalDeclarado.linha, '9999',
+                             `Quantidade total de linhas declarada (${totalDeclarado.quantidade}) difere da encontrada (${relatorio.totalLinhas})`);
+                    }
+                }
+
+                relatorio.erros.sort((a, b) => a.linha - b.linha);
+                relatorio.avisos.sort((a, b) => a.linha - b.linha);
+
+                return relatorio;
+            }
+        };
+    }
+
+    /**
+     * Converte uma data DDMMAAAA em competência AAAA-MM
+     * @param {string} data - Data do registro 0000
+     * @returns {string|null} Competência ou null se inválida
+     */
+    function obterCompetencia(data) {
+        const texto = String(data || '');
+        return /^\d{8}$/.test(texto) ? `${texto.substr(4, 4)}-${texto.substr(2, 2)}` : null;
+    }
+
+    /**
+     * Avança uma competência AAAA-MM em um mês
+     * @param {string} competencia - Competência
+     * @returns {string} Competência seguinte
+     */
+    function proximaCompetencia(competencia) {
+        let ano = parseInt(competencia.substr(0, 4), 10);
+        let mes = parseInt(competencia.substr(5, 2), 10) + 1;
+        if (mes > 12) {
+            mes = 1;
+            ano++;
+        }
+        return `${ano}-${String(mes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Verifica a consistência dos períodos entre os arquivos importados
+     * EFD ICMS/IPI e EFD Contribuições são mensais: aponta arquivos com mais de um mês,
+     * períodos repetidos, meses faltantes na sequência, CNPJs diferentes e meses
+     * presentes em um tipo de escrituração e ausentes no outro.
+     * @param {Array<Object>} resultados - Resultados do SpedParser, com metadados.nomeArquivo (e tipoArquivo, se informado)
+     * @returns {Object} { erros, avisos } - Ocorrências com { arquivo, mensagem }
+     */
+    function validarPeriodos(resultados) {
+        const erros = [];
+        const avisos = [];
+        const competenciasPorTipo = {};
+        const cnpjs = new Set();
+
+        resultados.forEach(resultado => {
+            if (!resultado || !resultado.empresa) return;
+
+            const arquivo = resultado.metadados?.nomeArquivo || '';
+            const tipo = resultado.metadados?.tipoArquivo || resultado.validacao?.tipoSped || 'fiscal';
+            const cnpj = String(resultado.empresa.cnpj || '').replace(/\D/g, '');
+            if (cnpj) cnpjs.add(cnpj);
+
+            // ECF e ECD são anuais e não entram na sequência mensal
+            if (tipo !== 'fiscal' && tipo !== 'contribuicoes') return;
+
+            const inicio = obterCompetencia(resultado.empresa.dataInicial);
+            const fim = obterCompetencia(resultado.empresa.dataFinal);
+            if (!inicio || !fim) {
+                erros.push({ arquivo, mensagem: 'Período do registro 0000 ausente ou inválido' });
+                return;
+            }
+
+            const dataInicial = resultado.empresa.dataInicial.replace(/(\d{2})(\d{2})(\d{4})/, '$3$2$1');
+            const dataFinal = resultado.empresa.dataFinal.replace(/(\d{2})(\d{2})(\d{4})/, '$3$2$1');
+            if (dataFinal < dataInicial) {
+                erros.push({ arquivo, mensagem: `Data final (${resultado.empresa.dataFinal}) anterior à data inicial (${resultado.empresa.dataInicial})` });
+                return;
+            }
+            if (inicio !== fim) {
+                avisos.push({ arquivo, mensagem: `Escrituração abrange mais de um mês (${inicio} a ${fim})` });
+            }
+
+            const chave = `${cnpj}|${tipo}`;
+            if (!competenciasPorTipo[chave]) competenciasPorTipo[chave] = {};
+            if (competenciasPorTipo[chave][inicio]) {
+                erros.push({ arquivo, mensagem: `Competência ${inicio} (${tipo}) já importada no arquivo ${competenciasPorTipo[chave][inicio]}` });
+                return;
+            }
+            competenciasPorTipo[chave][inicio] = arquivo;
+        });
+
+        if (cnpjs.size > 1) {
+            erros.push({ arquivo: '', mensagem: `Arquivos de CNPJs diferentes na mesma importação: ${Array.from(cnpjs).join(', ')}` });
+        }
+
+        // Meses faltantes na sequência de cada tipo
+        Object.keys(competenciasPorTipo).forEach(chave => {
+            const [cnpj, tipo] = chave.split('|');
+            const competencias = Object.keys(competenciasPorTipo[chave]).sort();
+            for (let i = 1; i < competencias.length; i++) {
+                let esperada = proximaCompetencia(competencias[i - 1]);
+                while (esperada < competencias[i]) {
+                    avisos.push({ arquivo: '', mensagem: `Competência ${esperada} ausente na sequência de arquivos ${tipo} do CNPJ ${cnpj}` });
+                    esperada = proximaCompetencia(esperada);
+                }
+            }
+        });
+
+        // Meses com apenas uma das escriturações
+        cnpjs.forEach(cnpj => {
+            const fiscal = competenciasPorTipo[`${cnpj}|fiscal`];
+            const contribuicoes = competenciasPorTipo[`${cnpj}|contribuicoes`];
+            if (!fiscal || !contribuicoes) return;
+
+            Object.keys(fiscal).filter(c => !contribuicoes[c]).forEach(competencia => {
+                avisos.push({ arquivo: fiscal[competencia], mensagem: `Competência ${competencia} sem a EFD Contribuições correspondente` });
+            });
+            Object.keys(contribuicoes).filter(c => !fiscal[c]).forEach(competencia => {
+                avisos.push({ arquivo: contribuicoes[competencia], mensagem: `Competência ${competencia} sem a EFD ICMS/IPI correspondente` });
+            });
+        });
+
+        return { erros, avisos };
+    }
+
+    /**
+     * Consolida a validação de todos os arquivos de uma importação
+     * @param {Array<Object>} resultados - Resultados do SpedParser (com a propriedade validacao)
+     * @returns {Object} { arquivos, periodos, totalErros, totalAvisos }
+     */
+    function consolidarRelatorio(resultados) {
+        const arquivos = resultados.filter(Boolean).map(resultado => {
+            const validacao = resultado.validacao || { erros: [], avisos: [], ocorrenciasOmitidas: 0, totalLinhas: 0 };
+            return {
+                nomeArquivo: resultado.metadados?.nomeArquivo || '',
+                tipoArquivo: resultado.metadados?.tipoArquivo || validacao.tipoSped || '',
+                totalLinhas: validacao.totalLinhas,
+                erros: validacao.erros,
+                avisos: validacao.avisos,
+                ocorrenciasOmitidas: validacao.ocorrenciasOmitidas
+            };
+        });
+
+        const periodos = validarPeriodos(resultados);
+
+        return {
+            arquivos,
+            periodos,
+            totalErros: arquivos.reduce((soma, a) => soma + a.erros.length, 0) + periodos.erros.length,
+            totalAvisos: arquivos.reduce((soma, a) => soma + a.avisos.length, 0) + periodos.avisos.length,
+            ocorrenciasOmitidas: arquivos.reduce((soma, a) => soma + a.ocorrenciasOmitidas, 0)
+        };
+    }
+
+    /**
+     * Gera o relatório de validação em CSV (separador ';')
+     * @param {Object} relatorio - Resultado de consolidarRelatorio
+     * @returns {string} Conteúdo CSV
+     */
+    function gerarRelatorioCSV(relatorio) {
+        const escapar = valor => {
+            const texto = valor === null || valor === undefined ? '' : String(valor);
+            return /[;"\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+        };
+
+        const linhas = [];
+        relatorio.arquivos.forEach(arquivo => {
+            arquivo.erros.forEach(o => linhas.push([arquivo.nomeArquivo, 'erro', o.linha, o.registro, o.mensagem]));
+            arquivo.avisos.forEach(o => linhas.push([arquivo.nomeArquivo, 'aviso', o.linha, o.registro, o.mensagem]));
+            if (arquivo.ocorrenciasOmitidas > 0) {
+                linhas.push([arquivo.nomeArquivo, 'aviso', '', '', `${arquivo.ocorrenciasOmitidas} ocorrências adicionais omitidas`]);
+            }
+        });
+        relatorio.periodos.erros.forEach(o => linhas.push([o.arquivo, 'erro', '', '0000', o.mensagem]));
+        relatorio.periodos.avisos.forEach(o => linhas.push([o.arquivo, 'aviso', '', '0000', o.mensagem]));
+
+        return ['arquivo;severidade;linha;registro;mensagem', ...linhas.map(l => l.map(escapar).join(';'))].join('\n');
+    }
+
+    // Interface pública
+    return {
+        criarValidador,
+        validarPeriodos,
+        consolidarRelatorio,
+        gerarRelatorioCSV
+    };
+})();
@@ -923,6 +923,11 @@ function atualizarInterface(resultado) {
         document.getElementById('total-necessidade-giro').textContent = formatarMoeda(dadosAno.totalNecessidadeGiro);
         document.getElementById('custo-financeiro-total').textContent = formatarMoeda(dadosAno.custoFinanceiroTotal);
         
+        // Atualizar comparação das opções do Simples Nacional (oculta para os demais regimes)
+        if (typeof window.exibirResultadoSimplesNacional === 'function') {
+            window.exibirResultadoSimplesNacional(resultado.simplesNacional);
+        }
+        
         // Mostrar div de resultados detalhados
         const divResultadosDetalhados = document.getElementById('resultados-detalhados');
         if (divResultadosDetalhados) {
@@ -1390,6 +1395,7 @@ function atualizarTabelaTransicao(resultado) {
             <td>${formatarMoeda(ivaTotal)}</td>
             <td>${formatarMoeda(totalImpostos)}</td>
             <td>${aliquotaEfetiva.toFixed(2)}%</td>
+            <td>${dadosAno.incentivoICMS ? formatarMoeda(dadosAno.incentivoICMS.beneficioLiquido) : '-'}</td>
         `;
         tbody.appendChild(linha);
     });
@@ -1540,6 +1546,10 @@ function integrarDadosSpedNaEstruturaPadrao(dadosFormulario) {
             totalDebitos: dadosSped.totalDebitos,
             totalCreditos: dadosSped.totalCreditos
         },
+        reconciliacao: typeof ImportacaoController !== 'undefined' && ImportacaoController.obterReconciliacao ?
+            ImportacaoController.obterReconciliacao() : null,
+        distribuicaoDestino: typeof ImportacaoController !== 'undefined' && ImportacaoController.obterDistribuicaoDestino ?
+            ImportacaoController.obterDistribuicaoDestino() : null,
         origemDados: 'sped',
         timestampImportacao: new Date().toISOString()
     };
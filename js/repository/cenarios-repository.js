@@ -0,0 +1,283 @@
+// js/repository/cenarios-repository.js
+window.CenariosRepository = {
+    // Chave utilizada para armazenamento no localStorage
+    STORAGE_KEY: 'split-payment-simulator-cenarios',
+
+    // Quantidade máxima de cenários exibidos lado a lado na comparação
+    MAX_COMPARACAO: 4,
+
+    // Estrutura esperada para um Cenario:
+    // {
+    //   id: String,
+    //   nome: String,
+    //   timestamp: new Date().toISOString(), // Data da última execução
+    //   origemId: String|null, // Cenário do qual este foi clonado
+    //   dados: Object, // Dados de entrada na estrutura aninhada do DataManager
+    //   resultados: {
+    //     anoInicial, anoFinal,
+    //     porAno: { [ano]: { diferencaCapitalGiro, necessidadeAdicionalCapitalGiro,
+    //                        aliquotaEfetiva, aliquotaEfetivaAtual, custoFinanceiro, custoEstrategias } },
+    //     totais: { necessidadeCapitalGiro, custoFinanceiro },
+    //     estrategias: { ano, custoTotal, mitigacaoTotal, efetividadePercentual } | null
+    //   } | null // null quando a simulação não retornou resultados
+    // }
+    // Apenas o resumo anual dos resultados é persistido; a memória de cálculo e os
+    // fluxos mensais tornariam o armazenamento grande demais para o localStorage.
+
+    _cenarios: [],
+
+    /**
+     * Inicializa o repositório
+     */
+    inicializar: function() {
+        this._carregar();
+        console.log('CenariosRepository inicializado com ' + this._cenarios.length + ' cenários');
+    },
+
+    /**
+     * Carrega os cenários do localStorage
+     * @returns {boolean} - Sucesso da operação
+     */
+    _carregar: function() {
+        try {
+            const dadosSalvos = localStorage.getItem(this.STORAGE_KEY);
+            const cenarios = dadosSalvos ? JSON.parse(dadosSalvos) : [];
+            this._cenarios = Array.isArray(cenarios) ? cenarios : [];
+            return true;
+        } catch (error) {
+            console.error('Erro ao carregar cenários:', error);
+            this._cenarios = [];
+            return false;
+        }
+    },
+
+    /**
+     * Salva os cenários no localStorage
+     * @returns {boolean} - Sucesso da operação
+     */
+    salvar: function() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this._cenarios));
+            return true;
+        } catch (error) {
+            console.error('Erro ao salvar cenários no localStorage:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Gera um identificador único para um cenário
+     * @returns {string} - Identificador
+     */
+    _gerarId: function() {
+        return 'cen-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 5);
+    },
+
+    /**
+     * Reduz os resultados de uma simulação ao resumo anual usado na comparação
+     * @param {Object} resultados - Resultado de SimuladorFluxoCaixa.simular
+     * @param {Object} [estrategias] - Resultado de IVADualSystem.calcularEfeitividadeMitigacao
+     * @returns {Object|null} - Resumo dos resultados
+     */
+    _resumirResultados: function(resultados, estrategias) {
+        if (!resultados || !resultados.impactoBase) {
+            return null;
+        }
+
+        const projecao = resultados.projecaoTemporal || {};
+        const resultadosAnuais = projecao.resultadosAnuais || {};
+        const anos = Object.keys(resultadosAnuais).map(Number).sort((a, b) => a - b);
+        const anoInicial = projecao.parametros?.anoInicial || anos[0];
+
+        // Alíquota efetiva = impostos do regime / faturamento do período
+        const calcularAliquota = function(resultado, faturamento) {
+            if (!resultado || !faturamento) return 0;
+            return (resultado.impostos?.total || 0) / faturamento;
+        };
+
+        const resumoEstrategias = estrategias && estrategias.efeitividadeCombinada ? {
+            ano: anoInicial,
+            custoTotal: estrategias.efeitividadeCombinada.custoTotal || 0,
+            mitigacaoTotal: estrategias.efeitividadeCombinada.mitigacaoTotal || 0,
+            efetividadePercentual: estrategias.efeitividadeCombinada.efetividadePercentual || 0
+        } : null;
+
+        const porAno = {};
+        const totais = { necessidadeCapitalGiro: 0, custoFinanceiro: 0 };
+
+        anos.forEach(ano => {
+            const resultadoAno = resultadosAnuais[ano];
+            const custoFinanceiro = resultadoAno.impactoMargemDetalhado?.custoAnualCapitalGiro || 0;
+            const necessidade = resultadoAno.necessidadeAdicionalCapitalGiro || 0;
+            // O resultado do Split Payment nem sempre replica o faturamento; é o mesmo do regime atual
+            const faturamento = resultadoAno.resultadoSplitPayment?.faturamento || resultadoAno.resultadoAtual?.faturamento || 0;
+
+            porAno[ano] = {
+                diferencaCapitalGiro: resultadoAno.diferencaCapitalGiro || 0,
+                necessidadeAdicionalCapitalGiro: necessidade,
+                aliquotaEfetiva: calcularAliquota(resultadoAno.resultadoSplitPayment, faturamento),
+                aliquotaEfetivaAtual: calcularAliquota(resultadoAno.resultadoAtual, faturamento),
+                custoFinanceiro: custoFinanceiro,
+                // As estratégias são simuladas sobre o ano inicial
+                custoEstrategias: resumoEstrategias && ano === resumoEstrategias.ano ? resumoEstrategias.custoTotal : null
+            };
+
+            totais.necessidadeCapitalGiro += necessidade;
+            totais.custoFinanceiro += custoFinanceiro;
+        });
+
+        return {
+            anoInicial: anoInicial,
+            anoFinal: projecao.parametros?.anoFinal || anos[anos.length - 1],
+            porAno: porAno,
+            totais: totais,
+            estrategias: resumoEstrategias
+        };
+    },
+
+    /**
+     * Salva uma simulação como novo cenário nomeado
+     * @param {string} nome - Nome do cenário
+     * @param {Object} dados - Dados de entrada (estrutura aninhada)
+     * @param {Object} resultados - Resultado de SimuladorFluxoCaixa.simular
+     * @param {Object} [estrategias] - Resultado das estratégias de mitigação, se simuladas
+     * @returns {Object} - Cenário criado
+     */
+    salvarCenario: function(nome, dados, resultados, estrategias) {
+        if (!dados) {
+            throw new Error('Dados de entrada obrigatórios para salvar o cenário');
+        }
+
+        const cenario = {
+            id: this._gerarId(),
+            nome: (nome || '').trim() || 'Cenário ' + (this._cenarios.length + 1),
+            timestamp: new Date().toISOString(),
+            origemId: null,
+            dados: JSON.parse(JSON.stringify(dados)),
+            resultados: this._resumirResultados(resultados, estrategias)
+        };
+
+        this._cenarios.push(cenario);
+        this.salvar();
+        return cenario;
+    },
+
+    /**
+     * Substitui entradas e resultados de um cenário existente após nova execução
+     * @param {string} id - Identificador do cenário
+     * @param {Object} dados - Dados de entrada (estrutura aninhada)
+     * @param {Object} resultados - Resultado de SimuladorFluxoCaixa.simular
+     * @param {Object} [estrategias] - Resultado das estratégias de mitigação, se simuladas
+     * @returns {Object|null} - Cenário atualizado ou null se não existir
+     */
+    atualizarCenario: function(id, dados, resultados, estrategias) {
+        const cenario = this._cenarios.find(c => c.id === id);
+        if (!cenario) return null;
+
+        cenario.dados = JSON.parse(JSON.stringify(dados));
+        cenario.resultados = this._resumirResultados(resultados, estrategias);
+        cenario.timestamp = new Date().toISOString();
+        this.salvar();
+        return cenario;
+    },
+
+    /**
+     * Lista os cenários salvos, do mais recente para o mais antigo
+     * @returns {Array} - Cenários
+     */
+    listarCenarios: function() {
+        return this._cenarios.slice().sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    },
+
+    /**
+     * Obtém um cenário pelo identificador
+     * @param {string} id - Identificador do cenário
+     * @returns {Object|null} - Cópia do cenário ou null se não existir
+     */
+    obterCenario: function(id) {
+        const cenario = this._cenarios.find(c => c.id === id);
+        return cenario ? JSON.parse(JSON.stringify(cenario)) : null;
+    },
+
+    /**
+     * Clona um cenário para edição. O clone mantém os resultados do original
+     * até ser reexecutado com os parâmetros alterados.
+     * @param {string} id - Identificador do cenário de origem
+     * @param {string} [novoNome] - Nome do clone
+     * @returns {Object|null} - Cenário clonado ou null se a origem não existir
+     */
+    clonarCenario: function(id, novoNome) {
+        const origem = this._cenarios.find(c => c.id === id);
+        if (!origem) return null;
+
+        const clone = JSON.parse(JSON.stringify(origem));
+        clone.id = this._gerarId();
+        clone.nome = (novoNome || '').trim() || origem.nome + ' (cópia)';
+        clone.origemId = origem.id;
+        clone.timestamp = new Date().toISOString();
+
+        this._cenarios.push(clone);
+        this.salvar();
+        return clone;
+    },
+
+    /**
+     * Renomeia um cenário
+     * @param {string} id - Identificador do cenário
+     * @param {string} nome - Novo nome
+     * @returns {boolean} - Sucesso da operação
+     */
+    renomearCenario: function(id, nome) {
+        const cenario = this._cenarios.find(c => c.id === id);
+        if (!cenario || !nome || !nome.trim()) return false;
+
+        cenario.nome = nome.trim();
+        return this.salvar();
+    },
+
+    /**
+     * Remove um cenário
+     * @param {string} id - Identificador do cenário
+     * @returns {boolean} - true se o cenário existia
+     */
+    removerCenario: function(id) {
+        const quantidade = this._cenarios.length;
+        this._cenarios = this._cenarios.filter(c => c.id !== id);
+        if (this._cenarios.length === quantidade) return false;
+
+        this.salvar();
+        return true;
+    },
+
+    /**
+     * Monta a comparação lado a lado de cenários, ano a ano
+     * @param {Array<string>} ids - Identificadores dos cenários (limitados a MAX_COMPARACAO)
+     * @returns {Object} - { anos, cenarios: [{ id, nome, timestamp, porAno, totais, estrategias }] }
+     */
+    compararCenarios: function(ids) {
+        const cenarios = (ids || [])
+            .slice(0, this.MAX_COMPARACAO)
+            .map(id => this._cenarios.find(c => c.id === id))
+            .filter(c => c && c.resultados);
+
+        const anos = new Set();
+        cenarios.forEach(c => Object.keys(c.resultados.porAno).forEach(ano => anos.add(Number(ano))));
+
+        return {
+            anos: Array.from(anos).sort((a, b) => a - b),
+            cenarios: cenarios.map(c => ({
+                id: c.id,
+                nome: c.nome,
+                timestamp: c.timestamp,
+                porAno: c.resultados.porAno,
+                totais: c.resultados.totais,
+                estrategias: c.resultados.estrategias
+            }))
+        };
+    }
+};
+
+// Inicializar o repositório quando o documento estiver carregado
+document.addEventListener('DOMContentLoaded', function() {
+    CenariosRepository.inicializar();
+});
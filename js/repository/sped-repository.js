@@ -0,0 +1,250 @@
+// js/repository/sped-repository.js
+window.SpedRepository = {
+    // Banco IndexedDB com os arquivos SPED importados
+    DB_NAME: 'split-payment-simulator-sped',
+    DB_VERSION: 1,
+
+    // Object stores:
+    // empresas: { cnpj, nome, uf, ultimaImportacao }
+    // importacoes: {
+    //   id: String, // cnpj|tipo|periodo - reimportar o mesmo período substitui o registro
+    //   cnpj: String,
+    //   tipo: String, // fiscal, contribuicoes, ecf ou ecd
+    //   periodo: String, // AAAA-MM do início da escrituração
+    //   dataInicial: String, dataFinal: String, // DDMMAAAA, conforme o registro 0000
+    //   nomeArquivo: String,
+    //   dataImportacao: new Date().toISOString(),
+    //   resumo: { documentos, itens, valorDocumentos },
+    //   dados: Object // Resultado do SpedParser (0000, 0150, C100/C170/C190, E110, blocos M, ECF/ECD)
+    // }
+    // Os arquivos são guardados já interpretados, para que possam ser recombinados
+    // pelo SpedParser.combinarResultados sem novo upload.
+
+    _db: null,
+
+    /**
+     * Abre (e cria, na primeira vez) o banco de dados
+     * @returns {Promise<IDBDatabase>} - Conexão com o banco
+     */
+    abrir: function() {
+        if (this._db) {
+            return Promise.resolve(this._db);
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB não disponível neste navegador'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const requisicao = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            requisicao.onupgradeneeded = function(evento) {
+                const db = evento.target.result;
+
+                if (!db.objectStoreNames.contains('empresas')) {
+                    db.createObjectStore('empresas', { keyPath: 'cnpj' });
+                }
+
+                if (!db.objectStoreNames.contains('importacoes')) {
+                    const importacoes = db.createObjectStore('importacoes', { keyPath: 'id' });
+                    importacoes.createIndex('cnpj', 'cnpj', { unique: false });
+                    importacoes.createIndex('cnpjPeriodo', ['cnpj', 'periodo'], { unique: false });
+                }
+            };
+
+            requisicao.onsuccess = evento => {
+                this._db = evento.target.result;
+                resolve(this._db);
+            };
+
+            requisicao.onerror = function() {
+                reject(requisicao.error || new Error('Erro ao abrir o banco de dados SPED'));
+            };
+        });
+    },
+
+    /**
+     * Converte uma requisição IndexedDB em Promise
+     * @param {IDBRequest} requisicao - Requisição
+     * @returns {Promise} - Resultado da requisição
+     */
+    _aguardar: function(requisicao) {
+        return new Promise((resolve, reject) => {
+            requisicao.onsuccess = function() {
+                resolve(requisicao.result);
+            };
+            requisicao.onerror = function() {
+                reject(requisicao.error);
+            };
+        });
+    },
+
+    /**
+     * Aguarda a conclusão de uma transação
+     * @param {IDBTransaction} transacao - Transação
+     * @returns {Promise} - Resolvida quando a transação for confirmada
+     */
+    _concluir: function(transacao) {
+        return new Promise((resolve, reject) => {
+            transacao.oncomplete = function() {
+                resolve();
+            };
+            transacao.onerror = function() {
+                reject(transacao.error);
+            };
+            transacao.onabort = function() {
+                reject(transacao.error || new Error('Transação cancelada'));
+            };
+        });
+    },
+
+    /**
+     * Mantém apenas os dígitos do CNPJ
+     * @param {string} cnpj - CNPJ informado no SPED
+     * @returns {string} - CNPJ normalizado
+     */
+    _normalizarCnpj: function(cnpj) {
+        return String(cnpj || '').replace(/\D/g, '');
+    },
+
+    /**
+     * Obtém o período (AAAA-MM) a partir da data inicial do registro 0000
+     * @param {string} dataInicial - Data no formato DDMMAAAA
+     * @returns {string} - Período ou 'sem-periodo'
+     */
+    _extrairPeriodo: function(dataInicial) {
+        const data = String(dataInicial || '');
+        return /^\d{8}$/.test(data) ? `${data.substr(4, 4)}-${data.substr(2, 2)}` : 'sem-periodo';
+    },
+
+    /**
+     * Persiste um arquivo SPED interpretado
+     * @param {Object} dadosSped - Resultado do SpedParser, com metadados.tipoArquivo e metadados.nomeArquivo
+     * @returns {Promise<Object>} - Registro da importação (sem os dados)
+     */
+    salvarImportacao: function(dadosSped) {
+        const empresa = dadosSped.empresa || {};
+        const cnpj = this._normalizarCnpj(empresa.cnpj);
+        if (!cnpj) {
+            return Promise.reject(new Error('Arquivo SPED sem CNPJ no registro 0000'));
+        }
+
+        const metadados = dadosSped.metadados || {};
+        const tipo = metadados.tipoArquivo || 'fiscal';
+        const periodo = this._extrairPeriodo(empresa.dataInicial);
+        const documentos = dadosSped.documentos || [];
+        const dataImportacao = new Date().toISOString();
+
+        const registro = {
+            id: `${cnpj}|${tipo}|${periodo}`,
+            cnpj: cnpj,
+            tipo: tipo,
+            periodo: periodo,
+            dataInicial: empresa.dataInicial || null,
+            dataFinal: empresa.dataFinal || null,
+            nomeArquivo: metadados.nomeArquivo || '',
+            dataImportacao: dataImportacao,
+            resumo: {
+                documentos: documentos.length,
+                itens: (dadosSped.itens || []).length,
+                valorDocumentos: documentos.reduce((soma, doc) => soma + (doc.valorTotal || 0), 0)
+            },
+            dados: dadosSped
+        };
+
+        return this.abrir().then(db => {
+            const transacao = db.transaction(['empresas', 'importacoes'], 'readwrite');
+            transacao.objectStore('importacoes').put(registro);
+            transacao.objectStore('empresas').put({
+                cnpj: cnpj,
+                nome: empresa.nome || '',
+                uf: empresa.uf || '',
+                ultimaImportacao: dataImportacao
+            });
+
+            return this._concluir(transacao).then(() => {
+                const { dados, ...resumoRegistro } = registro;
+                return resumoRegistro;
+            });
+        });
+    },
+
+    /**
+     * Lista as empresas com importações salvas
+     * @returns {Promise<Array>} - Empresas ordenadas por nome
+     */
+    listarEmpresas: function() {
+        return this.abrir()
+            .then(db => this._aguardar(db.transaction('empresas').objectStore('empresas').getAll()))
+            .then(empresas => empresas.sort((a, b) => (a.nome || a.cnpj).localeCompare(b.nome || b.cnpj)));
+    },
+
+    /**
+     * Lista as importações de uma empresa, sem os dados dos arquivos
+     * @param {string} cnpj - CNPJ da empresa
+     * @returns {Promise<Array>} - Importações ordenadas por período e tipo
+     */
+    listarImportacoes: function(cnpj) {
+        const chave = this._normalizarCnpj(cnpj);
+
+        return this.abrir().then(db => new Promise((resolve, reject) => {
+            const importacoes = [];
+            const indice = db.transaction('importacoes').objectStore('importacoes').index('cnpj');
+            const cursor = indice.openCursor(IDBKeyRange.only(chave));
+
+            cursor.onsuccess = function(evento) {
+                const atual = evento.target.result;
+                if (!atual) {
+                    importacoes.sort((a, b) => a.periodo.localeCompare(b.periodo) || a.tipo.localeCompare(b.tipo));
+                    resolve(importacoes);
+                    return;
+                }
+
+                const { dados, ...registro } = atual.value;
+                importacoes.push(registro);
+                atual.continue();
+            };
+            cursor.onerror = function() {
+                reject(cursor.error);
+            };
+        }));
+    },
+
+    /**
+     * Obtém os dados interpretados das importações informadas
+     * @param {Array<string>} ids - Identificadores das importações
+     * @returns {Promise<Array<Object>>} - Resultados do SpedParser, prontos para combinação
+     */
+    obterDadosSped: function(ids) {
+        return this.abrir().then(db => {
+            const store = db.transaction('importacoes').objectStore('importacoes');
+            return Promise.all(ids.map(id => this._aguardar(store.get(id))));
+        }).then(registros => registros.filter(Boolean).map(registro => registro.dados));
+    },
+
+    /**
+     * Exclui importações e remove as empresas que ficarem sem importações
+     * @param {Array<string>} ids - Identificadores das importações
+     * @returns {Promise} - Resolvida ao concluir a exclusão
+     */
+    excluirImportacoes: function(ids) {
+        return this.abrir().then(db => {
+            const transacao = db.transaction(['empresas', 'importacoes'], 'readwrite');
+            const importacoes = transacao.objectStore('importacoes');
+            const cnpjs = new Set(ids.map(id => id.split('|')[0]));
+
+            ids.forEach(id => importacoes.delete(id));
+
+            cnpjs.forEach(cnpj => {
+                const contagem = importacoes.index('cnpj').count(IDBKeyRange.only(cnpj));
+                contagem.onsuccess = function() {
+                    if (contagem.result === 0) {
+                        transacao.objectStore('empresas').delete(cnpj);
+                    }
+                };
+            });
+
+            return this._concluir(transacao);
+        });
+    }
+};
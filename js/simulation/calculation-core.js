@@ -53,6 +53,9 @@ window.CalculationCore = (function() {
 
     /**
      * Calcula o fator de sazonalidade para ajuste da necessidade de capital
+     * Com histórico mensal importado do SPED (dados.indicesSazonalidade, exportado apenas quando
+     * os 12 meses do calendário foram observados), o fator é o índice do mês de pico;
+     * sem histórico completo, usa o fator padrão de 1,3.
      * @param {Object} dados - Dados planos de simulação
      * @returns {number} - Fator de sazonalidade
      */
@@ -69,9 +72,15 @@ window.CalculationCore = (function() {
             return 1.3;
         }
 
-        // Implementação básica: fator padrão de 1.3 (30% de aumento)
-        // Em uma implementação real, este cálculo seria baseado em dados históricos
-        // de sazonalidade específicos da empresa ou do setor
+        // Histórico mensal da empresa: a necessidade de capital acompanha o mês de maior faturamento
+        if (Array.isArray(dados.indicesSazonalidade) && dados.indicesSazonalidade.length === 12) {
+            const fatorPico = Math.max(...dados.indicesSazonalidade);
+            if (isFinite(fatorPico) && fatorPico > 0) {
+                return Math.max(1, fatorPico);
+            }
+        }
+
+        // Sem histórico: fator padrão de 1.3 (30% de aumento)
         return 1.3;
     }
 
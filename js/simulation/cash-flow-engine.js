@@ -0,0 +1,381 @@
+/**
+ * Motor de Fluxo de Caixa Mensal/Diário do Split Payment
+ * Simula, dia a dia, o faturamento, a liquidação dos recebíveis por meio de pagamento,
+ * a retenção de CBS/IBS na liquidação e o recolhimento dos tributos por guia,
+ * produzindo a necessidade de capital de giro como série temporal.
+ *
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ */
+
+window.CashFlowEngine = (function() {
+    /**
+     * Modos de cálculo do fluxo de caixa suportados
+     * 'agregado' mantém o modelo anual/médio de calcularImpactoCapitalGiro
+     * @type {Array<string>}
+     */
+    const modosSuportados = ['agregado', 'mensal', 'diario'];
+
+    /**
+     * Prazos padrão de liquidação por meio de pagamento (em dias corridos)
+     * @type {Object}
+     */
+    const prazosLiquidacaoPadrao = {
+        pix: 0,       // Liquidação imediata (D+0)
+        debito: 1,    // Cartão de débito (D+1)
+        cartao: 30,   // Cartão de crédito à vista (D+30)
+        boleto: null  // Boleto/duplicata: segue o PMR informado
+    };
+
+    /**
+     * Dia do mês seguinte em que os tributos apurados por guia são recolhidos
+     * @type {number}
+     */
+    const diaRecolhimentoPadrao = 25;
+
+    /**
+     * Normaliza um percentual informado como inteiro (30) ou decimal (0.3)
+     * @param {number} valor - Valor a normalizar
+     * @param {number} padrao - Valor padrão se inválido
+     * @returns {number} - Valor decimal (0-1)
+     * @private
+     */
+    function normalizarPercentual(valor, padrao) {
+        if (typeof valor !== 'number' || isNaN(valor)) {
+            return padrao;
+        }
+        return valor > 1 ? valor / 100 : valor;
+    }
+
+    /**
+     * Obtém os índices mensais de sazonalidade do faturamento (janeiro = posição 0)
+     * @param {Object} dados - Dados planos da simulação
+     * @returns {Array<number>} - 12 índices; todos 1 se não houver histórico importado
+     */
+    function obterIndicesSazonalidade(dados) {
+        const indices = dados.indicesSazonalidade;
+        if (Array.isArray(indices) && indices.length === 12 &&
+            indices.every(indice => typeof indice === 'number' && isFinite(indice) && indice >= 0)) {
+            return indices;
+        }
+        return new Array(12).fill(1);
+    }
+
+    /**
+     * Monta a lista de canais de recebimento a partir dos dados planos
+     * Se dados.canaisRecebimento não for informado, deriva dos percentuais à vista/a prazo:
+     * vendas à vista liquidadas via PIX (D+0) e vendas a prazo via boleto no PMR.
+     *
+     * @param {Object} dados - Dados planos da simulação
+     * @returns {Array<Object>} - Canais com {id, percentual, prazoLiquidacao}
+     */
+    function obterCanaisRecebimento(dados) {
+        const pmr = typeof dados.pmr === 'number' && !isNaN(dados.pmr) ? Math.max(0, dados.pmr) : 30;
+
+        let canais;
+        if (Array.isArray(dados.canaisRecebimento) && dados.canaisRecebimento.length > 0) {
+            canais = dados.canaisRecebimento.map(canal => {
+                const prazoPadrao = prazosLiquidacaoPadrao[canal.id];
+                const prazo = typeof canal.prazoLiquidacao === 'number' && !isNaN(canal.prazoLiquidacao) ?
+                              canal.prazoLiquidacao :
+                              (typeof prazoPadrao === 'number' ? prazoPadrao : pmr);
+
+                return {
+                    id: canal.id || 'outros',
+                    percentual: normalizarPercentual(canal.percentual, 0),
+                    prazoLiquidacao: Math.max(0, Math.round(prazo))
+                };
+            });
+        } else {
+            const percVista = normalizarPercentual(dados.percVista, 0.3);
+            const percPrazo = normalizarPercentual(dados.percPrazo, 1 - percVista);
+
+            canais = [
+                { id: 'pix', percentual: percVista, prazoLiquidacao: prazosLiquidacaoPadrao.pix },
+                { id: 'boleto', percentual: percPrazo, prazoLiquidacao: Math.round(pmr) }
+            ];
+        }
+
+        // Normalizar para que a soma dos percentuais seja 1
+        const soma = canais.reduce((total, canal) => total + canal.percentual, 0);
+        if (soma > 0 && Math.abs(soma - 1) > 0.001) {
+            console.warn(`Soma dos percentuais dos canais de recebimento (${soma}) não é 1. Normalizando.`);
+            canais.forEach(canal => { canal.percentual = canal.percentual / soma; });
+        }
+
+        return canais.filter(canal => canal.percentual > 0);
+    }
+
+    /**
+     * Determina as alíquotas efetivas mensais usadas pelo motor
+     * IVA (CBS+IBS) líquido de créditos sujeito ao Split Payment e tributos legados
+     * (PIS/COFINS/ICMS/IPI/ISS remanescentes na transição) recolhidos por guia.
+     *
+     * @param {Object} dados - Dados planos da simulação
+     * @param {number} ano - Ano de referência
+     * @param {Object} opcoes - Opções com impostosIVA e parametrosSetoriais
+     * @returns {Object} - {aliquotaIVA, aliquotaLegado, impostosAno}
+     * @private
+     */
+    function obterAliquotasEfetivas(dados, ano, opcoes) {
+        const faturamento = dados.faturamento;
+        let impostosAno = opcoes.impostosIVA || null;
+
+        if (!impostosAno) {
+            const impostosAtuais = window.CurrentTaxSystem.calcularTodosImpostosAtuais(
+                window.CurrentTaxSystem.montarParametrosImpostos(dados)
+            );
+
+            impostosAno = window.IVADualSystem.calcularTransicaoIVADual(
+                faturamento,
+                ano,
+                impostosAtuais,
+                { parametrosSetoriais: opcoes.parametrosSetoriais, dados: dados }
+            );
+        }
+
+        const creditosIVA = (dados.creditosCBS || 0) + (dados.creditosIBS || 0);
+        const ivaBruto = (impostosAno.cbs || 0) + (impostosAno.ibs || 0);
+        const ivaLiquido = Math.max(0, ivaBruto - creditosIVA);
+        const legado = Math.max(0, (impostosAno.total || 0) - ivaBruto);
+
+        return {
+            aliquotaIVA: faturamento > 0 ? ivaLiquido / faturamento : 0,
+            aliquotaLegado: faturamento > 0 ? legado / faturamento : 0,
+            impostosAno
+        };
+    }
+
+    /**
+     * Simula o fluxo de caixa dia a dia de um ano, comparando o recolhimento por guia
+     * (sem Split Payment) com a retenção na liquidação (com Split Payment)
+     *
+     * @param {Object} dados - Dados da empresa e parâmetros de simulação (formato plano)
+     * @param {number} ano - Ano de referência
+     * @param {Object} [opcoes] - Opções adicionais
+     * @param {string} [opcoes.modo='mensal'] - 'mensal' (resumo por mês) ou 'diario' (inclui série diária)
+     * @param {Object} [opcoes.impostosIVA] - Impostos de transição já calculados para o ano
+     * @param {Object} [opcoes.parametrosSetoriais] - Parâmetros específicos do setor
+     * @param {number} [opcoes.diaRecolhimento=25] - Dia de vencimento das guias no mês seguinte
+     * @returns {Object} - Série mensal (e opcionalmente diária) da necessidade de capital de giro
+     * @throws {Error} - Se os dados não estiverem em formato plano
+     */
+    function simularFluxoCaixaAnual(dados, ano = 2026, opcoes = {}) {
+        // Verificar se os dados estão em formato plano
+        if (dados.empresa !== undefined) {
+            throw new Error('simularFluxoCaixaAnual espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+
+        if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento)) {
+            throw new Error('Faturamento inválido ou não informado');
+        }
+
+        const modo = opcoes.modo === 'diario' ? 'diario' : 'mensal';
+        const diaRecolhimento = opcoes.diaRecolhimento || dados.diaRecolhimento || diaRecolhimentoPadrao;
+        const faturamentoMensal = Math.max(0, dados.faturamento);
+        const indicesSazonalidade = obterIndicesSazonalidade(dados);
+
+        const canais = obterCanaisRecebimento(dados);
+        const { aliquotaIVA, aliquotaLegado, impostosAno } = obterAliquotasEfetivas(dados, ano, opcoes);
+
+        const considerarSplit = dados.splitPayment !== false;
+        const percentualSplit = considerarSplit ?
+            window.CurrentTaxSystem.obterPercentualImplementacao(ano, 'splitPayment', opcoes.parametrosSetoriais) : 0;
+
+        // Meses de aquecimento para que os recebíveis de períodos anteriores já estejam em carteira
+        const maiorPrazo = canais.reduce((maior, canal) => Math.max(maior, canal.prazoLiquidacao), 0);
+        const mesesAquecimento = Math.ceil(maiorPrazo / 30) + 1;
+
+        const inicio = new Date(Date.UTC(ano, -mesesAquecimento, 1));
+        const fim = new Date(Date.UTC(ano, 12, 0));
+        const msDia = 24 * 60 * 60 * 1000;
+        const totalDias = Math.round((fim - inicio) / msDia) + 1;
+
+        // Agendas de eventos indexadas pelo dia (offset a partir do início)
+        const recebimentos = new Float64Array(totalDias + maiorPrazo + 1);
+        const retencoes = new Float64Array(totalDias + maiorPrazo + 1);
+        const guiasSemSplit = new Float64Array(totalDias + 62);
+        const guiasComSplit = new Float64Array(totalDias + 62);
+
+        // Acumular apuração mensal por competência para agendar as guias
+        const apuracao = {};
+
+        for (let d = 0; d < totalDias; d++) {
+            const data = new Date(inicio.getTime() + d * msDia);
+            const diasNoMes = new Date(Date.UTC(data.getUTCFullYear(), data.getUTCMonth() + 1, 0)).getUTCDate();
+            const faturamentoDia = faturamentoMensal * indicesSazonalidade[data.getUTCMonth()] / diasNoMes;
+
+            canais.forEach(canal => {
+                const valorCanal = faturamentoDia * canal.percentual;
+                const diaLiquidacao = d + canal.prazoLiquidacao;
+                recebimentos[diaLiquidacao] += valorCanal;
+                retencoes[diaLiquidacao] += valorCanal * aliquotaIVA * percentualSplit;
+            });
+
+            const chave = `${data.getUTCFullYear()}-${data.getUTCMonth()}`;
+            if (!apuracao[chave]) {
+                apuracao[chave] = { ano: data.getUTCFullYear(), mes: data.getUTCMonth(), faturamento: 0 };
+            }
+            apuracao[chave].faturamento += faturamentoDia;
+        }
+
+        // Agendar guias no dia de recolhimento do mês seguinte à competência
+        Object.values(apuracao).forEach(competencia => {
+            const vencimento = new Date(Date.UTC(competencia.ano, competencia.mes + 1, diaRecolhimento));
+            const diaVencimento = Math.round((vencimento - inicio) / msDia);
+            if (diaVencimento >= guiasSemSplit.length) return;
+
+            const impostoIVA = competencia.faturamento * aliquotaIVA;
+            const impostoLegado = competencia.faturamento * aliquotaLegado;
+
+            guiasSemSplit[diaVencimento] += impostoIVA + impostoLegado;
+            // Com Split, a guia cobre apenas a parcela do IVA não retida e os tributos legados
+            guiasComSplit[diaVencimento] += impostoIVA * (1 - percentualSplit) + impostoLegado;
+        });
+
+        // Percorrer os dias, acumulando saldos nos dois cenários
+        let saldoSemSplit = 0;
+        let saldoComSplit = 0;
+        const meses = [];
+        const dias = [];
+        let mesCorrente = null;
+
+        for (let d = 0; d < totalDias; d++) {
+            const data = new Date(inicio.getTime() + d * msDia);
+            const diasNoMes = new Date(Date.UTC(data.getUTCFullYear(), data.getUTCMonth() + 1, 0)).getUTCDate();
+
+            saldoSemSplit += recebimentos[d] - guiasSemSplit[d];
+            saldoComSplit += recebimentos[d] - retencoes[d] - guiasComSplit[d];
+
+            const necessidade = Math.max(0, saldoSemSplit - saldoComSplit);
+
+            // Ignorar os meses de aquecimento na saída
+            if (data.getUTCFullYear() !== ano) continue;
+
+            const mes = data.getUTCMonth() + 1;
+            if (!mesCorrente || mesCorrente.mes !== mes) {
+                mesCorrente = {
+                    mes,
+                    competencia: `${ano}-${String(mes).padStart(2, '0')}`,
+                    faturado: 0,
+                    recebidoBruto: 0,
+                    retidoSplit: 0,
+                    recolhidoGuiaSemSplit: 0,
+                    recolhidoGuiaComSplit: 0,
+                    saldoSemSplit: 0,
+                    saldoComSplit: 0,
+                    necessidadeCapitalGiro: 0,
+                    necessidadeMaxima: 0,
+                    necessidadeMedia: 0
+                };
+                meses.push(mesCorrente);
+            }
+
+            mesCorrente.faturado += faturamentoMensal * indicesSazonalidade[data.getUTCMonth()] / diasNoMes;
+            mesCorrente.recebidoBruto += recebimentos[d];
+            mesCorrente.retidoSplit += retencoes[d];
+            mesCorrente.recolhidoGuiaSemSplit += guiasSemSplit[d];
+            mesCorrente.recolhidoGuiaComSplit += guiasComSplit[d];
+            mesCorrente.saldoSemSplit = saldoSemSplit;
+            mesCorrente.saldoComSplit = saldoComSplit;
+            mesCorrente.necessidadeCapitalGiro = necessidade;
+            mesCorrente.necessidadeMaxima = Math.max(mesCorrente.necessidadeMaxima, necessidade);
+            mesCorrente.necessidadeMedia += necessidade / diasNoMes;
+
+            if (modo === 'diario') {
+                dias.push({
+                    data: data.toISOString().slice(0, 10),
+                    recebidoBruto: recebimentos[d],
+                    retidoSplit: retencoes[d],
+                    recolhidoGuiaSemSplit: guiasSemSplit[d],
+                    recolhidoGuiaComSplit: guiasComSplit[d],
+                    saldoSemSplit,
+                    saldoComSplit,
+                    necessidadeCapitalGiro: necessidade
+                });
+            }
+        }
+
+        // Consolidar resumo anual
+        const necessidadeMedia = meses.reduce((soma, m) => soma + m.necessidadeMedia, 0) / (meses.length || 1);
+        const mesPico = meses.reduce((pico, m) => (!pico || m.necessidadeMaxima > pico.necessidadeMaxima) ? m : pico, null);
+
+        const resultado = {
+            ano,
+            modo,
+            parametros: {
+                canais,
+                diaRecolhimento,
+                percentualSplit,
+                aliquotaIVA,
+                aliquotaLegado,
+                mesesAquecimento
+            },
+            impostosAno,
+            meses,
+            resumo: {
+                necessidadeMedia,
+                necessidadePico: mesPico ? mesPico.necessidadeMaxima : 0,
+                competenciaPico: mesPico ? mesPico.competencia : null,
+                necessidadeFinalAno: meses.length > 0 ? meses[meses.length - 1].necessidadeCapitalGiro : 0,
+                totalRetidoSplit: meses.reduce((soma, m) => soma + m.retidoSplit, 0)
+            }
+        };
+
+        if (modo === 'diario') {
+            resultado.dias = dias;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Concatena as séries mensais de vários anos em uma série única para gráficos
+     * @param {Object} resultadosAnuais - Resultados de simularFluxoCaixaAnual indexados por ano
+     * @returns {Object} - Série com competências e necessidades de capital de giro
+     */
+    function consolidarSerieMensal(resultadosAnuais) {
+        const serie = {
+            competencias: [],
+            necessidadeCapitalGiro: [],
+            necessidadeMaxima: [],
+            retidoSplit: []
+        };
+
+        Object.keys(resultadosAnuais)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .forEach(ano => {
+                const fluxo = resultadosAnuais[ano];
+                if (!fluxo || !Array.isArray(fluxo.meses)) return;
+
+                fluxo.meses.forEach(mes => {
+                    serie.competencias.push(mes.competencia);
+                    serie.necessidadeCapitalGiro.push(mes.necessidadeMedia);
+                    serie.necessidadeMaxima.push(mes.necessidadeMaxima);
+                    serie.retidoSplit.push(mes.retidoSplit);
+                });
+            });
+
+        return serie;
+    }
+
+    /**
+     * Verifica se o modo de fluxo de caixa informado usa o motor mensal/diário
+     * @param {string} modo - Modo informado nos dados planos
+     * @returns {boolean} - true se o motor deve ser utilizado
+     */
+    function usarMotorTemporal(modo) {
+        return modo === 'mensal' || modo === 'diario';
+    }
+
+    // API pública
+    return {
+        modosSuportados,
+        prazosLiquidacaoPadrao,
+        obterCanaisRecebimento,
+        simularFluxoCaixaAnual,
+        consolidarSerieMensal,
+        usarMotorTemporal
+    };
+})();
@@ -8,84 +8,64 @@ const CreditCompensationModule = (function() {
     
     /**
      * Calcula a retenção efetiva considerando compensação de créditos
-     * @param {number} debitoTributario - Valor do débito tributário
-     * @param {number} creditosDisponiveis - Valor dos créditos disponíveis
+     * Os valores vêm do livro de créditos (escriturarLivroCreditos) escriturado por 12 meses com o
+     * débito e o crédito mensais informados: na compensação mensal os créditos do mês só abatem o
+     * débito do mês seguinte, na trimestral só no primeiro mês do trimestre seguinte, e o saldo
+     * credor remanescente é ressarcido após o prazo de pagamento.
+     * @param {number} debitoTributario - Valor mensal do débito tributário
+     * @param {number} creditosDisponiveis - Valor mensal dos créditos apurados
      * @param {string} tipoCompensacao - Tipo de compensação ('automatica', 'mensal', 'trimestral')
-     * @returns {Object} - Resultado da compensação
+     * @param {Object} [opcoes] - Opções do livro
+     * @param {number} [opcoes.prazoRessarcimentoDias=60] - Prazo de pagamento do ressarcimento
+     * @param {number} [opcoes.taxaCapitalGiro] - Custo mensal do saldo imobilizado
+     * @returns {Object} - Resultado da compensação (valores mensais médios) e o livro escriturado
      */
-    function calcularRetencaoEfetiva(debitoTributario, creditosDisponiveis, tipoCompensacao = 'automatica') {
-        let retencaoEfetiva = 0;
-        let creditosUtilizados = 0;
-        let creditosRemanescentes = 0;
-        
-        // Compensação automática (em tempo real)
-        if (tipoCompensacao === 'automatica') {
-            if (creditosDisponiveis >= debitoTributario) {
-                retencaoEfetiva = 0;
-                creditosUtilizados = debitoTributario;
-            } else {
-                retencaoEfetiva = debitoTributario - creditosDisponiveis;
-                creditosUtilizados = creditosDisponiveis;
-            }
-            creditosRemanescentes = Math.max(0, creditosDisponiveis - creditosUtilizados);
-        } 
-        // Compensação mensal (pós-retenção)
-        else if (tipoCompensacao === 'mensal') {
-            // No regime mensal, a retenção ocorre normalmente e a compensação é posterior
-            retencaoEfetiva = debitoTributario;
-            
-            // Mas calculamos o benefício líquido para o fluxo de caixa
-            creditosUtilizados = Math.min(creditosDisponiveis, debitoTributario);
-            creditosRemanescentes = Math.max(0, creditosDisponiveis - creditosUtilizados);
-        }
-        // Compensação trimestral (pós-retenção)
-        else if (tipoCompensacao === 'trimestral') {
-            // No regime trimestral, a retenção ocorre normalmente
-            retencaoEfetiva = debitoTributario;
-            
-            // Mas o benefício da compensação é futuro e diluído
-            creditosUtilizados = Math.min(creditosDisponiveis, debitoTributario);
-            creditosRemanescentes = Math.max(0, creditosDisponiveis - creditosUtilizados);
+    function calcularRetencaoEfetiva(debitoTributario, creditosDisponiveis, tipoCompensacao = 'automatica', opcoes = {}) {
+        const prazoRessarcimentoDias = typeof opcoes.prazoRessarcimentoDias === 'number' ?
+            opcoes.prazoRessarcimentoDias : parametrosLivroPadrao.ressarcimento.prazoPagamentoDias;
+
+        // Um único tributo: débito e crédito informados ficam na coluna da CBS
+        const periodos = [];
+        for (let mes = 1; mes <= 12; mes++) {
+            periodos.push({ competencia: String(mes), debitoCBS: debitoTributario, creditoCBS: creditosDisponiveis });
         }
-        
+        const livro = escriturarLivroCreditos(periodos, {
+            tipoCompensacao,
+            ressarcimento: { prazoPagamentoDias: prazoRessarcimentoDias },
+            taxaCapitalGiro: opcoes.taxaCapitalGiro
+        });
+
+        const numPeriodos = livro.lancamentos.length;
+        const media = campo => livro.lancamentos.reduce((soma, l) => soma + l.cbs[campo], 0) / numPeriodos;
+        const ultimo = livro.lancamentos[numPeriodos - 1].cbs;
+
         return {
             debitoTributario,
             creditosDisponiveis,
-            retencaoEfetiva,
-            creditosUtilizados,
-            creditosRemanescentes,
-            tipoCompensacao
+            retencaoEfetiva: media('aRecolher'),
+            creditosUtilizados: media('compensado'),
+            creditosRemanescentes: ultimo.saldoCredor + ultimo.ressarcimentoPendente,
+            ressarcimentoSolicitado: media('ressarcimentoSolicitado'),
+            prazoRessarcimentoDias,
+            saldoMedioImobilizado: livro.resumo.saldoMedioImobilizado,
+            custoFinanceiroMensal: livro.resumo.custoFinanceiroMensalMedio,
+            tipoCompensacao: livro.parametros.tipoCompensacao,
+            livro
         };
     }
-    
+
     /**
      * Calcula o impacto no fluxo de caixa considerando o regime de compensação
+     * A defasagem da compensação mensal ou trimestral já está na retenção efetiva (livro de créditos);
+     * o benefício futuro é o ressarcimento do saldo credor, recebido após o prazo de pagamento.
      * @param {Object} resultado - Resultado de calcularRetencaoEfetiva
      * @returns {Object} - Impacto no fluxo de caixa
      */
     function calcularImpactoFluxoCaixa(resultado) {
-        let impactoImediato = resultado.retencaoEfetiva;
-        let beneficioFuturo = 0;
-        let prazoRecebimentoBeneficio = 0;
-        
-        // Impacto varia conforme o tipo de compensação
-        if (resultado.tipoCompensacao === 'automatica') {
-            // Em compensação automática, o benefício é imediato (redução da retenção)
-            // Não há benefício futuro específico a calcular
-            beneficioFuturo = 0;
-            prazoRecebimentoBeneficio = 0;
-        } 
-        else if (resultado.tipoCompensacao === 'mensal') {
-            // Em compensação mensal, o benefício vem no próximo mês
-            beneficioFuturo = resultado.creditosUtilizados;
-            prazoRecebimentoBeneficio = 30; // 30 dias
-        }
-        else if (resultado.tipoCompensacao === 'trimestral') {
-            // Em compensação trimestral, o benefício vem em 3 meses
-            beneficioFuturo = resultado.creditosUtilizados;
-            prazoRecebimentoBeneficio = 90; // 90 dias
-        }
-        
+        const impactoImediato = resultado.retencaoEfetiva;
+        const beneficioFuturo = resultado.ressarcimentoSolicitado || 0;
+        const prazoRecebimentoBeneficio = beneficioFuturo > 0 ? (resultado.prazoRessarcimentoDias || 0) : 0;
+
         return {
             impactoImediato,
             beneficioFuturo,
@@ -94,10 +74,232 @@ const CreditCompensationModule = (function() {
             tipoCompensacao: resultado.tipoCompensacao
         };
     }
-    
+
+    /**
+     * Parâmetros padrão do livro de créditos de CBS/IBS
+     * @type {Object}
+     */
+    const parametrosLivroPadrao = {
+        tipoCompensacao: 'automatica',   // 'automatica', 'mensal', 'trimestral'
+        ressarcimento: {
+            ativo: true,
+            periodosCarencia: 1,         // Períodos com saldo credor antes do pedido
+            percentualSolicitado: 1.0,   // Fração do saldo credor solicitada
+            prazoPagamentoDias: 60       // Prazo de pagamento do ressarcimento
+        },
+        taxaCapitalGiro: 0.021           // Custo de oportunidade mensal do saldo imobilizado
+    };
+
+    /**
+     * Indica se os créditos apurados em um período já podem ser usados contra débitos
+     * @param {string} tipoCompensacao - Tipo de compensação
+     * @param {number} indice - Índice do período (0 = primeiro mês)
+     * @returns {boolean} - true se o saldo acumulado pode ser compensado no período
+     * @private
+     */
+    function periodoLiberaCompensacao(tipoCompensacao, indice) {
+        if (tipoCompensacao === 'trimestral') {
+            // Saldo apurado no trimestre só é liberado no primeiro mês do trimestre seguinte
+            return indice % 3 === 0;
+        }
+        return true;
+    }
+
+    /**
+     * Escritura o livro de créditos não cumulativos de CBS e IBS período a período
+     * Acumula créditos, compensa-os contra os débitos conforme o tipo de compensação,
+     * transporta saldos credores e modela pedidos de ressarcimento com prazo de pagamento.
+     *
+     * @param {Array<Object>} periodos - Períodos mensais em ordem cronológica
+     * @param {string} periodos[].competencia - Identificação do período (ex.: '2027-01')
+     * @param {number} periodos[].debitoCBS - Débito de CBS do período
+     * @param {number} periodos[].debitoIBS - Débito de IBS do período
+     * @param {number} periodos[].creditoCBS - Crédito de CBS apurado no período
+     * @param {number} periodos[].creditoIBS - Crédito de IBS apurado no período
+     * @param {Object} [opcoes] - Parâmetros do livro (ver parametrosLivroPadrao)
+     * @param {Object} [opcoes.saldoInicial] - Saldo de abertura por tributo, no formato de saldoFinal de um
+     *        livro anterior: {cbs, ibs} com saldoLiberado, saldoBloqueado, periodosCredor e pagamentosPendentes
+     * @returns {Object} - Lançamentos por período, resumo com o custo do saldo imobilizado e saldoFinal
+     *          para abertura do livro seguinte
+     */
+    function escriturarLivroCreditos(periodos, opcoes = {}) {
+        if (!Array.isArray(periodos)) {
+            throw new Error('escriturarLivroCreditos espera uma lista de períodos');
+        }
+
+        const tipoCompensacao = opcoes.tipoCompensacao || parametrosLivroPadrao.tipoCompensacao;
+        const ressarcimento = { ...parametrosLivroPadrao.ressarcimento, ...(opcoes.ressarcimento || {}) };
+        const taxaCapitalGiro = typeof opcoes.taxaCapitalGiro === 'number' && !isNaN(opcoes.taxaCapitalGiro) ?
+                               (opcoes.taxaCapitalGiro > 1 ? opcoes.taxaCapitalGiro / 100 : opcoes.taxaCapitalGiro) :
+                               parametrosLivroPadrao.taxaCapitalGiro;
+        const defasagemPagamento = Math.max(1, Math.ceil(ressarcimento.prazoPagamentoDias / 30));
+
+        // Estado por tributo
+        const tributos = ['cbs', 'ibs'];
+        const estado = {};
+        tributos.forEach(tributo => {
+            const abertura = (opcoes.saldoInicial && opcoes.saldoInicial[tributo]) || {};
+            estado[tributo] = {
+                saldoLiberado: Math.max(0, abertura.saldoLiberado || 0),    // Saldo credor disponível para compensação
+                saldoBloqueado: Math.max(0, abertura.saldoBloqueado || 0),  // Créditos aguardando liberação (mensal/trimestral)
+                periodosCredor: abertura.periodosCredor || 0,               // Períodos consecutivos com saldo credor
+                pagamentosPendentes: (abertura.pagamentosPendentes || [])   // Ressarcimentos solicitados e não pagos
+                    .map(pagamento => ({ valor: pagamento.valor, indicePagamento: pagamento.indicePagamento }))
+            };
+        });
+        const saldoInicialImobilizado = tributos.reduce((soma, tributo) => {
+            const e = estado[tributo];
+            return soma + e.saldoLiberado + e.saldoBloqueado +
+                   e.pagamentosPendentes.reduce((total, p) => total + p.valor, 0);
+        }, 0);
+
+        const lancamentos = [];
+
+        periodos.forEach((periodo, indice) => {
+            const lancamento = { competencia: periodo.competencia || String(indice + 1) };
+
+            tributos.forEach(tributo => {
+                const sufixo = tributo.toUpperCase();
+                const debito = Math.max(0, periodo[`debito${sufixo}`] || 0);
+                const credito = Math.max(0, periodo[`credito${sufixo}`] || 0);
+                const e = estado[tributo];
+
+                // 1. Receber ressarcimentos cujo prazo venceu
+                let ressarcimentoRecebido = 0;
+                e.pagamentosPendentes = e.pagamentosPendentes.filter(pagamento => {
+                    if (pagamento.indicePagamento <= indice) {
+                        ressarcimentoRecebido += pagamento.valor;
+                        return false;
+                    }
+                    return true;
+                });
+
+                // 2. Liberar créditos conforme o tipo de compensação
+                if (tipoCompensacao === 'automatica') {
+                    e.saldoLiberado += credito;
+                } else {
+                    if (periodoLiberaCompensacao(tipoCompensacao, indice)) {
+                        e.saldoLiberado += e.saldoBloqueado;
+                        e.saldoBloqueado = 0;
+                    }
+                    e.saldoBloqueado += credito;
+                }
+
+                // 3. Compensar o saldo liberado contra o débito do período
+                const compensado = Math.min(e.saldoLiberado, debito);
+                e.saldoLiberado -= compensado;
+                const aRecolher = debito - compensado;
+
+                // 4. Avaliar pedido de ressarcimento do saldo credor remanescente
+                let ressarcimentoSolicitado = 0;
+                if (e.saldoLiberado > 0) {
+                    e.periodosCredor++;
+                    if (ressarcimento.ativo && e.periodosCredor >= ressarcimento.periodosCarencia) {
+                        ressarcimentoSolicitado = e.saldoLiberado * ressarcimento.percentualSolicitado;
+                        e.saldoLiberado -= ressarcimentoSolicitado;
+                        e.pagamentosPendentes.push({
+                            valor: ressarcimentoSolicitado,
+                            indicePagamento: indice + defasagemPagamento
+                        });
+                        e.periodosCredor = 0;
+                    }
+                } else {
+                    e.periodosCredor = 0;
+                }
+
+                const ressarcimentoPendente = e.pagamentosPendentes.reduce((soma, p) => soma + p.valor, 0);
+                const saldoImobilizado = e.saldoLiberado + e.saldoBloqueado + ressarcimentoPendente;
+
+                lancamento[tributo] = {
+                    debito,
+                    credito,
+                    compensado,
+                    aRecolher,
+                    ressarcimentoSolicitado,
+                    ressarcimentoRecebido,
+                    ressarcimentoPendente,
+                    saldoCredor: e.saldoLiberado + e.saldoBloqueado,
+                    saldoImobilizado,
+                    custoFinanceiro: saldoImobilizado * taxaCapitalGiro
+                };
+            });
+
+            lancamento.saldoImobilizado = lancamento.cbs.saldoImobilizado + lancamento.ibs.saldoImobilizado;
+            lancamento.custoFinanceiro = lancamento.cbs.custoFinanceiro + lancamento.ibs.custoFinanceiro;
+            lancamento.aRecolher = lancamento.cbs.aRecolher + lancamento.ibs.aRecolher;
+            lancamentos.push(lancamento);
+        });
+
+        // Consolidar resumo
+        const numPeriodos = lancamentos.length || 1;
+        const somar = campo => lancamentos.reduce((soma, l) => soma + l[campo], 0);
+        const ultimo = lancamentos[lancamentos.length - 1];
+
+        // Saldo de fechamento: pagamentos pendentes reindexados a partir do primeiro período do livro seguinte
+        const saldoFinal = {};
+        tributos.forEach(tributo => {
+            const e = estado[tributo];
+            saldoFinal[tributo] = {
+                saldoLiberado: e.saldoLiberado,
+                saldoBloqueado: e.saldoBloqueado,
+                periodosCredor: e.periodosCredor,
+                pagamentosPendentes: e.pagamentosPendentes.map(pagamento => ({
+                    valor: pagamento.valor,
+                    indicePagamento: pagamento.indicePagamento - lancamentos.length
+                }))
+            };
+        });
+
+        return {
+            parametros: {
+                tipoCompensacao,
+                ressarcimento,
+                taxaCapitalGiro,
+                defasagemPagamento
+            },
+            lancamentos,
+            saldoFinal,
+            resumo: {
+                saldoInicialImobilizado,
+                saldoMedioImobilizado: somar('saldoImobilizado') / numPeriodos,
+                saldoFinalCBS: ultimo ? ultimo.cbs.saldoCredor : 0,
+                saldoFinalIBS: ultimo ? ultimo.ibs.saldoCredor : 0,
+                ressarcimentoPendenteFinal: ultimo ? ultimo.cbs.ressarcimentoPendente + ultimo.ibs.ressarcimentoPendente : 0,
+                totalRessarcimentoSolicitado: lancamentos.reduce((soma, l) =>
+                    soma + l.cbs.ressarcimentoSolicitado + l.ibs.ressarcimentoSolicitado, 0),
+                totalRecolhido: somar('aRecolher'),
+                custoFinanceiroTotal: somar('custoFinanceiro'),
+                custoFinanceiroMensalMedio: somar('custoFinanceiro') / numPeriodos
+            }
+        };
+    }
+
+    /**
+     * Monta os 12 períodos mensais de um ano a partir de débitos e créditos mensais médios
+     * @param {number} ano - Ano de referência
+     * @param {Object} mensal - Valores mensais {debitoCBS, debitoIBS, creditoCBS, creditoIBS}
+     * @returns {Array<Object>} - Períodos prontos para escriturarLivroCreditos
+     */
+    function gerarPeriodosAnuais(ano, mensal) {
+        const periodos = [];
+        for (let mes = 1; mes <= 12; mes++) {
+            periodos.push({
+                competencia: `${ano}-${String(mes).padStart(2, '0')}`,
+                debitoCBS: mensal.debitoCBS || 0,
+                debitoIBS: mensal.debitoIBS || 0,
+                creditoCBS: mensal.creditoCBS || 0,
+                creditoIBS: mensal.creditoIBS || 0
+            });
+        }
+        return periodos;
+    }
+
     // API pública
     return {
+        parametrosLivroPadrao,
         calcularRetencaoEfetiva,
-        calcularImpactoFluxoCaixa
+        calcularImpactoFluxoCaixa,
+        escriturarLivroCreditos,
+        gerarPeriodosAnuais
     };
 })();
\ No newline at end of file
@@ -57,6 +57,52 @@ window.CurrentTaxSystem = (function() {
         irpj: 0.15,        // Alíquota básica
         csll: 0.09         // Alíquota padrão
     };
+
+    /**
+     * Perfis de regime tributário: cumulatividade do PIS/COFINS, direito a créditos
+     * e base de cálculo do IRPJ/CSLL de cada regime
+     * @type {Object}
+     */
+    const perfisRegime = {
+        real: {
+            nome: 'Lucro Real',
+            pisCofinsCumulativo: false,
+            creditosPisCofins: true,
+            creditosICMSIPI: true,
+            baseIRPJCSLL: 'lucro'
+        },
+        presumido: {
+            nome: 'Lucro Presumido',
+            pisCofinsCumulativo: true,
+            creditosPisCofins: false,
+            creditosICMSIPI: true,
+            baseIRPJCSLL: 'presuncao',
+            // Percentuais de presunção sobre a receita (Lei 9.249/1995)
+            presuncao: {
+                bens: { irpj: 0.08, csll: 0.12 },
+                servicos: { irpj: 0.32, csll: 0.32 }
+            }
+        },
+        simples: {
+            nome: 'Simples Nacional',
+            recolhimentoUnificado: true,
+            creditosPisCofins: false,
+            creditosICMSIPI: false,
+            baseIRPJCSLL: 'das'
+        }
+    };
+
+    /**
+     * Parcela mensal do lucro isenta do adicional de 10% do IRPJ
+     * @type {number}
+     */
+    const limiteAdicionalIRPJ = 20000;
+
+    /**
+     * Margem de valor agregado (MVA) padrão da substituição tributária do ICMS, quando não informada
+     * @type {number}
+     */
+    const mvaPadraoST = 0.40;
     
     // Em current-tax-system.js
     const cronogramasPadrao = {
@@ -120,6 +166,30 @@ window.CurrentTaxSystem = (function() {
         return cronograma[ano] || 0;
     }    
 
+    /**
+     * Parcela do IPI ainda devida por ano: alíquotas reduzidas a zero a partir de 2027
+     * @type {Object}
+     */
+    const cronogramaIPI = {
+        2026: 1, 2027: 0, 2028: 0, 2029: 0, 2030: 0, 2031: 0, 2032: 0, 2033: 0
+    };
+
+    /**
+     * Obtém a parcela do IPI ainda devida no ano; anos fora do cronograma usam o primeiro ou o último ano
+     * Produtos com similar industrializado na Zona Franca de Manaus mantêm o IPI
+     * (opção manterIPI da configuração do Imposto Seletivo).
+     * @param {number} ano - Ano de referência
+     * @param {boolean} [manterIPI=false] - Se true, o IPI continua integralmente devido
+     * @returns {number} - Fator aplicado sobre o IPI (0-1)
+     */
+    function obterFatorIPI(ano, manterIPI = false) {
+        if (manterIPI) return 1;
+
+        const anos = Object.keys(cronogramaIPI).map(Number).sort((a, b) => a - b);
+        const anoCronograma = Math.min(Math.max(ano, anos[0]), anos[anos.length - 1]);
+        return cronogramaIPI[anoCronograma] !== undefined ? cronogramaIPI[anoCronograma] : 0;
+    }
+
     /**
      * Calcula o PIS a ser recolhido
      * @param {number} revenue - Receita bruta
@@ -177,6 +247,7 @@ window.CurrentTaxSystem = (function() {
      * @param {number} [rate=aliquotasPadrao.icms.intrastate] - Alíquota do ICMS
      * @param {number} [credits=0] - Créditos de ICMS a serem descontados
      * @param {boolean} [substituicaoTributaria=false] - Indica se aplica-se o regime de substituição tributária
+     *        na condição de substituído: o ICMS da operação foi retido pelo fornecedor e não há recolhimento próprio
      * @returns {number} Valor do ICMS a recolher
      */
     function calcularICMS(revenue, rate = aliquotasPadrao.icms.intrastate, credits = 0, substituicaoTributaria = false) {
@@ -196,6 +267,29 @@ window.CurrentTaxSystem = (function() {
     }
 
 
+    /**
+     * Calcula o ICMS-ST retido pelo substituto sobre as operações subsequentes
+     * O imposto incide sobre a base presumida (valor da operação acrescido da MVA) à alíquota interna
+     * do destino, deduzido o ICMS próprio da operação.
+     * @param {number} operationValue - Valor da operação própria
+     * @param {number} [mva=mvaPadraoST] - Margem de valor agregado (decimal)
+     * @param {number} [internalRate=aliquotasPadrao.icms.intrastate] - Alíquota interna do destino
+     * @param {number} [ownRate=aliquotasPadrao.icms.intrastate] - Alíquota do ICMS próprio da operação
+     * @returns {number} Valor do ICMS-ST a recolher
+     */
+    function calcularICMSST(operationValue, mva = mvaPadraoST, internalRate = aliquotasPadrao.icms.intrastate,
+                            ownRate = aliquotasPadrao.icms.intrastate) {
+        // Validar e normalizar os parâmetros
+        operationValue = typeof operationValue === 'number' && !isNaN(operationValue) ? operationValue : 0;
+        mva = typeof mva === 'number' && !isNaN(mva) ? Math.max(0, mva) : mvaPadraoST;
+        internalRate = typeof internalRate === 'number' && !isNaN(internalRate) ? internalRate : aliquotasPadrao.icms.intrastate;
+        ownRate = typeof ownRate === 'number' && !isNaN(ownRate) ? ownRate : aliquotasPadrao.icms.intrastate;
+
+        const baseST = operationValue * (1 + mva);
+        return Math.max(0, baseST * internalRate - operationValue * ownRate);
+    }
+
+
     /**
      * Calcula o IPI a ser recolhido
      * @param {number} productValue - Valor do produto
@@ -229,13 +323,191 @@ window.CurrentTaxSystem = (function() {
     }
 
 
+    /**
+     * Obtém o perfil de um regime tributário
+     * @param {string} regime - 'real', 'presumido' ou 'simples'
+     * @returns {Object|null} Perfil do regime ou null se desconhecido
+     */
+    function obterPerfilRegime(regime) {
+        return perfisRegime[regime] || null;
+    }
+
+    /**
+     * Calcula IRPJ e CSLL mensais conforme a base do regime
+     * @param {number} receitaBens - Receita de vendas de bens
+     * @param {number} receitaServicos - Receita de prestação de serviços
+     * @param {Object} perfil - Perfil do regime
+     * @param {number} margem - Margem operacional (decimal), base do Lucro Real
+     * @returns {Object} { baseIRPJ, baseCSLL, irpj, csll, total }
+     */
+    function calcularTributosRenda(receitaBens, receitaServicos, perfil, margem) {
+        let baseIRPJ;
+        let baseCSLL;
+
+        if (perfil.baseIRPJCSLL === 'presuncao') {
+            baseIRPJ = receitaBens * perfil.presuncao.bens.irpj + receitaServicos * perfil.presuncao.servicos.irpj;
+            baseCSLL = receitaBens * perfil.presuncao.bens.csll + receitaServicos * perfil.presuncao.servicos.csll;
+        } else {
+            baseIRPJ = Math.max(0, (receitaBens + receitaServicos) * margem);
+            baseCSLL = baseIRPJ;
+        }
+
+        const irpj = baseIRPJ * aliquotasPadrao.irpj + Math.max(0, baseIRPJ - limiteAdicionalIRPJ) * 0.10;
+        const csll = baseCSLL * aliquotasPadrao.csll;
+
+        return { baseIRPJ, baseCSLL, irpj, csll, total: irpj + csll };
+    }
+
+    /**
+     * Distribui o valor do DAS entre os tributos sobre consumo substituídos pela reforma,
+     * conforme a partilha do anexo do Simples Nacional
+     * @param {number} revenue - Receita bruta
+     * @param {number} aliquotaSimples - Alíquota efetiva do DAS
+     * @param {number} percentualServicos - Parcela da receita proveniente de serviços
+     * @param {string} anexo - Anexo do Simples Nacional
+     * @returns {Object} { pis, cofins, icms?, iss?, das } - das contém IRPJ, CSLL, CPP e IPI
+     */
+    function calcularImpostosSimples(revenue, aliquotaSimples, percentualServicos, anexo) {
+        const valorDAS = revenue * aliquotaSimples;
+        const partilha = window.SimplesNacionalModule?.partilhaTributosConsumo?.[anexo];
+
+        // Sem a tabela de partilha, o DAS é tratado como um único tributo
+        if (!partilha) {
+            return { das: valorDAS };
+        }
+
+        // PIS e COFINS dividem a parcela na mesma proporção das alíquotas não-cumulativas
+        const proporcaoPIS = aliquotasPadrao.pis / (aliquotasPadrao.pis + aliquotasPadrao.cofins);
+        const pisCofins = valorDAS * partilha.pisCofins;
+        const icmsIss = valorDAS * partilha.icmsIss;
+
+        const result = {
+            pis: pisCofins * proporcaoPIS,
+            cofins: pisCofins * (1 - proporcaoPIS)
+        };
+
+        if (percentualServicos < 1) {
+            result.icms = icmsIss * (1 - percentualServicos);
+        }
+        if (percentualServicos > 0) {
+            result.iss = icmsIss * percentualServicos;
+        }
+
+        result.das = valorDAS - pisCofins - icmsIss;
+        return result;
+    }
+
+    /**
+     * Obtém a alíquota de IPI sobre a receita de bens
+     * Empresas com produtos sujeitos ao Imposto Seletivo usam, nessa parcela, o IPI típico da categoria.
+     * @param {Object} params - Parâmetros de calcularTodosImpostosAtuais
+     * @param {number} revenue - Receita bruta
+     * @param {number} receitaBens - Receita de bens
+     * @returns {number} Alíquota do IPI
+     * @private
+     */
+    function obterAliquotaIPI(params, revenue, receitaBens) {
+        const seletivo = params.impostoSeletivo;
+        if (!seletivo || !window.ImpostoSeletivoModule || !(receitaBens > 0)) {
+            return aliquotasPadrao.ipi;
+        }
+
+        const participacao = revenue * (seletivo.percentualReceita || 0) / receitaBens;
+        return window.ImpostoSeletivoModule.obterAliquotaIPIPonderada(seletivo, aliquotasPadrao.ipi, participacao);
+    }
+
+    /**
+     * Obtém a parcela da receita de bens sujeita à substituição tributária do ICMS
+     * @param {Object} params - Parâmetros de calcularTodosImpostosAtuais
+     * @param {number} revenue - Receita bruta
+     * @param {number} receitaBens - Receita de bens
+     * @returns {Object|null} { papel, receitaST, parcela, mva, aliquotaInterna } ou null sem ST
+     * @private
+     */
+    function obterParametrosST(params, revenue, receitaBens) {
+        const st = params.substituicaoTributaria;
+        if (!st || !['substituto', 'substituido'].includes(st.papel) || !(receitaBens > 0)) {
+            return null;
+        }
+
+        const percentual = typeof st.percentualReceita === 'number' && !isNaN(st.percentualReceita) ?
+                           Math.max(0, Math.min(1, st.percentualReceita)) : 0;
+        const receitaST = Math.min(receitaBens, revenue * percentual);
+        if (receitaST === 0) return null;
+
+        return {
+            papel: st.papel,
+            receitaST,
+            parcela: receitaST / receitaBens,
+            mva: typeof st.mva === 'number' && !isNaN(st.mva) ? Math.max(0, st.mva) : mvaPadraoST,
+            aliquotaInterna: typeof st.aliquotaInterna === 'number' && !isNaN(st.aliquotaInterna) ?
+                             st.aliquotaInterna : aliquotasPadrao.icms.intrastate
+        };
+    }
+
+    /**
+     * Monta os parâmetros de calcularTodosImpostosAtuais a partir dos dados planos da simulação
+     * @param {Object} dados - Dados em formato plano
+     * @returns {Object} Parâmetros para calcularTodosImpostosAtuais
+     */
+    function montarParametrosImpostos(dados) {
+        const params = {
+            revenue: dados.faturamento,
+            serviceCompany: dados.tipoEmpresa === 'servicos',
+            cumulativeRegime: dados.regimePisCofins === 'cumulativo',
+            credits: {
+                pis: dados.creditosPIS || 0,
+                cofins: dados.creditosCOFINS || 0,
+                icms: dados.creditosICMS || 0,
+                ipi: dados.creditosIPI || 0
+            }
+        };
+
+        if (dados.impostoSeletivo && dados.impostoSeletivo.categoria) {
+            params.impostoSeletivo = dados.impostoSeletivo;
+        }
+
+        if (dados.incentivoICMS && dados.incentivoICMS.ativo) {
+            params.incentivoICMS = dados.incentivoICMS.percentualReducao || 0;
+        }
+
+        if (dados.substituicaoTributaria && dados.substituicaoTributaria.papel) {
+            params.substituicaoTributaria = dados.substituicaoTributaria;
+        }
+
+        if (obterPerfilRegime(dados.regime)) {
+            params.regime = dados.regime;
+            params.margem = dados.margem;
+            if (typeof dados.percentualServicos === 'number') {
+                params.percentualServicos = dados.percentualServicos;
+            }
+            if (dados.regime === 'simples') {
+                params.aliquotaSimples = dados.aliquota;
+                params.anexoSimples = dados.simplesAnexo ||
+                    (window.SimplesNacionalModule ? window.SimplesNacionalModule.obterAnexoPadrao(dados.tipoEmpresa) : '');
+            }
+        }
+
+        return params;
+    }
+
     /**
      * Calcula todos os impostos do sistema atual para uma operação
      * @param {Object} params - Parâmetros da operação em formato plano
      * @param {number} params.revenue - Receita bruta
      * @param {boolean} [params.serviceCompany=false] - Indica se é empresa de serviços
-     * @param {boolean} [params.cumulativeRegime=false] - Regime cumulativo (true) ou não-cumulativo (false)
+     * @param {boolean} [params.cumulativeRegime=false] - Regime cumulativo (true) ou não-cumulativo (false).
+     *        Com perfil de regime, só é considerado no Lucro Real (receitas sujeitas ao regime cumulativo)
      * @param {Object} [params.credits] - Créditos tributários disponíveis
+     * @param {string} [params.regime] - Perfil do regime ('real', 'presumido', 'simples')
+     * @param {number} [params.percentualServicos] - Parcela da receita de serviços em empresas de atividade mista
+     * @param {number} [params.margem] - Margem operacional, base do IRPJ/CSLL no Lucro Real
+     * @param {number} [params.aliquotaSimples] - Alíquota efetiva do DAS (Simples Nacional)
+     * @param {string} [params.anexoSimples] - Anexo do Simples Nacional
+     * @param {Object} [params.impostoSeletivo] - Produtos sujeitos ao Imposto Seletivo { categoria, percentualReceita }
+     * @param {number} [params.incentivoICMS] - Redução do ICMS devido por incentivo fiscal (decimal 0-1)
+     * @param {Object} [params.substituicaoTributaria] - ICMS-ST { papel: 'substituto'|'substituido', percentualReceita,
+     *        mva, aliquotaInterna }. Para o substituído, o ICMS inclui o ICMS-ST pago antecipadamente ao fornecedor
      * @returns {Object} Objeto contendo todos os impostos calculados
      */
     function calcularTodosImpostosAtuais(params) {
@@ -263,21 +535,102 @@ window.CurrentTaxSystem = (function() {
             ipi: typeof params.credits?.ipi === 'number' ? params.credits.ipi : 0
         };
 
-        const result = {
-            pis: calcularPIS(revenue, aliquotasPadrao.pis, cumulativeRegime, credits.pis),
-            cofins: calcularCOFINS(revenue, aliquotasPadrao.cofins, cumulativeRegime, credits.cofins)
-        };
+        const perfil = obterPerfilRegime(params.regime);
+
+        // Atividade mista: serviços sujeitos ao ISS e bens ao ICMS/IPI
+        const percentualServicos = typeof params.percentualServicos === 'number' && !isNaN(params.percentualServicos) ?
+                                   Math.max(0, Math.min(1, params.percentualServicos)) : (serviceCompany ? 1 : 0);
+        const receitaServicos = revenue * percentualServicos;
+        const receitaBens = revenue - receitaServicos;
+
+        // Incentivo fiscal de ICMS: reduz o imposto devido (não se aplica ao ICMS recolhido no DAS)
+        const percentualIncentivo = typeof params.incentivoICMS === 'number' && !isNaN(params.incentivoICMS) ?
+                                    Math.max(0, Math.min(1, params.incentivoICMS)) : 0;
+        let beneficioICMS = 0;
 
-        if (serviceCompany) {
-            result.iss = calcularISS(revenue, aliquotasPadrao.issqn);
+        // Substituição tributária do ICMS (não modelada no Simples Nacional)
+        let substituicao = null;
+
+        let result;
+
+        if (perfil && perfil.recolhimentoUnificado) {
+            // Simples Nacional: tributos recolhidos no DAS, sem apropriação de créditos
+            const aliquotaSimples = typeof params.aliquotaSimples === 'number' && !isNaN(params.aliquotaSimples) ?
+                                    Math.max(0, params.aliquotaSimples) : 0;
+            result = calcularImpostosSimples(revenue, aliquotaSimples, percentualServicos, params.anexoSimples);
         } else {
-            result.icms = calcularICMS(revenue, aliquotasPadrao.icms.intrastate, credits.icms);
-            result.ipi = calcularIPI(revenue, aliquotasPadrao.ipi, credits.ipi);
+            // Sem perfil, mantém o comportamento original baseado apenas na flag de cumulatividade
+            const pisCofinsCumulativo = perfil ?
+                (perfil.pisCofinsCumulativo || (params.regime === 'real' && cumulativeRegime)) :
+                cumulativeRegime;
+            const creditosPisCofins = !perfil || perfil.creditosPisCofins;
+            const creditosICMSIPI = !perfil || perfil.creditosICMSIPI;
+
+            result = {
+                pis: calcularPIS(revenue, aliquotasPadrao.pis, pisCofinsCumulativo, creditosPisCofins ? credits.pis : 0),
+                cofins: calcularCOFINS(revenue, aliquotasPadrao.cofins, pisCofinsCumulativo, creditosPisCofins ? credits.cofins : 0)
+            };
+
+            if (percentualServicos > 0) {
+                result.iss = calcularISS(receitaServicos, aliquotasPadrao.issqn);
+            }
+            if (percentualServicos < 1) {
+                const creditosICMS = creditosICMSIPI ? credits.icms : 0;
+                const st = obterParametrosST(params, revenue, receitaBens);
+
+                if (st && st.papel === 'substituido') {
+                    // Saídas com ICMS retido anteriormente: sem recolhimento próprio e sem crédito das entradas
+                    result.icms = calcularICMS(receitaBens - st.receitaST, aliquotasPadrao.icms.intrastate, creditosICMS * (1 - st.parcela)) +
+                                  calcularICMS(st.receitaST, aliquotasPadrao.icms.intrastate, creditosICMS * st.parcela, true);
+                } else {
+                    result.icms = calcularICMS(receitaBens, aliquotasPadrao.icms.intrastate, creditosICMS);
+                }
+                beneficioICMS = result.icms * percentualIncentivo;
+                result.icms -= beneficioICMS;
+
+                if (st) {
+                    // Substituído: o ICMS-ST pago ao fornecedor equivale ao imposto da cadeia até o consumidor final
+                    const icmsST = st.papel === 'substituido' ?
+                        Math.max(0, st.receitaST * st.aliquotaInterna - creditosICMS * st.parcela) :
+                        calcularICMSST(st.receitaST, st.mva, st.aliquotaInterna, aliquotasPadrao.icms.intrastate);
+                    if (st.papel === 'substituido') {
+                        result.icms += icmsST;
+                    }
+                    substituicao = {
+                        papel: st.papel,
+                        receitaSujeita: st.receitaST,
+                        mva: st.mva,
+                        aliquotaInterna: st.aliquotaInterna,
+                        icmsST
+                    };
+                }
+                result.ipi = calcularIPI(receitaBens, obterAliquotaIPI(params, revenue, receitaBens), creditosICMSIPI ? credits.ipi : 0);
+            }
         }
 
         // Cálculo total
         result.total = Object.values(result).reduce((sum, tax) => sum + tax, 0);
 
+        // Benefício do incentivo fica fora do total, como objeto, para não ser somado na transição
+        if (beneficioICMS > 0) {
+            result.incentivoICMS = { percentualReducao: percentualIncentivo, beneficio: beneficioICMS };
+        }
+
+        // ICMS-ST também fica fora do total: o retido pelo substituto é cobrado do adquirente, e o
+        // antecipado pelo substituído já está no ICMS
+        if (substituicao) {
+            result.substituicaoTributaria = substituicao;
+        }
+
+        // IRPJ/CSLL ficam fora do total: não são alterados pela reforma nem retidos pelo Split Payment
+        if (perfil) {
+            result.regime = params.regime;
+            if (!perfil.recolhimentoUnificado) {
+                const margem = typeof params.margem === 'number' && !isNaN(params.margem) ? params.margem : 0;
+                result.tributosRenda = calcularTributosRenda(receitaBens, receitaServicos, perfil, margem);
+            }
+        }
+
         return result;
     }
     
@@ -453,18 +806,8 @@ window.CurrentTaxSystem = (function() {
         // Benefício financeiro do capital em giro (em dias de faturamento)
         const beneficioDiasCapitalGiro = (capitalGiroImpostos / faturamento) * tempoMedioCapitalGiro;
 
-        // Cálculo dos impostos do sistema atual usando função especializada
-        const impostos = calcularTodosImpostosAtuais({
-            revenue: faturamento,
-            serviceCompany: dados.tipoEmpresa === 'servicos',
-            cumulativeRegime: dados.regimePisCofins === 'cumulativo',
-            credits: {
-                pis: dados.creditosPIS || 0,
-                cofins: dados.creditosCOFINS || 0,
-                icms: dados.creditosICMS || 0,
-                ipi: dados.creditosIPI || 0
-            }
-        });
+        // Cálculo dos impostos do sistema atual usando função especializada e o perfil do regime
+        const impostos = calcularTodosImpostosAtuais(montarParametrosImpostos({ ...dados, faturamento }));
 
         // Resultado completo
         const resultado = {
@@ -794,14 +1137,21 @@ window.CurrentTaxSystem = (function() {
     // Retornar o objeto com funções públicas
     return {
         aliquotasPadrao,
+        perfisRegime,
+        cronogramaIPI,
         obterPercentualImplementacao,
+        obterFatorIPI,
+        obterPerfilRegime,
         calcularPIS,
         calcularCOFINS,
         calcularICMS,
+        calcularICMSST,
         calcularIPI,
         calcularISS,
         calcularTodosImpostosAtuais,
         calcularTodosImpostosAtuaisCompat, // Nova função de compatibilidade
+        montarParametrosImpostos,
+        calcularTributosRenda,
         calcularFluxoCaixaAtual,
         calcularFluxoCaixaAtualCompat,     // Nova função de compatibilidade
         calcularAnaliseSensibilidade,
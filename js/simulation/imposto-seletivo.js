@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Módulo do Imposto Seletivo (IS) na transição para o IVA Dual
+ * O IS incide uma única vez sobre bens prejudiciais à saúde ou ao meio ambiente (LC 214/2025),
+ * a partir de 2027, e integra a base de cálculo da CBS e do IBS. No mesmo ano o IPI tem as
+ * alíquotas reduzidas a zero (CurrentTaxSystem.obterFatorIPI); a configuração do IS guarda apenas a
+ * exceção dos produtos com industrialização incentivada na Zona Franca de Manaus (manterIPI).
+ * @module imposto-seletivo
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ */
+
+window.ImpostoSeletivoModule = (function() {
+    /**
+     * Categorias de produtos sujeitos ao IS
+     * As alíquotas do IS dependem de lei ordinária: os valores são estimativas de referência e podem
+     * ser substituídos pela alíquota informada na simulação. aliquotaIPI é a alíquota típica da TIPI
+     * para a categoria, usada no sistema atual; ncm lista os prefixos usados na identificação dos itens do SPED.
+     * A extração mineral tem alíquota máxima de 0,25% e é tributada mesmo quando o bem é exportado.
+     * @type {Object}
+     */
+    const categoriasSeletivo = {
+        'tabaco': {
+            nome: 'Produtos fumígenos',
+            aliquota: 0.25,
+            aliquotaIPI: 0.30,
+            ncm: ['24']
+        },
+        'bebidas-alcoolicas': {
+            nome: 'Bebidas alcoólicas',
+            aliquota: 0.15,
+            aliquotaIPI: 0.10,
+            ncm: ['2203', '2204', '2205', '2206', '2207', '2208']
+        },
+        'bebidas-acucaradas': {
+            nome: 'Bebidas açucaradas',
+            aliquota: 0.10,
+            aliquotaIPI: 0.04,
+            ncm: ['2202']
+        },
+        'veiculos': {
+            nome: 'Veículos',
+            aliquota: 0.06,
+            aliquotaIPI: 0.10,
+            ncm: ['8703', '8704', '8711']
+        },
+        'embarcacoes-aeronaves': {
+            nome: 'Embarcações e aeronaves',
+            aliquota: 0.06,
+            aliquotaIPI: 0.05,
+            ncm: ['8802', '8903']
+        },
+        'extracao-mineral': {
+            nome: 'Bens minerais extraídos',
+            aliquota: 0.0025,
+            aliquotaIPI: 0,
+            ncm: ['2601', '2602', '2603', '2604', '2605', '2606', '2607', '2608', '2609', '2610',
+                  '2611', '2612', '2613', '2614', '2615', '2616', '2617', '2701', '2709', '2711']
+        },
+        'prognosticos': {
+            nome: 'Concursos de prognósticos e fantasy sport',
+            aliquota: 0.05,
+            aliquotaIPI: 0,
+            ncm: []
+        }
+    };
+
+    /**
+     * Percentual de cobrança do IS por ano (0 antes do início da cobrança)
+     * @type {Object}
+     */
+    const cronogramaSeletivo = {
+        2026: 0, 2027: 1, 2028: 1, 2029: 1, 2030: 1, 2031: 1, 2032: 1, 2033: 1
+    };
+
+    /**
+     * Obtém o valor de um cronograma anual; anos fora da tabela usam o primeiro ou o último ano
+     * @param {Object} cronograma - Ano -> valor
+     * @param {number} ano - Ano de referência
+     * @returns {number} - Valor do ano
+     * @private
+     */
+    function obterValorCronograma(cronograma, ano) {
+        const anos = Object.keys(cronograma).map(Number).sort((a, b) => a - b);
+        if (ano < anos[0]) return cronograma[anos[0]];
+        if (ano > anos[anos.length - 1]) return cronograma[anos[anos.length - 1]];
+        return cronograma[ano] !== undefined ? cronograma[ano] : 0;
+    }
+
+    /**
+     * Obtém uma categoria do IS
+     * @param {string} categoria - Identificador da categoria
+     * @returns {Object|null} - { nome, aliquota, aliquotaIPI, ncm } ou null
+     */
+    function obterCategoria(categoria) {
+        return categoriasSeletivo[categoria] || null;
+    }
+
+    /**
+     * Identifica a categoria do IS de um NCM pelo prefixo mais longo
+     * @param {string} ncm - Código NCM (com ou sem pontuação)
+     * @returns {string|null} - Identificador da categoria ou null se o produto não estiver sujeito ao IS
+     */
+    function classificarNCM(ncm) {
+        const codigo = String(ncm || '').replace(/\D/g, '');
+        if (!codigo) return null;
+
+        let melhorCategoria = null;
+        let melhorPrefixo = '';
+        Object.entries(categoriasSeletivo).forEach(([id, categoria]) => {
+            categoria.ncm.forEach(prefixo => {
+                if (codigo.startsWith(prefixo) && prefixo.length > melhorPrefixo.length) {
+                    melhorCategoria = id;
+                    melhorPrefixo = prefixo;
+                }
+            });
+        });
+
+        return melhorCategoria;
+    }
+
+    /**
+     * Obtém a alíquota do IS da configuração: a informada ou, na falta dela, a da categoria
+     * @param {Object} config - { categoria, aliquota }
+     * @returns {number} - Alíquota do IS (decimal)
+     */
+    function obterAliquota(config) {
+        if (!config) return 0;
+        if (typeof config.aliquota === 'number' && !isNaN(config.aliquota)) {
+            return Math.max(0, config.aliquota);
+        }
+        const categoria = obterCategoria(config.categoria);
+        return categoria ? categoria.aliquota : 0;
+    }
+
+    /**
+     * Obtém a parcela do IS cobrada no ano
+     * @param {number} ano - Ano de referência
+     * @returns {number} - Percentual de cobrança (0-1)
+     */
+    function obterPercentualSeletivo(ano) {
+        return obterValorCronograma(cronogramaSeletivo, ano);
+    }
+
+    /**
+     * Pondera a alíquota do IPI do sistema atual pela parcela dos bens sujeitos ao IS
+     * @param {Object} config - Configuração do IS { categoria }
+     * @param {number} aliquotaPadrao - Alíquota do IPI dos demais produtos
+     * @param {number} participacao - Parcela da receita de bens sujeita ao IS (0-1)
+     * @returns {number} - Alíquota média do IPI
+     */
+    function obterAliquotaIPIPonderada(config, aliquotaPadrao, participacao) {
+        const categoria = obterCategoria(config && config.categoria);
+        if (!categoria || !(participacao > 0)) return aliquotaPadrao;
+
+        const parcela = Math.min(1, participacao);
+        return parcela * categoria.aliquotaIPI + (1 - parcela) * aliquotaPadrao;
+    }
+
+    /**
+     * Calcula o IS do ano sobre a parcela da receita com produtos sujeitos
+     * A base do IS não inclui CBS e IBS; o valor do IS, por sua vez, compõe a base da CBS e do IBS.
+     * @param {number} baseValue - Receita do período
+     * @param {number} ano - Ano de referência
+     * @param {Object} config - { categoria, percentualReceita, aliquota, manterIPI }
+     * @returns {Object|null} - { categoria, nome, aliquota, percentualReceita, baseSujeita, percentualCobranca, valor }
+     *          ou null se a empresa não tiver produtos sujeitos ao IS
+     */
+    function calcularImpostoSeletivo(baseValue, ano, config) {
+        const categoria = obterCategoria(config && config.categoria);
+        const percentualReceita = config && typeof config.percentualReceita === 'number' ?
+                                  Math.max(0, Math.min(1, config.percentualReceita)) : 0;
+        if (!categoria || percentualReceita === 0) return null;
+
+        const aliquota = obterAliquota(config);
+        const baseSujeita = (baseValue || 0) * percentualReceita;
+        const percentualCobranca = obterPercentualSeletivo(ano);
+
+        return {
+            categoria: config.categoria,
+            nome: categoria.nome,
+            aliquota,
+            percentualReceita,
+            baseSujeita,
+            percentualCobranca,
+            valor: baseSujeita * aliquota * percentualCobranca
+        };
+    }
+
+    // API pública
+    return {
+        categoriasSeletivo,
+        cronogramaSeletivo,
+        obterCategoria,
+        classificarNCM,
+        obterAliquota,
+        obterPercentualSeletivo,
+        obterAliquotaIPIPonderada,
+        calcularImpostoSeletivo
+    };
+})();
@@ -0,0 +1,343 @@
+/**
+ * Simulação de CBS/IBS por Item (SPED C170)
+ * Recalcula CBS e IBS item a item a partir dos registros C170 da EFD ICMS/IPI,
+ * classificando cada item por NCM, CFOP e CST em uma categoria tributária
+ * (ou regime diferenciado da tabela ClassificacaoNCMRepository),
+ * e produz o mapa tributário por item e a alíquota efetiva agregada.
+ *
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ */
+
+window.ItemTaxSimulator = (function() {
+    /**
+     * Categorias tributárias do IVA Dual e o fator aplicado sobre a alíquota de referência
+     * Os fatores de 'reduced' e 'exempt' seguem as regras de IVADualSystem.calcularCBS/calcularIBS;
+     * 'specific' utiliza as alíquotas informadas na própria regra de classificação.
+     * @type {Object}
+     */
+    const categoriasTributarias = {
+        'standard': { descricao: 'Alíquota padrão', fator: 1 },
+        'reduced': { descricao: 'Alíquota reduzida', fator: 0.5 },
+        'exempt': { descricao: 'Isenta / alíquota zero', fator: 0 },
+        'specific': { descricao: 'Alíquota específica', fator: null },
+        'nao-tributado': { descricao: 'Fora do campo de incidência', fator: 0 }
+    };
+
+    /**
+     * CST de PIS/COFINS que indicam operação sem débito/crédito na sistemática atual
+     * (alíquota zero, isenção, não incidência, suspensão e aquisições sem direito a crédito)
+     * @type {Array<string>}
+     */
+    const cstsSemIncidencia = ['06', '07', '08', '09', '70', '71', '72', '73', '74', '75'];
+
+    /**
+     * Normaliza um código NCM removendo pontuação
+     * @param {string} ncm - Código NCM
+     * @returns {string} - Código apenas com dígitos
+     * @private
+     */
+    function normalizarNCM(ncm) {
+        return String(ncm || '').replace(/\D/g, '');
+    }
+
+    /**
+     * Determina se o item é uma saída (débito) ou entrada (crédito)
+     * Prioriza o indicador de operação do documento (C100); na falta dele, usa o CFOP.
+     * @param {Object} item - Item do SPED
+     * @returns {string} - 'saida' ou 'entrada'
+     * @private
+     */
+    function determinarOperacao(item) {
+        if (item.indOper === '0') return 'entrada';
+        if (item.indOper === '1') return 'saida';
+
+        const primeiroDigito = String(item.cfop || '').charAt(0);
+        return ['1', '2', '3'].includes(primeiroDigito) ? 'entrada' : 'saida';
+    }
+
+    /**
+     * Busca a regra de NCM de prefixo mais longo aplicável ao item
+     * @param {string} ncm - NCM normalizado
+     * @param {Array<Object>} regras - Regras de classificação por NCM
+     * @returns {Object|null} - Regra encontrada ou null
+     * @private
+     */
+    function buscarRegraNCM(ncm, regras) {
+        if (!ncm) return null;
+
+        let melhorRegra = null;
+        regras.forEach(regra => {
+            const prefixo = normalizarNCM(regra.prefixo);
+            if (prefixo && ncm.startsWith(prefixo) &&
+                (!melhorRegra || prefixo.length > normalizarNCM(melhorRegra.prefixo).length)) {
+                melhorRegra = regra;
+            }
+        });
+
+        return melhorRegra;
+    }
+
+    /**
+     * Consulta a tabela de classificação NCM/NBS e converte a linha em regra do simulador
+     * @param {string} ncm - NCM normalizado
+     * @returns {Object|null} - Regra {prefixo, categoria, aliquotaCBS, aliquotaIBS} ou null
+     * @private
+     */
+    function consultarTabelaNCM(ncm) {
+        if (!ncm || !window.ClassificacaoNCMRepository) return null;
+
+        const linha = window.ClassificacaoNCMRepository.classificar(ncm, 'ncm');
+        if (!linha) return null;
+
+        return {
+            prefixo: linha.codigo,
+            categoria: linha.regime,
+            descricao: linha.descricao,
+            aliquotaCBS: linha.aliquotaCBS,
+            aliquotaIBS: linha.aliquotaIBS
+        };
+    }
+
+    /**
+     * Obtém o fator de alíquota de uma categoria do simulador ou de um regime da tabela NCM/NBS
+     * @param {string} categoria - Categoria ou regime
+     * @returns {number|null} - Fator; null indica alíquotas específicas da regra
+     * @private
+     */
+    function obterFatorCategoria(categoria) {
+        if (categoriasTributarias[categoria]) {
+            return categoriasTributarias[categoria].fator;
+        }
+
+        if (window.ClassificacaoNCMRepository) {
+            const fator = window.ClassificacaoNCMRepository.obterFatorRegime(categoria);
+            if (fator !== undefined) return fator;
+        }
+
+        return 1;
+    }
+
+    /**
+     * Verifica se uma categoria/regime é conhecida pelo simulador ou pela tabela NCM/NBS
+     * @param {string} categoria - Categoria ou regime
+     * @returns {boolean}
+     * @private
+     */
+    function categoriaValida(categoria) {
+        return !!categoriasTributarias[categoria] ||
+            (!!window.ClassificacaoNCMRepository &&
+             window.ClassificacaoNCMRepository.obterFatorRegime(categoria) !== undefined);
+    }
+
+    /**
+     * Classifica um item em uma categoria tributária do IVA Dual
+     * Ordem de precedência: CFOP fora do campo de incidência, exportação, regra de NCM
+     * (regras informadas e tabela ClassificacaoNCMRepository), CST de PIS/COFINS sem
+     * incidência e, por fim, a categoria padrão do setor.
+     *
+     * @param {Object} item - Item do SPED (C170 enriquecido com NCM e indOper)
+     * @param {Object} [opcoes] - Opções de classificação
+     * @param {Array<Object>} [opcoes.regrasNCM] - Regras adicionais por NCM (prevalecem sobre a tabela)
+     * @param {string} [opcoes.categoriaPadrao='standard'] - Categoria do setor para itens sem regra
+     * @returns {Object} - {categoria, origem, regra}
+     */
+    function classificarItem(item, opcoes = {}) {
+        const cfop = String(item.cfop || '');
+        const ncm = normalizarNCM(item.ncm);
+        const categoriaPadrao = categoriasTributarias[opcoes.categoriaPadrao] ? opcoes.categoriaPadrao : 'standard';
+
+        // Remessas, retornos e outras operações não onerosas (CFOP x.9xx)
+        if (cfop.length === 4 && cfop.charAt(1) === '9') {
+            return { categoria: 'nao-tributado', origem: 'cfop', regra: null };
+        }
+
+        // Exportações (CFOP 7.xxx): imunes, com manutenção de créditos
+        if (cfop.charAt(0) === '7') {
+            return { categoria: 'exempt', origem: 'cfop', regra: null };
+        }
+
+        // Regras por NCM: as informadas na chamada prevalecem sobre a tabela de classificação
+        const regra = buscarRegraNCM(ncm, opcoes.regrasNCM || []) || consultarTabelaNCM(ncm);
+        if (regra && categoriaValida(regra.categoria)) {
+            return { categoria: regra.categoria, origem: 'ncm', regra };
+        }
+
+        // CST de PIS/COFINS sem incidência
+        const cst = item.cstPis || item.cstCofins;
+        if (cst && cstsSemIncidencia.includes(String(cst).padStart(2, '0'))) {
+            return { categoria: 'exempt', origem: 'cst', regra: null };
+        }
+
+        return { categoria: categoriaPadrao, origem: 'setor', regra: null };
+    }
+
+    /**
+     * Calcula as alíquotas de CBS e IBS aplicáveis a uma classificação
+     * @param {Object} classificacao - Resultado de classificarItem
+     * @param {number} aliquotaCBS - Alíquota de referência da CBS
+     * @param {number} aliquotaIBS - Alíquota de referência do IBS
+     * @returns {Object} - {cbs, ibs} em decimal
+     * @private
+     */
+    function obterAliquotasItem(classificacao, aliquotaCBS, aliquotaIBS) {
+        const fator = obterFatorCategoria(classificacao.categoria);
+
+        // Alíquota específica ('specific' ou regime 'especifico' da tabela)
+        if (fator === null) {
+            const regra = classificacao.regra || {};
+            return {
+                cbs: typeof regra.aliquotaCBS === 'number' ? regra.aliquotaCBS : aliquotaCBS,
+                ibs: typeof regra.aliquotaIBS === 'number' ? regra.aliquotaIBS : aliquotaIBS
+            };
+        }
+
+        return {
+            cbs: aliquotaCBS * fator,
+            ibs: aliquotaIBS * fator
+        };
+    }
+
+    /**
+     * Acumula valores de um item em um agrupamento do mapa tributário
+     * @param {Object} grupo - Objeto de agrupamento
+     * @param {string} chave - Chave do agrupamento
+     * @param {Object} itemCalculado - Item já calculado
+     * @private
+     */
+    function acumular(grupo, chave, itemCalculado) {
+        if (!grupo[chave]) {
+            grupo[chave] = {
+                quantidadeItens: 0,
+                baseSaidas: 0,
+                baseEntradas: 0,
+                debitoCBS: 0,
+                debitoIBS: 0,
+                creditoCBS: 0,
+                creditoIBS: 0
+            };
+        }
+
+        const destino = grupo[chave];
+        destino.quantidadeItens++;
+
+        if (itemCalculado.operacao === 'saida') {
+            destino.baseSaidas += itemCalculado.base;
+            destino.debitoCBS += itemCalculado.cbs;
+            destino.debitoIBS += itemCalculado.ibs;
+        } else {
+            destino.baseEntradas += itemCalculado.base;
+            destino.creditoCBS += itemCalculado.cbs;
+            destino.creditoIBS += itemCalculado.ibs;
+        }
+    }
+
+    /**
+     * Simula CBS e IBS item a item sobre os registros C170 importados
+     * Os valores calculados correspondem ao IVA Dual integralmente implementado;
+     * a transição anual continua a cargo de IVADualSystem.calcularTransicaoIVADual.
+     *
+     * @param {Object} dadosSped - Dados extraídos pelo SpedParser (ou combinados pelo ImportacaoController)
+     * @param {Object} [opcoes] - Opções da simulação
+     * @param {number} [opcoes.aliquotaCBS=0.088] - Alíquota de referência da CBS
+     * @param {number} [opcoes.aliquotaIBS=0.177] - Alíquota de referência do IBS
+     * @param {string} [opcoes.categoriaPadrao='standard'] - Categoria do setor para itens sem regra
+     * @param {Array<Object>} [opcoes.regrasNCM] - Regras adicionais por NCM
+     * @param {number} [opcoes.mesesAnalisados=1] - Meses cobertos pelo arquivo (para valores mensais)
+     * @returns {Object} - Itens calculados, mapa tributário, totais e alíquotas efetivas
+     */
+    function simularItens(dadosSped, opcoes = {}) {
+        const itens = (dadosSped && Array.isArray(dadosSped.itens)) ? dadosSped.itens : [];
+        const aliquotaCBS = typeof opcoes.aliquotaCBS === 'number' ? opcoes.aliquotaCBS : 0.088;
+        const aliquotaIBS = typeof opcoes.aliquotaIBS === 'number' ? opcoes.aliquotaIBS : 0.177;
+        const mesesAnalisados = Math.max(1, opcoes.mesesAnalisados || 1);
+
+        const itensCalculados = [];
+        const mapa = { porNCM: {}, porCFOP: {}, porCategoria: {} };
+        const totais = {
+            baseSaidas: 0,
+            baseEntradas: 0,
+            debitoCBS: 0,
+            debitoIBS: 0,
+            creditoCBS: 0,
+            creditoIBS: 0
+        };
+
+        itens.forEach(item => {
+            const base = Math.max(0, (item.valorItem || 0) - (item.valorDesconto || 0));
+            if (base === 0) return;
+
+            const classificacao = classificarItem(item, opcoes);
+            const operacao = determinarOperacao(item);
+            const aliquotas = obterAliquotasItem(classificacao, aliquotaCBS, aliquotaIBS);
+
+            const itemCalculado = {
+                documentoId: item.documentoId,
+                numItem: item.numItem,
+                itemId: item.itemId,
+                descricao: item.descricao,
+                ncm: normalizarNCM(item.ncm),
+                cfop: item.cfop,
+                cstPis: item.cstPis,
+                operacao,
+                base,
+                categoria: classificacao.categoria,
+                origemClassificacao: classificacao.origem,
+                aliquotaCBS: aliquotas.cbs,
+                aliquotaIBS: aliquotas.ibs,
+                cbs: base * aliquotas.cbs,
+                ibs: base * aliquotas.ibs
+            };
+
+            itensCalculados.push(itemCalculado);
+
+            // Operações fora do campo de incidência não compõem base nem alíquota efetiva
+            if (classificacao.categoria === 'nao-tributado') return;
+
+            acumular(mapa.porNCM, itemCalculado.ncm || 'sem-ncm', itemCalculado);
+            acumular(mapa.porCFOP, itemCalculado.cfop || 'sem-cfop', itemCalculado);
+            acumular(mapa.porCategoria, itemCalculado.categoria, itemCalculado);
+
+            if (operacao === 'saida') {
+                totais.baseSaidas += base;
+                totais.debitoCBS += itemCalculado.cbs;
+                totais.debitoIBS += itemCalculado.ibs;
+            } else {
+                totais.baseEntradas += base;
+                totais.creditoCBS += itemCalculado.cbs;
+                totais.creditoIBS += itemCalculado.ibs;
+            }
+        });
+
+        const aliquotaEfetivaCBS = totais.baseSaidas > 0 ? totais.debitoCBS / totais.baseSaidas : 0;
+        const aliquotaEfetivaIBS = totais.baseSaidas > 0 ? totais.debitoIBS / totais.baseSaidas : 0;
+
+        return {
+            parametros: {
+                aliquotaCBS,
+                aliquotaIBS,
+                categoriaPadrao: opcoes.categoriaPadrao || 'standard',
+                mesesAnalisados
+            },
+            itens: itensCalculados,
+            mapa,
+            totais,
+            mensal: {
+                baseSaidas: totais.baseSaidas / mesesAnalisados,
+                creditoCBS: totais.creditoCBS / mesesAnalisados,
+                creditoIBS: totais.creditoIBS / mesesAnalisados
+            },
+            aliquotaEfetivaCBS,
+            aliquotaEfetivaIBS,
+            aliquotaEfetiva: aliquotaEfetivaCBS + aliquotaEfetivaIBS,
+            quantidadeItens: itensCalculados.length
+        };
+    }
+
+    // API pública
+    return {
+        categoriasTributarias,
+        classificarItem,
+        simularItens
+    };
+})();
@@ -83,12 +83,47 @@ window.IVADualSystem = (function() {
         }
     };
 
+    /**
+     * Último ano de pagamentos do Fundo de Compensação de Benefícios Fiscais do ICMS (art. 12 do ADCT)
+     * O fundo compensa a parcela dos benefícios perdida com a redução do ICMS de 2029 a 2032;
+     * em 2033 o ICMS e os benefícios se extinguem sem compensação.
+     * @type {number}
+     */
+    const anoFimFundoCompensacao = 2032;
+
+    /**
+     * Alíquotas de referência da LC 214/2025 em relação às quais as alíquotas do setor são informadas
+     * Com a tabela anual, a razão entre a alíquota do setor e a de referência é aplicada sobre a alíquota da tabela.
+     * @type {Object}
+     */
+    const aliquotasReferenciaSetor = {
+        cbs: 0.088,
+        ibs: 0.177
+    };
+
+    /**
+     * Obtém o fator da alíquota para regimes diferenciados da tabela de classificação NCM/NBS
+     * @param {string} taxCategory - Regime ('reducao-60', 'reducao-30', 'aliquota-zero', 'cesta-basica'...)
+     * @returns {number} - Fator aplicado sobre a alíquota (1 se o regime for desconhecido)
+     * @private
+     */
+    function obterFatorRegime(taxCategory) {
+        if (window.ClassificacaoNCMRepository) {
+            const fator = window.ClassificacaoNCMRepository.obterFatorRegime(taxCategory);
+            if (typeof fator === 'number') {
+                return fator;
+            }
+        }
+        return 1;
+    }
+
     /**
      * Calcula o CBS (Contribuição sobre Bens e Serviços)
      * @param {number} baseValue - Valor base para cálculo
      * @param {number} [rate=aliquotasIVADual.cbs] - Alíquota do CBS
      * @param {number} [credits=0] - Créditos de CBS a serem descontados
      * @param {string} [taxCategory='standard'] - Categoria tributária ('standard', 'reduced', 'exempt')
+     *                                             ou regime da tabela NCM/NBS ('reducao-60', 'cesta-basica'...)
      * @returns {number} Valor do CBS a recolher
      */
     function calcularCBS(baseValue, rate = aliquotasIVADual.cbs, credits = 0, taxCategory = 'standard') {
@@ -104,7 +139,8 @@ window.IVADualSystem = (function() {
                 appliedRate = 0; // Isento
                 break;
             default:
-                appliedRate = rate;
+                // 'standard' ou regime diferenciado da tabela de classificação NCM/NBS
+                appliedRate = rate * obterFatorRegime(taxCategory);
         }
 
         // Adicionar log para depuração
@@ -120,6 +156,7 @@ window.IVADualSystem = (function() {
      * @param {number} rate - Alíquota do IBS (valor decimal, ex: 0.177 para 17.7%)
      * @param {number} credits - Créditos de IBS a serem descontados
      * @param {string} taxCategory - Categoria tributária ('standard', 'reduced', 'exempt')
+     *                               ou regime da tabela NCM/NBS ('reducao-60', 'cesta-basica'...)
      * @param {Object} options - Opções adicionais para o cálculo
      * @returns {number} Valor do IBS a recolher
      */
@@ -163,8 +200,8 @@ window.IVADualSystem = (function() {
                            Rate aplicada: ${appliedRate}`);
                 break;
 
-            default: // 'standard' ou qualquer outro valor
-                appliedRate = rate;
+            default: // 'standard' ou regime diferenciado da tabela de classificação NCM/NBS
+                appliedRate = rate * obterFatorRegime(taxCategory);
 
                 // Log de depuração para categoria padrão
                 console.log(`IBS: Aplicando alíquota padrão. Rate: ${appliedRate}`);
@@ -196,6 +233,65 @@ window.IVADualSystem = (function() {
         return taxAfterCredits;
     }
 
+    /**
+     * Calcula o IBS pelo destino da receita, separando as parcelas estadual e municipal
+     * As alíquotas de cada destino vêm do AliquotasIBSRepository e são ajustadas na proporção
+     * entre a alíquota informada e a de referência, de modo que setores com alíquota própria
+     * mantêm a diferença em todos os destinos. Receitas do exterior ('EX') não têm IBS.
+     * @param {number} baseValue - Valor base para cálculo
+     * @param {Array<Object>} destinos - Distribuição da receita [{uf, codMunicipio, percentual}]
+     * @param {Object} [options] - Opções do cálculo
+     * @param {number} [options.aliquota] - Alíquota total do IBS (padrão: referência do repositório)
+     * @param {string} [options.taxCategory='standard'] - Categoria tributária ou regime da tabela NCM/NBS
+     * @param {number} [options.reducaoEspecial=0] - Redução adicional específica do setor
+     * @returns {Object} { total, estadual, municipal, aliquotaMedia, porUF }, com porUF ordenado
+     *                   pelo IBS de cada UF
+     */
+    function calcularIBSPorDestino(baseValue, destinos, options = {}) {
+        const repositorio = window.AliquotasIBSRepository;
+        const referencia = repositorio.obterReferencia();
+        const aliquota = typeof options.aliquota === 'number' ? options.aliquota : referencia.total;
+        const escala = referencia.total > 0 ? aliquota / referencia.total : 0;
+        const opcoesIBS = { reducaoEspecial: options.reducaoEspecial || 0 };
+        const categoria = options.taxCategory || 'standard';
+
+        const porUF = {};
+        (destinos || []).forEach(destino => {
+            const uf = destino.uf || 'EX';
+            const base = baseValue * (destino.percentual || 0);
+            porUF[uf] = porUF[uf] || { uf: uf, base: 0, estadual: 0, municipal: 0 };
+            porUF[uf].base += base;
+
+            if (uf === 'EX') return;
+
+            const aliquotas = repositorio.obterAliquotas(uf, destino.codMunicipio);
+            porUF[uf].estadual += calcularIBS(base, aliquotas.estadual * escala, 0, categoria, opcoesIBS);
+            porUF[uf].municipal += calcularIBS(base, aliquotas.municipal * escala, 0, categoria, opcoesIBS);
+        });
+
+        const linhas = Object.values(porUF).map(linha => ({
+            ...linha,
+            total: linha.estadual + linha.municipal,
+            aliquotaEfetiva: linha.base > 0 ? (linha.estadual + linha.municipal) / linha.base : 0
+        }));
+
+        const estadual = linhas.reduce((soma, linha) => soma + linha.estadual, 0);
+        const municipal = linhas.reduce((soma, linha) => soma + linha.municipal, 0);
+        const total = estadual + municipal;
+
+        linhas.forEach(linha => {
+            linha.participacao = total > 0 ? linha.total / total : 0;
+        });
+
+        return {
+            total: total,
+            estadual: estadual,
+            municipal: municipal,
+            aliquotaMedia: baseValue > 0 ? total / baseValue : 0,
+            porUF: linhas.sort((a, b) => b.total - a.total)
+        };
+    }
+
     /**
      * Calcula o imposto total no sistema IVA Dual (CBS + IBS)
      * @param {number} baseValue - Valor base para cálculo
@@ -224,6 +320,57 @@ window.IVADualSystem = (function() {
         };
     }
 
+    /**
+     * Calcula CBS e IBS de um item a partir do seu código NCM/NBS
+     * Consulta a tabela de classificação (ClassificacaoNCMRepository); códigos sem linha
+     * na tabela seguem a categoria informada em options.categoriaPadrao.
+     *
+     * @param {number} baseValue - Valor base para cálculo
+     * @param {string} codigo - Código NCM ou NBS do item
+     * @param {Object} [options] - Opções adicionais
+     * @param {string} [options.tipoCodigo='ncm'] - Tipo do código ('ncm' ou 'nbs')
+     * @param {Object} [options.rates] - Alíquotas de referência {cbs, ibs}
+     * @param {string} [options.categoriaPadrao='standard'] - Categoria para códigos não classificados
+     * @returns {Object} Regime aplicado, alíquotas efetivas e valores de CBS, IBS e total
+     */
+    function calcularIVAPorCodigo(baseValue, codigo, options = {}) {
+        const rates = options.rates || {};
+        const cbsRate = rates.cbs || aliquotasIVADual.cbs;
+        const ibsRate = rates.ibs || aliquotasIVADual.ibs;
+
+        const classificacao = window.ClassificacaoNCMRepository ?
+            window.ClassificacaoNCMRepository.classificar(codigo, options.tipoCodigo || 'ncm') : null;
+
+        // Regime específico: alíquotas da própria linha da tabela (ou as de referência)
+        if (classificacao && classificacao.regime === 'especifico') {
+            const cbsEspecifica = typeof classificacao.aliquotaCBS === 'number' ? classificacao.aliquotaCBS : cbsRate;
+            const ibsEspecifica = typeof classificacao.aliquotaIBS === 'number' ? classificacao.aliquotaIBS : ibsRate;
+            const cbs = baseValue * cbsEspecifica;
+            const ibs = baseValue * ibsEspecifica;
+
+            return {
+                regime: classificacao.regime,
+                classificacao,
+                aliquotaCBS: cbsEspecifica,
+                aliquotaIBS: ibsEspecifica,
+                cbs,
+                ibs,
+                total: cbs + ibs
+            };
+        }
+
+        const regime = classificacao ? classificacao.regime : (options.categoriaPadrao || 'standard');
+        const resultado = calcularTotalIVA(baseValue, { cbs: cbsRate, ibs: ibsRate }, {}, regime);
+
+        return {
+            regime,
+            classificacao,
+            aliquotaCBS: baseValue > 0 ? resultado.cbs / baseValue : 0,
+            aliquotaIBS: baseValue > 0 ? resultado.ibs / baseValue : 0,
+            ...resultado
+        };
+    }
+
     /**
      * Calcula o fluxo de caixa com o regime de Split Payment
      * 
@@ -251,12 +398,12 @@ window.IVADualSystem = (function() {
         }
 
         // Extrair e normalizar parâmetros relevantes
-        const faturamento = window.DataManager.extrairValorNumerico(dados.faturamento);
+        const faturamento = dados.faturamento;
         const aliquota = dados.aliquota > 1 ? dados.aliquota / 100 : dados.aliquota; // Normalizar percentual
         const pmr = Math.max(0, parseInt(dados.pmr) || 0);
         const percVista = dados.percVista > 1 ? dados.percVista / 100 : dados.percVista;
         const percPrazo = dados.percPrazo > 1 ? dados.percPrazo / 100 : dados.percPrazo;
-        const creditos = window.DataManager.extrairValorNumerico(dados.creditos) || 0;
+        const creditos = typeof dados.creditos === 'number' && !isNaN(dados.creditos) ? dados.creditos : 0;
         const compensacao = dados.compensacao || 'automatica';
 
         // Verificar consistência de percentuais
@@ -288,21 +435,10 @@ window.IVADualSystem = (function() {
         // Prazo para recolhimento do imposto normal (não Split)
         const prazoRecolhimento = 25;
 
-        // Construir objeto de créditos para cálculo de impostos
-        const creditsObject = {
-            pis: dados.creditosPIS || 0,
-            cofins: dados.creditosCOFINS || 0,
-            icms: dados.creditosICMS || 0,
-            ipi: dados.creditosIPI || 0
-        };
-
-        // Calcular impostos em ambos os sistemas
-        const impostosAtuais = window.CurrentTaxSystem.calcularTodosImpostosAtuais({
-            revenue: faturamento,
-            serviceCompany: dados.tipoEmpresa === 'servicos',
-            cumulativeRegime: dados.regimePisCofins === 'cumulativo',
-            credits: creditsObject
-        });
+        // Calcular impostos em ambos os sistemas, conforme o perfil do regime tributário
+        const impostosAtuais = window.CurrentTaxSystem.calcularTodosImpostosAtuais(
+            window.CurrentTaxSystem.montarParametrosImpostos({ ...dados, faturamento })
+        );
 
         // Calcular tempo médio do capital em giro
         let tempoMedioCapitalGiro;
@@ -534,8 +670,44 @@ window.IVADualSystem = (function() {
             }
 
             // Calcular diferenças de capital de giro
-            const diferencaCapitalGiro = resultadoSplitPayment.capitalGiroDisponivel - resultadoAtual.capitalGiroDisponivel;
-            const diferencaCapitalGiroIVASemSplit = resultadoIVASemSplit.capitalGiroDisponivel - resultadoAtual.capitalGiroDisponivel;
+            let diferencaCapitalGiro = resultadoSplitPayment.capitalGiroDisponivel - resultadoAtual.capitalGiroDisponivel;
+
+            // Modo alternativo: necessidade de capital de giro obtida da série mensal/diária
+            let fluxoCaixaMensal = null;
+            if (considerarSplitPayment && window.CashFlowEngine && window.CashFlowEngine.usarMotorTemporal(dados.modoFluxoCaixa)) {
+                fluxoCaixaMensal = window.CashFlowEngine.simularFluxoCaixaAnual(dados, ano, {
+                    modo: dados.modoFluxoCaixa,
+                    impostosIVA: resultadoImpostosIVA,
+                    parametrosSetoriais: parametrosSetoriais
+                });
+
+                diferencaCapitalGiro = -fluxoCaixaMensal.resumo.necessidadeMedia;
+                resultadoSplitPayment.capitalGiroDisponivel = resultadoAtual.capitalGiroDisponivel + diferencaCapitalGiro;
+            }
+            let diferencaCapitalGiroIVASemSplit = resultadoIVASemSplit.capitalGiroDisponivel - resultadoAtual.capitalGiroDisponivel;
+
+            // Livro de créditos de CBS/IBS: o saldo credor imobilizado reduz o capital de giro no regime IVA
+            let livroCreditos = null;
+            if (resultadoImpostosIVA && typeof CreditCompensationModule !== 'undefined') {
+                livroCreditos = calcularLivroCreditosAnual(dados, ano, resultadoImpostosIVA, parametrosSetoriais);
+
+                const saldoImobilizado = livroCreditos.resumo.saldoMedioImobilizado;
+                if (saldoImobilizado > 0) {
+                    diferencaCapitalGiro -= saldoImobilizado;
+                    diferencaCapitalGiroIVASemSplit -= saldoImobilizado;
+                    resultadoIVASemSplit.capitalGiroDisponivel -= saldoImobilizado;
+                    if (resultadoSplitPayment !== resultadoIVASemSplit) {
+                        resultadoSplitPayment.capitalGiroDisponivel -= saldoImobilizado;
+                    }
+                }
+            }
+            const custoCreditosAcumulados = livroCreditos ? livroCreditos.resumo.custoFinanceiroMensalMedio : 0;
+
+            // Incentivo fiscal de ICMS reduzido com o ICMS e compensação do fundo, em linha própria
+            const incentivoICMS = calcularIncentivoICMS(resultadoAtual.impostos, ano, dados, parametrosSetoriais);
+
+            // ICMS-ST (antecipado pelo substituído ou retido pelo substituto) comparado à retenção do Split Payment
+            const substituicaoTributaria = calcularFluxoCaixaST(resultadoAtual, ano, dados, parametrosSetoriais, diferencaCapitalGiro);
 
             // Calcular percentual de impacto, protegendo contra divisão por zero
             let percentualImpacto = 0;
@@ -556,7 +728,7 @@ window.IVADualSystem = (function() {
             const impactoDiasFaturamentoIVASemSplit = resultadoAtual.beneficioDiasCapitalGiro - resultadoIVASemSplit.beneficioDiasCapitalGiro;
 
             // Extrair e normalizar parâmetros para cálculo de impacto na margem
-            const faturamento = window.DataManager.extrairValorNumerico(dados.faturamento);
+            const faturamento = dados.faturamento;
             const margem = dados.margem > 1 ? dados.margem / 100 : (dados.margem || 0.15);
             const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : 
                                    (dados.taxaCapitalGiro || 0.021); // Valor padrão: 2,1% a.m.
@@ -615,6 +787,12 @@ window.IVADualSystem = (function() {
                 impactoMargemDetalhado,
                 impactoMargemDetalhadoIVASemSplit,
                 splitPaymentConsiderado: considerarSplitPayment,
+                modoFluxoCaixa: fluxoCaixaMensal ? fluxoCaixaMensal.modo : 'agregado',
+                fluxoCaixaMensal,
+                livroCreditos,
+                custoCreditosAcumulados,
+                incentivoICMS,
+                substituicaoTributaria,
                 impactoBase: {}
             };
 
@@ -635,7 +813,12 @@ window.IVADualSystem = (function() {
                 margemOperacionalAjustada: margemAjustada,
                 margemOperacionalAjustadaIVASemSplit: margemAjustadaIVASemSplit,
                 impactoMargem: impactoPercentual,
-                impactoMargemIVASemSplit: impactoPercentualIVASemSplit
+                impactoMargemIVASemSplit: impactoPercentualIVASemSplit,
+                fluxoCaixaMensal: fluxoCaixaMensal,
+                livroCreditos: livroCreditos,
+                custoCreditosAcumulados: custoCreditosAcumulados,
+                incentivoICMS: incentivoICMS,
+                substituicaoTributaria: substituicaoTributaria
             };
 
             // Adicionar análise de sensibilidade ao resultado
@@ -664,6 +847,38 @@ window.IVADualSystem = (function() {
         }
     }
 
+    /**
+     * Escritura o livro de créditos de CBS/IBS para os 12 meses do ano
+     * Os créditos informados são proporcionais à parcela da alíquota plena cobrada no ano.
+     * O livro abre com o saldo de fechamento do ano anterior (dados.saldoInicialLivroCreditos), se houver.
+     * 
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @param {number} ano - Ano de referência
+     * @param {Object} impostosIVA - Impostos calculados por calcularTransicaoIVADual
+     * @param {Object} parametrosSetoriais - Parâmetros específicos do setor (opcional)
+     * @returns {Object} - Livro de créditos conforme CreditCompensationModule.escriturarLivroCreditos
+     * @private
+     */
+    function calcularLivroCreditosAnual(dados, ano, impostosIVA, parametrosSetoriais) {
+        const parametros = obterParametrosTransicao(ano, dados, parametrosSetoriais);
+
+        const periodos = CreditCompensationModule.gerarPeriodosAnuais(ano, {
+            debitoCBS: impostosIVA.cbs || 0,
+            debitoIBS: impostosIVA.ibs || 0,
+            creditoCBS: (dados.creditosCBS || 0) * parametros.proporcaoCBS,
+            creditoIBS: (dados.creditosIBS || 0) * parametros.proporcaoIBS
+        });
+
+        return CreditCompensationModule.escriturarLivroCreditos(periodos, {
+            tipoCompensacao: dados.tipoCompensacao,
+            ressarcimento: {
+                prazoPagamentoDias: typeof dados.prazoRessarcimento === 'number' ? dados.prazoRessarcimento : 60
+            },
+            taxaCapitalGiro: dados.taxaCapitalGiro,
+            saldoInicial: dados.saldoInicialLivroCreditos || null
+        });
+    }
+
     /**
      * Versão simplificada do cálculo de impacto no capital de giro
      * Utilizada em caso de chamada recursiva ou erro na implementação completa
@@ -676,7 +891,7 @@ window.IVADualSystem = (function() {
      */
     function calcularImpactoCapitalGiroSimplificado(dados, ano, parametrosSetoriais) {
         // Extrair e normalizar parâmetros essenciais
-        const faturamento = window.DataManager.extrairValorNumerico(dados.faturamento) || 1;
+        const faturamento = typeof dados.faturamento === 'number' && dados.faturamento > 0 ? dados.faturamento : 1;
         const aliquota = dados.aliquota > 1 ? dados.aliquota / 100 : (dados.aliquota || 0.265);
         const margem = dados.margem > 1 ? dados.margem / 100 : (dados.margem || 0.15);
         const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : 
@@ -892,6 +1107,9 @@ window.IVADualSystem = (function() {
                 }
             };
 
+            // Séries mensais por ano quando o motor de fluxo de caixa temporal estiver ativo
+            const fluxosMensais = {};
+
             // Criar cópia dos dados para manipulação
             let dadosAno = JSON.parse(JSON.stringify(dados));
             let somaImpactoMargem = 0;
@@ -920,6 +1138,10 @@ window.IVADualSystem = (function() {
                 // Armazenar resultado do ano
                 resultadosAnuais[ano] = impactoAno;
 
+                if (impactoAno.fluxoCaixaMensal) {
+                    fluxosMensais[ano] = impactoAno.fluxoCaixaMensal;
+                }
+
                 // Acumular valores para análise global
                 impactoAcumulado.totalNecessidadeCapitalGiro += impactoAno.necessidadeAdicionalCapitalGiro || 0;
                 impactoAcumulado.custoFinanceiroTotal += impactoAno.impactoMargemDetalhado?.custoAnualCapitalGiro || 0;
@@ -963,6 +1185,11 @@ window.IVADualSystem = (function() {
                     impactoAno.necessidadeAdicionalCapitalGiro || 0
                 );
 
+                // Transportar o saldo credor e os ressarcimentos pendentes para o livro do ano seguinte
+                if (impactoAno.livroCreditos) {
+                    dadosAno.saldoInicialLivroCreditos = impactoAno.livroCreditos.saldoFinal;
+                }
+
                 // Atualizar faturamento para o próximo ano com a taxa de crescimento
                 dadosAno.faturamento = dadosAno.faturamento * (1 + taxaCrescimento);
 
@@ -974,6 +1201,11 @@ window.IVADualSystem = (function() {
             const numAnos = anoFinal - anoInicial + 1;
             impactoAcumulado.impactoMedioMargem = somaImpactoMargem / numAnos;
 
+            // Consolidar a série mensal de necessidade de capital de giro, se disponível
+            if (Object.keys(fluxosMensais).length > 0) {
+                comparacaoRegimes.fluxoMensal = window.CashFlowEngine.consolidarSerieMensal(fluxosMensais);
+            }
+
             // Gerar memória crítica usando DataManager se disponível
             let memoriaCritica;
             try {
@@ -1013,7 +1245,8 @@ window.IVADualSystem = (function() {
                     anoInicial,
                     anoFinal,
                     cenarioTaxaCrescimento,
-                    taxaCrescimento
+                    taxaCrescimento,
+                    modoFluxoCaixa: dados.modoFluxoCaixa || 'agregado'
                 },
                 resultadosAnuais,  // Resultados para cada ano individualmente
                 impactoAcumulado,
@@ -1982,6 +2215,156 @@ window.IVADualSystem = (function() {
         };
     }
 
+    /**
+     * Determina alíquota e percentual de implantação de um tributo na tabela anual
+     * Com implantação em curso vale a alíquota de referência da tabela, menos a redução, multiplicada
+     * pela razão entre a alíquota do setor e a referência da LC 214/2025; sem ela, a alíquota de teste
+     * é cobrada integralmente. Linhas sem alíquota de referência usam a alíquota do setor.
+     * @param {number} aliquotaReferencia - Alíquota de referência da linha
+     * @param {number} fatorSetor - Razão entre a alíquota do setor e a de referência
+     * @param {number} percentual - Percentual de implantação da linha
+     * @param {number} teste - Alíquota de teste da linha
+     * @param {number} reducao - Redução da alíquota de referência da linha
+     * @returns {Object} - {aliquota, percentual, teste}
+     * @private
+     */
+    function obterAliquotaTabela(aliquotaReferencia, fatorSetor, percentual, teste, reducao) {
+        if (percentual > 0) {
+            return { aliquota: Math.max(0, aliquotaReferencia - reducao) * fatorSetor, percentual: percentual, teste: false };
+        }
+        if (teste > 0) {
+            return { aliquota: teste, percentual: 1, teste: true };
+        }
+        return { aliquota: aliquotaReferencia * fatorSetor, percentual: 0, teste: false };
+    }
+
+    /**
+     * Obtém alíquotas e percentuais da transição para um ano
+     * Usa a tabela de alíquotas gravada na simulação (dados.tabelaAliquotas ou
+     * parametrosSetoriais.tabelaAliquotas); sem ela, ou com cronograma próprio do setor,
+     * usa o cronograma de implementação do CurrentTaxSystem.
+     * @param {number} year - Ano de referência
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @param {Object} [parametrosSetoriais] - Parâmetros específicos do setor
+     * @returns {Object} - {cbs, ibs, fatorPisCofins, fatorIcmsIss, proporcaoCBS, proporcaoIBS, versaoTabela}
+     */
+    function obterParametrosTransicao(year, dados, parametrosSetoriais) {
+        const aliquotaInformadaCBS = dados.aliquotaCBS || parametrosSetoriais?.aliquotaCBS || 0;
+        const aliquotaInformadaIBS = dados.aliquotaIBS || parametrosSetoriais?.aliquotaIBS || 0;
+        const tabela = dados.tabelaAliquotas || parametrosSetoriais?.tabelaAliquotas || null;
+
+        const linha = tabela && !parametrosSetoriais?.cronogramaProprio && window.TabelaAliquotasRepository ?
+            window.TabelaAliquotasRepository.obterLinhaAno(tabela, year) : null;
+
+        // Alíquota plena do setor: sem alíquota informada, a de referência (com tabela) ou a padrão do módulo
+        const aliquotaSetorCBS = aliquotaInformadaCBS || (linha ? aliquotasReferenciaSetor.cbs : aliquotasIVADual.cbs);
+        const aliquotaSetorIBS = aliquotaInformadaIBS || (linha ? aliquotasReferenciaSetor.ibs : aliquotasIVADual.ibs);
+
+        let parametros;
+        if (linha) {
+            parametros = {
+                cbs: linha.aliquotaCBS > 0 ?
+                    obterAliquotaTabela(linha.aliquotaCBS, aliquotaSetorCBS / aliquotasReferenciaSetor.cbs,
+                        linha.percentualCBS, linha.testeCBS, linha.reducaoCBS) :
+                    obterAliquotaTabela(aliquotaSetorCBS, 1, linha.percentualCBS, linha.testeCBS, linha.reducaoCBS),
+                ibs: linha.aliquotaIBS > 0 ?
+                    obterAliquotaTabela(linha.aliquotaIBS, aliquotaSetorIBS / aliquotasReferenciaSetor.ibs,
+                        linha.percentualIBS, linha.testeIBS, linha.reducaoIBS) :
+                    obterAliquotaTabela(aliquotaSetorIBS, 1, linha.percentualIBS, linha.testeIBS, linha.reducaoIBS),
+                fatorPisCofins: linha.percentualPisCofins,
+                fatorIcmsIss: linha.percentualIcmsIss,
+                versaoTabela: tabela.id || null
+            };
+        } else {
+            const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(year, 'cbs', parametrosSetoriais);
+            const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(year, 'ibs', parametrosSetoriais);
+            parametros = {
+                cbs: { aliquota: aliquotaSetorCBS, percentual: percentualCBS, teste: false },
+                ibs: { aliquota: aliquotaSetorIBS, percentual: percentualIBS, teste: false },
+                fatorPisCofins: 1 - percentualCBS,
+                fatorIcmsIss: 1 - percentualIBS,
+                versaoTabela: null
+            };
+        }
+
+        // Parcela da alíquota plena efetivamente cobrada no ano (usada para proporcionalizar créditos)
+        parametros.proporcaoCBS = aliquotaSetorCBS > 0 ? parametros.cbs.aliquota * parametros.cbs.percentual / aliquotaSetorCBS : 0;
+        parametros.proporcaoIBS = aliquotaSetorIBS > 0 ? parametros.ibs.aliquota * parametros.ibs.percentual / aliquotaSetorIBS : 0;
+
+        return parametros;
+    }
+
+    /**
+     * Projeta o incentivo fiscal de ICMS no ano da transição
+     * O benefício é reduzido na mesma proporção do ICMS (percentualIcmsIss da tabela de alíquotas);
+     * com a compensação ativada, o fundo repõe a parcela perdida até anoFimFundoCompensacao.
+     * @param {Object} impostosAtuais - Impostos do sistema atual (CurrentTaxSystem), com incentivoICMS
+     * @param {number} year - Ano de referência
+     * @param {Object} dados - Dados planos da simulação (incentivoICMS.compensacao)
+     * @param {Object} [parametrosSetoriais] - Parâmetros setoriais da transição
+     * @returns {Object|null} - { percentualReducao, beneficioAtual, fatorICMS, beneficio, perda, compensacao,
+     *          beneficioLiquido } ou null sem incentivo
+     */
+    function calcularIncentivoICMS(impostosAtuais, year, dados, parametrosSetoriais) {
+        const incentivo = impostosAtuais && impostosAtuais.incentivoICMS;
+        if (!incentivo || !(incentivo.beneficio > 0)) return null;
+
+        const fatorICMS = obterParametrosTransicao(year, dados || {}, parametrosSetoriais).fatorIcmsIss;
+        const beneficio = incentivo.beneficio * fatorICMS;
+        const perda = incentivo.beneficio - beneficio;
+        const compensacao = dados?.incentivoICMS?.compensacao && year <= anoFimFundoCompensacao ? perda : 0;
+
+        return {
+            percentualReducao: incentivo.percentualReducao,
+            beneficioAtual: incentivo.beneficio,
+            fatorICMS,
+            beneficio,
+            perda,
+            compensacao,
+            beneficioLiquido: beneficio + compensacao
+        };
+    }
+
+    /**
+     * Compara o efeito do ICMS-ST no capital de giro com o da retenção do Split Payment no ano da transição
+     * O ICMS-ST diminui na mesma proporção do ICMS até se extinguir em 2033. O substituído antecipa o imposto
+     * ao fornecedor e só o recupera ao receber a venda; o substituto recebe o ICMS-ST do adquirente e o
+     * recolhe no prazo de recolhimento, como os demais tributos do sistema atual.
+     * @param {Object} resultadoAtual - Fluxo de caixa do sistema atual (CurrentTaxSystem.calcularFluxoCaixaAtual)
+     * @param {number} year - Ano de referência
+     * @param {Object} dados - Dados planos da simulação (pmr, pmp, pme, percVista, percPrazo)
+     * @param {Object} [parametrosSetoriais] - Parâmetros setoriais da transição
+     * @param {number} diferencaCapitalGiro - Efeito do Split Payment no capital de giro do ano
+     * @returns {Object|null} - { papel, icmsSTAtual, fatorICMS, icmsST, diasCapitalGiro, efeitoCapitalGiro,
+     *          efeitoSplitPayment } ou null sem substituição tributária
+     */
+    function calcularFluxoCaixaST(resultadoAtual, year, dados, parametrosSetoriais, diferencaCapitalGiro) {
+        const substituicao = resultadoAtual && resultadoAtual.impostos && resultadoAtual.impostos.substituicaoTributaria;
+        if (!substituicao || !(substituicao.icmsST > 0)) return null;
+
+        const fatorICMS = obterParametrosTransicao(year, dados || {}, parametrosSetoriais).fatorIcmsIss;
+        const icmsST = substituicao.icmsST * fatorICMS;
+
+        const pmr = typeof dados.pmr === 'number' && !isNaN(dados.pmr) ? dados.pmr : 30;
+        const percVista = typeof dados.percVista === 'number' && !isNaN(dados.percVista) ? dados.percVista : 0.3;
+        const percPrazo = typeof dados.percPrazo === 'number' && !isNaN(dados.percPrazo) ? dados.percPrazo : 1 - percVista;
+
+        // Dias em que a empresa financia o ICMS-ST (negativo quando o imposto fica em caixa até o recolhimento)
+        const diasCapitalGiro = substituicao.papel === 'substituido' ?
+            (dados.pme || 0) + percPrazo * pmr - (dados.pmp || 0) :
+            -window.CalculationCore.calcularTempoMedioCapitalGiro(pmr, resultadoAtual.prazoRecolhimento || 25, percVista, percPrazo);
+
+        return {
+            papel: substituicao.papel,
+            icmsSTAtual: substituicao.icmsST,
+            fatorICMS,
+            icmsST,
+            diasCapitalGiro,
+            efeitoCapitalGiro: -icmsST * diasCapitalGiro / 30,
+            efeitoSplitPayment: diferencaCapitalGiro
+        };
+    }
+
     /**
      * Calcula o imposto em um ano específico durante a transição para o IVA Dual
      * @param {number} baseValue - Valor base para cálculo
@@ -1995,58 +2378,92 @@ window.IVADualSystem = (function() {
         const result = { ...currentTaxes };
         const dados = options.dados || {};
 
-        // Obter percentuais específicos para CBS e IBS
-        const percentualCBS = window.CurrentTaxSystem.obterPercentualImplementacao(
-            year, 'cbs', options.parametrosSetoriais
-        );
-
-        const percentualIBS = window.CurrentTaxSystem.obterPercentualImplementacao(
-            year, 'ibs', options.parametrosSetoriais
-        );
+        // Obter alíquotas e percentuais do ano (tabela de alíquotas ou cronograma de implementação)
+        const parametros = obterParametrosTransicao(year, dados, options.parametrosSetoriais);
+        const percentualCBS = parametros.cbs.percentual;
+        const percentualIBS = parametros.ibs.percentual;
 
         // Log para depuração
-        console.log(`Calculando impostos para ano ${year}: CBS=${percentualCBS*100}%, IBS=${percentualIBS*100}%`);
+        console.log(`Calculando impostos para ano ${year}: CBS=${percentualCBS*100}%, IBS=${percentualIBS*100}%` +
+            (parametros.versaoTabela ? ` (tabela ${parametros.versaoTabela})` : ''));
 
-        // Extrair alíquotas específicas do setor
-        const aliquotaCBS = dados.aliquotaCBS || options.parametrosSetoriais?.aliquotaCBS || aliquotasIVADual.cbs;
-        const aliquotaIBS = dados.aliquotaIBS || options.parametrosSetoriais?.aliquotaIBS || aliquotasIVADual.ibs;
+        // Extrair categoria e redução específicas do setor (não se aplicam às alíquotas de teste)
         const categoriaIVA = dados.categoriaIVA || options.parametrosSetoriais?.categoriaIva || 'standard';
         const reducaoEspecial = dados.reducaoEspecial || options.parametrosSetoriais?.reducaoEspecial || 0;
 
+        // Imposto Seletivo sobre os produtos sujeitos: o valor do IS integra a base da CBS e do IBS
+        const seletivo = window.ImpostoSeletivoModule ?
+            window.ImpostoSeletivoModule.calcularImpostoSeletivo(baseValue, year, dados.impostoSeletivo) : null;
+        const baseIVA = baseValue + (seletivo ? seletivo.valor : 0);
+
         // Aplicar os cálculos de CBS se percentual maior que zero
         if (percentualCBS > 0) {
             // Calcular CBS usando alíquota e categoria específicas
-            const cbsTax = calcularCBS(baseValue, aliquotaCBS, 0, categoriaIVA) * percentualCBS;
-
-            // Reduzir PIS/COFINS proporcionalmente
-            if (result.pis) result.pis *= (1 - percentualCBS);
-            if (result.cofins) result.cofins *= (1 - percentualCBS);
+            const cbsTax = calcularCBS(
+                baseIVA,
+                parametros.cbs.aliquota,
+                0,
+                parametros.cbs.teste ? 'standard' : categoriaIVA
+            ) * percentualCBS;
 
             result.cbs = cbsTax;
         } else {
             result.cbs = 0; // Garantir que o valor seja explicitamente definido
         }
 
+        // Reduzir PIS/COFINS conforme a parcela ainda devida no ano
+        if (result.pis) result.pis *= parametros.fatorPisCofins;
+        if (result.cofins) result.cofins *= parametros.fatorPisCofins;
+
         // Aplicar os cálculos de IBS se percentual maior que zero
         if (percentualIBS > 0) {
+            // Com a receita distribuída por destino (fora do período de teste), somar o IBS de cada UF/município
+            const destinos = dados.distribuicaoDestino?.destinos;
+            const calcularPorDestino = !parametros.ibs.teste && Array.isArray(destinos) && destinos.length > 0 &&
+                !!window.AliquotasIBSRepository;
+
             // Calcular IBS usando alíquota e categoria específicas  
-            const ibsTax = calcularIBS(
-                baseValue, 
-                aliquotaIBS, 
-                0, 
-                categoriaIVA, 
-                { reducaoEspecial: reducaoEspecial }
-            ) * percentualIBS;
-
-            // Reduzir ICMS/ISS proporcionalmente
-            if (result.icms) result.icms *= (1 - percentualIBS);
-            if (result.iss) result.iss *= (1 - percentualIBS);
+            const ibsTax = (calcularPorDestino ?
+                calcularIBSPorDestino(baseIVA, destinos, {
+                    aliquota: parametros.ibs.aliquota,
+                    taxCategory: categoriaIVA,
+                    reducaoEspecial: reducaoEspecial
+                }).total :
+                calcularIBS(
+                    baseIVA, 
+                    parametros.ibs.aliquota, 
+                    0, 
+                    parametros.ibs.teste ? 'standard' : categoriaIVA, 
+                    { reducaoEspecial: parametros.ibs.teste ? 0 : reducaoEspecial }
+                )) * percentualIBS;
 
             result.ibs = ibsTax;
         } else {
             result.ibs = 0; // Garantir que o valor seja explicitamente definido
         }
 
+        // CBS e IBS cobrados à alíquota de teste são compensados com o PIS/COFINS devido no ano (LC 214/2025)
+        const valorTeste = (parametros.cbs.teste ? result.cbs : 0) + (parametros.ibs.teste ? result.ibs : 0);
+        const pisCofins = (result.pis || 0) + (result.cofins || 0);
+        if (valorTeste > 0 && pisCofins > 0) {
+            const fatorCompensacao = 1 - Math.min(valorTeste, pisCofins) / pisCofins;
+            if (result.pis) result.pis *= fatorCompensacao;
+            if (result.cofins) result.cofins *= fatorCompensacao;
+        }
+
+        // Reduzir ICMS/ISS conforme a parcela ainda devida no ano
+        if (result.icms) result.icms *= parametros.fatorIcmsIss;
+        if (result.iss) result.iss *= parametros.fatorIcmsIss;
+
+        // IPI reduzido a zero conforme o cronograma (mantido para produtos com similar na Zona Franca de Manaus)
+        if (result.ipi) {
+            result.ipi *= window.CurrentTaxSystem.obterFatorIPI(year, !!dados.impostoSeletivo?.manterIPI);
+        }
+
+        if (seletivo) {
+            result.is = seletivo.valor;
+        }
+
         // Recalcular o total considerando todos os impostos
         result.total = 0;
         Object.entries(result).forEach(([chave, valor]) => {
@@ -2212,8 +2629,13 @@ window.IVADualSystem = (function() {
         // Funções de cálculo de tributos
         calcularCBS,
         calcularIBS,
+        calcularIBSPorDestino,
+        calcularIncentivoICMS,
+        calcularFluxoCaixaST,
         calcularTotalIVA,
+        calcularIVAPorCodigo,
         calcularTransicaoIVADual,
+        obterParametrosTransicao,
 
         // Funções de análise de fluxo de caixa (uso interno)
         calcularFluxoCaixaSplitPayment,
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Web Worker que executa a análise de Monte Carlo fora da thread da interface
+ * @module monte-carlo-worker
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Mensagem recebida: { dados, opcoes } (dados em formato plano).
+ * Mensagens enviadas: { tipo: 'progresso', concluidas, total },
+ *                     { tipo: 'concluido', resultado } ou { tipo: 'erro', mensagem }.
+ */
+
+// Os módulos de cálculo se registram em window; nenhum deles depende do document
+self.window = self;
+
+// Milhares de execuções gerariam milhares de logs de cada módulo de cálculo
+self.console.log = function() {};
+self.console.warn = function() {};
+
+// Mesma lista de scripts do carregador Node (simulation-engine-node.js), mais o simulador
+importScripts(
+    '../utils/data-manager.js',
+    '../config/tabela-aliquotas-repository.js',
+    '../config/aliquotas-ibs-repository.js',
+    'calculation-core.js',
+    'current-tax-system.js',
+    'iva-dual-system.js',
+    'cash-flow-engine.js',
+    'credit-compensation.js',
+    'simples-nacional.js',
+    'imposto-seletivo.js',
+    'simulation-engine.js',
+    'monte-carlo.js'
+);
+
+self.onmessage = function(evento) {
+    const { dados, opcoes } = evento.data;
+
+    try {
+        const resultado = self.MonteCarloSimulator.executarSimulacoes(dados, {
+            ...opcoes,
+            aoProgredir: function(concluidas, total) {
+                self.postMessage({ tipo: 'progresso', concluidas, total });
+            }
+        });
+
+        self.postMessage({ tipo: 'concluido', resultado });
+    } catch (erro) {
+        self.postMessage({ tipo: 'erro', mensagem: erro.message });
+    }
+};
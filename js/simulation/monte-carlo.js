@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Análise de risco por simulação de Monte Carlo sobre a projeção do capital de giro
+ * @module monte-carlo
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * Cada parâmetro incerto (crescimento do faturamento, PMR, % à vista, taxa de capital de giro
+ * e alíquotas CBS/IBS) recebe uma distribuição { tipo, minimo, moda, maximo }. Cada execução
+ * sorteia um conjunto de parâmetros e roda IVADualSystem.calcularProjecaoTemporal no motor de
+ * fluxo de caixa temporal (no modo agregado o PMR e o % à vista não alteram o resultado); o resultado
+ * são as faixas de percentis (P10/P50/P90) da necessidade adicional de capital de giro por ano.
+ * No navegador as execuções rodam em um Web Worker (monte-carlo-worker.js).
+ */
+window.MonteCarloSimulator = (function() {
+    // Parâmetros estocásticos suportados e o campo correspondente na estrutura plana
+    const PARAMETROS = {
+        taxaCrescimento: { nome: 'Crescimento do faturamento (a.a.)' },
+        pmr: { nome: 'Prazo médio de recebimento (dias)' },
+        percVista: { nome: 'Vendas à vista' },
+        taxaCapitalGiro: { nome: 'Taxa de capital de giro (a.m.)' },
+        aliquotaCBS: { nome: 'Alíquota CBS' },
+        aliquotaIBS: { nome: 'Alíquota IBS' }
+    };
+
+    const TIPOS_DISTRIBUICAO = ['fixo', 'uniforme', 'triangular', 'normal'];
+
+    const PERCENTIS = { p10: 0.1, p50: 0.5, p90: 0.9 };
+
+    /**
+     * Cria um gerador pseudoaleatório reprodutível (mulberry32)
+     * @param {number} [semente] - Semente; sem semente usa Math.random
+     * @returns {Function} - Função que retorna números em [0, 1)
+     */
+    function criarGeradorAleatorio(semente) {
+        if (semente === undefined || semente === null) {
+            return Math.random;
+        }
+
+        let estado = semente >>> 0;
+        return function() {
+            estado = (estado + 0x6D2B79F5) >>> 0;
+            let t = estado;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Sorteia um valor de uma distribuição
+     * @param {Object} distribuicao - { tipo, minimo, moda, maximo }
+     * @param {Function} aleatorio - Gerador de números em [0, 1)
+     * @returns {number} - Valor sorteado
+     */
+    function amostrar(distribuicao, aleatorio) {
+        const { tipo, minimo, moda, maximo } = distribuicao;
+
+        switch (tipo) {
+            case 'uniforme':
+                return minimo + aleatorio() * (maximo - minimo);
+
+            case 'triangular': {
+                if (maximo === minimo) return moda;
+                const u = aleatorio();
+                const corte = (moda - minimo) / (maximo - minimo);
+                return u < corte ?
+                    minimo + Math.sqrt(u * (maximo - minimo) * (moda - minimo)) :
+                    maximo - Math.sqrt((1 - u) * (maximo - minimo) * (maximo - moda));
+            }
+
+            case 'normal': {
+                // Box-Muller; mínimo e máximo correspondem a ±3 desvios e truncam a amostra
+                const desvio = (maximo - minimo) / 6;
+                const u1 = Math.max(aleatorio(), Number.EPSILON);
+                const u2 = aleatorio();
+                const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+                return Math.min(maximo, Math.max(minimo, moda + z * desvio));
+            }
+
+            default:
+                return moda;
+        }
+    }
+
+    /**
+     * Monta as distribuições padrão centradas nos valores atuais da simulação
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @returns {Object} - Distribuições por parâmetro
+     */
+    function obterDistribuicoesPadrao(dados) {
+        const taxaCrescimento = typeof dados.taxaCrescimento === 'number' ? dados.taxaCrescimento : 0.05;
+        const pmr = dados.pmr || 30;
+        const percVista = typeof dados.percVista === 'number' ? dados.percVista : 0.3;
+        const taxaCapitalGiro = dados.taxaCapitalGiro || 0.021;
+        const aliquotaCBS = dados.aliquotaCBS || 0.088;
+        const aliquotaIBS = dados.aliquotaIBS || 0.177;
+
+        return {
+            taxaCrescimento: { tipo: 'normal', minimo: taxaCrescimento - 0.06, moda: taxaCrescimento, maximo: taxaCrescimento + 0.06 },
+            pmr: { tipo: 'triangular', minimo: Math.round(pmr * 0.8), moda: pmr, maximo: Math.round(pmr * 1.3) },
+            percVista: { tipo: 'uniforme', minimo: Math.max(0, percVista - 0.1), moda: percVista, maximo: Math.min(1, percVista + 0.1) },
+            taxaCapitalGiro: { tipo: 'triangular', minimo: taxaCapitalGiro * 0.8, moda: taxaCapitalGiro, maximo: taxaCapitalGiro * 1.4 },
+            aliquotaCBS: { tipo: 'triangular', minimo: aliquotaCBS * 0.9, moda: aliquotaCBS, maximo: aliquotaCBS * 1.1 },
+            aliquotaIBS: { tipo: 'triangular', minimo: aliquotaIBS * 0.9, moda: aliquotaIBS, maximo: aliquotaIBS * 1.1 }
+        };
+    }
+
+    /**
+     * Valida e normaliza as distribuições informadas, completando com as padrão
+     * @param {Object} distribuicoes - Distribuições informadas
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @returns {Object} - Distribuições normalizadas
+     */
+    function normalizarDistribuicoes(distribuicoes, dados) {
+        const padrao = obterDistribuicoesPadrao(dados);
+        const resultado = {};
+
+        Object.keys(PARAMETROS).forEach(parametro => {
+            const informada = distribuicoes && distribuicoes[parametro];
+            const distribuicao = { ...padrao[parametro], ...(informada || {}) };
+
+            if (!TIPOS_DISTRIBUICAO.includes(distribuicao.tipo)) {
+                throw new Error(`Distribuição '${distribuicao.tipo}' inválida para ${PARAMETROS[parametro].nome}`);
+            }
+
+            ['minimo', 'moda', 'maximo'].forEach(campo => {
+                distribuicao[campo] = parseFloat(distribuicao[campo]);
+                if (isNaN(distribuicao[campo])) {
+                    throw new Error(`Valor '${campo}' inválido para ${PARAMETROS[parametro].nome}`);
+                }
+            });
+
+            if (distribuicao.tipo !== 'fixo' &&
+                (distribuicao.minimo > distribuicao.moda || distribuicao.moda > distribuicao.maximo)) {
+                throw new Error(`${PARAMETROS[parametro].nome}: é necessário mínimo ≤ mais provável ≤ máximo`);
+            }
+
+            resultado[parametro] = distribuicao;
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Calcula um percentil por interpolação linear sobre valores ordenados
+     * @param {Array<number>} ordenados - Valores em ordem crescente
+     * @param {number} p - Percentil em [0, 1]
+     * @returns {number} - Valor do percentil
+     */
+    function calcularPercentil(ordenados, p) {
+        if (ordenados.length === 0) return 0;
+
+        const posicao = (ordenados.length - 1) * p;
+        const inferior = Math.floor(posicao);
+        const superior = Math.ceil(posicao);
+        return ordenados[inferior] + (ordenados[superior] - ordenados[inferior]) * (posicao - inferior);
+    }
+
+    /**
+     * Executa as simulações de Monte Carlo de forma síncrona
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @param {Object} opcoes - Opções da análise
+     * @param {number} [opcoes.iteracoes=1000] - Quantidade de execuções
+     * @param {number} [opcoes.anoInicial=2026] - Ano inicial da projeção
+     * @param {number} [opcoes.anoFinal=2033] - Ano final da projeção
+     * @param {Object} [opcoes.distribuicoes] - Distribuições por parâmetro
+     * @param {number} [opcoes.semente] - Semente para resultados reprodutíveis
+     * @param {Object} [opcoes.tabelaAliquotas] - Versão da tabela de alíquotas CBS/IBS; sem ela (e sem
+     *        dados.tabelaAliquotas), usa a versão ativa do TabelaAliquotasRepository
+     * @param {Function} [opcoes.aoProgredir] - Callback (concluidas, total)
+     * @returns {Object} - Faixas de percentis da necessidade de capital de giro por ano
+     */
+    function executarSimulacoes(dados, opcoes = {}) {
+        if (dados.empresa !== undefined) {
+            throw new Error('executarSimulacoes espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+        if (!window.IVADualSystem || typeof window.IVADualSystem.calcularProjecaoTemporal !== 'function') {
+            throw new Error('IVADualSystem não disponível para a análise de Monte Carlo');
+        }
+
+        const iteracoes = Math.max(1, parseInt(opcoes.iteracoes, 10) || 1000);
+        const anoInicial = opcoes.anoInicial || 2026;
+        const anoFinal = opcoes.anoFinal || 2033;
+        const distribuicoes = normalizarDistribuicoes(opcoes.distribuicoes, dados);
+        const aleatorio = criarGeradorAleatorio(opcoes.semente);
+        const intervaloProgresso = Math.max(1, Math.floor(iteracoes / 100));
+
+        // Mesma tabela de alíquotas da simulação principal (SimulationEngine.run)
+        const tabelaAliquotas = obterTabelaAliquotas(dados, opcoes);
+        const parametrosSetoriais = tabelaAliquotas ? { tabelaAliquotas } : null;
+
+        // Mensal, salvo se os dados já pedirem o diário (como em SensitivityAnalysisModule.calcularImpacto)
+        const modoFluxoCaixa = window.CashFlowEngine && !window.CashFlowEngine.usarMotorTemporal(dados.modoFluxoCaixa)
+            ? 'mensal'
+            : dados.modoFluxoCaixa;
+
+        const anos = [];
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            anos.push(ano);
+        }
+
+        const necessidadePorAno = {};
+        anos.forEach(ano => { necessidadePorAno[ano] = []; });
+        const necessidadeTotal = [];
+        let falhas = 0;
+
+        for (let i = 0; i < iteracoes; i++) {
+            const dadosExecucao = { ...dados, tabelaAliquotas, modoFluxoCaixa };
+            Object.keys(distribuicoes).forEach(parametro => {
+                dadosExecucao[parametro] = amostrar(distribuicoes[parametro], aleatorio);
+            });
+
+            // Ajustes de consistência dos valores sorteados
+            dadosExecucao.pmr = Math.max(0, Math.round(dadosExecucao.pmr));
+            dadosExecucao.percVista = Math.min(1, Math.max(0, dadosExecucao.percVista));
+            dadosExecucao.percPrazo = 1 - dadosExecucao.percVista;
+            dadosExecucao.taxaCapitalGiro = Math.max(0, dadosExecucao.taxaCapitalGiro);
+            dadosExecucao.aliquotaCBS = Math.max(0, dadosExecucao.aliquotaCBS);
+            dadosExecucao.aliquotaIBS = Math.max(0, dadosExecucao.aliquotaIBS);
+
+            try {
+                const projecao = window.IVADualSystem.calcularProjecaoTemporal(
+                    dadosExecucao,
+                    anoInicial,
+                    anoFinal,
+                    'personalizado',
+                    dadosExecucao.taxaCrescimento,
+                    parametrosSetoriais
+                );
+
+                let total = 0;
+                anos.forEach(ano => {
+                    const necessidade = projecao.resultadosAnuais[ano]?.necessidadeAdicionalCapitalGiro || 0;
+                    necessidadePorAno[ano].push(necessidade);
+                    total += necessidade;
+                });
+                necessidadeTotal.push(total);
+            } catch (erro) {
+                falhas++;
+            }
+
+            if (typeof opcoes.aoProgredir === 'function' && ((i + 1) % intervaloProgresso === 0 || i + 1 === iteracoes)) {
+                opcoes.aoProgredir(i + 1, iteracoes);
+            }
+        }
+
+        if (necessidadeTotal.length === 0) {
+            throw new Error('Nenhuma execução da análise de Monte Carlo foi concluída');
+        }
+
+        // Faixas de percentis por ano
+        const bandas = { p10: [], p50: [], p90: [] };
+        const media = [];
+        const desvioPadrao = [];
+
+        anos.forEach(ano => {
+            const ordenados = necessidadePorAno[ano].slice().sort((a, b) => a - b);
+            Object.keys(PERCENTIS).forEach(chave => {
+                bandas[chave].push(calcularPercentil(ordenados, PERCENTIS[chave]));
+            });
+
+            const mediaAno = ordenados.reduce((soma, v) => soma + v, 0) / ordenados.length;
+            const variancia = ordenados.reduce((soma, v) => soma + Math.pow(v - mediaAno, 2), 0) / ordenados.length;
+            media.push(mediaAno);
+            desvioPadrao.push(Math.sqrt(variancia));
+        });
+
+        const totaisOrdenados = necessidadeTotal.slice().sort((a, b) => a - b);
+
+        return {
+            parametros: {
+                iteracoes,
+                anoInicial,
+                anoFinal,
+                distribuicoes,
+                semente: opcoes.semente !== undefined ? opcoes.semente : null
+            },
+            anos,
+            bandas,
+            media,
+            desvioPadrao,
+            total: {
+                p10: calcularPercentil(totaisOrdenados, PERCENTIS.p10),
+                p50: calcularPercentil(totaisOrdenados, PERCENTIS.p50),
+                p90: calcularPercentil(totaisOrdenados, PERCENTIS.p90)
+            },
+            execucoesConcluidas: necessidadeTotal.length,
+            falhas
+        };
+    }
+
+    /**
+     * Obtém a tabela de alíquotas CBS/IBS da análise: a dos dados, a das opções ou a versão ativa
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @param {Object} opcoes - Opções da análise
+     * @returns {Object|null} - Versão da tabela ou null sem TabelaAliquotasRepository
+     * @private
+     */
+    function obterTabelaAliquotas(dados, opcoes) {
+        if (dados.tabelaAliquotas) return dados.tabelaAliquotas;
+        if (opcoes.tabelaAliquotas) return opcoes.tabelaAliquotas;
+        return window.TabelaAliquotasRepository ? window.TabelaAliquotasRepository.obterVersaoAtiva() : null;
+    }
+
+    /**
+     * Executa a análise em um Web Worker, com fallback síncrono quando workers
+     * não estão disponíveis (ex.: página aberta via file://)
+     * @param {Object} dados - Dados da simulação em formato plano
+     * @param {Object} opcoes - Mesmas opções de executarSimulacoes (sem aoProgredir)
+     * @param {Function} [aoProgredir] - Callback (concluidas, total)
+     * @returns {Promise<Object>} - Resultado de executarSimulacoes
+     */
+    function executarEmWorker(dados, opcoes = {}, aoProgredir = null) {
+        // O worker não acessa o localStorage: a versão ativa da tabela de alíquotas segue nas opções
+        const opcoesExecucao = { ...opcoes, tabelaAliquotas: obterTabelaAliquotas(dados, opcoes) };
+        delete opcoesExecucao.aoProgredir;
+
+        const executarLocalmente = function() {
+            return new Promise((resolve, reject) => {
+                // Adiar para permitir que a interface exiba o estado de processamento
+                setTimeout(() => {
+                    try {
+                        resolve(executarSimulacoes(dados, { ...opcoesExecucao, aoProgredir }));
+                    } catch (erro) {
+                        reject(erro);
+                    }
+                }, 0);
+            });
+        };
+
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers não suportados. Executando Monte Carlo na thread principal.');
+            return executarLocalmente();
+        }
+
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker('js/simulation/monte-carlo-worker.js');
+            } catch (erro) {
+                console.warn('Não foi possível iniciar o Web Worker. Executando Monte Carlo na thread principal.', erro);
+                executarLocalmente().then(resolve, reject);
+                return;
+            }
+
+            worker.onmessage = function(evento) {
+                const mensagem = evento.data;
+                if (mensagem.tipo === 'progresso') {
+                    if (typeof aoProgredir === 'function') {
+                        aoProgredir(mensagem.concluidas, mensagem.total);
+                    }
+                } else if (mensagem.tipo === 'concluido') {
+                    worker.terminate();
+                    resolve(mensagem.resultado);
+                } else if (mensagem.tipo === 'erro') {
+                    worker.terminate();
+                    reject(new Error(mensagem.mensagem));
+                }
+            };
+
+            worker.onerror = function(evento) {
+                worker.terminate();
+                // Falha ao carregar o worker (ex.: file://): executar na thread principal
+                console.warn('Erro no Web Worker de Monte Carlo. Executando na thread principal.', evento.message);
+                evento.preventDefault();
+                executarLocalmente().then(resolve, reject);
+            };
+
+            worker.postMessage({ dados, opcoes: opcoesExecucao });
+        });
+    }
+
+    // Retornar API pública
+    return {
+        PARAMETROS,
+        TIPOS_DISTRIBUICAO,
+        criarGeradorAleatorio,
+        amostrar,
+        obterDistribuicoesPadrao,
+        calcularPercentil,
+        executarSimulacoes,
+        executarEmWorker
+    };
+})();
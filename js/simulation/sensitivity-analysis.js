@@ -5,18 +5,98 @@
  * Implementa a análise de sensibilidade conforme a seção 2.2 da metodologia
  */
 const SensitivityAnalysisModule = (function() {
-    // Variáveis privadas do módulo
-    let _dadosBase = null;
-    let _parametrosVariacao = null;
-    
+    // Parâmetros padrão da análise e suas faixas de variação (±, em fração do valor base)
+    // PMP, PME e margem não entram: nenhum dos motores de fluxo de caixa os usa na diferença de capital de giro
+    const parametrosPadrao = [
+        { campo: 'faturamento', nome: 'Faturamento', variacaoNegativa: 0.1, variacaoPositiva: 0.1 },
+        { campo: 'pmr', nome: 'PMR', variacaoNegativa: 0.2, variacaoPositiva: 0.2 },
+        { campo: 'percVista', nome: '% à Vista', variacaoNegativa: 0.2, variacaoPositiva: 0.2 },
+        { campo: 'taxaCapitalGiro', nome: 'Taxa de Capital de Giro', variacaoNegativa: 0.2, variacaoPositiva: 0.2 },
+        { campo: 'aliquotaCBS', nome: 'Alíquota CBS', variacaoNegativa: 0.1, variacaoPositiva: 0.1 },
+        { campo: 'aliquotaIBS', nome: 'Alíquota IBS', variacaoNegativa: 0.1, variacaoPositiva: 0.1 }
+    ];
+
+    /**
+     * Calcula o impacto no capital de giro para os dados e ano informados
+     * A análise roda no motor de fluxo de caixa temporal (mensal, salvo se os dados pedirem o diário),
+     * pois no modo agregado o PMR e o percentual à vista não alteram o resultado.
+     * @param {Object} dados - Dados em formato plano
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - Resultado de IVADualSystem.calcularImpactoCapitalGiro
+     */
+    function calcularImpacto(dados, ano) {
+        if (!window.IVADualSystem || typeof window.IVADualSystem.calcularImpactoCapitalGiro !== 'function') {
+            throw new Error('IVADualSystem não disponível para a análise de sensibilidade');
+        }
+
+        let dadosCalculo = dados;
+        if (window.CashFlowEngine && !window.CashFlowEngine.usarMotorTemporal(dados.modoFluxoCaixa)) {
+            dadosCalculo = { ...dados, modoFluxoCaixa: 'mensal' };
+        }
+        return window.IVADualSystem.calcularImpactoCapitalGiro(dadosCalculo, ano);
+    }
+
+    /**
+     * Lê um indicador do resultado, aceitando caminhos aninhados (ex.: 'impactoMargemDetalhado.custoAnualCapitalGiro')
+     * @param {Object} resultado - Resultado do cálculo de impacto
+     * @param {string} indicador - Nome ou caminho do indicador
+     * @returns {number} - Valor do indicador (0 se ausente)
+     */
+    function obterIndicador(resultado, indicador) {
+        const valor = indicador.split('.').reduce((obj, chave) => (obj ? obj[chave] : undefined), resultado);
+        return typeof valor === 'number' && !isNaN(valor) ? valor : 0;
+    }
+
+    /**
+     * Retorna uma cópia dos dados com o parâmetro alterado, mantendo campos dependentes consistentes
+     * @param {Object} dados - Dados em formato plano
+     * @param {string} campo - Campo a alterar
+     * @param {number} valor - Novo valor
+     * @returns {Object} - Dados alterados
+     */
+    function aplicarValor(dados, campo, valor) {
+        const dadosAlterados = { ...dados };
+
+        switch (campo) {
+            case 'pmr':
+            case 'pmp':
+            case 'pme':
+                dadosAlterados[campo] = Math.max(0, Math.round(valor));
+                break;
+            case 'percVista':
+                dadosAlterados.percVista = Math.min(1, Math.max(0, valor));
+                dadosAlterados.percPrazo = 1 - dadosAlterados.percVista;
+                break;
+            default:
+                dadosAlterados[campo] = Math.max(0, valor);
+        }
+
+        return dadosAlterados;
+    }
+
+    /**
+     * Valida a estrutura dos dados de entrada
+     * @param {Object} dados - Dados da simulação
+     */
+    function validarDadosPlanos(dados) {
+        if (!dados || dados.empresa !== undefined) {
+            throw new Error('A análise de sensibilidade espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+    }
+
     /**
      * Calcula a matriz de sensibilidade para diferentes parâmetros
-     * @param {Object} dados - Dados base da simulação
+     * @param {Object} dados - Dados base da simulação (formato plano)
      * @param {Array} parametros - Lista de parâmetros a analisar
      * @param {Array} setores - Lista de setores a analisar
+     * @param {Object} [opcoes] - { ano: 2026, variacao: 0.1 }
      * @returns {Object} - Matriz de sensibilidade
      */
-    function calcularMatrizSensibilidade(dados, parametros, setores) {
+    function calcularMatrizSensibilidade(dados, parametros, setores, opcoes = {}) {
+        validarDadosPlanos(dados);
+
+        const ano = opcoes.ano || 2026;
+        const variacaoParametro = opcoes.variacao || 0.1;
         const matrizSensibilidade = [];
         
         // Analisar cada setor
@@ -27,19 +107,17 @@ const SensitivityAnalysisModule = (function() {
             for (const parametro of parametros) {
                 // Dados de simulação com parâmetro base
                 const dadosBase = { ...dados, setor: setor.codigo };
-                const resultadoBase = CalculationModule.calcularImpactoCapitalGiro(dadosBase, 2026);
+                const resultadoBase = calcularImpacto(dadosBase, ano);
                 
-                // Dados com parâmetro aumentado em 10%
-                const dadosAumentados = { ...dadosBase };
-                dadosAumentados[parametro.campo] = dadosBase[parametro.campo] * 1.1;
-                const resultadoAumentado = CalculationModule.calcularImpactoCapitalGiro(dadosAumentados, 2026);
+                // Dados com parâmetro aumentado pela variação configurada
+                const dadosAumentados = aplicarValor(dadosBase, parametro.campo, dadosBase[parametro.campo] * (1 + variacaoParametro));
+                const resultadoAumentado = calcularImpacto(dadosAumentados, ano);
                 
                 // Calcular sensibilidade
-                const variacaoParametro = 0.1; // 10%
-                const variacaoResultado = Math.abs(
+                const variacaoResultado = resultadoBase.diferencaCapitalGiro !== 0 ? Math.abs(
                     (resultadoAumentado.diferencaCapitalGiro - resultadoBase.diferencaCapitalGiro) / 
                     resultadoBase.diferencaCapitalGiro
-                );
+                ) : 0;
                 
                 // Índice de sensibilidade
                 const sensibilidade = variacaoResultado / variacaoParametro;
@@ -52,9 +130,125 @@ const SensitivityAnalysisModule = (function() {
         return {
             parametros,
             setores,
+            ano,
+            variacao: variacaoParametro,
             matriz: matrizSensibilidade
         };
     }
+
+    /**
+     * Calcula os dados do gráfico de tornado: cada parâmetro é variado isoladamente
+     * entre os limites inferior e superior e os parâmetros são ordenados pela amplitude do impacto
+     * @param {Object} dados - Dados base da simulação (formato plano)
+     * @param {Array} [parametros] - [{ campo, nome, variacaoNegativa, variacaoPositiva, tipoVariacao }]
+     *        tipoVariacao 'percentual' (padrão, fração do valor base) ou 'absoluta' (mesma unidade do campo)
+     * @param {Object} [opcoes] - { ano: 2026, indicador: 'diferencaCapitalGiro' }
+     * @returns {Object} - Itens do tornado ordenados pela amplitude
+     */
+    function calcularTornado(dados, parametros = parametrosPadrao, opcoes = {}) {
+        validarDadosPlanos(dados);
+
+        const ano = opcoes.ano || 2026;
+        const indicador = opcoes.indicador || 'diferencaCapitalGiro';
+        const valorBase = obterIndicador(calcularImpacto(dados, ano), indicador);
+
+        const itens = parametros
+            .filter(parametro => typeof dados[parametro.campo] === 'number')
+            .map(parametro => {
+                const base = dados[parametro.campo];
+                const absoluta = parametro.tipoVariacao === 'absoluta';
+                const valorBaixo = absoluta ? base - parametro.variacaoNegativa : base * (1 - parametro.variacaoNegativa);
+                const valorAlto = absoluta ? base + parametro.variacaoPositiva : base * (1 + parametro.variacaoPositiva);
+
+                const dadosBaixo = aplicarValor(dados, parametro.campo, valorBaixo);
+                const dadosAlto = aplicarValor(dados, parametro.campo, valorAlto);
+                const resultadoBaixo = obterIndicador(calcularImpacto(dadosBaixo, ano), indicador);
+                const resultadoAlto = obterIndicador(calcularImpacto(dadosAlto, ano), indicador);
+
+                return {
+                    campo: parametro.campo,
+                    nome: parametro.nome || parametro.campo,
+                    valorParametroBase: base,
+                    valorParametroBaixo: dadosBaixo[parametro.campo],
+                    valorParametroAlto: dadosAlto[parametro.campo],
+                    resultadoBaixo,
+                    resultadoAlto,
+                    amplitude: Math.abs(resultadoAlto - resultadoBaixo)
+                };
+            })
+            .sort((a, b) => b.amplitude - a.amplitude);
+
+        return {
+            ano,
+            indicador,
+            valorBase,
+            itens
+        };
+    }
+
+    /**
+     * Gera os valores de um eixo da grade bidimensional
+     * @param {Object} eixo - { campo, valores } ou { campo, minimo, maximo, passos }
+     * @returns {Array<number>} - Valores do eixo
+     */
+    function gerarValoresEixo(eixo) {
+        if (Array.isArray(eixo.valores) && eixo.valores.length > 0) {
+            return eixo.valores.slice();
+        }
+
+        const passos = Math.max(2, eixo.passos || 5);
+        const valores = [];
+        for (let i = 0; i < passos; i++) {
+            valores.push(eixo.minimo + (eixo.maximo - eixo.minimo) * i / (passos - 1));
+        }
+        return valores;
+    }
+
+    /**
+     * Calcula a grade de sensibilidade bidimensional (ex.: PMR × % à vista)
+     * @param {Object} dados - Dados base da simulação (formato plano)
+     * @param {Object} eixoX - { campo, nome, valores } ou { campo, nome, minimo, maximo, passos }
+     * @param {Object} eixoY - Mesma estrutura de eixoX
+     * @param {Object} [opcoes] - { ano: 2026, indicador: 'diferencaCapitalGiro' }
+     * @returns {Object} - Grade com matriz[linhaY][colunaX]
+     */
+    function calcularSensibilidadeBidimensional(dados, eixoX, eixoY, opcoes = {}) {
+        validarDadosPlanos(dados);
+
+        if (!eixoX || !eixoY || eixoX.campo === eixoY.campo) {
+            throw new Error('Informe dois parâmetros distintos para a sensibilidade bidimensional');
+        }
+
+        const ano = opcoes.ano || 2026;
+        const indicador = opcoes.indicador || 'diferencaCapitalGiro';
+        const valoresX = gerarValoresEixo(eixoX);
+        const valoresY = gerarValoresEixo(eixoY);
+
+        const matriz = valoresY.map(valorY => {
+            const dadosLinha = aplicarValor(dados, eixoY.campo, valorY);
+            return valoresX.map(valorX => {
+                const dadosCelula = aplicarValor(dadosLinha, eixoX.campo, valorX);
+                return obterIndicador(calcularImpacto(dadosCelula, ano), indicador);
+            });
+        });
+
+        return {
+            ano,
+            indicador,
+            valorBase: obterIndicador(calcularImpacto(dados, ano), indicador),
+            eixoX: { campo: eixoX.campo, nome: eixoX.nome || eixoX.campo, valores: valoresX },
+            eixoY: { campo: eixoY.campo, nome: eixoY.nome || eixoY.campo, valores: valoresY },
+            matriz
+        };
+    }
+
+    /**
+     * Retorna uma cópia da lista padrão de parâmetros da análise
+     * @returns {Array} - Parâmetros padrão
+     */
+    function obterParametrosPadrao() {
+        return parametrosPadrao.map(parametro => ({ ...parametro }));
+    }
     
     /**
      * Gera visualização de mapa de calor para a matriz de sensibilidade
@@ -114,6 +308,9 @@ const SensitivityAnalysisModule = (function() {
     // API pública
     return {
         calcularMatrizSensibilidade,
-        gerarMapaCalorSensibilidade
+        gerarMapaCalorSensibilidade,
+        calcularTornado,
+        calcularSensibilidadeBidimensional,
+        obterParametrosPadrao
     };
 })();
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Módulo de simulação do Simples Nacional na transição para o IVA Dual
+ * Compara, ano a ano, as duas opções introduzidas pela reforma: permanecer com CBS/IBS
+ * recolhidos dentro do DAS ou recolher CBS/IBS pelo regime regular, fora do DAS.
+ * @module simples-nacional
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ */
+
+window.SimplesNacionalModule = (function() {
+    /**
+     * Participação dos tributos sobre consumo no DAS, por anexo (1ª faixa da LC 123/2006).
+     * pisCofins é substituído pela CBS e icmsIss pelo IBS ao longo da transição.
+     * @type {Object}
+     */
+    const partilhaTributosConsumo = {
+        I: { nome: 'Anexo I - Comércio', pisCofins: 0.1550, icmsIss: 0.3400 },
+        II: { nome: 'Anexo II - Indústria', pisCofins: 0.1400, icmsIss: 0.3200 },
+        III: { nome: 'Anexo III - Serviços', pisCofins: 0.1560, icmsIss: 0.3350 },
+        IV: { nome: 'Anexo IV - Serviços', pisCofins: 0.2150, icmsIss: 0.4000 },
+        V: { nome: 'Anexo V - Serviços', pisCofins: 0.1715, icmsIss: 0.1400 }
+    };
+
+    /**
+     * Primeiro ano em que a opção pelo recolhimento de CBS/IBS fora do DAS produz efeitos.
+     * Em 2026 as empresas do Simples não participam da fase de teste da CBS/IBS.
+     * @type {number}
+     */
+    const anoInicioOpcaoRegular = 2027;
+
+    /**
+     * Determina o anexo padrão a partir do tipo de empresa
+     * @param {string} tipoEmpresa - 'comercio', 'industria' ou 'servicos'
+     * @returns {string} - Anexo ('I', 'II', 'III'...)
+     */
+    function obterAnexoPadrao(tipoEmpresa) {
+        switch (tipoEmpresa) {
+            case 'industria':
+                return 'II';
+            case 'servicos':
+                return 'III';
+            default:
+                return 'I';
+        }
+    }
+
+    /**
+     * Obtém a partilha dos tributos sobre consumo do anexo informado
+     * @param {string} anexo - Anexo do Simples Nacional
+     * @param {string} tipoEmpresa - Tipo de empresa, usado quando o anexo não é informado
+     * @returns {Object} - { nome, pisCofins, icmsIss }
+     */
+    function obterPartilha(anexo, tipoEmpresa) {
+        return partilhaTributosConsumo[anexo] || partilhaTributosConsumo[obterAnexoPadrao(tipoEmpresa)];
+    }
+
+    /**
+     * Obtém as alíquotas e os percentuais de implementação da CBS, do IBS e do Split Payment no ano,
+     * pela mesma tabela de alíquotas da projeção principal (IVADualSystem.obterParametrosTransicao)
+     * @param {Object} dados - Dados em formato plano (dados.tabelaAliquotas)
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - { cbs, ibs, splitPayment, aliquotaCBS, aliquotaIBS, versaoTabela }
+     */
+    function obterPercentuaisTransicao(dados, ano) {
+        const parametros = window.IVADualSystem.obterParametrosTransicao(ano, dados);
+
+        // O Simples Nacional fica fora das alíquotas de teste (2026 e o IBS de 2027-2028)
+        const foraDoTeste = tributo => ano >= anoInicioOpcaoRegular && !tributo.teste ? tributo.percentual : 0;
+
+        return {
+            cbs: foraDoTeste(parametros.cbs),
+            ibs: foraDoTeste(parametros.ibs),
+            splitPayment: window.CurrentTaxSystem.obterPercentualImplementacao(ano),
+            aliquotaCBS: parametros.cbs.aliquota,
+            aliquotaIBS: parametros.ibs.aliquota,
+            versaoTabela: parametros.versaoTabela
+        };
+    }
+
+    /**
+     * Calcula o custo financeiro mensal da retenção antecipada pelo Split Payment
+     * @param {number} retencao - Valor retido no mês
+     * @param {number} taxaCapitalGiro - Taxa mensal de capital de giro
+     * @returns {number} - Custo financeiro mensal
+     */
+    function calcularCustoRetencao(retencao, taxaCapitalGiro) {
+        return retencao * taxaCapitalGiro;
+    }
+
+    /**
+     * Calcula as duas opções do Simples Nacional para um ano da transição.
+     * Valores monetários são mensais, na mesma base do faturamento informado.
+     * O custo de cada opção separa o custo tributário (tributos e custo financeiro do Split Payment)
+     * do custo competitivo: a parcela do crédito perdido pelos clientes B2B que a empresa repassa
+     * no preço (dados.simplesPercentualRepasseB2B, padrão 0).
+     * @param {Object} dados - Dados em formato plano
+     * @param {number} ano - Ano de referência
+     * @returns {Object} - { ano, faturamento, das, regular, recomendacao, economiaMensal, economiaAnual,
+     *          economiaTributariaAnual, custoCompetitivoAnual }
+     */
+    function calcularOpcoesAno(dados, ano) {
+        if (dados.empresa !== undefined) {
+            throw new Error('calcularOpcoesAno espera dados em formato plano. Use DataManager.converterParaEstruturaPlana()');
+        }
+        if (typeof dados.faturamento !== 'number' || isNaN(dados.faturamento)) {
+            throw new Error('Faturamento inválido ou não informado');
+        }
+
+        const faturamento = dados.faturamento;
+        const aliquotaSimples = dados.aliquota || 0;
+        const partilha = obterPartilha(dados.simplesAnexo, dados.tipoEmpresa);
+        const percentualB2B = Math.max(0, Math.min(1, dados.simplesPercentualB2B || 0));
+        const percentualCompras = Math.max(0, Math.min(1, dados.simplesPercentualCompras || 0));
+        const percentualRepasse = Math.max(0, Math.min(1, dados.simplesPercentualRepasseB2B || 0));
+        const taxaCapitalGiro = dados.taxaCapitalGiro > 1 ? dados.taxaCapitalGiro / 100 : (dados.taxaCapitalGiro || 0.021);
+        const percentuais = obterPercentuaisTransicao(dados, ano);
+
+        const aliquotaCBS = percentuais.aliquotaCBS;
+        const aliquotaIBS = percentuais.aliquotaIBS;
+        const categoriaIVA = dados.categoriaIVA || 'standard';
+
+        // CBS/IBS devidos pelo regime regular sobre as vendas, na proporção da transição
+        const cbsVendas = window.IVADualSystem.calcularCBS(faturamento, aliquotaCBS, 0, categoriaIVA) * percentuais.cbs;
+        const ibsVendas = window.IVADualSystem.calcularIBS(faturamento, aliquotaIBS, 0, categoriaIVA,
+            { reducaoEspecial: dados.reducaoEspecial || 0 }) * percentuais.ibs;
+        const aliquotaIVAEfetiva = faturamento > 0 ? (cbsVendas + ibsVendas) / faturamento : 0;
+
+        // Fração do DAS que corresponde a CBS/IBS no ano
+        const fracaoIVANoDAS = partilha.pisCofins * percentuais.cbs + partilha.icmsIss * percentuais.ibs;
+
+        // Opção 1: CBS/IBS dentro do DAS. O adquirente se credita apenas do valor recolhido no DAS.
+        const valorDASIntegral = faturamento * aliquotaSimples;
+        const ivaNoDAS = valorDASIntegral * fracaoIVANoDAS;
+        const retencaoDAS = ivaNoDAS * percentuais.splitPayment;
+        const creditoPerdidoB2B = Math.max(0, (aliquotaIVAEfetiva - aliquotaSimples * fracaoIVANoDAS) * faturamento * percentualB2B);
+
+        const das = {
+            valorDAS: valorDASIntegral,
+            cbs: valorDASIntegral * partilha.pisCofins * percentuais.cbs,
+            ibs: valorDASIntegral * partilha.icmsIss * percentuais.ibs,
+            creditosAproveitados: 0,
+            impostoTotal: valorDASIntegral,
+            creditoTransferidoB2B: ivaNoDAS * percentualB2B,
+            creditoPerdidoB2B,
+            retencaoSplit: retencaoDAS,
+            custoFinanceiroSplit: calcularCustoRetencao(retencaoDAS, taxaCapitalGiro),
+            // Desconto concedido aos clientes B2B para compensar a parcela repassada do crédito perdido
+            custoCompetitivo: creditoPerdidoB2B * percentualRepasse
+        };
+        das.custoTributario = das.impostoTotal + das.custoFinanceiroSplit;
+        das.custoTotal = das.custoTributario + das.custoCompetitivo;
+
+        // Opção 2: CBS/IBS pelo regime regular. O DAS deixa de incluir a parcela substituída
+        // e a empresa passa a se creditar das compras e a transferir crédito integral.
+        let regular = null;
+        if (ano >= anoInicioOpcaoRegular) {
+            const compras = faturamento * percentualCompras;
+            const creditoCBS = window.IVADualSystem.calcularCBS(compras, aliquotaCBS) * percentuais.cbs;
+            const creditoIBS = window.IVADualSystem.calcularIBS(compras, aliquotaIBS) * percentuais.ibs;
+            const cbsDevida = Math.max(0, cbsVendas - creditoCBS);
+            const ibsDevido = Math.max(0, ibsVendas - creditoIBS);
+            const valorDASReduzido = valorDASIntegral * (1 - fracaoIVANoDAS);
+            const retencaoRegular = (cbsVendas + ibsVendas) * percentuais.splitPayment;
+
+            regular = {
+                valorDAS: valorDASReduzido,
+                cbs: cbsDevida,
+                ibs: ibsDevido,
+                creditosAproveitados: Math.min(cbsVendas, creditoCBS) + Math.min(ibsVendas, creditoIBS),
+                impostoTotal: valorDASReduzido + cbsDevida + ibsDevido,
+                creditoTransferidoB2B: (cbsVendas + ibsVendas) * percentualB2B,
+                creditoPerdidoB2B: 0,
+                retencaoSplit: retencaoRegular,
+                custoFinanceiroSplit: calcularCustoRetencao(retencaoRegular, taxaCapitalGiro),
+                custoCompetitivo: 0
+            };
+            regular.custoTributario = regular.impostoTotal + regular.custoFinanceiroSplit;
+            regular.custoTotal = regular.custoTributario + regular.custoCompetitivo;
+        }
+
+        const recomendacao = regular && regular.custoTotal < das.custoTotal ? 'regular' : 'das';
+        const economiaMensal = regular ? Math.abs(das.custoTotal - regular.custoTotal) : 0;
+
+        return {
+            ano,
+            faturamento,
+            anexo: partilha.nome,
+            percentuais,
+            das,
+            regular,
+            recomendacao,
+            economiaMensal,
+            economiaAnual: economiaMensal * 12,
+            // Composição da diferença entre as opções (DAS - regular): tributos e repasse no preço
+            economiaTributariaAnual: regular ? (das.custoTributario - regular.custoTributario) * 12 : 0,
+            custoCompetitivoAnual: das.custoCompetitivo * 12
+        };
+    }
+
+    /**
+     * Calcula as opções do Simples Nacional para cada ano da transição
+     * @param {Object} dados - Dados em formato plano
+     * @param {number} [anoInicial=2026] - Ano inicial
+     * @param {number} [anoFinal=2033] - Ano final
+     * @returns {Object} - { anos, resultadosAnuais, resumo }
+     */
+    function calcularProjecao(dados, anoInicial = 2026, anoFinal = 2033) {
+        const taxaCrescimento = dados.taxaCrescimento || 0;
+        const anos = [];
+        const resultadosAnuais = {};
+        const resumo = {
+            anosDAS: [],
+            anosRegular: [],
+            economiaTotal: 0
+        };
+
+        for (let ano = anoInicial; ano <= anoFinal; ano++) {
+            const dadosAno = {
+                ...dados,
+                faturamento: dados.faturamento * Math.pow(1 + taxaCrescimento, ano - anoInicial)
+            };
+
+            const resultado = calcularOpcoesAno(dadosAno, ano);
+            anos.push(ano);
+            resultadosAnuais[ano] = resultado;
+
+            if (resultado.recomendacao === 'regular') {
+                resumo.anosRegular.push(ano);
+            } else {
+                resumo.anosDAS.push(ano);
+            }
+            resumo.economiaTotal += resultado.economiaAnual;
+        }
+
+        return {
+            anos,
+            resultadosAnuais,
+            resumo
+        };
+    }
+
+    // API pública
+    return {
+        partilhaTributosConsumo,
+        anoInicioOpcaoRegular,
+        obterAnexoPadrao,
+        calcularOpcoesAno,
+        calcularProjecao
+    };
+})();
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Carregador do motor de simulação para o Node.js, usado em execuções em lote
+ * e testes automatizados. Os módulos de cálculo são scripts de navegador que se registram em
+ * window; este arquivo cria esse escopo global e avalia os scripts na mesma ordem da página.
+ * @module simulation-engine-node
+ * @author Expertzy Inteligência Tributária
+ * @version 1.0.0
+ *
+ * @example
+ * const SimulationEngine = require('./js/simulation/simulation-engine-node.js');
+ * const dados = DataManager.obterEstruturaAninhadaPadrao();
+ * dados.empresa.faturamento = 500000;
+ * const resultado = SimulationEngine.run(dados);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Os módulos de cálculo se registram em window; nenhum deles depende do document
+global.window = global;
+
+const scripts = [
+    '../utils/data-manager.js',
+    '../config/tabela-aliquotas-repository.js',
+    '../config/aliquotas-ibs-repository.js',
+    'calculation-core.js',
+    'current-tax-system.js',
+    'iva-dual-system.js',
+    'cash-flow-engine.js',
+    'credit-compensation.js',
+    'simples-nacional.js',
+    'imposto-seletivo.js',
+    'simulation-engine.js'
+];
+
+scripts.forEach(script => {
+    const arquivo = path.join(__dirname, script);
+    vm.runInThisContext(fs.readFileSync(arquivo, 'utf8'), { filename: arquivo });
+});
+
+module.exports = global.SimulationEngine;
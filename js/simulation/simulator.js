@@ -10,243 +10,6 @@
 let _resultadoAtual = null;
 let _resultadoSplitPayment = null;
 
-/**
- * Coordena todos os cálculos necessários para a simulação
- * @param {Object} dados - Dados consolidados para simulação (formato plano)
- * @returns {Object} - Resultados coordenados da simulação
- */
-function coordenarCalculos(dados) {
-    // Verificar se dados estão no formato plano
-    if (dados.empresa !== undefined) {
-        throw new Error('Estrutura incompatível. Dados devem estar em formato plano para cálculos.');
-    }
-    
-    // Extrair ano inicial e final
-    const anoInicial = parseInt(dados.dataInicial?.split('-')[0], 10) || 2026;
-    const anoFinal = parseInt(dados.dataFinal?.split('-')[0], 10) || 2033;
-    
-    // 1. Calcular impacto base (sem cálculos adicionais)
-    const impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(dados, anoInicial);
-    
-    // 2. Calcular projeção temporal (sem análise de elasticidade)
-    const projecaoTemporal = window.IVADualSystem.calcularProjecaoTemporal(
-        dados, 
-        anoInicial, 
-        anoFinal, 
-        dados.cenario, 
-        dados.taxaCrescimento
-    );
-    
-    // 3. Calcular análise de elasticidade separadamente
-    const analiseElasticidade = window.CalculationCore.calcularAnaliseElasticidade(
-        dados, 
-        anoInicial, 
-        anoFinal
-    );
-    
-    // 4. Incorporar análise de elasticidade na projeção
-    projecaoTemporal.analiseElasticidade = analiseElasticidade;
-    
-    // 5. Gerar memória de cálculo centralizada
-    const memoriaCalculo = gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal);
-    
-    // Resultado final unificado
-    return {
-        impactoBase,
-        projecaoTemporal,
-        memoriaCalculo
-    };
-}
-
-/**
- * Detecta e integra dados do SPED nos cálculos do simulador
- * @param {Object} dadosAninhados - Dados em estrutura aninhada
- * @returns {Object} Dados processados com integração SPED
- */
-function processarDadosComIntegracaoSped(dadosAninhados) {
-    // Verificar se há dados do SPED
-    if (!dadosAninhados.dadosSpedImportados) {
-        console.log('Simulação executada sem dados SPED - usando parâmetros configurados manualmente');
-        return dadosAninhados;
-    }
-
-    console.log('Simulação executada com dados SPED - priorizando dados reais extraídos');
-    
-    // Criar cópia para processamento
-    const dadosProcessados = JSON.parse(JSON.stringify(dadosAninhados));
-    const dadosSped = dadosAninhados.dadosSpedImportados.composicaoTributaria;
-
-    // Sobrescrever parâmetros fiscais com dados do SPED
-    if (!dadosProcessados.parametrosFiscais) {
-        dadosProcessados.parametrosFiscais = {};
-    }
-
-    // Priorizar débitos reais do SPED
-    dadosProcessados.parametrosFiscais.debitosReais = dadosSped.debitos;
-    dadosProcessados.parametrosFiscais.creditosReais = dadosSped.creditos;
-    dadosProcessados.parametrosFiscais.aliquotasEfetivasReais = dadosSped.aliquotasEfetivas;
-
-    // Calcular alíquota total real baseada nos dados do SPED
-    const faturamento = dadosProcessados.empresa?.faturamento || 0;
-    if (faturamento > 0 && dadosSped.totalDebitos > 0) {
-        dadosProcessados.parametrosFiscais.aliquotaEfetivaReal = dadosSped.totalDebitos / faturamento;
-        dadosProcessados.parametrosFiscais.usarAliquotaReal = true;
-    }
-
-    // Adicionar metadados para rastreamento
-    dadosProcessados.metadados = {
-        ...dadosProcessados.metadados,
-        fonteDadosTributarios: 'sped',
-        precisaoCalculos: 'alta',
-        timestampProcessamento: new Date().toISOString()
-    };
-
-    return dadosProcessados;
-}
-
-/**
- * Gera a memória de cálculo de forma centralizada
- * @param {Object} dados - Dados da simulação (formato plano)
- * @param {Object} impactoBase - Resultados do impacto base
- * @param {Object} projecaoTemporal - Resultados da projeção temporal
- * @returns {Object} - Memória de cálculo estruturada
- */
-function gerarMemoriaCalculo(dados, impactoBase, projecaoTemporal) {
-    if (dados.empresa !== undefined) {
-        throw new Error('Estrutura incompatível. Dados devem estar em formato plano para memória de cálculo.');
-    }
-    
-    return {
-        dadosEntrada: {
-            empresa: {
-                faturamento: typeof dados.faturamento === 'number' ? dados.faturamento : 0,
-                margem: typeof dados.margem === 'number' ? dados.margem : 0,
-                setor: dados.setor || '',
-                tipoEmpresa: dados.tipoEmpresa || '',
-                regime: dados.regime || ''
-            },
-            cicloFinanceiro: {
-                pmr: typeof dados.pmr === 'number' ? dados.pmr : 30,
-                pmp: typeof dados.pmp === 'number' ? dados.pmp : 30,
-                pme: typeof dados.pme === 'number' ? dados.pme : 30,
-                percVista: typeof dados.percVista === 'number' ? dados.percVista : 0.3,
-                percPrazo: typeof dados.percPrazo === 'number' ? dados.percPrazo : 0.7
-            },
-            parametrosFiscais: {
-                aliquota: typeof dados.aliquota === 'number' ? dados.aliquota : 0.265,
-                tipoOperacao: dados.tipoOperacao || '',
-                regime: dados.regime || '',
-                creditos: {
-                    pis: typeof dados.creditosPIS === 'number' ? dados.creditosPIS : 0,
-                    cofins: typeof dados.creditosCOFINS === 'number' ? dados.creditosCOFINS : 0,
-                    icms: typeof dados.creditosICMS === 'number' ? dados.creditosICMS : 0,
-                    ipi: typeof dados.creditosIPI === 'number' ? dados.creditosIPI : 0,
-                    cbs: typeof dados.creditosCBS === 'number' ? dados.creditosCBS : 0,
-                    ibs: typeof dados.creditosIBS === 'number' ? dados.creditosIBS : 0
-                },
-                // NOVA SEÇÃO: Débitos tributários
-                debitos: {
-                    pis: typeof dados.debitosPIS === 'number' ? dados.debitosPIS : 0,
-                    cofins: typeof dados.debitosCOFINS === 'number' ? dados.debitosCOFINS : 0,
-                    icms: typeof dados.debitosICMS === 'number' ? dados.debitosICMS : 0,
-                    ipi: typeof dados.debitosIPI === 'number' ? dados.debitosIPI : 0,
-                    iss: typeof dados.debitosISS === 'number' ? dados.debitosISS : 0
-                },
-                // NOVA SEÇÃO: Cronograma de transição
-                cronogramaTransicao: {
-                    2026: 0.10, 2027: 0.25, 2028: 0.40, 2029: 0.55,
-                    2030: 0.70, 2031: 0.85, 2032: 0.95, 2033: 1.00
-                }
-            },
-            parametrosSimulacao: {
-                cenario: dados.cenario || 'moderado',
-                taxaCrescimento: typeof dados.taxaCrescimento === 'number' ? dados.taxaCrescimento : 0.05,
-                dataInicial: dados.dataInicial || '2026-01-01',
-                dataFinal: dados.dataFinal || '2033-12-31'
-            }
-        },
-        impactoBase: {
-            diferencaCapitalGiro: impactoBase.diferencaCapitalGiro,
-            percentualImpacto: impactoBase.percentualImpacto,
-            impactoDiasFaturamento: impactoBase.impactoDiasFaturamento
-        },
-        projecaoTemporal: {
-            parametros: projecaoTemporal.parametros,
-            impactoAcumulado: projecaoTemporal.impactoAcumulado
-        },
-        // NOVA SEÇÃO: Memória crítica com cálculos de transição
-        memoriaCritica: {
-            formula: "Impacto Transição = (Sistema Atual × % Atual) + (IVA Dual × % IVA) - Sistema Atual Original",
-            passoAPasso: [
-                "1. Calcular débitos e créditos por imposto no sistema atual",
-                "2. Calcular alíquotas efetivas por imposto",
-                "3. Determinar percentual de transição para o ano (10% em 2026 até 100% em 2033)",
-                "4. Calcular valor híbrido: (Tributos Atuais × % Sistema Atual) + (IVA Dual × % Sistema Novo)",
-                "5. Determinar impacto no capital de giro considerando a transição progressiva",
-                "6. Projetar impactos ao longo dos 8 anos de transição"
-            ],
-            observacoes: [
-                "Durante a transição, empresas pagarão ambos os sistemas simultaneamente",
-                "O percentual do sistema atual diminui gradualmente de 90% (2026) para 0% (2033)",
-                "O percentual do IVA Dual aumenta gradualmente de 10% (2026) para 100% (2033)",
-                "Cálculos baseiam-se na LC 214/2025 e regulamentação posterior",
-                "Valores podem variar conforme alterações na regulamentação"
-            ]
-        }
-    };
-}
-
-/**
- * Integra dados do SPED na estrutura plana para cálculos
- * @param {Object} dadosPlanos - Estrutura plana de dados
- * @param {Object} dadosSpedImportados - Dados importados do SPED
- */
-function integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosSpedImportados) {
-    const composicao = dadosSpedImportados.composicaoTributaria;
-    
-    // CORREÇÃO PRINCIPAL: Integrar créditos com validação robusta
-    console.log('SIMULATOR: Integrando créditos do SPED:', composicao.creditos);
-    
-    // Adicionar débitos
-    dadosPlanos.debitosPIS = composicao.debitos.pis || 0;
-    dadosPlanos.debitosCOFINS = composicao.debitos.cofins || 0;
-    dadosPlanos.debitosICMS = composicao.debitos.icms || 0;
-    dadosPlanos.debitosIPI = composicao.debitos.ipi || 0;
-    dadosPlanos.debitosISS = composicao.debitos.iss || 0;
-    
-    // CORREÇÃO PRINCIPAL: Adicionar créditos com múltiplas verificações
-    const creditosPIS = composicao.creditos.pis || composicao.creditos.PIS || 0;
-    const creditosCOFINS = composicao.creditos.cofins || composicao.creditos.COFINS || 0;
-    const creditosICMS = composicao.creditos.icms || composicao.creditos.ICMS || 0;
-    const creditosIPI = composicao.creditos.ipi || composicao.creditos.IPI || 0;
-    
-    dadosPlanos.creditosPIS = creditosPIS;
-    dadosPlanos.creditosCOFINS = creditosCOFINS;
-    dadosPlanos.creditosICMS = creditosICMS;
-    dadosPlanos.creditosIPI = creditosIPI;
-    
-    // Log para diagnóstico
-    console.log('SIMULATOR: Créditos integrados na estrutura plana:', {
-        creditosPIS: creditosPIS,
-        creditosCOFINS: creditosCOFINS,
-        creditosICMS: creditosICMS,
-        creditosIPI: creditosIPI,
-        fonteOriginal: composicao.creditos
-    });
-    
-    // Sobrescrever alíquota se disponível dados reais
-    if (composicao.aliquotasEfetivas.total > 0) {
-        dadosPlanos.aliquota = composicao.aliquotasEfetivas.total / 100;
-        dadosPlanos.aliquotaOrigem = 'sped';
-    }
-    
-    // Flags de controle
-    dadosPlanos.temDadosSped = true;
-    dadosPlanos.fonteDados = 'sped';
-    
-    console.log('SIMULATOR: Dados do SPED integrados na estrutura plana para cálculos');
-}
-
 /**
  * @class SimuladorFluxoCaixa
  * @description Classe principal do simulador que gerencia as simulações de Split Payment
@@ -271,6 +34,11 @@ const SimuladorFluxoCaixa = {
             throw new Error('Dependências críticas de cálculo não encontradas');
         }
 
+        if (typeof window.SimulationEngine === 'undefined') {
+            console.error('SimulationEngine não encontrado. O simulador requer o motor de simulação.');
+            throw new Error('Dependência crítica não encontrada: SimulationEngine');
+        }
+
         console.log('Simulador de Split Payment inicializado com sucesso');
     },         
 
@@ -412,69 +180,6 @@ const SimuladorFluxoCaixa = {
         return faturamento * baseCalc * aliquotaIPI * percCredito;
     },
 
-    /**
-     * Gera um impacto base de fallback quando ocorrem erros
-     * @param {Object} dados - Dados planos da simulação
-     * @returns {Object} Impacto base simplificado
-     */
-    gerarImpactoBaseFallback(dados) {
-        // Validar e garantir valores numéricos
-        const faturamento = typeof dados.faturamento === 'number' && !isNaN(dados.faturamento) ? 
-                           dados.faturamento : 0;
-
-        const aliquota = typeof dados.aliquota === 'number' && !isNaN(dados.aliquota) ? 
-                        dados.aliquota : 0.265;
-
-        // Gerar um impacto base simplificado
-        return {
-            diferencaCapitalGiro: -faturamento * aliquota * 0.5,
-            percentualImpacto: -50,
-            necesidadeAdicionalCapitalGiro: faturamento * aliquota * 0.6,
-            impactoDiasFaturamento: 15,
-            impactoMargem: 2.5,
-            resultadoAtual: {
-                capitalGiroDisponivel: faturamento * aliquota
-            },
-            resultadoSplitPayment: {
-                capitalGiroDisponivel: faturamento * aliquota * 0.5
-            }
-        };
-    },
-    
-    /**
-     * Valida os dados de entrada antes da simulação
-     * @param {Object} dados - Dados a serem validados (formato aninhado)
-     * @returns {Object} - Dados validados e normalizados
-     * @throws {Error} - Erro descritivo se os dados forem inválidos
-     */
-    validarDados(dados) {
-        if (!dados) {
-            throw new Error('Dados não fornecidos para validação');
-        }
-
-        // Verificar se os dados estão em formato aninhado
-        if (dados.empresa === undefined) {
-            throw new Error('Estrutura de dados inválida: formato aninhado esperado');
-        }
-
-        // Delegar a validação completa ao DataManager
-        try {
-            const dadosValidados = window.DataManager.validarENormalizar(dados);
-
-            // Log de diagnóstico
-            window.DataManager.logTransformacao(
-                dados, 
-                dadosValidados, 
-                'Validação de Dados de Entrada'
-            );
-
-            return dadosValidados;
-        } catch (erro) {
-            console.error('Erro na validação de dados:', erro);
-            throw new Error(`Falha na validação dos dados: ${erro.message}`);
-        }
-    },
-
     /**
      * Simula o impacto do Split Payment
      * @param {Object} dadosExternos - Dados externos opcionais (formato aninhado)
@@ -482,506 +187,56 @@ const SimuladorFluxoCaixa = {
      */
     simular(dadosExternos) {
         console.log('Iniciando simulação de impacto do Split Payment...');
-            try {
-                // 1. Obter dados consolidados - do parâmetro ou do formulário
-                let dadosAninhados;
-                if (dadosExternos) {
-                    dadosAninhados = dadosExternos;
-                    console.log('Utilizando dados fornecidos externamente');
-                } else {
-                    dadosAninhados = window.DataManager.obterDadosDoFormulario();
-                    console.log('Dados obtidos do formulário');
-                }
-
-                if (!dadosAninhados) {
-                    throw new Error('Não foi possível obter dados para a simulação');
-                }
-
-                // 1.5. NOVA ETAPA: Processar integração com dados SPED
-                dadosAninhados = processarDadosComIntegracaoSped(dadosAninhados);
-
-                // 2. Validar e normalizar os dados (formato aninhado)
-                const dadosValidados = this.validarDados(dadosAninhados);
-                console.log('Dados validados e normalizados:', dadosValidados);
-
-                // 3. Converter para estrutura plana para cálculos
-                const dadosPlanos = window.DataManager.converterParaEstruturaPlana(dadosValidados);
-                console.log('Dados convertidos para formato plano:', dadosPlanos);
-
-                // 3.5. NOVA ETAPA: Adicionar dados SPED à estrutura plana
-                if (dadosValidados.dadosSpedImportados) {
-                    integrarDadosSpedNaEstruturaPlana(dadosPlanos, dadosValidados.dadosSpedImportados);
-                }
-
-                // 4. Extrair dados temporais para cálculos
-                const anoInicial = parseInt(dadosPlanos.dataInicial?.split('-')[0], 10) || 2026;
-                const anoFinal = parseInt(dadosPlanos.dataFinal?.split('-')[0], 10) || 2033;
-
-                // 5. Obter parametros setoriais em formato próprio para cálculos
-                const parametrosSetoriais = {
-                    aliquotaCBS: dadosValidados.ivaConfig?.cbs || 0.088,
-                    aliquotaIBS: dadosValidados.ivaConfig?.ibs || 0.177,
-                    categoriaIva: dadosValidados.ivaConfig?.categoriaIva || 'standard',
-                    reducaoEspecial: dadosValidados.ivaConfig?.reducaoEspecial || 0,
-                    cronogramaProprio: false
-                };
-
-                // 6. Calcular impacto base com tratamento de erro robusto
-                let impactoBase;
-                try {
-                    impactoBase = window.IVADualSystem.calcularImpactoCapitalGiro(
-                        dadosPlanos,
-                        anoInicial,
-                        parametrosSetoriais
-                    );
-                    console.log('Impacto base calculado com sucesso');
-
-                    // Validar estrutura do impacto base
-                    this._validarImpactoBase(impactoBase);
-
-                } catch (erroImpacto) {
-                    console.error('Erro ao calcular impacto base:', erroImpacto);
-                    impactoBase = this.gerarImpactoBaseFallback(dadosPlanos);
-                    console.log('Usando impacto base de fallback');
-                }
-
-                // 7. Garantir que resultadoIVASemSplit existe e está completo
-                impactoBase = this._garantirResultadoIVASemSplit(impactoBase);
-
-                // 8. Calcular projeção temporal com fallback robusto
-                let projecaoTemporal;
-                try {
-                    projecaoTemporal = window.IVADualSystem.calcularProjecaoTemporal(
-                        dadosPlanos,
-                        anoInicial,
-                        anoFinal,
-                        dadosPlanos.cenario,
-                        dadosPlanos.taxaCrescimento,
-                        parametrosSetoriais
-                    );
-                    console.log('Projeção temporal calculada com sucesso');
-
-                    // Validar e completar projeção temporal
-                    projecaoTemporal = this._validarECompletarProjecaoTemporal(projecaoTemporal, impactoBase, anoInicial, anoFinal);
-
-                } catch (erroProjecao) {
-                    console.error('Erro ao calcular projeção temporal:', erroProjecao);
-                    projecaoTemporal = this._gerarProjecaoTemporalFallback(impactoBase, dadosPlanos, anoInicial, anoFinal);
-                }
-
-                // 9. Calcular análise de elasticidade
-                let analiseElasticidade;
-                try {
-                    analiseElasticidade = window.CalculationCore.calcularAnaliseElasticidade(
-                        dadosPlanos,
-                        anoInicial,
-                        anoFinal
-                    );
-                    // Adicionar à projeção temporal
-                    projecaoTemporal.analiseElasticidade = analiseElasticidade;
-                } catch (erroElasticidade) {
-                    console.error('Erro ao calcular análise de elasticidade:', erroElasticidade);
-                    // Não interrompe o fluxo se falhar
-                }
-
-                // 10. Gerar memória de cálculo
-                let memoriaCalculo;
-                try {
-                    memoriaCalculo = gerarMemoriaCalculo(
-                        dadosPlanos,
-                        impactoBase,
-                        projecaoTemporal
-                    );
-                } catch (erroMemoria) {
-                    console.error('Erro ao gerar memória de cálculo:', erroMemoria);
-                    memoriaCalculo = this._gerarMemoriaCalculoFallback(dadosPlanos, impactoBase, projecaoTemporal);
-                }
-
-                // 11. Armazenar resultados intermediários para referência
-                _resultadoAtual = impactoBase.resultadoAtual || null;
-                _resultadoSplitPayment = impactoBase.resultadoSplitPayment || null;
-
-                // 12. Construir objeto de resultado para interface (formato aninhado)
-                const resultadosParaInterface = {
-                    impactoBase,
-                    projecaoTemporal,
-                    memoriaCalculo,
-                    dadosUtilizados: dadosValidados,
-                    // Garantir estrutura de exportação
-                    resultadosExportacao: this._gerarEstruturaExportacao(impactoBase, projecaoTemporal)
-                };
-
-                console.log('Simulação concluída com sucesso');
-
-                // 13. Atualizar interface e gráficos (se disponíveis)
-                if (typeof window.atualizarInterface === 'function') {
-                    window.atualizarInterface(resultadosParaInterface);
-                } else {
-                    console.warn('Função atualizarInterface não encontrada. A interface não será atualizada automaticamente.');
-                }
-
-                if (
-                    typeof window.ChartManager !== 'undefined' &&
-                    typeof window.ChartManager.renderizarGraficos === 'function'
-                ) {
-                    window.ChartManager.renderizarGraficos(resultadosParaInterface);
-                } else {
-                    console.warn('ChartManager não encontrado ou função renderizarGraficos indisponível.');
-                }
-
-                return resultadosParaInterface;
-            } catch (erro) {
-                console.error('Erro crítico durante a simulação:', erro);
-                alert('Ocorreu um erro durante a simulação: ' + erro.message);
-                return null;
-            }
-        },
-
-    /**
-     * Valida a estrutura do impacto base
-     * @private
-     * @param {Object} impactoBase - Impacto base calculado
-     * @throws {Error} Se a estrutura for inválida
-     */
-    _validarImpactoBase(impactoBase) {
-        if (!impactoBase) {
-            throw new Error('Impacto base não foi calculado');
-        }
-
-        const camposObrigatorios = ['diferencaCapitalGiro', 'percentualImpacto', 'resultadoAtual', 'resultadoSplitPayment'];
-
-        camposObrigatorios.forEach(campo => {
-            if (impactoBase[campo] === undefined) {
-                throw new Error(`Campo obrigatório ausente no impacto base: ${campo}`);
+        try {
+            // 1. Obter dados consolidados - do parâmetro ou do formulário
+            let dadosAninhados;
+            if (dadosExternos) {
+                dadosAninhados = dadosExternos;
+                console.log('Utilizando dados fornecidos externamente');
+            } else {
+                dadosAninhados = window.DataManager.obterDadosDoFormulario();
+                console.log('Dados obtidos do formulário');
             }
-        });
 
-        // Validar estruturas de resultado
-        if (!impactoBase.resultadoAtual.capitalGiroDisponivel && impactoBase.resultadoAtual.capitalGiroDisponivel !== 0) {
-            throw new Error('Capital de giro atual não calculado');
-        }
+            // 2. Executar os cálculos no motor de simulação, independente da interface
+            const resultadosParaInterface = window.SimulationEngine.run(dadosAninhados);
 
-        if (!impactoBase.resultadoSplitPayment.capitalGiroDisponivel && impactoBase.resultadoSplitPayment.capitalGiroDisponivel !== 0) {
-            throw new Error('Capital de giro Split Payment não calculado');
-        }
-    },
+            // 3. Armazenar resultados intermediários para referência
+            _resultadoAtual = resultadosParaInterface.impactoBase.resultadoAtual || null;
+            _resultadoSplitPayment = resultadosParaInterface.impactoBase.resultadoSplitPayment || null;
 
-    /**
-     * Garante que o resultado IVA sem Split existe e está completo
-     * @private
-     * @param {Object} impactoBase - Impacto base
-     * @returns {Object} Impacto base com resultado IVA sem Split garantido
-     */
-    _garantirResultadoIVASemSplit(impactoBase) {
-        if (!impactoBase.resultadoIVASemSplit) {
-            // Criar uma cópia do resultado atual como base
-            impactoBase.resultadoIVASemSplit = {
-                ...JSON.parse(JSON.stringify(impactoBase.resultadoAtual)),
-                descricao: "Sistema IVA Dual sem Split Payment"
+            // Última simulação (dados aninhados + resultados) para exportadores e cenários
+            window.ultimaSimulacao = {
+                dados: resultadosParaInterface.dadosUtilizados,
+                resultados: resultadosParaInterface
             };
 
-            // Se temos resultados de impostos IVA, usar esses valores
-            if (impactoBase.resultadoSplitPayment?.impostos) {
-                impactoBase.resultadoIVASemSplit.impostos = { ...impactoBase.resultadoSplitPayment.impostos };
-                impactoBase.resultadoIVASemSplit.valorImpostoTotal = impactoBase.resultadoSplitPayment.impostos.total || 0;
+            console.log('Simulação concluída com sucesso');
 
-                // Calcular o capital de giro para IVA sem Split
-                const fatorImposto = impactoBase.resultadoSplitPayment.impostos.total / (impactoBase.resultadoAtual.impostos?.total || 1);
-                impactoBase.resultadoIVASemSplit.capitalGiroDisponivel = impactoBase.resultadoAtual.capitalGiroDisponivel * fatorImposto;
+            // 4. Atualizar interface e gráficos (se disponíveis)
+            if (typeof window.atualizarInterface === 'function') {
+                window.atualizarInterface(resultadosParaInterface);
+            } else {
+                console.warn('Função atualizarInterface não encontrada. A interface não será atualizada automaticamente.');
             }
-        }
-
-        // Garantir campos de diferença
-        if (!impactoBase.diferencaCapitalGiroIVASemSplit) {
-            impactoBase.diferencaCapitalGiroIVASemSplit = 
-                (impactoBase.resultadoIVASemSplit.capitalGiroDisponivel || 0) - 
-                (impactoBase.resultadoAtual.capitalGiroDisponivel || 0);
-        }
-
-        if (!impactoBase.percentualImpactoIVASemSplit) {
-            impactoBase.percentualImpactoIVASemSplit = 
-                impactoBase.resultadoAtual.capitalGiroDisponivel !== 0 ? 
-                (impactoBase.diferencaCapitalGiroIVASemSplit / impactoBase.resultadoAtual.capitalGiroDisponivel) * 100 : 0;
-        }
-
-        if (!impactoBase.necessidadeAdicionalCapitalGiroIVASemSplit) {
-            impactoBase.necessidadeAdicionalCapitalGiroIVASemSplit = 
-                Math.abs(impactoBase.diferencaCapitalGiroIVASemSplit) * 1.2;
-        }
-
-        return impactoBase;
-    },
 
-    /**
-     * Valida e completa a projeção temporal
-     * @private
-     * @param {Object} projecaoTemporal - Projeção temporal calculada
-     * @param {Object} impactoBase - Impacto base
-     * @param {number} anoInicial - Ano inicial
-     * @param {number} anoFinal - Ano final
-     * @returns {Object} Projeção temporal validada e completa
-     */
-    _validarECompletarProjecaoTemporal(projecaoTemporal, impactoBase, anoInicial, anoFinal) {
-        // Garantir que existe resultadosAnuais
-        if (!projecaoTemporal.resultadosAnuais) {
-            projecaoTemporal.resultadosAnuais = {};
-        }
-
-        // Garantir que todos os anos têm dados
-        for (let ano = anoInicial; ano <= anoFinal; ano++) {
-            if (!projecaoTemporal.resultadosAnuais[ano]) {
-                projecaoTemporal.resultadosAnuais[ano] = this._gerarDadosAnoFallback(impactoBase, ano, anoInicial);
+            if (
+                typeof window.ChartManager !== 'undefined' &&
+                typeof window.ChartManager.renderizarGraficos === 'function'
+            ) {
+                window.ChartManager.renderizarGraficos(resultadosParaInterface);
             } else {
-                // Garantir que cada ano tem resultado IVA sem Split
-                const resultadoAno = projecaoTemporal.resultadosAnuais[ano];
-                if (!resultadoAno.resultadoIVASemSplit) {
-                    resultadoAno.resultadoIVASemSplit = {
-                        ...JSON.parse(JSON.stringify(resultadoAno.resultadoAtual)),
-                        descricao: "Sistema IVA Dual sem Split Payment"
-                    };
-
-                    if (resultadoAno.resultadoSplitPayment?.impostos) {
-                        resultadoAno.resultadoIVASemSplit.impostos = { ...resultadoAno.resultadoSplitPayment.impostos };
-                        resultadoAno.resultadoIVASemSplit.valorImpostoTotal = resultadoAno.resultadoSplitPayment.impostos.total || 0;
-
-                        const fatorImposto = resultadoAno.resultadoSplitPayment.impostos.total / (resultadoAno.resultadoAtual.impostos?.total || 1);
-                        resultadoAno.resultadoIVASemSplit.capitalGiroDisponivel = resultadoAno.resultadoAtual.capitalGiroDisponivel * fatorImposto;
-                    }
-
-                    // Calcular diferenças
-                    resultadoAno.diferencaCapitalGiroIVASemSplit = 
-                        (resultadoAno.resultadoIVASemSplit.capitalGiroDisponivel || 0) - 
-                        (resultadoAno.resultadoAtual.capitalGiroDisponivel || 0);
-
-                    resultadoAno.percentualImpactoIVASemSplit = 
-                        resultadoAno.resultadoAtual.capitalGiroDisponivel !== 0 ? 
-                        (resultadoAno.diferencaCapitalGiroIVASemSplit / resultadoAno.resultadoAtual.capitalGiroDisponivel) * 100 : 0;
-
-                    resultadoAno.necessidadeAdicionalCapitalGiroIVASemSplit = 
-                        Math.abs(resultadoAno.diferencaCapitalGiroIVASemSplit) * 1.2;
-                }
+                console.warn('ChartManager não encontrado ou função renderizarGraficos indisponível.');
             }
-        }
-
-        // Garantir impactoAcumulado
-        if (!projecaoTemporal.impactoAcumulado) {
-            projecaoTemporal.impactoAcumulado = this._calcularImpactoAcumulado(projecaoTemporal.resultadosAnuais);
-        }
-
-        return projecaoTemporal;
-    },
-
-    /**
-     * Gera dados de ano como fallback
-     * @private
-     * @param {Object} impactoBase - Impacto base
-     * @param {number} ano - Ano
-     * @param {number} anoInicial - Ano inicial
-     * @returns {Object} Dados do ano
-     */
-    _gerarDadosAnoFallback(impactoBase, ano, anoInicial) {
-        const fatorTempo = Math.pow(1.05, ano - anoInicial); // 5% de crescimento padrão
-
-        return {
-            resultadoAtual: {
-                ...impactoBase.resultadoAtual,
-                capitalGiroDisponivel: (impactoBase.resultadoAtual.capitalGiroDisponivel || 0) * fatorTempo,
-                impostos: impactoBase.resultadoAtual.impostos ? 
-                    { ...impactoBase.resultadoAtual.impostos, total: (impactoBase.resultadoAtual.impostos.total || 0) * fatorTempo } : 
-                    { total: 0 }
-            },
-            resultadoSplitPayment: {
-                ...impactoBase.resultadoSplitPayment,
-                capitalGiroDisponivel: (impactoBase.resultadoSplitPayment.capitalGiroDisponivel || 0) * fatorTempo,
-                impostos: impactoBase.resultadoSplitPayment.impostos ? 
-                    { ...impactoBase.resultadoSplitPayment.impostos, total: (impactoBase.resultadoSplitPayment.impostos.total || 0) * fatorTempo } : 
-                    { total: 0 }
-            },
-            resultadoIVASemSplit: {
-                ...impactoBase.resultadoIVASemSplit,
-                capitalGiroDisponivel: (impactoBase.resultadoIVASemSplit.capitalGiroDisponivel || 0) * fatorTempo,
-                impostos: impactoBase.resultadoIVASemSplit.impostos ? 
-                    { ...impactoBase.resultadoIVASemSplit.impostos, total: (impactoBase.resultadoIVASemSplit.impostos.total || 0) * fatorTempo } : 
-                    { total: 0 }
-            },
-            diferencaCapitalGiro: (impactoBase.diferencaCapitalGiro || 0) * fatorTempo,
-            diferencaCapitalGiroIVASemSplit: (impactoBase.diferencaCapitalGiroIVASemSplit || 0) * fatorTempo,
-            percentualImpacto: impactoBase.percentualImpacto || 0,
-            percentualImpactoIVASemSplit: impactoBase.percentualImpactoIVASemSplit || 0,
-            impactoDiasFaturamento: impactoBase.impactoDiasFaturamento || 0,
-            necessidadeAdicionalCapitalGiro: (impactoBase.necessidadeAdicionalCapitalGiro || 0) * fatorTempo,
-            necessidadeAdicionalCapitalGiroIVASemSplit: (impactoBase.necessidadeAdicionalCapitalGiroIVASemSplit || 0) * fatorTempo
-        };
-    },
-
-    /**
-     * Calcula o impacto acumulado
-     * @private
-     * @param {Object} resultadosAnuais - Resultados anuais
-     * @returns {Object} Impacto acumulado
-     */
-    _calcularImpactoAcumulado(resultadosAnuais) {
-        const anos = Object.keys(resultadosAnuais);
 
-        const totalNecessidadeCapitalGiro = anos.reduce((acc, ano) => {
-            return acc + (resultadosAnuais[ano].necessidadeAdicionalCapitalGiro || 0);
-        }, 0);
-
-        const custoFinanceiroTotal = totalNecessidadeCapitalGiro * 0.021 * 12; // Taxa padrão 2,1% a.m.
-
-        return {
-            totalNecessidadeCapitalGiro,
-            custoFinanceiroTotal,
-            impactoMedioMargem: anos.reduce((acc, ano) => {
-                return acc + (resultadosAnuais[ano].impactoMargem || 0);
-            }, 0) / anos.length
-        };
-    },
-
-    /**
-     * Gera estrutura de exportação
-     * @private
-     * @param {Object} impactoBase - Impacto base
-     * @param {Object} projecaoTemporal - Projeção temporal
-     * @returns {Object} Estrutura de exportação
-     */
-    _gerarEstruturaExportacao(impactoBase, projecaoTemporal) {
-        if (!projecaoTemporal.resultadosAnuais) {
+            return resultadosParaInterface;
+        } catch (erro) {
+            console.error('Erro crítico durante a simulação:', erro);
+            alert('Ocorreu um erro durante a simulação: ' + erro.message);
             return null;
         }
-
-        const anos = Object.keys(projecaoTemporal.resultadosAnuais).sort();
-        const resultadosPorAno = {};
-
-        anos.forEach(ano => {
-            const dadosAno = projecaoTemporal.resultadosAnuais[ano];
-            resultadosPorAno[ano] = {
-                capitalGiroSplitPayment: dadosAno.resultadoSplitPayment?.capitalGiroDisponivel || 0,
-                capitalGiroAtual: dadosAno.resultadoAtual?.capitalGiroDisponivel || 0,
-                capitalGiroIVASemSplit: dadosAno.resultadoIVASemSplit?.capitalGiroDisponivel || 0,
-                diferenca: dadosAno.diferencaCapitalGiro || 0,
-                diferencaIVASemSplit: dadosAno.diferencaCapitalGiroIVASemSplit || 0,
-                percentualImpacto: dadosAno.percentualImpacto || 0,
-                impostoDevido: dadosAno.resultadoSplitPayment?.impostos?.total || 0,
-                sistemaAtual: dadosAno.resultadoAtual?.impostos?.total || 0,
-                ivaSemsplit: dadosAno.resultadoIVASemSplit?.impostos?.total || 0
-            };
-        });
-
-        return {
-            anos: anos,
-            resultadosPorAno: resultadosPorAno,
-            resumo: {
-                variacaoTotal: Object.values(resultadosPorAno).reduce((acc, ano) => acc + ano.diferenca, 0),
-                variacaoTotalIVASemSplit: Object.values(resultadosPorAno).reduce((acc, ano) => acc + ano.diferencaIVASemSplit, 0),
-                tendenciaGeral: Object.values(resultadosPorAno).reduce((acc, ano) => acc + ano.diferenca, 0) > 0 ? "aumento" : "redução"
-            }
-        };
-    },
-
-    /**
-     * Gera projeção temporal de fallback
-     * @private
-     * @param {Object} impactoBase - Impacto base
-     * @param {Object} dadosPlanos - Dados planos
-     * @param {number} anoInicial - Ano inicial
-     * @param {number} anoFinal - Ano final
-     * @returns {Object} Projeção temporal de fallback
-     */
-    _gerarProjecaoTemporalFallback(impactoBase, dadosPlanos, anoInicial, anoFinal) {
-        const resultadosAnuais = {};
-
-        for (let ano = anoInicial; ano <= anoFinal; ano++) {
-            resultadosAnuais[ano] = this._gerarDadosAnoFallback(impactoBase, ano, anoInicial);
-        }
-
-        return {
-            parametros: {
-                anoInicial,
-                anoFinal,
-                cenarioTaxaCrescimento: dadosPlanos.cenario || 'moderado',
-                taxaCrescimento: dadosPlanos.taxaCrescimento || 0.05
-            },
-            resultadosAnuais,
-            impactoAcumulado: this._calcularImpactoAcumulado(resultadosAnuais),
-            comparacaoRegimes: this._gerarComparacaoRegimes(resultadosAnuais, anoInicial, anoFinal)
-        };
-    },
-
-    /**
-     * Gera comparação de regimes
-     * @private
-     * @param {Object} resultadosAnuais - Resultados anuais
-     * @param {number} anoInicial - Ano inicial
-     * @param {number} anoFinal - Ano final
-     * @returns {Object} Comparação de regimes
-     */
-    _gerarComparacaoRegimes(resultadosAnuais, anoInicial, anoFinal) {
-        const anos = Object.keys(resultadosAnuais).sort().map(Number);
-
-        return {
-            anos,
-            atual: {
-                capitalGiro: anos.map(ano => resultadosAnuais[ano].resultadoAtual.capitalGiroDisponivel || 0),
-                impostos: anos.map(ano => resultadosAnuais[ano].resultadoAtual.impostos?.total || 0)
-            },
-            splitPayment: {
-                capitalGiro: anos.map(ano => resultadosAnuais[ano].resultadoSplitPayment.capitalGiroDisponivel || 0),
-                impostos: anos.map(ano => resultadosAnuais[ano].resultadoSplitPayment.impostos?.total || 0)
-            },
-            ivaSemSplit: {
-                capitalGiro: anos.map(ano => resultadosAnuais[ano].resultadoIVASemSplit.capitalGiroDisponivel || 0),
-                impostos: anos.map(ano => resultadosAnuais[ano].resultadoIVASemSplit.impostos?.total || 0)
-            },
-            impacto: {
-                diferencaCapitalGiro: anos.map(ano => resultadosAnuais[ano].diferencaCapitalGiro || 0),
-                percentualImpacto: anos.map(ano => resultadosAnuais[ano].percentualImpacto || 0),
-                necessidadeAdicional: anos.map(ano => resultadosAnuais[ano].necessidadeAdicionalCapitalGiro || 0)
-            }
-        };
     },
 
-    /**
-     * Gera memória de cálculo de fallback
-     * @private
-     * @param {Object} dadosPlanos - Dados planos
-     * @param {Object} impactoBase - Impacto base
-     * @param {Object} projecaoTemporal - Projeção temporal
-     * @returns {Object} Memória de cálculo
-     */
-    _gerarMemoriaCalculoFallback(dadosPlanos, impactoBase, projecaoTemporal) {
-        return {
-            dadosEntrada: window.DataManager.converterParaEstruturaAninhada(dadosPlanos),
-            impactoBase: {
-                diferencaCapitalGiro: impactoBase.diferencaCapitalGiro || 0,
-                diferencaCapitalGiroIVASemSplit: impactoBase.diferencaCapitalGiroIVASemSplit || 0,
-                percentualImpacto: impactoBase.percentualImpacto || 0,
-                percentualImpactoIVASemSplit: impactoBase.percentualImpactoIVASemSplit || 0
-            },
-            projecaoTemporal: {
-                parametros: projecaoTemporal.parametros,
-                impactoAcumulado: projecaoTemporal.impactoAcumulado
-            },
-            memoriaCritica: {
-                formula: "Impacto = (Capital Giro Split Payment - Capital Giro Atual) / Capital Giro Atual",
-                passoAPasso: [
-                    "1. Calcular capital de giro necessário no sistema atual",
-                    "2. Calcular capital de giro necessário com Split Payment",
-                    "3. Calcular capital de giro necessário com IVA sem Split Payment",
-                    "4. Determinar diferenças entre os sistemas",
-                    "5. Calcular percentuais de impacto",
-                    "6. Projetar impactos ao longo do tempo"
-                ],
-                observacoes: [
-                    "Cálculos baseados em dados fornecidos pelo usuário",
-                    "Projeção considera cenário de crescimento selecionado",
-                    "Valores podem variar conforme alterações na regulamentação",
-                    "Memória de cálculo simplificada devido a limitações nos dados de entrada"
-                ]
-            }
-        };
-    },
-    
     /**
      * Simula o impacto das estratégias de mitigação
      * @returns {Object} Resultados da simulação com estratégias
@@ -1073,6 +328,9 @@ const SimuladorFluxoCaixa = {
 
             // 7. Armazenar os resultados globalmente para referência futura
             window.lastStrategyResults = resultadoEstrategias;
+            if (window.ultimaSimulacao) {
+                window.ultimaSimulacao.estrategias = resultadoEstrategias;
+            }
 
             // 8. Atualizar interface com resultados estruturados
             const divResultados = document.getElementById('resultados-estrategias');
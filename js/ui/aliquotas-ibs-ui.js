@@ -0,0 +1,141 @@
+// Módulo de gerenciamento das alíquotas do IBS por UF e município na interface
+(function() {
+    /**
+     * Renderiza a tabela vigente de alíquotas do IBS por destino
+     */
+    function renderizarTabelaAliquotasIBS() {
+        const corpo = document.querySelector('#tabela-aliquotas-ibs tbody');
+        if (!corpo || !window.AliquotasIBSRepository) return;
+
+        const linhas = window.AliquotasIBSRepository.obterTabela();
+
+        corpo.innerHTML = '';
+        linhas.forEach(linha => {
+            const tr = document.createElement('tr');
+            [
+                linha.tipo === 'uf' ? 'Estadual' : 'Municipal',
+                linha.codigo,
+                linha.nome,
+                (linha.aliquota * 100).toFixed(2) + '%',
+                linha.personalizada ? 'Personalizada' : 'Referência'
+            ].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+            corpo.appendChild(tr);
+        });
+
+        const referencia = window.AliquotasIBSRepository.obterReferencia();
+        const contador = document.getElementById('aliquotas-ibs-total');
+        if (contador) {
+            contador.textContent = `Referência: estadual ${(referencia.estadual * 100).toFixed(2)}%, ` +
+                `municipal ${(referencia.municipal * 100).toFixed(2)}%. ` +
+                `${linhas.filter(linha => linha.tipo === 'municipio').length} municípios com alíquota própria.`;
+        }
+    }
+
+    /**
+     * Dispara o download de um conteúdo textual
+     * @param {string} conteudo - Conteúdo do arquivo
+     * @param {string} nomeArquivo - Nome do arquivo
+     * @param {string} tipo - MIME type
+     */
+    function baixarArquivo(conteudo, nomeArquivo, tipo) {
+        const blob = new Blob([conteudo], { type: tipo });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = nomeArquivo;
+        document.body.appendChild(a);
+        a.click();
+
+        // Limpeza
+        setTimeout(() => {
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Importa o arquivo selecionado (CSV ou JSON) para a tabela de alíquotas do IBS
+     * @param {Event} evento - Evento change do input de arquivo
+     */
+    function importarArquivoAliquotasIBS(evento) {
+        const arquivo = evento.target.files[0];
+        if (!arquivo) return;
+
+        const substituir = document.getElementById('aliquotas-ibs-substituir')?.checked || false;
+        const reader = new FileReader();
+
+        reader.onload = function(e) {
+            const conteudo = e.target.result;
+            const ehJSON = arquivo.name.toLowerCase().endsWith('.json');
+            const resultado = ehJSON ?
+                window.AliquotasIBSRepository.importarJSON(conteudo, { substituir }) :
+                window.AliquotasIBSRepository.importarCSV(conteudo, { substituir });
+
+            renderizarTabelaAliquotasIBS();
+
+            let mensagem = `${resultado.importados} alíquotas importadas.`;
+            if (resultado.erros.length > 0) {
+                mensagem += `\n${resultado.erros.length} linhas ignoradas:\n` + resultado.erros.slice(0, 10).join('\n');
+                console.warn('Erros na importação das alíquotas do IBS:', resultado.erros);
+            }
+            alert(mensagem);
+
+            // Permite reimportar o mesmo arquivo
+            evento.target.value = '';
+        };
+
+        reader.onerror = function() {
+            alert('Erro ao ler o arquivo de alíquotas do IBS.');
+        };
+
+        reader.readAsText(arquivo);
+    }
+
+    // Exportar funções para o escopo global
+    window.renderizarTabelaAliquotasIBS = renderizarTabelaAliquotasIBS;
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.AliquotasIBSRepository) {
+            console.warn('AliquotasIBSRepository não disponível. IBS por destino desativado.');
+            return;
+        }
+
+        window.AliquotasIBSRepository.inicializar();
+        renderizarTabelaAliquotasIBS();
+
+        const inputImportar = document.getElementById('aliquotas-ibs-arquivo');
+        if (inputImportar) {
+            inputImportar.addEventListener('change', importarArquivoAliquotasIBS);
+        }
+
+        const btnExportarCSV = document.getElementById('btn-exportar-aliquotas-ibs-csv');
+        if (btnExportarCSV) {
+            btnExportarCSV.addEventListener('click', function() {
+                baixarArquivo(window.AliquotasIBSRepository.exportarCSV(), 'aliquotas-ibs.csv', 'text/csv');
+            });
+        }
+
+        const btnExportarJSON = document.getElementById('btn-exportar-aliquotas-ibs-json');
+        if (btnExportarJSON) {
+            btnExportarJSON.addEventListener('click', function() {
+                baixarArquivo(window.AliquotasIBSRepository.exportarJSON(), 'aliquotas-ibs.json', 'application/json');
+            });
+        }
+
+        const btnRestaurar = document.getElementById('btn-restaurar-aliquotas-ibs');
+        if (btnRestaurar) {
+            btnRestaurar.addEventListener('click', function() {
+                if (confirm('Descartar as alíquotas personalizadas do IBS e voltar às de referência?')) {
+                    window.AliquotasIBSRepository.restaurarPadrao();
+                    renderizarTabelaAliquotasIBS();
+                }
+            });
+        }
+    });
+})();
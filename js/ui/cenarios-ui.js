@@ -0,0 +1,295 @@
+// Módulo de gerenciamento de cenários de simulação na interface
+(function() {
+    // Cenário carregado ou clonado que será atualizado pela próxima execução
+    let cenarioEmEdicao = null;
+
+    /**
+     * Atualiza o indicador do cenário em edição e o estado do botão de atualização
+     */
+    function atualizarIndicadorEdicao() {
+        const cenario = cenarioEmEdicao ? window.CenariosRepository.obterCenario(cenarioEmEdicao) : null;
+        if (!cenario) cenarioEmEdicao = null;
+
+        const indicador = document.getElementById('cenario-em-edicao');
+        if (indicador) {
+            indicador.textContent = cenario ? `Editando: ${cenario.nome}` : '';
+        }
+
+        const btnAtualizar = document.getElementById('btn-atualizar-cenario');
+        if (btnAtualizar) {
+            btnAtualizar.disabled = !cenario;
+        }
+    }
+
+    /**
+     * Renderiza a lista de cenários salvos
+     */
+    function renderizarListaCenarios() {
+        const corpo = document.querySelector('#tabela-cenarios tbody');
+        if (!corpo) return;
+
+        const cenarios = window.CenariosRepository.listarCenarios();
+        corpo.innerHTML = '';
+
+        if (cenarios.length === 0) {
+            corpo.innerHTML = '<tr><td colspan="5" class="text-muted">Nenhum cenário salvo.</td></tr>';
+        }
+
+        cenarios.forEach(cenario => {
+            const tr = document.createElement('tr');
+            const resultados = cenario.resultados;
+
+            const tdSelecao = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'cenario-comparar';
+            checkbox.value = cenario.id;
+            checkbox.disabled = !resultados;
+            tdSelecao.appendChild(checkbox);
+            tr.appendChild(tdSelecao);
+
+            [
+                cenario.nome,
+                new Date(cenario.timestamp).toLocaleString('pt-BR'),
+                resultados ? `${resultados.anoInicial}-${resultados.anoFinal}` : 'Não executado'
+            ].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+
+            const tdAcoes = document.createElement('td');
+            [
+                { acao: 'carregar', rotulo: 'Carregar' },
+                { acao: 'clonar', rotulo: 'Clonar' },
+                { acao: 'remover', rotulo: 'Remover' }
+            ].forEach(botao => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn btn-outline';
+                btn.textContent = botao.rotulo;
+                btn.dataset.acao = botao.acao;
+                btn.dataset.id = cenario.id;
+                tdAcoes.appendChild(btn);
+            });
+            tr.appendChild(tdAcoes);
+
+            corpo.appendChild(tr);
+        });
+
+        atualizarIndicadorEdicao();
+    }
+
+    /**
+     * Salva a última simulação como novo cenário ou atualiza o cenário em edição
+     * @param {boolean} atualizar - true para sobrescrever o cenário em edição
+     */
+    function salvarUltimaSimulacao(atualizar) {
+        if (!window.ultimaSimulacao) {
+            alert('Execute uma simulação antes de salvar o cenário.');
+            return;
+        }
+
+        const { dados, resultados, estrategias } = window.ultimaSimulacao;
+        const nome = document.getElementById('cenario-nome')?.value || '';
+
+        let cenario;
+        if (atualizar && cenarioEmEdicao) {
+            cenario = window.CenariosRepository.atualizarCenario(cenarioEmEdicao, dados, resultados, estrategias);
+            if (cenario && nome.trim()) {
+                window.CenariosRepository.renomearCenario(cenario.id, nome);
+            }
+        } else {
+            cenario = window.CenariosRepository.salvarCenario(nome, dados, resultados, estrategias);
+        }
+
+        if (cenario) {
+            cenarioEmEdicao = cenario.id;
+        }
+        renderizarListaCenarios();
+    }
+
+    /**
+     * Carrega um cenário (ou um clone dele) no formulário para edição e reexecução
+     * @param {string} id - Identificador do cenário
+     * @param {boolean} clonar - true para criar um clone antes de carregar
+     */
+    function carregarCenario(id, clonar) {
+        const cenario = clonar ?
+            window.CenariosRepository.clonarCenario(id) :
+            window.CenariosRepository.obterCenario(id);
+        if (!cenario) return;
+
+        window.DataManager.preencherFormulario(cenario.dados);
+        cenarioEmEdicao = cenario.id;
+
+        const campoNome = document.getElementById('cenario-nome');
+        if (campoNome) {
+            campoNome.value = cenario.nome;
+        }
+
+        renderizarListaCenarios();
+
+        if (clonar) {
+            alert(`Cenário "${cenario.nome}" criado. Ajuste os parâmetros, clique em Simular e depois em Atualizar Cenário.`);
+        }
+    }
+
+    /**
+     * Trata os cliques nos botões de ação da lista de cenários
+     * @param {Event} evento - Evento de clique
+     */
+    function tratarAcaoCenario(evento) {
+        const botao = evento.target.closest('button[data-acao]');
+        if (!botao) return;
+
+        const id = botao.dataset.id;
+        switch (botao.dataset.acao) {
+            case 'carregar':
+                carregarCenario(id, false);
+                break;
+            case 'clonar':
+                carregarCenario(id, true);
+                break;
+            case 'remover':
+                if (confirm('Remover este cenário?')) {
+                    window.CenariosRepository.removerCenario(id);
+                    if (cenarioEmEdicao === id) cenarioEmEdicao = null;
+                    renderizarListaCenarios();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Obtém os cenários marcados para comparação, validando a quantidade
+     * @returns {Array<string>|null} - Identificadores selecionados ou null se insuficientes
+     */
+    function obterIdsSelecionados() {
+        const ids = Array.from(document.querySelectorAll('.cenario-comparar:checked')).map(el => el.value);
+        const maximo = window.CenariosRepository.MAX_COMPARACAO;
+
+        if (ids.length < 2) {
+            alert('Selecione ao menos dois cenários para comparar.');
+            return null;
+        }
+        if (ids.length > maximo) {
+            alert(`Selecione no máximo ${maximo} cenários. Apenas os ${maximo} primeiros serão comparados.`);
+        }
+
+        return ids.slice(0, maximo);
+    }
+
+    /**
+     * Renderiza a comparação lado a lado dos cenários selecionados
+     */
+    function compararCenariosSelecionados() {
+        const container = document.getElementById('comparacao-cenarios');
+        if (!container) return;
+
+        const ids = obterIdsSelecionados();
+        if (!ids) return;
+
+        const comparacao = window.CenariosRepository.compararCenarios(ids);
+        const formatarMoeda = window.DataManager.formatarMoeda;
+        const formatarPercentual = window.DataManager.formatarPercentual;
+
+        const indicadores = [
+            { titulo: 'Diferença de Capital de Giro', campo: 'diferencaCapitalGiro', formatar: formatarMoeda },
+            { titulo: 'Alíquota Efetiva (Split Payment)', campo: 'aliquotaEfetiva', formatar: v => formatarPercentual(v * 100) },
+            { titulo: 'Custo Financeiro do Capital de Giro', campo: 'custoFinanceiro', formatar: formatarMoeda },
+            { titulo: 'Custo das Estratégias de Mitigação', campo: 'custoEstrategias', formatar: formatarMoeda }
+        ];
+
+        let html = '<table class="comparison-table" id="tabela-comparacao-cenarios">';
+        html += '<thead><tr><th>Ano</th>';
+        comparacao.cenarios.forEach(c => {
+            html += `<th>${c.nome.replace(/</g, '&lt;')}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        indicadores.forEach(indicador => {
+            html += `<tr class="grupo-indicador"><th colspan="${comparacao.cenarios.length + 1}">${indicador.titulo}</th></tr>`;
+            comparacao.anos.forEach(ano => {
+                html += `<tr><td>${ano}</td>`;
+                comparacao.cenarios.forEach(c => {
+                    const valor = c.porAno[ano] ? c.porAno[ano][indicador.campo] : null;
+                    html += `<td>${valor === null || valor === undefined ? '—' : indicador.formatar(valor)}</td>`;
+                });
+                html += '</tr>';
+            });
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Exporta o relatório comparativo dos cenários selecionados
+     * @param {string} formato - 'pdf' ou 'excel'
+     */
+    function exportarCenariosSelecionados(formato) {
+        if (!window.ExportTools || typeof window.ExportTools.exportarComparacaoCenarios !== 'function') {
+            alert('Ferramentas de exportação não disponíveis.');
+            return;
+        }
+
+        const ids = obterIdsSelecionados();
+        if (!ids) return;
+
+        const cenarios = ids.map(id => window.CenariosRepository.obterCenario(id)).filter(Boolean);
+        window.ExportTools.exportarComparacaoCenarios(formato, cenarios);
+    }
+
+    // Exportar funções para o escopo global
+    window.renderizarListaCenarios = renderizarListaCenarios;
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.CenariosRepository) {
+            console.warn('CenariosRepository não disponível. Gerenciador de cenários desativado.');
+            return;
+        }
+
+        // O repositório é carregado pelo seu próprio listener, registrado antes deste
+        renderizarListaCenarios();
+
+        const btnSalvar = document.getElementById('btn-salvar-cenario');
+        if (btnSalvar) {
+            btnSalvar.addEventListener('click', function() {
+                salvarUltimaSimulacao(false);
+            });
+        }
+
+        const btnAtualizar = document.getElementById('btn-atualizar-cenario');
+        if (btnAtualizar) {
+            btnAtualizar.addEventListener('click', function() {
+                salvarUltimaSimulacao(true);
+            });
+        }
+
+        const tabela = document.getElementById('tabela-cenarios');
+        if (tabela) {
+            tabela.addEventListener('click', tratarAcaoCenario);
+        }
+
+        const btnComparar = document.getElementById('btn-comparar-cenarios');
+        if (btnComparar) {
+            btnComparar.addEventListener('click', compararCenariosSelecionados);
+        }
+
+        const btnExportarPDF = document.getElementById('btn-exportar-comparacao-pdf');
+        if (btnExportarPDF) {
+            btnExportarPDF.addEventListener('click', function() {
+                exportarCenariosSelecionados('pdf');
+            });
+        }
+
+        const btnExportarExcel = document.getElementById('btn-exportar-comparacao-excel');
+        if (btnExportarExcel) {
+            btnExportarExcel.addEventListener('click', function() {
+                exportarCenariosSelecionados('excel');
+            });
+        }
+    });
+})();
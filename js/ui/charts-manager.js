@@ -1608,6 +1608,222 @@ window.ChartManager = (function() {
         });
     }
     
+    /**
+     * Renderizar faixas de percentis (P10/P50/P90) da análise de Monte Carlo
+     * @param {Object} resultadoMonteCarlo - Resultado de MonteCarloSimulator.executarSimulacoes
+     */
+    function renderizarGraficoMonteCarlo(resultadoMonteCarlo) {
+        const canvas = document.getElementById('grafico-monte-carlo');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de Monte Carlo não encontrado');
+            return;
+        }
+
+        // Destruir gráfico anterior se existir
+        if (_charts.monteCarlo) {
+            _charts.monteCarlo.destroy();
+        }
+
+        if (!resultadoMonteCarlo || !resultadoMonteCarlo.anos || !resultadoMonteCarlo.bandas) {
+            console.warn('Resultado de Monte Carlo não disponível para o gráfico');
+            return;
+        }
+
+        const { anos, bandas } = resultadoMonteCarlo;
+
+        // P90 preenche até o P10 (dataset anterior), formando a faixa de 80% das execuções
+        const data = {
+            labels: anos,
+            datasets: [
+                {
+                    label: 'P10',
+                    data: bandas.p10,
+                    borderColor: 'rgba(54, 162, 235, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: 'P90',
+                    data: bandas.p90,
+                    borderColor: 'rgba(54, 162, 235, 0.6)',
+                    backgroundColor: 'rgba(54, 162, 235, 0.15)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: '-1'
+                },
+                {
+                    label: 'P50 (mediana)',
+                    data: bandas.p50,
+                    borderColor: 'rgba(255, 99, 132, 1)',
+                    backgroundColor: 'rgba(255, 99, 132, 0.2)',
+                    borderWidth: 2,
+                    fill: false
+                }
+            ]
+        };
+
+        const formatarMoeda = function(valor, casas) {
+            return new Intl.NumberFormat('pt-BR', {
+                style: 'currency',
+                currency: 'BRL',
+                maximumFractionDigits: casas
+            }).format(valor);
+        };
+
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Necessidade Adicional de Capital de Giro - ${resultadoMonteCarlo.execucoesConcluidas} execuções`,
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${formatarMoeda(context.parsed.y, 2)}`;
+                        }
+                    }
+                },
+                legend: {
+                    position: 'bottom'
+                }
+            },
+            scales: {
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Valores (R$)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return formatarMoeda(value, 0);
+                        }
+                    }
+                }
+            }
+        };
+
+        _charts.monteCarlo = new Chart(canvas, {
+            type: 'line',
+            data: data,
+            options: options
+        });
+    }
+
+    /**
+     * Renderiza o gráfico de tornado da análise de sensibilidade
+     * @param {Object} resultadoTornado - Resultado de SensitivityAnalysisModule.calcularTornado
+     * @param {string} [tituloIndicador] - Nome do indicador exibido no título
+     */
+    function renderizarGraficoTornado(resultadoTornado, tituloIndicador) {
+        const canvas = document.getElementById('grafico-tornado');
+        if (!canvas) {
+            console.error('Elemento canvas para gráfico de tornado não encontrado');
+            return;
+        }
+
+        // Destruir gráfico anterior se existir
+        if (_charts.tornado) {
+            _charts.tornado.destroy();
+        }
+
+        if (!resultadoTornado || !Array.isArray(resultadoTornado.itens) || resultadoTornado.itens.length === 0) {
+            console.warn('Resultado da análise de sensibilidade não disponível para o gráfico');
+            return;
+        }
+
+        const { itens, valorBase } = resultadoTornado;
+
+        // Barras flutuantes partindo do valor base até o resultado de cada limite do parâmetro
+        const data = {
+            labels: itens.map(item => item.nome),
+            datasets: [
+                {
+                    label: 'Limite inferior do parâmetro',
+                    data: itens.map(item => [valorBase, item.resultadoBaixo]),
+                    backgroundColor: 'rgba(54, 162, 235, 0.7)',
+                    borderColor: 'rgba(54, 162, 235, 1)',
+                    borderWidth: 1
+                },
+                {
+                    label: 'Limite superior do parâmetro',
+                    data: itens.map(item => [valorBase, item.resultadoAlto]),
+                    backgroundColor: 'rgba(255, 99, 132, 0.7)',
+                    borderColor: 'rgba(255, 99, 132, 1)',
+                    borderWidth: 1
+                }
+            ]
+        };
+
+        const formatarMoeda = function(valor, casas) {
+            return new Intl.NumberFormat('pt-BR', {
+                style: 'currency',
+                currency: 'BRL',
+                maximumFractionDigits: casas
+            }).format(valor);
+        };
+
+        const options = {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Sensibilidade - ${tituloIndicador || resultadoTornado.indicador} (${resultadoTornado.ano})`,
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const item = itens[context.dataIndex];
+                            const baixo = context.datasetIndex === 0;
+                            const valorParametro = baixo ? item.valorParametroBaixo : item.valorParametroAlto;
+                            const resultado = baixo ? item.resultadoBaixo : item.resultadoAlto;
+                            return `${context.dataset.label} (${+valorParametro.toFixed(4)}): ${formatarMoeda(resultado, 2)}`;
+                        }
+                    }
+                },
+                legend: {
+                    position: 'bottom'
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Valores (R$)'
+                    },
+                    ticks: {
+                        callback: function(value) {
+                            return formatarMoeda(value, 0);
+                        }
+                    }
+                },
+                y: {
+                    stacked: true
+                }
+            }
+        };
+
+        _charts.tornado = new Chart(canvas, {
+            type: 'bar',
+            data: data,
+            options: options
+        });
+    }
+
     /**
      * Limpa todos os gráficos existentes
      * Útil para reinicializar a interface ou antes de renderizar novos resultados
@@ -1640,6 +1856,8 @@ window.ChartManager = (function() {
         renderizarGraficoEfetividadeEstrategias,  // Nova função auxiliar
         renderizarGraficoComparacaoEstrategias,   // Nova função auxiliar
         renderizarGraficoEvolucaoEstrategias,     // Nova função auxiliar
+        renderizarGraficoMonteCarlo,
+        renderizarGraficoTornado,
         limparGraficos
     };
 })();
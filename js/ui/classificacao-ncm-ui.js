@@ -0,0 +1,150 @@
+// Módulo de gerenciamento da tabela de classificação NCM/NBS na interface
+(function() {
+    /**
+     * Formata uma alíquota decimal para exibição em percentual
+     * @param {number|null} aliquota - Alíquota decimal
+     * @returns {string} - Texto formatado ou '—' quando não informada
+     */
+    function formatarAliquota(aliquota) {
+        return typeof aliquota === 'number' ? (aliquota * 100).toFixed(2) + '%' : '—';
+    }
+
+    /**
+     * Renderiza a tabela de classificação vigente
+     */
+    function renderizarTabelaClassificacao() {
+        const corpo = document.querySelector('#tabela-classificacao-ncm tbody');
+        if (!corpo || !window.ClassificacaoNCMRepository) return;
+
+        const regimes = window.ClassificacaoNCMRepository.obterRegimes();
+        const linhas = window.ClassificacaoNCMRepository.obterTabela()
+            .sort((a, b) => a.tipo.localeCompare(b.tipo) || a.codigo.localeCompare(b.codigo));
+
+        corpo.innerHTML = '';
+        linhas.forEach(linha => {
+            const tr = document.createElement('tr');
+            [
+                linha.codigo,
+                linha.tipo.toUpperCase(),
+                regimes[linha.regime] ? regimes[linha.regime].nome : linha.regime,
+                linha.descricao,
+                formatarAliquota(linha.aliquotaCBS),
+                formatarAliquota(linha.aliquotaIBS)
+            ].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+            corpo.appendChild(tr);
+        });
+
+        const contador = document.getElementById('classificacao-ncm-total');
+        if (contador) {
+            contador.textContent = `${linhas.length} códigos classificados`;
+        }
+    }
+
+    /**
+     * Dispara o download de um conteúdo textual
+     * @param {string} conteudo - Conteúdo do arquivo
+     * @param {string} nomeArquivo - Nome do arquivo
+     * @param {string} tipo - MIME type
+     */
+    function baixarArquivo(conteudo, nomeArquivo, tipo) {
+        const blob = new Blob([conteudo], { type: tipo });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = nomeArquivo;
+        document.body.appendChild(a);
+        a.click();
+
+        // Limpeza
+        setTimeout(() => {
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Importa o arquivo selecionado (CSV ou JSON) para a tabela de classificação
+     * @param {Event} evento - Evento change do input de arquivo
+     */
+    function importarArquivoClassificacao(evento) {
+        const arquivo = evento.target.files[0];
+        if (!arquivo) return;
+
+        const substituir = document.getElementById('classificacao-ncm-substituir')?.checked || false;
+        const reader = new FileReader();
+
+        reader.onload = function(e) {
+            const conteudo = e.target.result;
+            const ehJSON = arquivo.name.toLowerCase().endsWith('.json');
+            const resultado = ehJSON ?
+                window.ClassificacaoNCMRepository.importarJSON(conteudo, { substituir }) :
+                window.ClassificacaoNCMRepository.importarCSV(conteudo, { substituir });
+
+            renderizarTabelaClassificacao();
+
+            let mensagem = `${resultado.importados} classificações importadas.`;
+            if (resultado.erros.length > 0) {
+                mensagem += `\n${resultado.erros.length} linhas ignoradas:\n` + resultado.erros.slice(0, 10).join('\n');
+                console.warn('Erros na importação da classificação NCM/NBS:', resultado.erros);
+            }
+            alert(mensagem);
+
+            // Permite reimportar o mesmo arquivo
+            evento.target.value = '';
+        };
+
+        reader.onerror = function() {
+            alert('Erro ao ler o arquivo de classificação.');
+        };
+
+        reader.readAsText(arquivo);
+    }
+
+    // Exportar funções para o escopo global
+    window.renderizarTabelaClassificacao = renderizarTabelaClassificacao;
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.ClassificacaoNCMRepository) {
+            console.warn('ClassificacaoNCMRepository não disponível. Tabela de classificação NCM/NBS desativada.');
+            return;
+        }
+
+        window.ClassificacaoNCMRepository.inicializar();
+        renderizarTabelaClassificacao();
+
+        const inputImportar = document.getElementById('classificacao-ncm-arquivo');
+        if (inputImportar) {
+            inputImportar.addEventListener('change', importarArquivoClassificacao);
+        }
+
+        const btnExportarCSV = document.getElementById('btn-exportar-classificacao-csv');
+        if (btnExportarCSV) {
+            btnExportarCSV.addEventListener('click', function() {
+                baixarArquivo(window.ClassificacaoNCMRepository.exportarCSV(), 'classificacao-ncm.csv', 'text/csv');
+            });
+        }
+
+        const btnExportarJSON = document.getElementById('btn-exportar-classificacao-json');
+        if (btnExportarJSON) {
+            btnExportarJSON.addEventListener('click', function() {
+                baixarArquivo(window.ClassificacaoNCMRepository.exportarJSON(), 'classificacao-ncm.json', 'application/json');
+            });
+        }
+
+        const btnRestaurar = document.getElementById('btn-restaurar-classificacao');
+        if (btnRestaurar) {
+            btnRestaurar.addEventListener('click', function() {
+                if (confirm('Descartar as classificações personalizadas e restaurar a tabela padrão?')) {
+                    window.ClassificacaoNCMRepository.restaurarPadrao();
+                    renderizarTabelaClassificacao();
+                }
+            });
+        }
+    });
+})();
@@ -1264,6 +1264,24 @@ const MemoriaCalculoController = {
             }
         };
 
+        // Escrituração escolhida na conciliação de receitas do SPED
+        const origemFaturamento = dados.dadosEntrada?.origemFaturamento;
+
+        // Versão da tabela de alíquotas CBS/IBS usada na simulação
+        const tabelaAliquotas = dados.dadosEntrada?.parametrosFiscais?.tabelaAliquotas;
+
+        // IBS mensal por UF de destino (UFs que concentram a retenção)
+        const ibsPorDestino = dados.dadosEntrada?.ibsPorDestino;
+
+        // Imposto Seletivo sobre os produtos sujeitos e extinção do IPI
+        const impostoSeletivo = dados.dadosEntrada?.impostoSeletivo;
+
+        // Incentivo fiscal de ICMS reduzido ano a ano na transição (2029-2032)
+        const incentivoICMS = dados.projecaoTemporal?.incentivoICMS;
+
+        // ICMS-ST antecipado ou retido, comparado à retenção do Split Payment
+        const substituicaoTributaria = dados.projecaoTemporal?.substituicaoTributaria;
+
         // Construir conteúdo HTML para a memória de cálculo
         let conteudo = `
             <div class="memory-section">
@@ -1272,12 +1290,27 @@ const MemoriaCalculoController = {
                     <p><strong>Empresa:</strong> ${dados.dadosEntrada?.empresa?.nome || 'N/A'}</p>
                     <p><strong>Faturamento:</strong> ${formatarMoeda(dados.dadosEntrada?.empresa?.faturamento)}</p>
                     <p><strong>Margem Operacional:</strong> ${formatarPercentual(dados.dadosEntrada?.empresa?.margem)}</p>
+                    ${origemFaturamento ? `<p><strong>Fonte do Faturamento (SPED):</strong> ${origemFaturamento.descricao} - 
+                       ${formatarMoeda(origemFaturamento.faturamentoMensal)}/mês${origemFaturamento.divergencias.length > 0 ? 
+                       `; divergências acima de ${formatarPercentual(origemFaturamento.tolerancia)}: ${origemFaturamento.divergencias.join('; ')}` : 
+                       '; sem divergências entre as escriturações'}</p>` : ''}
                     <p><strong>Ciclo Financeiro:</strong> PMR = ${dados.dadosEntrada?.cicloFinanceiro?.pmr || 'N/A'}, 
                        PMP = ${dados.dadosEntrada?.cicloFinanceiro?.pmp || 'N/A'}, 
                        PME = ${dados.dadosEntrada?.cicloFinanceiro?.pme || 'N/A'}</p>
                     <p><strong>Distribuição de Vendas:</strong> À Vista = ${formatarPercentual(dados.dadosEntrada?.cicloFinanceiro?.percVista)}, 
                        A Prazo = ${formatarPercentual(dados.dadosEntrada?.cicloFinanceiro?.percPrazo)}</p>
                     <p><strong>Alíquota Efetiva:</strong> ${formatarPercentual(dados.dadosEntrada?.parametrosFiscais?.aliquota)}</p>
+                    ${tabelaAliquotas ? `<p><strong>Tabela de Alíquotas CBS/IBS:</strong> ${tabelaAliquotas.descricao} (versão ${tabelaAliquotas.id})</p>` : ''}
+                    ${ibsPorDestino ? `<p><strong>IBS por Destino (alíquota plena):</strong> estadual ${formatarMoeda(ibsPorDestino.estadual)}, 
+                       municipal ${formatarMoeda(ibsPorDestino.municipal)}/mês; 
+                       ${ibsPorDestino.porUF.slice(0, 5).map(linha => `${linha.uf === 'EX' ? 'Exterior' : linha.uf} ${formatarMoeda(linha.total)} 
+                       (${(linha.participacao * 100).toFixed(1).replace('.', ',')}%)`).join(', ')}</p>` : ''}
+                    ${impostoSeletivo ? `<p><strong>Imposto Seletivo:</strong> ${impostoSeletivo.nome} - alíquota 
+                       ${(impostoSeletivo.aliquota * 100).toFixed(2).replace('.', ',')}% sobre 
+                       ${(impostoSeletivo.percentualReceita * 100).toFixed(1).replace('.', ',')}% da receita, 
+                       ${formatarMoeda(impostoSeletivo.valorMensal)}/mês a partir de ${impostoSeletivo.anoInicio}, 
+                       incluído na base da CBS/IBS; IPI ${impostoSeletivo.anoExtincaoIPI ? 
+                       `reduzido a zero a partir de ${impostoSeletivo.anoExtincaoIPI}` : 'mantido (similar na Zona Franca de Manaus)'}</p>` : ''}
                 </div>
             </div>
 
@@ -1363,6 +1396,14 @@ const MemoriaCalculoController = {
                         <p><strong>Período:</strong> ${dados.projecaoTemporal?.parametros?.anoInicial || ''} a ${dados.projecaoTemporal?.parametros?.anoFinal || ''}</p>
                         <p><strong>Necessidade Total de Capital de Giro:</strong> ${formatarMoeda(dados.projecaoTemporal?.impactoAcumulado?.totalNecessidadeCapitalGiro)}</p>
                         <p><strong>Custo Financeiro Total:</strong> ${formatarMoeda(dados.projecaoTemporal?.impactoAcumulado?.custoFinanceiroTotal)}</p>
+                        ${incentivoICMS ? `<p><strong>Incentivo Fiscal de ICMS na Transição:</strong> 
+                           ${incentivoICMS.map(linha => `${linha.ano}: benefício ${formatarMoeda(linha.beneficio)}, 
+                           redução ${formatarMoeda(linha.perda)}${linha.compensacao > 0 ? 
+                           `, compensação do fundo ${formatarMoeda(linha.compensacao)}` : ''}`).join('; ')}</p>` : ''}
+                        ${substituicaoTributaria ? `<p><strong>ICMS-ST (${substituicaoTributaria.papel === 'substituto' ? 
+                           'substituto' : 'substituído'}) x Split Payment - efeito no capital de giro:</strong> 
+                           ${substituicaoTributaria.anos.map(linha => `${linha.ano}: ICMS-ST ${formatarMoeda(linha.icmsST)}, 
+                           efeito ${formatarMoeda(linha.efeitoCapitalGiro)}; Split Payment ${formatarMoeda(linha.efeitoSplitPayment)}`).join(' | ')}</p>` : ''}
                     </div>
                 </div>`;
         }
@@ -0,0 +1,220 @@
+// Módulo de controle da análise de risco por Monte Carlo na interface
+(function() {
+    // Parâmetros em percentual na interface e decimais no cálculo
+    const ESCALA_PARAMETROS = {
+        taxaCrescimento: 100,
+        pmr: 1,
+        percVista: 100,
+        taxaCapitalGiro: 100,
+        aliquotaCBS: 100,
+        aliquotaIBS: 100
+    };
+
+    const ROTULOS_DISTRIBUICAO = {
+        fixo: 'Fixo',
+        uniforme: 'Uniforme',
+        triangular: 'Triangular',
+        normal: 'Normal'
+    };
+
+    /**
+     * Obtém os dados atuais do formulário em formato plano
+     * @returns {Object} - Dados planos
+     */
+    function obterDadosPlanos() {
+        const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+        return window.DataManager.converterParaEstruturaPlana(dadosAninhados);
+    }
+
+    /**
+     * Arredonda um valor exibido na tabela de distribuições
+     * @param {number} valor - Valor na escala da interface
+     * @returns {number} - Valor arredondado
+     */
+    function arredondar(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    /**
+     * Renderiza a tabela de distribuições a partir dos valores atuais do formulário
+     */
+    function preencherDistribuicoesPadrao() {
+        const corpo = document.querySelector('#tabela-distribuicoes-monte-carlo tbody');
+        if (!corpo) return;
+
+        let dados;
+        try {
+            dados = obterDadosPlanos();
+        } catch (erro) {
+            // Formulário ainda incompleto: usar a estrutura padrão
+            dados = window.DataManager.converterParaEstruturaPlana(window.DataManager.obterEstruturaAninhadaPadrao());
+        }
+
+        const distribuicoes = window.MonteCarloSimulator.obterDistribuicoesPadrao(dados);
+        const parametros = window.MonteCarloSimulator.PARAMETROS;
+
+        corpo.innerHTML = '';
+        Object.keys(parametros).forEach(parametro => {
+            const distribuicao = distribuicoes[parametro];
+            const escala = ESCALA_PARAMETROS[parametro];
+            const tr = document.createElement('tr');
+            tr.dataset.parametro = parametro;
+
+            const tdNome = document.createElement('td');
+            tdNome.textContent = parametros[parametro].nome + (escala === 100 ? ' (%)' : '');
+            tr.appendChild(tdNome);
+
+            const tdTipo = document.createElement('td');
+            const select = document.createElement('select');
+            select.className = 'mc-tipo';
+            window.MonteCarloSimulator.TIPOS_DISTRIBUICAO.forEach(tipo => {
+                const option = document.createElement('option');
+                option.value = tipo;
+                option.textContent = ROTULOS_DISTRIBUICAO[tipo];
+                option.selected = tipo === distribuicao.tipo;
+                select.appendChild(option);
+            });
+            tdTipo.appendChild(select);
+            tr.appendChild(tdTipo);
+
+            ['minimo', 'moda', 'maximo'].forEach(campo => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.className = 'mc-' + campo;
+                input.value = arredondar(distribuicao[campo] * escala);
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            corpo.appendChild(tr);
+        });
+    }
+
+    /**
+     * Lê as distribuições configuradas na tabela
+     * @returns {Object} - Distribuições por parâmetro, em escala decimal
+     */
+    function lerDistribuicoes() {
+        const distribuicoes = {};
+
+        document.querySelectorAll('#tabela-distribuicoes-monte-carlo tbody tr').forEach(tr => {
+            const parametro = tr.dataset.parametro;
+            const escala = ESCALA_PARAMETROS[parametro];
+
+            distribuicoes[parametro] = {
+                tipo: tr.querySelector('.mc-tipo').value,
+                minimo: parseFloat(tr.querySelector('.mc-minimo').value) / escala,
+                moda: parseFloat(tr.querySelector('.mc-moda').value) / escala,
+                maximo: parseFloat(tr.querySelector('.mc-maximo').value) / escala
+            };
+        });
+
+        return distribuicoes;
+    }
+
+    /**
+     * Exibe o resumo dos percentis por ano
+     * @param {Object} resultado - Resultado da análise de Monte Carlo
+     */
+    function exibirResumo(resultado) {
+        const container = document.getElementById('resumo-monte-carlo');
+        if (!container) return;
+
+        const formatarMoeda = window.DataManager.formatarMoeda;
+
+        let html = '<table class="comparison-table"><thead><tr><th>Ano</th><th>P10</th><th>P50</th><th>P90</th><th>Desvio Padrão</th></tr></thead><tbody>';
+        resultado.anos.forEach((ano, indice) => {
+            html += `<tr><td>${ano}</td>` +
+                `<td>${formatarMoeda(resultado.bandas.p10[indice])}</td>` +
+                `<td>${formatarMoeda(resultado.bandas.p50[indice])}</td>` +
+                `<td>${formatarMoeda(resultado.bandas.p90[indice])}</td>` +
+                `<td>${formatarMoeda(resultado.desvioPadrao[indice])}</td></tr>`;
+        });
+        html += `<tr><th>Acumulado</th><th>${formatarMoeda(resultado.total.p10)}</th>` +
+            `<th>${formatarMoeda(resultado.total.p50)}</th><th>${formatarMoeda(resultado.total.p90)}</th><th></th></tr>`;
+        html += '</tbody></table>';
+
+        if (resultado.falhas > 0) {
+            html += `<p class="text-muted">${resultado.falhas} execuções descartadas por parâmetros inválidos.</p>`;
+        }
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * Executa a análise de Monte Carlo com as distribuições configuradas
+     */
+    function executarAnalise() {
+        const botao = document.getElementById('btn-executar-monte-carlo');
+        const progresso = document.getElementById('progresso-monte-carlo');
+
+        let dados;
+        try {
+            dados = obterDadosPlanos();
+            if (!dados.faturamento || dados.faturamento <= 0) {
+                alert('Informe o faturamento antes de executar a análise de risco.');
+                return;
+            }
+        } catch (erro) {
+            alert('Não foi possível obter os dados da simulação: ' + erro.message);
+            return;
+        }
+
+        const semente = document.getElementById('monte-carlo-semente')?.value;
+        const opcoes = {
+            iteracoes: parseInt(document.getElementById('monte-carlo-iteracoes')?.value, 10) || 1000,
+            anoInicial: parseInt(dados.dataInicial?.split('-')[0], 10) || 2026,
+            anoFinal: parseInt(dados.dataFinal?.split('-')[0], 10) || 2033,
+            distribuicoes: lerDistribuicoes(),
+            semente: semente !== undefined && semente !== '' ? parseInt(semente, 10) : undefined
+        };
+
+        if (botao) botao.disabled = true;
+        if (progresso) progresso.textContent = 'Iniciando...';
+
+        window.MonteCarloSimulator.executarEmWorker(dados, opcoes, function(concluidas, total) {
+            if (progresso) {
+                progresso.textContent = `${concluidas} de ${total} execuções (${Math.round(concluidas / total * 100)}%)`;
+            }
+        })
+            .then(resultado => {
+                window.resultadoMonteCarlo = resultado;
+                if (progresso) progresso.textContent = `Concluído: ${resultado.execucoesConcluidas} execuções.`;
+
+                exibirResumo(resultado);
+                if (window.ChartManager && typeof window.ChartManager.renderizarGraficoMonteCarlo === 'function') {
+                    window.ChartManager.renderizarGraficoMonteCarlo(resultado);
+                }
+            })
+            .catch(erro => {
+                console.error('Erro na análise de Monte Carlo:', erro);
+                if (progresso) progresso.textContent = '';
+                alert('Não foi possível executar a análise de risco: ' + erro.message);
+            })
+            .finally(() => {
+                if (botao) botao.disabled = false;
+            });
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.MonteCarloSimulator) {
+            console.warn('MonteCarloSimulator não disponível. Análise de risco desativada.');
+            return;
+        }
+
+        preencherDistribuicoesPadrao();
+
+        const btnPadrao = document.getElementById('btn-distribuicoes-padrao');
+        if (btnPadrao) {
+            btnPadrao.addEventListener('click', preencherDistribuicoesPadrao);
+        }
+
+        const btnExecutar = document.getElementById('btn-executar-monte-carlo');
+        if (btnExecutar) {
+            btnExecutar.addEventListener('click', executarAnalise);
+        }
+    });
+})();
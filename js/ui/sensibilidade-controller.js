@@ -0,0 +1,348 @@
+// Módulo de controle da análise de sensibilidade (tornado e grade bidimensional) na interface
+(function() {
+    // Parâmetros em percentual na interface e decimais no cálculo
+    const ESCALA_PARAMETROS = {
+        faturamento: 1,
+        pmr: 1,
+        percVista: 100,
+        taxaCapitalGiro: 100,
+        aliquotaCBS: 100,
+        aliquotaIBS: 100
+    };
+
+    /**
+     * Obtém os dados atuais do formulário em formato plano
+     * @returns {Object} - Dados planos
+     */
+    function obterDadosPlanos() {
+        const dadosAninhados = window.DataManager.obterDadosDoFormulario();
+        return window.DataManager.converterParaEstruturaPlana(dadosAninhados);
+    }
+
+    /**
+     * Obtém os dados do formulário, recorrendo à estrutura padrão se estiver incompleto
+     * @returns {Object} - Dados planos
+     */
+    function obterDadosOuPadrao() {
+        try {
+            return obterDadosPlanos();
+        } catch (erro) {
+            return window.DataManager.converterParaEstruturaPlana(window.DataManager.obterEstruturaAninhadaPadrao());
+        }
+    }
+
+    /**
+     * Arredonda um valor exibido nas tabelas
+     * @param {number} valor - Valor na escala da interface
+     * @returns {number} - Valor arredondado
+     */
+    function arredondar(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+
+    /**
+     * Formata o valor de um parâmetro na escala da interface
+     * @param {string} campo - Campo do parâmetro
+     * @param {number} valor - Valor em escala decimal
+     * @returns {string} - Valor formatado
+     */
+    function formatarParametro(campo, valor) {
+        if (campo === 'faturamento') {
+            return window.DataManager.formatarMoeda(valor);
+        }
+        const escala = ESCALA_PARAMETROS[campo] || 1;
+        return arredondar(valor * escala) + (escala === 100 ? '%' : ' dias');
+    }
+
+    /**
+     * Renderiza a tabela de parâmetros e as opções dos eixos da grade
+     */
+    function preencherParametrosPadrao() {
+        const corpo = document.querySelector('#tabela-parametros-sensibilidade tbody');
+        if (!corpo) return;
+
+        const dados = obterDadosOuPadrao();
+        const parametros = SensitivityAnalysisModule.obterParametrosPadrao();
+
+        corpo.innerHTML = '';
+        parametros.forEach(parametro => {
+            const tr = document.createElement('tr');
+            tr.dataset.campo = parametro.campo;
+            tr.dataset.nome = parametro.nome;
+
+            const tdIncluir = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'sens-incluir';
+            checkbox.checked = true;
+            tdIncluir.appendChild(checkbox);
+            tr.appendChild(tdIncluir);
+
+            const tdNome = document.createElement('td');
+            tdNome.textContent = parametro.nome;
+            tr.appendChild(tdNome);
+
+            const tdValor = document.createElement('td');
+            tdValor.textContent = formatarParametro(parametro.campo, dados[parametro.campo] || 0);
+            tr.appendChild(tdValor);
+
+            ['variacaoNegativa', 'variacaoPositiva'].forEach(campo => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.step = 'any';
+                input.className = 'sens-' + campo;
+                input.value = arredondar(parametro[campo] * 100);
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            corpo.appendChild(tr);
+        });
+
+        const campoAno = document.getElementById('sensibilidade-ano');
+        const anoInicial = parseInt(dados.dataInicial?.split('-')[0], 10);
+        if (campoAno && anoInicial) {
+            campoAno.value = anoInicial;
+        }
+
+        preencherEixos(parametros, dados);
+    }
+
+    /**
+     * Preenche os seletores dos eixos da grade bidimensional (padrão: PMR × % à vista)
+     * @param {Array} parametros - Parâmetros disponíveis
+     * @param {Object} dados - Dados planos atuais
+     */
+    function preencherEixos(parametros, dados) {
+        const padroes = { x: 'pmr', y: 'percVista' };
+
+        document.querySelectorAll('#tabela-eixos-sensibilidade tbody tr').forEach(tr => {
+            const select = tr.querySelector('.sens-campo');
+            select.innerHTML = '';
+            parametros.forEach(parametro => {
+                const option = document.createElement('option');
+                option.value = parametro.campo;
+                option.textContent = parametro.nome + (ESCALA_PARAMETROS[parametro.campo] === 100 ? ' (%)' : '');
+                option.selected = parametro.campo === padroes[tr.dataset.eixo];
+                select.appendChild(option);
+            });
+
+            preencherLimitesEixo(tr, dados);
+        });
+    }
+
+    /**
+     * Sugere limites de ±50% do valor atual para o parâmetro escolhido no eixo
+     * @param {HTMLElement} tr - Linha do eixo
+     * @param {Object} dados - Dados planos atuais
+     */
+    function preencherLimitesEixo(tr, dados) {
+        const campo = tr.querySelector('.sens-campo').value;
+        const escala = ESCALA_PARAMETROS[campo] || 1;
+        const base = dados[campo] || 0;
+        const maximo = campo === 'percVista' ? Math.min(1, base * 1.5) : base * 1.5;
+
+        tr.querySelector('.sens-minimo').value = arredondar(base * 0.5 * escala);
+        tr.querySelector('.sens-maximo').value = arredondar(maximo * escala);
+    }
+
+    /**
+     * Lê os parâmetros marcados e suas variações na tabela
+     * @returns {Array} - Parâmetros no formato de SensitivityAnalysisModule.calcularTornado
+     */
+    function lerParametros() {
+        const parametros = [];
+
+        document.querySelectorAll('#tabela-parametros-sensibilidade tbody tr').forEach(tr => {
+            if (!tr.querySelector('.sens-incluir').checked) return;
+
+            parametros.push({
+                campo: tr.dataset.campo,
+                nome: tr.dataset.nome,
+                variacaoNegativa: (parseFloat(tr.querySelector('.sens-variacaoNegativa').value) || 0) / 100,
+                variacaoPositiva: (parseFloat(tr.querySelector('.sens-variacaoPositiva').value) || 0) / 100
+            });
+        });
+
+        return parametros;
+    }
+
+    /**
+     * Lê a configuração de um eixo da grade bidimensional
+     * @param {string} eixo - 'x' ou 'y'
+     * @returns {Object} - { campo, nome, minimo, maximo, passos } em escala decimal
+     */
+    function lerEixo(eixo) {
+        const tr = document.querySelector(`#tabela-eixos-sensibilidade tbody tr[data-eixo="${eixo}"]`);
+        const select = tr.querySelector('.sens-campo');
+        const escala = ESCALA_PARAMETROS[select.value] || 1;
+
+        return {
+            campo: select.value,
+            nome: select.options[select.selectedIndex].textContent,
+            minimo: parseFloat(tr.querySelector('.sens-minimo').value) / escala,
+            maximo: parseFloat(tr.querySelector('.sens-maximo').value) / escala,
+            passos: parseInt(tr.querySelector('.sens-passos').value, 10) || 5
+        };
+    }
+
+    /**
+     * Obtém o ano e o indicador selecionados
+     * @returns {Object} - { ano, indicador, nomeIndicador }
+     */
+    function lerOpcoes() {
+        const select = document.getElementById('sensibilidade-indicador');
+        return {
+            ano: parseInt(document.getElementById('sensibilidade-ano')?.value, 10) || 2026,
+            indicador: select?.value || 'diferencaCapitalGiro',
+            nomeIndicador: select ? select.options[select.selectedIndex].textContent : 'Diferença de Capital de Giro'
+        };
+    }
+
+    /**
+     * Valida e obtém os dados para a análise
+     * @returns {Object|null} - Dados planos ou null se inválidos
+     */
+    function obterDadosValidados() {
+        try {
+            const dados = obterDadosPlanos();
+            if (!dados.faturamento || dados.faturamento <= 0) {
+                alert('Informe o faturamento antes de executar a análise de sensibilidade.');
+                return null;
+            }
+            return dados;
+        } catch (erro) {
+            alert('Não foi possível obter os dados da simulação: ' + erro.message);
+            return null;
+        }
+    }
+
+    /**
+     * Calcula e renderiza o gráfico de tornado
+     */
+    function calcularTornado() {
+        const dados = obterDadosValidados();
+        if (!dados) return;
+
+        const parametros = lerParametros();
+        if (parametros.length === 0) {
+            alert('Selecione ao menos um parâmetro para a análise de sensibilidade.');
+            return;
+        }
+
+        const opcoes = lerOpcoes();
+        try {
+            const tornado = SensitivityAnalysisModule.calcularTornado(dados, parametros, opcoes);
+            tornado.nomeIndicador = opcoes.nomeIndicador;
+
+            window.resultadoSensibilidade = { ...(window.resultadoSensibilidade || {}), tornado };
+
+            if (window.ChartManager && typeof window.ChartManager.renderizarGraficoTornado === 'function') {
+                window.ChartManager.renderizarGraficoTornado(tornado, opcoes.nomeIndicador);
+            }
+        } catch (erro) {
+            console.error('Erro na análise de sensibilidade:', erro);
+            alert('Não foi possível calcular a análise de sensibilidade: ' + erro.message);
+        }
+    }
+
+    /**
+     * Calcula e exibe a grade de sensibilidade bidimensional
+     */
+    function calcularGrade() {
+        const dados = obterDadosValidados();
+        if (!dados) return;
+
+        const eixoX = lerEixo('x');
+        const eixoY = lerEixo('y');
+        if ([eixoX.minimo, eixoX.maximo, eixoY.minimo, eixoY.maximo].some(isNaN)) {
+            alert('Informe mínimo e máximo para os dois eixos.');
+            return;
+        }
+
+        const opcoes = lerOpcoes();
+        try {
+            const grade = SensitivityAnalysisModule.calcularSensibilidadeBidimensional(dados, eixoX, eixoY, opcoes);
+            grade.nomeIndicador = opcoes.nomeIndicador;
+
+            window.resultadoSensibilidade = { ...(window.resultadoSensibilidade || {}), bidimensional: grade };
+            exibirGrade(grade);
+        } catch (erro) {
+            console.error('Erro na sensibilidade bidimensional:', erro);
+            alert('Não foi possível calcular a grade de sensibilidade: ' + erro.message);
+        }
+    }
+
+    /**
+     * Exibe a grade como mapa de calor: vermelho para os valores mais desfavoráveis
+     * @param {Object} grade - Resultado de SensitivityAnalysisModule.calcularSensibilidadeBidimensional
+     */
+    function exibirGrade(grade) {
+        const container = document.getElementById('grade-sensibilidade');
+        if (!container) return;
+
+        const formatarMoeda = window.DataManager.formatarMoeda;
+        const valores = grade.matriz.flat();
+        const minimo = Math.min(...valores);
+        const maximo = Math.max(...valores);
+
+        // A diferença de capital de giro é favorável quando maior; necessidade e custo, quando menores
+        const maiorFavoravel = grade.indicador === 'diferencaCapitalGiro';
+        const obterCor = function(valor) {
+            const posicao = maximo === minimo ? 0.5 : (valor - minimo) / (maximo - minimo);
+            const risco = maiorFavoravel ? 1 - posicao : posicao;
+            return `rgba(${Math.round(255 * risco)}, ${Math.round(200 * (1 - risco))}, 0, 0.35)`;
+        };
+
+        let html = `<p class="text-muted">${grade.nomeIndicador} em ${grade.ano} — linhas: ${grade.eixoY.nome}; colunas: ${grade.eixoX.nome}. Valor atual: ${formatarMoeda(grade.valorBase)}.</p>`;
+        html += '<table class="comparison-table" id="tabela-grade-sensibilidade"><thead><tr><th></th>';
+        grade.eixoX.valores.forEach(valor => {
+            html += `<th>${formatarParametro(grade.eixoX.campo, valor)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        grade.matriz.forEach((linha, indice) => {
+            html += `<tr><th>${formatarParametro(grade.eixoY.campo, grade.eixoY.valores[indice])}</th>`;
+            linha.forEach(valor => {
+                html += `<td style="background-color: ${obterCor(valor)}">${formatarMoeda(valor)}</td>`;
+            });
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (typeof SensitivityAnalysisModule === 'undefined') {
+            console.warn('SensitivityAnalysisModule não disponível. Análise de sensibilidade desativada.');
+            return;
+        }
+
+        preencherParametrosPadrao();
+
+        const btnPadrao = document.getElementById('btn-parametros-sensibilidade-padrao');
+        if (btnPadrao) {
+            btnPadrao.addEventListener('click', preencherParametrosPadrao);
+        }
+
+        document.querySelectorAll('#tabela-eixos-sensibilidade .sens-campo').forEach(select => {
+            select.addEventListener('change', function() {
+                preencherLimitesEixo(select.closest('tr'), obterDadosOuPadrao());
+            });
+        });
+
+        const btnTornado = document.getElementById('btn-calcular-tornado');
+        if (btnTornado) {
+            btnTornado.addEventListener('click', calcularTornado);
+        }
+
+        const btnGrade = document.getElementById('btn-calcular-grade-sensibilidade');
+        if (btnGrade) {
+            btnGrade.addEventListener('click', calcularGrade);
+        }
+    });
+})();
@@ -0,0 +1,59 @@
+// Módulo de exibição da comparação das opções do Simples Nacional na interface
+(function() {
+    const ROTULOS_OPCAO = {
+        das: 'CBS/IBS no DAS',
+        regular: 'Regime Regular'
+    };
+
+    /**
+     * Exibe a comparação ano a ano das opções do Simples Nacional
+     * @param {Object|null} resultado - Resultado de SimplesNacionalModule.calcularProjecao (null oculta o quadro)
+     */
+    function exibirResultadoSimplesNacional(resultado) {
+        const card = document.getElementById('resultado-simples-nacional');
+        const container = document.getElementById('tabela-simples-nacional');
+        if (!card || !container) return;
+
+        if (!resultado || !resultado.anos || resultado.anos.length === 0) {
+            card.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatarMoeda = window.DataManager.formatarMoeda;
+
+        // Custo tributário (tributos e custo do Split Payment) separado do repasse do crédito perdido no preço;
+        // os custos são mensais e a economia, anual
+        let html = '<table class="comparison-table"><thead><tr>' +
+            '<th>Ano</th><th>Custo Tributário Mensal no DAS</th><th>Crédito Perdido por Clientes (DAS, mensal)</th>' +
+            '<th>Repasse no Preço (DAS, mensal)</th><th>Custo Total Mensal no DAS</th><th>Custo Tributário Mensal no Regular</th>' +
+            '<th>Recomendação</th><th>Economia Anual</th>' +
+            '</tr></thead><tbody>';
+
+        resultado.anos.forEach(ano => {
+            const r = resultado.resultadosAnuais[ano];
+            const regular = r.regular;
+
+            const composicao = regular && r.das.custoCompetitivo > 0 ?
+                `<br><small>DAS − Regular: custo tributário ${formatarMoeda(r.economiaTributariaAnual)}, repasse ${formatarMoeda(r.custoCompetitivoAnual)}</small>` : '';
+
+            html += `<tr><td>${ano}</td>` +
+                `<td>${formatarMoeda(r.das.custoTributario)}</td>` +
+                `<td>${formatarMoeda(r.das.creditoPerdidoB2B)}</td>` +
+                `<td>${formatarMoeda(r.das.custoCompetitivo)}</td>` +
+                `<td>${formatarMoeda(r.das.custoTotal)}</td>` +
+                `<td>${regular ? formatarMoeda(regular.custoTributario) : '—'}</td>` +
+                `<td><strong>${ROTULOS_OPCAO[r.recomendacao]}</strong></td>` +
+                `<td>${regular ? formatarMoeda(r.economiaAnual) + composicao : 'Opção indisponível'}</td></tr>`;
+        });
+
+        html += '</tbody></table>';
+        html += `<p class="text-muted">Economia acumulada seguindo a recomendação: ${formatarMoeda(resultado.resumo.economiaTotal)}.</p>`;
+
+        container.innerHTML = html;
+        card.style.display = 'block';
+    }
+
+    // Exportar funções para o escopo global
+    window.exibirResultadoSimplesNacional = exibirResultadoSimplesNacional;
+})();
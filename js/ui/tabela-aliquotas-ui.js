@@ -0,0 +1,205 @@
+// Módulo de edição e versionamento da tabela anual de alíquotas CBS/IBS na interface
+(function() {
+    // Colunas editáveis, na ordem da tabela (valores exibidos em percentual)
+    const COLUNAS = [
+        'aliquotaCBS', 'aliquotaIBS', 'testeCBS', 'testeIBS', 'percentualCBS', 'percentualIBS',
+        'reducaoCBS', 'reducaoIBS', 'percentualPisCofins', 'percentualIcmsIss'
+    ];
+
+    /**
+     * Preenche a lista de versões e marca a versão ativa
+     */
+    function renderizarVersoes() {
+        const select = document.getElementById('versao-tabela-aliquotas');
+        if (!select) return;
+
+        const ativa = window.TabelaAliquotasRepository.obterVersaoAtiva();
+        select.innerHTML = '';
+        window.TabelaAliquotasRepository.listarVersoes().forEach(versao => {
+            const option = document.createElement('option');
+            option.value = versao.id;
+            option.textContent = `${versao.descricao} (${versao.id})`;
+            option.selected = versao.id === ativa.id;
+            select.appendChild(option);
+        });
+
+        const btnRemover = document.getElementById('btn-remover-tabela-aliquotas');
+        if (btnRemover) {
+            btnRemover.disabled = ativa.id === window.TabelaAliquotasRepository.VERSAO_PADRAO;
+        }
+    }
+
+    /**
+     * Renderiza a versão ativa da tabela, um ano por linha
+     */
+    function renderizarTabelaAliquotas() {
+        const corpo = document.querySelector('#tabela-aliquotas-iva tbody');
+        if (!corpo || !window.TabelaAliquotasRepository) return;
+
+        renderizarVersoes();
+
+        const tabela = window.TabelaAliquotasRepository.obterVersaoAtiva();
+        corpo.innerHTML = '';
+        Object.keys(tabela.anos).sort().forEach(ano => {
+            const tr = document.createElement('tr');
+
+            const tdAno = document.createElement('td');
+            tdAno.textContent = ano;
+            tr.appendChild(tdAno);
+
+            COLUNAS.forEach(campo => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.max = '100';
+                input.step = '0.01';
+                input.dataset.ano = ano;
+                input.dataset.campo = campo;
+                input.value = parseFloat((tabela.anos[ano][campo] * 100).toFixed(4));
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+
+            corpo.appendChild(tr);
+        });
+    }
+
+    /**
+     * Lê os valores digitados na tabela
+     * @returns {Object} - Ano -> linha com valores decimais
+     */
+    function lerTabelaEditada() {
+        const anos = {};
+        document.querySelectorAll('#tabela-aliquotas-iva tbody input').forEach(input => {
+            const ano = input.dataset.ano;
+            anos[ano] = anos[ano] || {};
+            anos[ano][input.dataset.campo] = (parseFloat(input.value) || 0) / 100;
+        });
+        return anos;
+    }
+
+    /**
+     * Grava a tabela editada como nova versão
+     */
+    function salvarNovaVersao() {
+        const descricao = document.getElementById('descricao-tabela-aliquotas')?.value.trim();
+        const resultado = window.TabelaAliquotasRepository.salvarNovaVersao(lerTabelaEditada(), descricao);
+
+        if (resultado.erro) {
+            alert('Não foi possível salvar a tabela de alíquotas: ' + resultado.erro);
+            return;
+        }
+
+        renderizarTabelaAliquotas();
+        alert(`Tabela salva como versão ${resultado.id}. As próximas simulações usarão esta versão.`);
+    }
+
+    /**
+     * Dispara o download de um conteúdo textual
+     * @param {string} conteudo - Conteúdo do arquivo
+     * @param {string} nomeArquivo - Nome do arquivo
+     * @param {string} tipo - MIME type
+     */
+    function baixarArquivo(conteudo, nomeArquivo, tipo) {
+        const blob = new Blob([conteudo], { type: tipo });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = nomeArquivo;
+        document.body.appendChild(a);
+        a.click();
+
+        // Limpeza
+        setTimeout(() => {
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Importa as versões de um arquivo JSON exportado
+     * @param {Event} evento - Evento change do input de arquivo
+     */
+    function importarArquivoTabela(evento) {
+        const arquivo = evento.target.files[0];
+        if (!arquivo) return;
+
+        const reader = new FileReader();
+
+        reader.onload = function(e) {
+            const resultado = window.TabelaAliquotasRepository.importarJSON(e.target.result);
+
+            renderizarTabelaAliquotas();
+            alert(resultado.erro ? resultado.erro : `${resultado.importadas} versões da tabela de alíquotas importadas.`);
+
+            // Permite reimportar o mesmo arquivo
+            evento.target.value = '';
+        };
+
+        reader.onerror = function() {
+            alert('Erro ao ler o arquivo da tabela de alíquotas.');
+        };
+
+        reader.readAsText(arquivo);
+    }
+
+    // Exportar funções para o escopo global
+    window.renderizarTabelaAliquotas = renderizarTabelaAliquotas;
+
+    // Inicialização automática
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.TabelaAliquotasRepository) {
+            console.warn('TabelaAliquotasRepository não disponível. Tabela de alíquotas CBS/IBS desativada.');
+            return;
+        }
+
+        window.TabelaAliquotasRepository.inicializar();
+        renderizarTabelaAliquotas();
+
+        const select = document.getElementById('versao-tabela-aliquotas');
+        if (select) {
+            select.addEventListener('change', function() {
+                window.TabelaAliquotasRepository.ativarVersao(this.value);
+                renderizarTabelaAliquotas();
+            });
+        }
+
+        const btnSalvar = document.getElementById('btn-salvar-tabela-aliquotas');
+        if (btnSalvar) {
+            btnSalvar.addEventListener('click', salvarNovaVersao);
+        }
+
+        const btnRemover = document.getElementById('btn-remover-tabela-aliquotas');
+        if (btnRemover) {
+            btnRemover.addEventListener('click', function() {
+                const ativa = window.TabelaAliquotasRepository.obterVersaoAtiva();
+                if (confirm(`Remover a versão ${ativa.id} da tabela de alíquotas? Simulações salvas com ela mantêm uma cópia da tabela.`)) {
+                    window.TabelaAliquotasRepository.removerVersao(ativa.id);
+                    renderizarTabelaAliquotas();
+                }
+            });
+        }
+
+        const btnRestaurar = document.getElementById('btn-restaurar-tabela-aliquotas');
+        if (btnRestaurar) {
+            btnRestaurar.addEventListener('click', function() {
+                window.TabelaAliquotasRepository.restaurarPadrao();
+                renderizarTabelaAliquotas();
+            });
+        }
+
+        const btnExportar = document.getElementById('btn-exportar-tabela-aliquotas');
+        if (btnExportar) {
+            btnExportar.addEventListener('click', function() {
+                baixarArquivo(window.TabelaAliquotasRepository.exportarJSON(), 'tabela-aliquotas-iva.json', 'application/json');
+            });
+        }
+
+        const inputImportar = document.getElementById('tabela-aliquotas-arquivo');
+        if (inputImportar) {
+            inputImportar.addEventListener('change', importarArquivoTabela);
+        }
+    });
+})();
@@ -18,7 +18,9 @@ window.DataManager = (function() {
             margem: 0,                // Decimal (0-1)
             setor: '',                // Código alfanumérico 
             tipoEmpresa: '',          // 'comercio', 'industria', 'servicos'
-            regime: ''                // 'simples', 'presumido', 'real'
+            regime: '',               // 'simples', 'presumido', 'real'
+            percentualServicos: null, // Decimal (0-1) para atividade mista; null deriva do tipo de empresa
+            indicesSazonalidade: null // 12 índices mensais (jan-dez, média 1) do histórico SPED; null usa o fator padrão
         },
         cicloFinanceiro: {
             pmr: 30,                  // Dias
@@ -38,6 +40,29 @@ window.DataManager = (function() {
                 ipi: 0,               
                 cbs: 0,               
                 ibs: 0                
+            },
+            simples: {                // Apenas para regime 'simples'
+                anexo: '',            // 'I' a 'V'; vazio deriva do tipo de empresa
+                percentualB2B: 0.5,   // Decimal (0-1) - vendas a contribuintes que tomam crédito
+                percentualCompras: 0.4, // Decimal (0-1) - compras com crédito de CBS/IBS sobre o faturamento
+                percentualRepasseB2B: 0 // Decimal (0-1) - parcela do crédito perdido pelos clientes B2B concedida como desconto
+            },
+            impostoSeletivo: {        // Produtos sujeitos ao Imposto Seletivo (ImpostoSeletivoModule)
+                categoria: '',        // Categoria do IS; vazio quando a empresa não tem produtos sujeitos
+                percentualReceita: 0, // Decimal (0-1) - receita com produtos sujeitos ao IS
+                aliquota: null,       // Decimal (0-1); null usa a alíquota de referência da categoria
+                manterIPI: false      // Booleano - produtos com similar na Zona Franca de Manaus mantêm o IPI
+            },
+            incentivoICMS: {          // Incentivo fiscal de ICMS reduzido na transição (2029-2032)
+                ativo: false,         // Booleano - empresa possui incentivo fiscal de ICMS
+                percentualReducao: 0, // Decimal (0-1) - redução do ICMS devido pelo incentivo
+                compensacao: false    // Booleano - perda compensada pelo Fundo de Compensação de Benefícios Fiscais
+            },
+            substituicaoTributaria: { // ICMS-ST
+                papel: '',            // 'substituto', 'substituido' ou vazio quando não há operações com ST
+                percentualReceita: 0, // Decimal (0-1) - receita com mercadorias sujeitas à ST
+                mva: 0.40,            // Decimal - margem de valor agregado da base presumida (pode passar de 1)
+                aliquotaInterna: null // Decimal (0-1); null usa a alíquota interna padrão do ICMS
             }
         },
         parametrosSimulacao: {
@@ -45,18 +70,22 @@ window.DataManager = (function() {
             taxaCrescimento: 0.05,    // Decimal (0-1)
             dataInicial: '2026-01-01',// ISO 8601
             dataFinal: '2033-12-31',  // ISO 8601
-            splitPayment: true        // Booleano
+            splitPayment: true,       // Booleano
+            modoFluxoCaixa: 'agregado'// 'agregado', 'mensal', 'diario'
         },
         parametrosFinanceiros: {
             taxaCapitalGiro: 0.021,   // Decimal (0-1)
             taxaAntecipacao: 0.018,   // Decimal (0-1)
-            spreadBancario: 0.005     // Decimal (0-1)
+            spreadBancario: 0.005,    // Decimal (0-1)
+            tipoCompensacao: 'automatica', // 'automatica', 'mensal', 'trimestral'
+            prazoRessarcimento: 60    // Dias para pagamento do ressarcimento de CBS/IBS
         },
         ivaConfig: {
             cbs: 0.088,               // Decimal (0-1)
             ibs: 0.177,               // Decimal (0-1)
             categoriaIva: 'standard', // 'standard', 'reduced', 'exempt'
-            reducaoEspecial: 0        // Decimal (0-1)
+            reducaoEspecial: 0,       // Decimal (0-1)
+            tabelaAliquotas: null     // Versão da tabela anual de alíquotas usada na simulação
         },
         estrategias: {
             ajustePrecos: {
@@ -149,7 +178,11 @@ window.DataManager = (function() {
             plano.margem = dadosAninhados.empresa.margem || 0;
             plano.setor = dadosAninhados.empresa.setor || '';
             plano.tipoEmpresa = dadosAninhados.empresa.tipoEmpresa || '';
+            plano.percentualServicos = typeof dadosAninhados.empresa.percentualServicos === 'number' ?
+                                       dadosAninhados.empresa.percentualServicos : null;
             plano.regime = dadosAninhados.empresa.regime || '';
+            plano.indicesSazonalidade = Array.isArray(dadosAninhados.empresa.indicesSazonalidade) ?
+                                        dadosAninhados.empresa.indicesSazonalidade.slice() : null;
         }
         
         // Ciclo Financeiro
@@ -166,6 +199,30 @@ window.DataManager = (function() {
             plano.aliquota = dadosAninhados.parametrosFiscais.aliquota || 0.265;
             plano.tipoOperacao = dadosAninhados.parametrosFiscais.tipoOperacao || '';
             plano.regimePisCofins = dadosAninhados.parametrosFiscais.regimePisCofins || '';
+
+            const simples = dadosAninhados.parametrosFiscais.simples || estruturaPadrao.parametrosFiscais.simples;
+            plano.simplesAnexo = simples.anexo || '';
+            plano.simplesPercentualB2B = simples.percentualB2B !== undefined ?
+                                         simples.percentualB2B : estruturaPadrao.parametrosFiscais.simples.percentualB2B;
+            plano.simplesPercentualCompras = simples.percentualCompras !== undefined ?
+                                             simples.percentualCompras : estruturaPadrao.parametrosFiscais.simples.percentualCompras;
+            plano.simplesPercentualRepasseB2B = simples.percentualRepasseB2B !== undefined ?
+                                                simples.percentualRepasseB2B : estruturaPadrao.parametrosFiscais.simples.percentualRepasseB2B;
+
+            plano.impostoSeletivo = {
+                ...estruturaPadrao.parametrosFiscais.impostoSeletivo,
+                ...(dadosAninhados.parametrosFiscais.impostoSeletivo || {})
+            };
+
+            plano.incentivoICMS = {
+                ...estruturaPadrao.parametrosFiscais.incentivoICMS,
+                ...(dadosAninhados.parametrosFiscais.incentivoICMS || {})
+            };
+
+            plano.substituicaoTributaria = {
+                ...estruturaPadrao.parametrosFiscais.substituicaoTributaria,
+                ...(dadosAninhados.parametrosFiscais.substituicaoTributaria || {})
+            };
             
             // Tratar créditos separadamente
             if (dadosAninhados.parametrosFiscais.creditos) {
@@ -200,6 +257,7 @@ window.DataManager = (function() {
                 plano.dataInicial = dadosAninhados.parametrosSimulacao.dataInicial || '2026-01-01';
                 plano.dataFinal = dadosAninhados.parametrosSimulacao.dataFinal || '2033-12-31';
                 plano.splitPayment = dadosAninhados.parametrosSimulacao.splitPayment !== false; // Default true
+                plano.modoFluxoCaixa = dadosAninhados.parametrosSimulacao.modoFluxoCaixa || 'agregado';
             }
         }
         
@@ -208,6 +266,9 @@ window.DataManager = (function() {
             plano.taxaCapitalGiro = dadosAninhados.parametrosFinanceiros.taxaCapitalGiro || 0.021;
             plano.taxaAntecipacao = dadosAninhados.parametrosFinanceiros.taxaAntecipacao || 0.018;
             plano.spreadBancario = dadosAninhados.parametrosFinanceiros.spreadBancario || 0.005;
+            plano.tipoCompensacao = dadosAninhados.parametrosFinanceiros.tipoCompensacao || 'automatica';
+            plano.prazoRessarcimento = dadosAninhados.parametrosFinanceiros.prazoRessarcimento !== undefined ?
+                                      dadosAninhados.parametrosFinanceiros.prazoRessarcimento : 60;
         }
         
         // IVA Config
@@ -224,6 +285,7 @@ window.DataManager = (function() {
 
             plano.categoriaIVA = dadosAninhados.ivaConfig.categoriaIva || 'standard';
             plano.reducaoEspecial = dadosAninhados.ivaConfig.reducaoEspecial || 0;
+            plano.tabelaAliquotas = dadosAninhados.ivaConfig.tabelaAliquotas || null;
         }
         
         // Estratégias (apenas se necessário para algum módulo específico)
@@ -266,7 +328,9 @@ window.DataManager = (function() {
             margem: dadosPlanos.margem !== undefined ? dadosPlanos.margem : 0,
             setor: dadosPlanos.setor || '',
             tipoEmpresa: dadosPlanos.tipoEmpresa || '',
-            regime: dadosPlanos.regime || ''
+            regime: dadosPlanos.regime || '',
+            percentualServicos: typeof dadosPlanos.percentualServicos === 'number' ? dadosPlanos.percentualServicos : null,
+            indicesSazonalidade: Array.isArray(dadosPlanos.indicesSazonalidade) ? dadosPlanos.indicesSazonalidade.slice() : null
         };
         
         // Ciclo Financeiro
@@ -290,6 +354,27 @@ window.DataManager = (function() {
                 ipi: dadosPlanos.creditosIPI || 0,
                 cbs: dadosPlanos.creditosCBS || 0,
                 ibs: dadosPlanos.creditosIBS || 0
+            },
+            simples: {
+                anexo: dadosPlanos.simplesAnexo || '',
+                percentualB2B: dadosPlanos.simplesPercentualB2B !== undefined ?
+                               dadosPlanos.simplesPercentualB2B : estruturaPadrao.parametrosFiscais.simples.percentualB2B,
+                percentualCompras: dadosPlanos.simplesPercentualCompras !== undefined ?
+                                   dadosPlanos.simplesPercentualCompras : estruturaPadrao.parametrosFiscais.simples.percentualCompras,
+                percentualRepasseB2B: dadosPlanos.simplesPercentualRepasseB2B !== undefined ?
+                                      dadosPlanos.simplesPercentualRepasseB2B : estruturaPadrao.parametrosFiscais.simples.percentualRepasseB2B
+            },
+            impostoSeletivo: {
+                ...estruturaPadrao.parametrosFiscais.impostoSeletivo,
+                ...(dadosPlanos.impostoSeletivo || {})
+            },
+            incentivoICMS: {
+                ...estruturaPadrao.parametrosFiscais.incentivoICMS,
+                ...(dadosPlanos.incentivoICMS || {})
+            },
+            substituicaoTributaria: {
+                ...estruturaPadrao.parametrosFiscais.substituicaoTributaria,
+                ...(dadosPlanos.substituicaoTributaria || {})
             }
         };
         
@@ -299,14 +384,17 @@ window.DataManager = (function() {
             taxaCrescimento: dadosPlanos.taxaCrescimento !== undefined ? dadosPlanos.taxaCrescimento : 0.05,
             dataInicial: dadosPlanos.dataInicial || '2026-01-01',
             dataFinal: dadosPlanos.dataFinal || '2033-12-31',
-            splitPayment: dadosPlanos.splitPayment !== false // Default true
+            splitPayment: dadosPlanos.splitPayment !== false, // Default true
+            modoFluxoCaixa: dadosPlanos.modoFluxoCaixa || 'agregado'
         };
         
         // Parâmetros Financeiros
         aninhado.parametrosFinanceiros = {
             taxaCapitalGiro: dadosPlanos.taxaCapitalGiro !== undefined ? dadosPlanos.taxaCapitalGiro : 0.021,
             taxaAntecipacao: dadosPlanos.taxaAntecipacao !== undefined ? dadosPlanos.taxaAntecipacao : 0.018,
-            spreadBancario: dadosPlanos.spreadBancario !== undefined ? dadosPlanos.spreadBancario : 0.005
+            spreadBancario: dadosPlanos.spreadBancario !== undefined ? dadosPlanos.spreadBancario : 0.005,
+            tipoCompensacao: dadosPlanos.tipoCompensacao || 'automatica',
+            prazoRessarcimento: dadosPlanos.prazoRessarcimento !== undefined ? dadosPlanos.prazoRessarcimento : 60
         };
         
         // IVA Config
@@ -314,7 +402,8 @@ window.DataManager = (function() {
             cbs: dadosPlanos.aliquotaCBS !== undefined ? dadosPlanos.aliquotaCBS : 0.088,
             ibs: dadosPlanos.aliquotaIBS !== undefined ? dadosPlanos.aliquotaIBS : 0.177,
             categoriaIva: dadosPlanos.categoriaIVA || 'standard',
-            reducaoEspecial: dadosPlanos.reducaoEspecial !== undefined ? dadosPlanos.reducaoEspecial : 0
+            reducaoEspecial: dadosPlanos.reducaoEspecial !== undefined ? dadosPlanos.reducaoEspecial : 0,
+            tabelaAliquotas: dadosPlanos.tabelaAliquotas || null
         };
         
         // Estratégias e Cronograma (manter se forem fornecidos)
@@ -372,6 +461,30 @@ window.DataManager = (function() {
             resultado.empresa.regime = '';
         }
         
+        // Validar percentual de receita de serviços (atividade mista)
+        if (resultado.empresa.percentualServicos === undefined || resultado.empresa.percentualServicos === '' ||
+            resultado.empresa.percentualServicos === null || isNaN(parseFloat(resultado.empresa.percentualServicos))) {
+            resultado.empresa.percentualServicos = null;
+        } else {
+            let percentualServicos = parseFloat(resultado.empresa.percentualServicos);
+            if (percentualServicos > 1) percentualServicos = percentualServicos / 100;
+            resultado.empresa.percentualServicos = Math.max(0, Math.min(1, percentualServicos));
+        }
+        
+        // Validar índices de sazonalidade: 12 valores positivos, normalizados para média 1
+        const indices = resultado.empresa.indicesSazonalidade;
+        if (Array.isArray(indices) && indices.length === 12 &&
+            indices.every(indice => typeof indice === 'number' && isFinite(indice) && indice >= 0) &&
+            indices.some(indice => indice > 0)) {
+            const mediaIndices = indices.reduce((soma, indice) => soma + indice, 0) / 12;
+            resultado.empresa.indicesSazonalidade = indices.map(indice => indice / mediaIndices);
+        } else {
+            if (indices !== undefined && indices !== null) {
+                console.warn('Índices de sazonalidade inválidos. Utilizando o fator de sazonalidade padrão.');
+            }
+            resultado.empresa.indicesSazonalidade = null;
+        }
+        
         // Validação Ciclo Financeiro
         if (!resultado.cicloFinanceiro) resultado.cicloFinanceiro = {...estruturaPadrao.cicloFinanceiro};
         
@@ -435,6 +548,82 @@ window.DataManager = (function() {
             resultado.parametrosFiscais.regimePisCofins = '';
         }
         
+        // Validar parâmetros do Simples Nacional
+        if (!resultado.parametrosFiscais.simples) {
+            resultado.parametrosFiscais.simples = {...estruturaPadrao.parametrosFiscais.simples};
+        } else {
+            const simples = resultado.parametrosFiscais.simples;
+            const anexosValidos = ['I', 'II', 'III', 'IV', 'V'];
+            if (simples.anexo && !anexosValidos.includes(simples.anexo)) {
+                console.warn(`Anexo do Simples Nacional inválido: "${simples.anexo}". Utilizando o anexo do tipo de empresa.`);
+                simples.anexo = '';
+            }
+
+            ['percentualB2B', 'percentualCompras', 'percentualRepasseB2B'].forEach(campo => {
+                let valor = parseFloat(simples[campo]);
+                if (isNaN(valor)) valor = estruturaPadrao.parametrosFiscais.simples[campo];
+                if (valor > 1) valor = valor / 100;
+                simples[campo] = Math.max(0, Math.min(1, valor));
+            });
+        }
+
+        // Validar parâmetros do Imposto Seletivo
+        if (!resultado.parametrosFiscais.impostoSeletivo) {
+            resultado.parametrosFiscais.impostoSeletivo = {...estruturaPadrao.parametrosFiscais.impostoSeletivo};
+        } else {
+            const seletivo = resultado.parametrosFiscais.impostoSeletivo;
+            if (seletivo.categoria && window.ImpostoSeletivoModule && !window.ImpostoSeletivoModule.obterCategoria(seletivo.categoria)) {
+                console.warn(`Categoria do Imposto Seletivo inválida: "${seletivo.categoria}". Imposto Seletivo desconsiderado.`);
+                seletivo.categoria = '';
+            }
+
+            let percentual = parseFloat(seletivo.percentualReceita);
+            if (isNaN(percentual)) percentual = 0;
+            if (percentual > 1) percentual = percentual / 100;
+            seletivo.percentualReceita = Math.max(0, Math.min(1, percentual));
+
+            const aliquota = parseFloat(seletivo.aliquota);
+            seletivo.aliquota = isNaN(aliquota) ? null : Math.max(0, aliquota);
+            seletivo.manterIPI = !!seletivo.manterIPI;
+        }
+
+        // Validar parâmetros do incentivo fiscal de ICMS
+        if (!resultado.parametrosFiscais.incentivoICMS) {
+            resultado.parametrosFiscais.incentivoICMS = {...estruturaPadrao.parametrosFiscais.incentivoICMS};
+        } else {
+            const incentivo = resultado.parametrosFiscais.incentivoICMS;
+            let percentual = parseFloat(incentivo.percentualReducao);
+            if (isNaN(percentual)) percentual = 0;
+            if (percentual > 1) percentual = percentual / 100;
+            incentivo.percentualReducao = Math.max(0, Math.min(1, percentual));
+            incentivo.ativo = !!incentivo.ativo && incentivo.percentualReducao > 0;
+            incentivo.compensacao = !!incentivo.compensacao;
+        }
+
+        // Validar parâmetros da substituição tributária do ICMS
+        if (!resultado.parametrosFiscais.substituicaoTributaria) {
+            resultado.parametrosFiscais.substituicaoTributaria = {...estruturaPadrao.parametrosFiscais.substituicaoTributaria};
+        } else {
+            const substituicao = resultado.parametrosFiscais.substituicaoTributaria;
+            if (substituicao.papel && !['substituto', 'substituido'].includes(substituicao.papel)) {
+                console.warn(`Papel na substituição tributária inválido: "${substituicao.papel}". ICMS-ST desconsiderado.`);
+                substituicao.papel = '';
+            }
+
+            let percentual = parseFloat(substituicao.percentualReceita);
+            if (isNaN(percentual)) percentual = 0;
+            if (percentual > 1) percentual = percentual / 100;
+            substituicao.percentualReceita = Math.max(0, Math.min(1, percentual));
+
+            // A MVA pode superar 100%: não é convertida de percentual
+            const mva = parseFloat(substituicao.mva);
+            substituicao.mva = isNaN(mva) ? estruturaPadrao.parametrosFiscais.substituicaoTributaria.mva : Math.max(0, mva);
+
+            let aliquotaInterna = parseFloat(substituicao.aliquotaInterna);
+            if (!isNaN(aliquotaInterna) && aliquotaInterna > 1) aliquotaInterna = aliquotaInterna / 100;
+            substituicao.aliquotaInterna = isNaN(aliquotaInterna) ? null : Math.max(0, aliquotaInterna);
+        }
+        
         // Garantir que créditos existam e sejam não-negativos
         if (!resultado.parametrosFiscais.creditos) {
             resultado.parametrosFiscais.creditos = {...estruturaPadrao.parametrosFiscais.creditos};
@@ -462,6 +651,12 @@ window.DataManager = (function() {
             resultado.parametrosSimulacao.cenario = 'moderado';
         }
         
+        // Validar modo de cálculo do fluxo de caixa
+        const modosFluxoValidos = ['agregado', 'mensal', 'diario'];
+        if (!modosFluxoValidos.includes(resultado.parametrosSimulacao.modoFluxoCaixa)) {
+            resultado.parametrosSimulacao.modoFluxoCaixa = 'agregado';
+        }
+        
         // Converter taxa de crescimento para decimal se necessário
         if (resultado.parametrosSimulacao.taxaCrescimento > 1) {
             resultado.parametrosSimulacao.taxaCrescimento = resultado.parametrosSimulacao.taxaCrescimento / 100;
@@ -510,6 +705,17 @@ window.DataManager = (function() {
         resultado.parametrosFinanceiros.taxaAntecipacao = Math.max(0, resultado.parametrosFinanceiros.taxaAntecipacao);
         resultado.parametrosFinanceiros.spreadBancario = Math.max(0, resultado.parametrosFinanceiros.spreadBancario);
         
+        // Compensação de créditos e ressarcimento
+        const tiposCompensacaoValidos = ['automatica', 'mensal', 'trimestral'];
+        if (!tiposCompensacaoValidos.includes(resultado.parametrosFinanceiros.tipoCompensacao)) {
+            resultado.parametrosFinanceiros.tipoCompensacao = 'automatica';
+        }
+        
+        const prazoRessarcimento = parseInt(resultado.parametrosFinanceiros.prazoRessarcimento, 10);
+        resultado.parametrosFinanceiros.prazoRessarcimento = isNaN(prazoRessarcimento) ?
+                                                             estruturaPadrao.parametrosFinanceiros.prazoRessarcimento :
+                                                             Math.max(0, prazoRessarcimento);
+        
         // Validação IVA Config
         if (!resultado.ivaConfig) resultado.ivaConfig = {...estruturaPadrao.ivaConfig};
         
@@ -613,6 +819,17 @@ window.DataManager = (function() {
             dados.empresa.setor = document.getElementById('setor')?.value || '';
             dados.empresa.tipoEmpresa = document.getElementById('tipo-empresa')?.value || '';
             dados.empresa.regime = document.getElementById('regime')?.value || '';
+            const percServicos = document.getElementById('perc-servicos')?.value;
+            dados.empresa.percentualServicos = percServicos !== undefined && percServicos !== '' ?
+                                               parseFloat(percServicos) / 100 : null;
+            // Índices de sazonalidade vêm da importação SPED (campo oculto em JSON)
+            const indicesSazonalidade = document.getElementById('indices-sazonalidade')?.value;
+            try {
+                dados.empresa.indicesSazonalidade = indicesSazonalidade ? JSON.parse(indicesSazonalidade) : null;
+            } catch (erroIndices) {
+                console.warn('Índices de sazonalidade ilegíveis no formulário:', erroIndices.message);
+                dados.empresa.indicesSazonalidade = null;
+            }
             
             // Ciclo Financeiro
             dados.cicloFinanceiro.pmr = parseInt(document.getElementById('pmr')?.value || '30');
@@ -626,6 +843,12 @@ window.DataManager = (function() {
             
             if (regime === 'simples') {
                 dados.parametrosFiscais.aliquota = parseFloat(document.getElementById('aliquota-simples')?.value || '0') / 100;
+                dados.parametrosFiscais.simples = {
+                    anexo: document.getElementById('simples-anexo')?.value || '',
+                    percentualB2B: parseFloat(document.getElementById('simples-perc-b2b')?.value || '50') / 100,
+                    percentualCompras: parseFloat(document.getElementById('simples-perc-compras')?.value || '40') / 100,
+                    percentualRepasseB2B: parseFloat(document.getElementById('simples-perc-repasse')?.value || '0') / 100
+                };
             } else {
                 // Alíquota é calculada com base no IVA Dual
                 dados.parametrosFiscais.aliquota = parseFloat(document.getElementById('aliquota')?.value || '0') / 100;
@@ -671,6 +894,31 @@ window.DataManager = (function() {
             
             // Tipo de Operação
             dados.parametrosFiscais.tipoOperacao = document.getElementById('tipo-operacao')?.value || '';
+
+            // Imposto Seletivo (alíquota em branco usa a de referência da categoria)
+            const aliquotaSeletivo = parseFloat(document.getElementById('aliquota-seletivo')?.value);
+            dados.parametrosFiscais.impostoSeletivo = {
+                categoria: document.getElementById('categoria-seletivo')?.value || '',
+                percentualReceita: parseFloat(document.getElementById('receita-seletivo')?.value || '0') / 100,
+                aliquota: isNaN(aliquotaSeletivo) ? null : aliquotaSeletivo / 100,
+                manterIPI: document.getElementById('manter-ipi-zfm')?.checked || false
+            };
+
+            // Incentivo fiscal de ICMS
+            dados.parametrosFiscais.incentivoICMS = {
+                ativo: document.getElementById('possui-incentivo-icms')?.checked || false,
+                percentualReducao: parseFloat(document.getElementById('incentivo-icms')?.value || '0') / 100,
+                compensacao: document.getElementById('compensacao-incentivo-icms')?.checked || false
+            };
+
+            // Substituição tributária do ICMS (alíquota interna em branco usa a padrão)
+            const aliquotaInternaST = parseFloat(document.getElementById('aliquota-interna-st')?.value);
+            dados.parametrosFiscais.substituicaoTributaria = {
+                papel: document.getElementById('papel-st')?.value || '',
+                percentualReceita: parseFloat(document.getElementById('receita-st')?.value || '0') / 100,
+                mva: parseFloat(document.getElementById('mva-st')?.value || '40') / 100,
+                aliquotaInterna: isNaN(aliquotaInternaST) ? null : aliquotaInternaST / 100
+            };
             
             // Parâmetros de Simulação
             dados.parametrosSimulacao.cenario = document.getElementById('cenario')?.value || 'moderado';            
@@ -694,12 +942,20 @@ window.DataManager = (function() {
             // Split Payment
             dados.parametrosSimulacao.splitPayment = document.getElementById('considerar-split')?.checked !== false;
             
+            // Modo de cálculo do fluxo de caixa
+            dados.parametrosSimulacao.modoFluxoCaixa = document.getElementById('modo-fluxo-caixa')?.value || 'agregado';
+            
             // IVA Config
             dados.ivaConfig.cbs = parseFloat(document.getElementById('aliquota-cbs')?.value || '0') / 100;
             dados.ivaConfig.ibs = parseFloat(document.getElementById('aliquota-ibs')?.value || '0') / 100;
             dados.ivaConfig.categoriaIva = document.getElementById('categoria-iva')?.value || 'standard';
             dados.ivaConfig.reducaoEspecial = parseFloat(document.getElementById('reducao')?.value || '0') / 100;
 
+            // Versão da tabela de alíquotas gravada junto com a simulação
+            if (window.TabelaAliquotasRepository) {
+                dados.ivaConfig.tabelaAliquotas = window.TabelaAliquotasRepository.obterVersaoAtiva();
+            }
+
             // Estratégias de Mitigação
             // Assegurar que dados.estrategias existe e é um clone profundo para evitar alterar estruturaPadrao diretamente.
             // Esta linha já existe no início da função: const dados = JSON.parse(JSON.stringify(estruturaPadrao));
@@ -787,6 +1043,7 @@ window.DataManager = (function() {
             
             // Cumpensação
             dados.parametrosFinanceiros.tipoCompensacao = document.getElementById('compensacao')?.value || 'automatica';
+            dados.parametrosFinanceiros.prazoRessarcimento = parseInt(document.getElementById('prazo-ressarcimento')?.value || estruturaPadrao.parametrosFinanceiros.prazoRessarcimento, 10);
             
         } catch (erro) {
             console.error('Erro ao obter dados do formulário:', erro);
@@ -835,6 +1092,18 @@ window.DataManager = (function() {
                     elTipoEmpresa.dispatchEvent(event);
                 }
                 
+                const elPercServicos = document.getElementById('perc-servicos');
+                if (elPercServicos) {
+                    elPercServicos.value = dadosValidados.empresa.percentualServicos === null ?
+                                           '' : (dadosValidados.empresa.percentualServicos * 100).toFixed(1);
+                }
+                
+                const elIndicesSazonalidade = document.getElementById('indices-sazonalidade');
+                if (elIndicesSazonalidade) {
+                    elIndicesSazonalidade.value = dadosValidados.empresa.indicesSazonalidade ?
+                                                  JSON.stringify(dadosValidados.empresa.indicesSazonalidade) : '';
+                }
+                
                 const elRegime = document.getElementById('regime');
                 if (elRegime) {
                     elRegime.value = dadosValidados.empresa.regime;
@@ -872,6 +1141,107 @@ window.DataManager = (function() {
                 }
             }
             
+            // Parâmetros do Simples Nacional
+            if (dadosValidados.empresa?.regime === 'simples' && dadosValidados.parametrosFiscais) {
+                const elAliquotaSimples = document.getElementById('aliquota-simples');
+                if (elAliquotaSimples) {
+                    elAliquotaSimples.value = (dadosValidados.parametrosFiscais.aliquota * 100).toFixed(2);
+                }
+                
+                const simples = dadosValidados.parametrosFiscais.simples;
+                const elAnexo = document.getElementById('simples-anexo');
+                if (elAnexo) {
+                    elAnexo.value = simples.anexo || '';
+                }
+                
+                const elPercB2B = document.getElementById('simples-perc-b2b');
+                if (elPercB2B) {
+                    elPercB2B.value = (simples.percentualB2B * 100).toFixed(1);
+                }
+                
+                const elPercCompras = document.getElementById('simples-perc-compras');
+                if (elPercCompras) {
+                    elPercCompras.value = (simples.percentualCompras * 100).toFixed(1);
+                }
+                
+                const elPercRepasse = document.getElementById('simples-perc-repasse');
+                if (elPercRepasse) {
+                    elPercRepasse.value = (simples.percentualRepasseB2B * 100).toFixed(1);
+                }
+            }
+
+            // Imposto Seletivo
+            const seletivo = dadosValidados.parametrosFiscais?.impostoSeletivo;
+            if (seletivo) {
+                const elCategoriaSeletivo = document.getElementById('categoria-seletivo');
+                if (elCategoriaSeletivo) {
+                    elCategoriaSeletivo.value = seletivo.categoria || '';
+                }
+
+                const elReceitaSeletivo = document.getElementById('receita-seletivo');
+                if (elReceitaSeletivo) {
+                    elReceitaSeletivo.value = (seletivo.percentualReceita * 100).toFixed(1);
+                }
+
+                const elAliquotaSeletivo = document.getElementById('aliquota-seletivo');
+                if (elAliquotaSeletivo) {
+                    elAliquotaSeletivo.value = seletivo.aliquota !== null ? (seletivo.aliquota * 100).toFixed(2) : '';
+                }
+
+                const elManterIPI = document.getElementById('manter-ipi-zfm');
+                if (elManterIPI) {
+                    elManterIPI.checked = !!seletivo.manterIPI;
+                }
+            }
+
+            // Incentivo fiscal de ICMS
+            const incentivoICMS = dadosValidados.parametrosFiscais?.incentivoICMS;
+            if (incentivoICMS) {
+                const elPossuiIncentivo = document.getElementById('possui-incentivo-icms');
+                if (elPossuiIncentivo) {
+                    elPossuiIncentivo.checked = !!incentivoICMS.ativo;
+                }
+
+                const elCampoIncentivo = document.getElementById('campo-incentivo-icms');
+                if (elCampoIncentivo) {
+                    elCampoIncentivo.style.display = incentivoICMS.ativo ? 'block' : 'none';
+                }
+
+                const elIncentivo = document.getElementById('incentivo-icms');
+                if (elIncentivo) {
+                    elIncentivo.value = (incentivoICMS.percentualReducao * 100).toFixed(1);
+                }
+
+                const elCompensacao = document.getElementById('compensacao-incentivo-icms');
+                if (elCompensacao) {
+                    elCompensacao.checked = !!incentivoICMS.compensacao;
+                }
+            }
+
+            // Substituição tributária do ICMS
+            const substituicao = dadosValidados.parametrosFiscais?.substituicaoTributaria;
+            if (substituicao) {
+                const elPapelST = document.getElementById('papel-st');
+                if (elPapelST) {
+                    elPapelST.value = substituicao.papel || '';
+                }
+
+                const elReceitaST = document.getElementById('receita-st');
+                if (elReceitaST) {
+                    elReceitaST.value = (substituicao.percentualReceita * 100).toFixed(1);
+                }
+
+                const elMvaST = document.getElementById('mva-st');
+                if (elMvaST) {
+                    elMvaST.value = (substituicao.mva * 100).toFixed(1);
+                }
+
+                const elAliquotaInternaST = document.getElementById('aliquota-interna-st');
+                if (elAliquotaInternaST) {
+                    elAliquotaInternaST.value = substituicao.aliquotaInterna !== null ? (substituicao.aliquotaInterna * 100).toFixed(2) : '';
+                }
+            }
+            
             // Parâmetros de Simulação
             if (dadosValidados.parametrosSimulacao) {
                 const elCenario = document.getElementById('cenario');
@@ -906,6 +1276,35 @@ window.DataManager = (function() {
                 if (elConsiderarSplit) {
                     elConsiderarSplit.checked = dadosValidados.parametrosSimulacao.splitPayment;
                 }
+                
+                const elModoFluxoCaixa = document.getElementById('modo-fluxo-caixa');
+                if (elModoFluxoCaixa) {
+                    elModoFluxoCaixa.value = dadosValidados.parametrosSimulacao.modoFluxoCaixa || 'agregado';
+                }
+            }
+            
+            // Parâmetros Financeiros
+            if (dadosValidados.parametrosFinanceiros) {
+                const elCompensacao = document.getElementById('compensacao');
+                if (elCompensacao) {
+                    elCompensacao.value = dadosValidados.parametrosFinanceiros.tipoCompensacao || 'automatica';
+                }
+                
+                const elPrazoRessarcimento = document.getElementById('prazo-ressarcimento');
+                if (elPrazoRessarcimento) {
+                    elPrazoRessarcimento.value = dadosValidados.parametrosFinanceiros.prazoRessarcimento;
+                }
+            }
+            
+            // Tabela de alíquotas da simulação: volta a ser a versão ativa
+            if (dadosValidados.ivaConfig?.tabelaAliquotas && window.TabelaAliquotasRepository) {
+                const idTabela = window.TabelaAliquotasRepository.registrarVersao(dadosValidados.ivaConfig.tabelaAliquotas);
+                if (idTabela) {
+                    window.TabelaAliquotasRepository.ativarVersao(idTabela);
+                    if (typeof window.renderizarTabelaAliquotas === 'function') {
+                        window.renderizarTabelaAliquotas();
+                    }
+                }
             }
             
             // Adicionar mais campos conforme necessário...
@@ -1160,11 +1559,13 @@ window.DataManager = (function() {
     };
 })();
 
-// Configuração inicial (opcional)
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('DataManager inicializado com sucesso');
-    
-    // Opcional: definir modo de debug com base em parâmetros de URL ou localStorage
-    window.DEBUG_MODE = localStorage.getItem('debug_mode') === 'true' || 
-                        window.location.search.indexOf('debug=true') >= 0;
-});
\ No newline at end of file
+// Configuração inicial (opcional); fora do navegador (Node.js) não há document
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        console.log('DataManager inicializado com sucesso');
+
+        // Opcional: definir modo de debug com base em parâmetros de URL ou localStorage
+        window.DEBUG_MODE = localStorage.getItem('debug_mode') === 'true' || 
+                            window.location.search.indexOf('debug=true') >= 0;
+    });
+}
\ No newline at end of file
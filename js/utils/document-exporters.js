@@ -36,6 +36,83 @@ class BaseExporter {
     validateLibraries() {
         throw new Error('Method not implemented');
     }
+
+    /**
+     * Indicadores anuais exibidos nos relatórios comparativos de cenários
+     * @returns {Array} Lista de { campo, titulo, tipo }
+     */
+    _getComparisonIndicators() {
+        return [
+            { campo: 'diferencaCapitalGiro', titulo: 'Diferença de Capital de Giro', tipo: 'monetario' },
+            { campo: 'necessidadeAdicionalCapitalGiro', titulo: 'Necessidade Adicional de Capital de Giro', tipo: 'monetario' },
+            { campo: 'aliquotaEfetiva', titulo: 'Alíquota Efetiva (Split Payment)', tipo: 'percentual' },
+            { campo: 'custoFinanceiro', titulo: 'Custo Financeiro do Capital de Giro', tipo: 'monetario' },
+            { campo: 'custoEstrategias', titulo: 'Custo das Estratégias de Mitigação', tipo: 'monetario' }
+        ];
+    }
+
+    /**
+     * Parâmetros de entrada de um cenário exibidos nos relatórios comparativos
+     * @param {Object} cenario - Cenário do CenariosRepository
+     * @returns {Array} Lista de { rotulo, valor, tipo }
+     */
+    _getComparisonParameters(cenario) {
+        const dados = cenario.dados || {};
+        const empresa = dados.empresa || {};
+        const ciclo = dados.cicloFinanceiro || {};
+        const simulacao = dados.parametrosSimulacao || {};
+        const financeiros = dados.parametrosFinanceiros || {};
+        const resultados = cenario.resultados || {};
+
+        return [
+            { rotulo: 'Faturamento Mensal', valor: empresa.faturamento || 0, tipo: 'monetario' },
+            { rotulo: 'Margem Operacional', valor: empresa.margem || 0, tipo: 'percentual' },
+            { rotulo: 'Setor', valor: empresa.setor || 'N/A', tipo: 'texto' },
+            { rotulo: 'Regime Tributário', valor: empresa.regime || 'N/A', tipo: 'texto' },
+            { rotulo: 'PMR (dias)', valor: ciclo.pmr || 0, tipo: 'numero' },
+            { rotulo: 'PMP (dias)', valor: ciclo.pmp || 0, tipo: 'numero' },
+            { rotulo: 'PME (dias)', valor: ciclo.pme || 0, tipo: 'numero' },
+            { rotulo: 'Vendas à Vista', valor: ciclo.percVista || 0, tipo: 'percentual' },
+            { rotulo: 'Cenário de Crescimento', valor: simulacao.cenario || 'N/A', tipo: 'texto' },
+            { rotulo: 'Taxa de Crescimento', valor: simulacao.taxaCrescimento || 0, tipo: 'percentual' },
+            { rotulo: 'Taxa de Capital de Giro (a.m.)', valor: financeiros.taxaCapitalGiro || 0, tipo: 'percentual' },
+            { rotulo: 'Compensação de Créditos', valor: financeiros.tipoCompensacao || 'automatica', tipo: 'texto' },
+            { rotulo: 'Período', valor: `${resultados.anoInicial || ''} - ${resultados.anoFinal || ''}`, tipo: 'texto' }
+        ];
+    }
+
+    /**
+     * Anos presentes em ao menos um dos cenários comparados
+     * @param {Array} cenarios - Cenários do CenariosRepository
+     * @returns {Array<number>} Anos em ordem crescente
+     */
+    _getComparisonYears(cenarios) {
+        const anos = new Set();
+        cenarios.forEach(c => Object.keys(c.resultados.porAno).forEach(ano => anos.add(Number(ano))));
+        return Array.from(anos).sort((a, b) => a - b);
+    }
+
+    /**
+     * Formata um valor dos relatórios comparativos para exibição textual
+     * @param {any} valor - Valor a ser formatado
+     * @param {string} tipo - 'monetario', 'percentual', 'numero' ou 'texto'
+     * @returns {string} Valor formatado ('—' quando ausente)
+     */
+    _formatComparisonValue(valor, tipo) {
+        if (valor === null || valor === undefined) {
+            return '—';
+        }
+
+        const usarDataManager = typeof window.DataManager !== 'undefined';
+        switch (tipo) {
+            case 'monetario':
+                return usarDataManager ? window.DataManager.formatarMoeda(valor) : new ExportManager().formatCurrency(valor);
+            case 'percentual':
+                return usarDataManager ? window.DataManager.formatarPercentual(valor * 100) : new ExportManager().formatPercentage(valor * 100);
+            default:
+                return valor.toString();
+        }
+    }
 }
 
 /**
@@ -153,7 +230,13 @@ class PDFExporter extends BaseExporter {
             pageCount++;
 
             // Add index
-            currentPositionY = this._addIndex(doc, pageCount);
+            const sensibilidade = window.resultadoSensibilidade;
+            const possuiSensibilidade = !!(sensibilidade && (sensibilidade.tornado || sensibilidade.bidimensional));
+            const indiceItems = this._getDefaultIndexItems();
+            if (possuiSensibilidade) {
+                indiceItems.push({ texto: '7. Análise de Sensibilidade', pagina: 9 });
+            }
+            currentPositionY = this._addIndex(doc, pageCount, indiceItems);
             doc.addPage();
             pageCount++;
 
@@ -210,6 +293,13 @@ class PDFExporter extends BaseExporter {
                 equivalentRates
             );
 
+            // Add sensitivity analysis, when calculated in the interface
+            if (possuiSensibilidade) {
+                doc.addPage();
+                pageCount++;
+                currentPositionY = this._addSensitivityAnalysis(doc, sensibilidade, pageCount);
+            }
+
             // Add header and footer to all pages (except cover)
             this._addHeaderFooter(doc, pageCount);
 
@@ -233,8 +323,348 @@ class PDFExporter extends BaseExporter {
         }
     }
 
+    /**
+     * Export a side-by-side comparison of saved scenarios to PDF
+     * @param {Array} cenarios - Scenarios from CenariosRepository (first one is the baseline)
+     * @param {Object} options - Export options
+     * @returns {Promise} Promise resolved after export
+     */
+    exportComparison(cenarios, options = {}) {
+        console.log("Starting PDF comparison export");
+
+        if (!this.validateLibraries()) {
+            return Promise.reject('jsPDF not available');
+        }
+
+        const cenariosValidos = (cenarios || []).filter(c => c && c.resultados && c.resultados.porAno);
+        if (cenariosValidos.length < 2) {
+            alert('Selecione ao menos dois cenários executados para o relatório comparativo.');
+            return Promise.reject('Not enough scenarios to compare');
+        }
+
+        try {
+            const manager = new ExportManager();
+            const filename = manager.requestFilename("pdf", "comparativo-cenarios-split-payment");
+            if (!filename) {
+                return Promise.resolve({success: false, message: "Export cancelled by user"});
+            }
+
+            const doc = new window.jspdf.jsPDF({
+                orientation: this.config.pdf.orientation || "portrait",
+                unit: "mm",
+                format: this.config.pdf.pageSize || "a4",
+                compress: true
+            });
+
+            doc.setProperties({
+                title: "Relatório Comparativo de Cenários - Split Payment",
+                subject: "Comparação do impacto do Split Payment entre cenários de simulação",
+                author: "Expertzy Inteligência Tributária",
+                keywords: "Split Payment, Reforma Tributária, Cenários, Comparação",
+                creator: "Expertzy IT"
+            });
+
+            const anos = this._getComparisonYears(cenariosValidos);
+
+            // Capa
+            this._addCover(doc, cenariosValidos[0].dados, 1, {
+                titulo: 'RELATÓRIO COMPARATIVO',
+                subtitulo: 'CENÁRIOS DE SPLIT PAYMENT',
+                detalhe: `Comparação de ${cenariosValidos.length} cenários para o período ${anos[0]} - ${anos[anos.length - 1]}`
+            });
+            doc.addPage();
+
+            // Índice: preenchido ao final, quando as páginas das seções forem conhecidas
+            const paginaIndice = doc.internal.getNumberOfPages();
+            doc.addPage();
+
+            const paginaParametros = doc.internal.getNumberOfPages();
+            this._addComparisonParameters(doc, cenariosValidos);
+            doc.addPage();
+
+            const paginaTabelas = doc.internal.getNumberOfPages();
+            this._addComparisonTables(doc, cenariosValidos, anos);
+            doc.addPage();
+
+            const paginaGraficos = doc.internal.getNumberOfPages();
+            this._addComparisonCharts(doc, cenariosValidos, anos);
+
+            doc.setPage(paginaIndice);
+            this._addIndex(doc, paginaIndice, [
+                { texto: '1. Cenários Comparados', pagina: paginaParametros },
+                { texto: '2. Tabelas Comparativas', pagina: paginaTabelas },
+                { texto: '3. Projeções Sobrepostas', pagina: paginaGraficos }
+            ]);
+
+            this._addHeaderFooter(doc, doc.internal.getNumberOfPages());
+
+            doc.save(filename);
+
+            return Promise.resolve({
+                success: true,
+                message: "Comparison report exported successfully!",
+                fileName: filename
+            });
+        } catch (error) {
+            console.error(`Error exporting comparison to PDF: ${error.message}`, error);
+            alert(`Error exporting comparison to PDF: ${error.message}`);
+
+            return Promise.reject({
+                success: false,
+                message: `Error exporting comparison to PDF: ${error.message}`,
+                error: error
+            });
+        }
+    }
+
     // Métodos auxiliares do PDF
-    _addCover(doc, data, pageNumber) {
+    _addComparisonParameters(doc, cenarios) {
+        const margins = this.config.pdf.margins;
+        let currentY = margins.top + 10;
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(16);
+        doc.setTextColor(this.config.pdf.colors.primary[0], this.config.pdf.colors.primary[1], this.config.pdf.colors.primary[2]);
+        doc.text('1. Cenários Comparados', margins.left, currentY);
+        currentY += 10;
+
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(10);
+        doc.setTextColor(60, 60, 60);
+        doc.text(`Cenário base para as diferenças (Δ): ${cenarios[0].nome}`, margins.left, currentY);
+        currentY += 8;
+
+        const parametrosPorCenario = cenarios.map(c => this._getComparisonParameters(c));
+        const body = parametrosPorCenario[0].map((parametro, indice) => [
+            parametro.rotulo,
+            ...parametrosPorCenario.map(lista => this._formatComparisonValue(lista[indice].valor, lista[indice].tipo))
+        ]);
+        body.push([
+            'Última Execução',
+            ...cenarios.map(c => new Date(c.timestamp).toLocaleString('pt-BR'))
+        ]);
+
+        doc.autoTable({
+            startY: currentY,
+            head: [['Parâmetro', ...cenarios.map(c => c.nome)]],
+            body: body,
+            theme: 'grid',
+            styles: {
+                fontSize: 9,
+                cellPadding: 2,
+                overflow: 'linebreak'
+            },
+            headStyles: {
+                fillColor: this.config.pdf.colors.primary,
+                textColor: 255,
+                fontStyle: 'bold'
+            },
+            columnStyles: {
+                0: { fontStyle: 'bold' }
+            }
+        });
+
+        return doc.lastAutoTable.finalY;
+    }
+
+    _addComparisonTables(doc, cenarios, anos) {
+        const margins = this.config.pdf.margins;
+        const pageHeight = doc.internal.pageSize.height;
+        let currentY = margins.top + 10;
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(16);
+        doc.setTextColor(this.config.pdf.colors.primary[0], this.config.pdf.colors.primary[1], this.config.pdf.colors.primary[2]);
+        doc.text('2. Tabelas Comparativas', margins.left, currentY);
+        currentY += 12;
+
+        const base = cenarios[0];
+        const demais = cenarios.slice(1);
+
+        this._getComparisonIndicators().forEach((indicador, indice) => {
+            // Evitar título órfão no fim da página
+            if (currentY > pageHeight - margins.bottom - 40) {
+                doc.addPage();
+                currentY = margins.top + 10;
+            }
+
+            doc.setFont("helvetica", "bold");
+            doc.setFontSize(12);
+            doc.setTextColor(70, 70, 70);
+            doc.text(`2.${indice + 1}. ${indicador.titulo}`, margins.left, currentY);
+            currentY += 4;
+
+            const body = anos.map(ano => {
+                const valores = cenarios.map(c => c.resultados.porAno[ano] ? c.resultados.porAno[ano][indicador.campo] : null);
+                const valorBase = valores[0];
+                const diferencas = valores.slice(1).map(valor =>
+                    valor === null || valor === undefined || valorBase === null || valorBase === undefined ?
+                        '—' : this._formatComparisonValue(valor - valorBase, indicador.tipo)
+                );
+
+                return [
+                    ano,
+                    ...valores.map(valor => this._formatComparisonValue(valor, indicador.tipo)),
+                    ...diferencas
+                ];
+            });
+
+            doc.autoTable({
+                startY: currentY,
+                head: [['Ano', ...cenarios.map(c => c.nome), ...demais.map(c => `Δ ${c.nome}`)]],
+                body: body,
+                theme: 'grid',
+                styles: {
+                    fontSize: 8,
+                    cellPadding: 1.5,
+                    overflow: 'linebreak'
+                },
+                headStyles: {
+                    fillColor: this.config.pdf.colors.primary,
+                    textColor: 255,
+                    fontStyle: 'bold'
+                },
+                margin: { top: margins.top, bottom: margins.bottom }
+            });
+
+            currentY = doc.lastAutoTable.finalY + 12;
+        });
+
+        doc.setFont("helvetica", "italic");
+        doc.setFontSize(9);
+        doc.setTextColor(100, 100, 100);
+        doc.text(`Δ = valor do cenário menos o valor do cenário base (${base.nome}).`, margins.left, Math.min(currentY, pageHeight - margins.bottom));
+
+        return currentY;
+    }
+
+    _addComparisonCharts(doc, cenarios, anos) {
+        const margins = this.config.pdf.margins;
+        const pageWidth = doc.internal.pageSize.width;
+        let currentY = margins.top + 10;
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(16);
+        doc.setTextColor(this.config.pdf.colors.primary[0], this.config.pdf.colors.primary[1], this.config.pdf.colors.primary[2]);
+        doc.text('3. Projeções Sobrepostas', margins.left, currentY);
+        currentY += 10;
+
+        const graficos = this._getComparisonIndicators().filter(indicador =>
+            ['diferencaCapitalGiro', 'aliquotaEfetiva', 'custoFinanceiro'].includes(indicador.campo)
+        );
+        const largura = pageWidth - margins.left - margins.right;
+        const altura = 55;
+
+        graficos.forEach((indicador, indice) => {
+            doc.setFont("helvetica", "bold");
+            doc.setFontSize(12);
+            doc.setTextColor(70, 70, 70);
+            doc.text(`3.${indice + 1}. ${indicador.titulo}`, margins.left, currentY);
+            currentY += 5;
+
+            const series = cenarios.map(c => ({
+                nome: c.nome,
+                valores: anos.map(ano => c.resultados.porAno[ano] ? c.resultados.porAno[ano][indicador.campo] : null)
+            }));
+
+            currentY = this._drawComparisonLineChart(doc, margins.left, currentY, largura, altura, anos, series, indicador.tipo);
+            currentY += 8;
+        });
+
+        return currentY;
+    }
+
+    _drawComparisonLineChart(doc, x, y, width, height, anos, series, tipo) {
+        const cores = [
+            this.config.pdf.colors.primary,
+            this.config.pdf.colors.accent,
+            this.config.pdf.colors.secondary,
+            this.config.pdf.colors.highlight,
+            this.config.pdf.colors.neutral
+        ];
+
+        // Área de plotagem com espaço para os rótulos do eixo Y
+        const areaX = x + 28;
+        const areaLargura = width - 28;
+
+        const valores = [];
+        series.forEach(s => s.valores.forEach(v => {
+            if (v !== null && v !== undefined) valores.push(v);
+        }));
+        let minimo = Math.min(0, ...valores);
+        let maximo = Math.max(0, ...valores);
+        if (maximo === minimo) {
+            maximo = minimo + 1;
+        }
+
+        const posicaoX = indice => anos.length > 1 ?
+            areaX + (indice / (anos.length - 1)) * areaLargura :
+            areaX + areaLargura / 2;
+        const posicaoY = valor => y + height - ((valor - minimo) / (maximo - minimo)) * height;
+
+        // Grade horizontal e rótulos do eixo Y
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(6);
+        doc.setTextColor(100, 100, 100);
+        doc.setLineWidth(0.1);
+        const divisoes = 4;
+        for (let i = 0; i <= divisoes; i++) {
+            const valor = minimo + (i / divisoes) * (maximo - minimo);
+            const linhaY = posicaoY(valor);
+            doc.setDrawColor(220, 220, 220);
+            doc.line(areaX, linhaY, areaX + areaLargura, linhaY);
+            doc.text(this._formatComparisonValue(valor, tipo), areaX - 2, linhaY + 1, { align: 'right' });
+        }
+
+        // Linha do zero destacada
+        doc.setDrawColor(120, 120, 120);
+        doc.setLineWidth(0.3);
+        doc.line(areaX, posicaoY(0), areaX + areaLargura, posicaoY(0));
+
+        // Rótulos do eixo X
+        anos.forEach((ano, indice) => {
+            doc.text(ano.toString(), posicaoX(indice), y + height + 4, { align: 'center' });
+        });
+
+        // Séries sobrepostas
+        doc.setLineWidth(0.6);
+        series.forEach((serie, indiceSerie) => {
+            const cor = cores[indiceSerie % cores.length];
+            doc.setDrawColor(cor[0], cor[1], cor[2]);
+            doc.setFillColor(cor[0], cor[1], cor[2]);
+
+            let anterior = null;
+            serie.valores.forEach((valor, indice) => {
+                if (valor === null || valor === undefined) {
+                    anterior = null;
+                    return;
+                }
+                const ponto = { x: posicaoX(indice), y: posicaoY(valor) };
+                if (anterior) {
+                    doc.line(anterior.x, anterior.y, ponto.x, ponto.y);
+                }
+                doc.circle(ponto.x, ponto.y, 0.6, 'F');
+                anterior = ponto;
+            });
+        });
+
+        // Legenda
+        let legendaX = areaX;
+        const legendaY = y + height + 9;
+        doc.setFontSize(7);
+        series.forEach((serie, indiceSerie) => {
+            const cor = cores[indiceSerie % cores.length];
+            doc.setFillColor(cor[0], cor[1], cor[2]);
+            doc.rect(legendaX, legendaY - 2, 3, 2, 'F');
+            doc.setTextColor(60, 60, 60);
+            doc.text(serie.nome, legendaX + 4, legendaY);
+            legendaX += 8 + doc.getTextWidth(serie.nome);
+        });
+
+        return legendaY + 2;
+    }
+
+    _addCover(doc, data, pageNumber, textos = {}) {
         const pageWidth = doc.internal.pageSize.width;
         const pageHeight = doc.internal.pageSize.height;
         const margins = this.config.pdf.margins;
@@ -274,11 +704,11 @@ class PDFExporter extends BaseExporter {
         doc.setFontSize(24);
         doc.setTextColor(this.config.pdf.colors.primary[0], this.config.pdf.colors.primary[1], this.config.pdf.colors.primary[2]);
 
-        const tituloPrincipal = 'RELATÓRIO DE SIMULAÇÃO';
+        const tituloPrincipal = textos.titulo || 'RELATÓRIO DE SIMULAÇÃO';
         doc.text(tituloPrincipal, pageWidth / 2, currentY, { align: 'center' });
         currentY += 10;
 
-        const subtitulo = 'IMPACTO DO SPLIT PAYMENT NO FLUXO DE CAIXA';
+        const subtitulo = textos.subtitulo || 'IMPACTO DO SPLIT PAYMENT NO FLUXO DE CAIXA';
         doc.text(subtitulo, pageWidth / 2, currentY, { align: 'center' });
         currentY += 30;
 
@@ -355,7 +785,7 @@ class PDFExporter extends BaseExporter {
         if (!anoInicial) anoInicial = '2026';
         if (!anoFinal) anoFinal = '2033';
 
-        const detailText = `Simulação para o período ${anoInicial} - ${anoFinal}`;
+        const detailText = textos.detalhe || `Simulação para o período ${anoInicial} - ${anoFinal}`;
 
         doc.text(detailText, pageWidth / 2, currentY, { align: 'center' });
 
@@ -371,7 +801,18 @@ class PDFExporter extends BaseExporter {
         return doc;
     }
 
-    _addIndex(doc, pageNumber) {
+    _getDefaultIndexItems() {
+        return [
+            { texto: '1. Parâmetros da Simulação', pagina: 3 },
+            { texto: '2. Resultados da Simulação', pagina: 4 },
+            { texto: '3. Análise Gráfica', pagina: 5 },
+            { texto: '4. Estratégias de Mitigação', pagina: 6 },
+            { texto: '5. Memória de Cálculo', pagina: 7 },
+            { texto: '6. Conclusão e Recomendações', pagina: 8 }
+        ];
+    }
+
+    _addIndex(doc, pageNumber, itens = null) {
         const margins = this.config.pdf.margins;
         const pageWidth = doc.internal.pageSize.width;
         let currentY = margins.top;
@@ -388,14 +829,7 @@ class PDFExporter extends BaseExporter {
         doc.setFontSize(12);
         doc.setTextColor(60, 60, 60);
 
-        const indiceItems = [
-            { texto: '1. Parâmetros da Simulação', pagina: 3 },
-            { texto: '2. Resultados da Simulação', pagina: 4 },
-            { texto: '3. Análise Gráfica', pagina: 5 },
-            { texto: '4. Estratégias de Mitigação', pagina: 6 },
-            { texto: '5. Memória de Cálculo', pagina: 7 },
-            { texto: '6. Conclusão e Recomendações', pagina: 8 }
-        ];
+        const indiceItems = itens || this._getDefaultIndexItems();
 
         indiceItems.forEach(item => {
             // Texto do item
@@ -1716,6 +2150,127 @@ class PDFExporter extends BaseExporter {
         return currentY;
     }
 
+    /**
+     * Adiciona a seção de análise de sensibilidade: tabela e gráfico de tornado e grade bidimensional
+     * @param {Object} sensibilidade - { tornado, bidimensional } calculados pelo SensitivityAnalysisModule
+     * @param {number} pageNumber - Página inicial da seção
+     * @returns {number} Posição vertical final
+     */
+    _addSensitivityAnalysis(doc, sensibilidade, pageNumber) {
+        const margins = this.config.pdf.margins;
+        const pageWidth = doc.internal.pageSize.width;
+        const pageHeight = doc.internal.pageSize.height;
+        let currentY = margins.top + 10;
+
+        // Parâmetros em fração decimal exibidos como percentual
+        const camposPercentuais = ['percVista', 'taxaCapitalGiro', 'aliquotaCBS', 'aliquotaIBS', 'margem'];
+        const formatarParametro = (campo, valor) => {
+            if (campo === 'faturamento') return this._formatComparisonValue(valor, 'monetario');
+            if (camposPercentuais.includes(campo)) return this._formatComparisonValue(valor, 'percentual');
+            return `${Math.round(valor)} dias`;
+        };
+        const tabelaEstilos = {
+            theme: 'grid',
+            styles: {
+                fontSize: 9,
+                cellPadding: 2,
+                overflow: 'linebreak'
+            },
+            headStyles: {
+                fillColor: this.config.pdf.colors.primary,
+                textColor: 255,
+                fontStyle: 'bold'
+            },
+            margin: { left: margins.left, right: margins.right }
+        };
+
+        doc.setFont("helvetica", "bold");
+        doc.setFontSize(16);
+        doc.setTextColor(this.config.pdf.colors.primary[0], this.config.pdf.colors.primary[1], this.config.pdf.colors.primary[2]);
+        doc.text('7. Análise de Sensibilidade', margins.left, currentY);
+        currentY += 12;
+
+        const tornado = sensibilidade.tornado;
+        if (tornado && tornado.itens.length > 0) {
+            doc.setFont("helvetica", "bold");
+            doc.setFontSize(12);
+            doc.setTextColor(70, 70, 70);
+            doc.text(`7.1. ${tornado.nomeIndicador || tornado.indicador} em ${tornado.ano}`, margins.left, currentY);
+            currentY += 6;
+
+            doc.setFont("helvetica", "normal");
+            doc.setFontSize(10);
+            doc.setTextColor(60, 60, 60);
+            doc.text(`Valor com os parâmetros atuais: ${this._formatComparisonValue(tornado.valorBase, 'monetario')}`, margins.left, currentY);
+            currentY += 4;
+
+            doc.autoTable({
+                ...tabelaEstilos,
+                startY: currentY,
+                head: [['Parâmetro', 'Limite Inferior', 'Resultado', 'Limite Superior', 'Resultado', 'Amplitude']],
+                body: tornado.itens.map(item => [
+                    item.nome,
+                    formatarParametro(item.campo, item.valorParametroBaixo),
+                    this._formatComparisonValue(item.resultadoBaixo, 'monetario'),
+                    formatarParametro(item.campo, item.valorParametroAlto),
+                    this._formatComparisonValue(item.resultadoAlto, 'monetario'),
+                    this._formatComparisonValue(item.amplitude, 'monetario')
+                ])
+            });
+            currentY = doc.lastAutoTable.finalY + 10;
+
+            const graficoTornado = document.getElementById('grafico-tornado');
+            if (graficoTornado && typeof graficoTornado.toDataURL === 'function') {
+                const imgWidth = pageWidth - margins.left - margins.right;
+                const imgHeight = 90;
+                if (currentY + imgHeight > pageHeight - margins.bottom) {
+                    doc.addPage();
+                    pageNumber++;
+                    currentY = margins.top + 10;
+                }
+
+                doc.addImage(graficoTornado.toDataURL('image/png'), 'PNG', margins.left, currentY, imgWidth, imgHeight);
+                currentY += imgHeight + 10;
+            }
+        }
+
+        const grade = sensibilidade.bidimensional;
+        if (grade && grade.matriz.length > 0) {
+            // Evitar título órfão no fim da página
+            if (currentY > pageHeight - margins.bottom - 40) {
+                doc.addPage();
+                pageNumber++;
+                currentY = margins.top + 10;
+            }
+
+            doc.setFont("helvetica", "bold");
+            doc.setFontSize(12);
+            doc.setTextColor(70, 70, 70);
+            doc.text(`7.${tornado ? 2 : 1}. Sensibilidade Bidimensional: ${grade.eixoY.nome} × ${grade.eixoX.nome}`, margins.left, currentY);
+            currentY += 6;
+
+            doc.setFont("helvetica", "normal");
+            doc.setFontSize(10);
+            doc.setTextColor(60, 60, 60);
+            doc.text(`${grade.nomeIndicador || grade.indicador} em ${grade.ano} (linhas: ${grade.eixoY.nome}; colunas: ${grade.eixoX.nome})`, margins.left, currentY);
+            currentY += 4;
+
+            doc.autoTable({
+                ...tabelaEstilos,
+                startY: currentY,
+                head: [['', ...grade.eixoX.valores.map(valor => formatarParametro(grade.eixoX.campo, valor))]],
+                body: grade.matriz.map((linha, indice) => [
+                    formatarParametro(grade.eixoY.campo, grade.eixoY.valores[indice]),
+                    ...linha.map(valor => this._formatComparisonValue(valor, 'monetario'))
+                ]),
+                columnStyles: { 0: { fontStyle: 'bold' } }
+            });
+            currentY = doc.lastAutoTable.finalY + 10;
+        }
+
+        return currentY;
+    }
+
     _addHeaderFooter(doc, pageCount) {
         // Percorrer todas as páginas (exceto a capa)
         for (let i = 2; i <= pageCount; i++) {
@@ -1924,6 +2479,207 @@ class ExcelExporter extends BaseExporter {
         });
     }
 
+    /**
+     * Export a side-by-side comparison of saved scenarios to Excel:
+     * one consolidated diff sheet plus one sheet per scenario
+     * @param {Array} cenarios - Scenarios from CenariosRepository (first one is the baseline)
+     * @param {Object} options - Export options
+     * @returns {Promise} Promise resolved after export
+     */
+    exportComparison(cenarios, options = {}) {
+        console.log("Starting Excel comparison export");
+
+        if (!this.validateLibraries()) {
+            alert("Error exporting: XLSX library not loaded");
+            return Promise.reject("XLSX library not loaded");
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                const cenariosValidos = (cenarios || []).filter(c => c && c.resultados && c.resultados.porAno);
+                if (cenariosValidos.length < 2) {
+                    alert('Selecione ao menos dois cenários executados para o relatório comparativo.');
+                    return reject("Not enough scenarios to compare");
+                }
+
+                const manager = new ExportManager();
+                const filename = manager.requestFilename("xlsx", "comparativo-cenarios-split-payment");
+                if (!filename) {
+                    return reject("Export cancelled by user");
+                }
+
+                const wb = XLSX.utils.book_new();
+
+                wb.Props = {
+                    Title: "Relatório Comparativo de Cenários - Split Payment",
+                    Subject: "Comparação do impacto do Split Payment entre cenários de simulação",
+                    Author: "Expertzy Inteligência Tributária",
+                    CreatedDate: new Date()
+                };
+
+                // 1. Consolidated comparison worksheet
+                const wsComparativo = this._createComparisonWorksheet(cenariosValidos);
+                XLSX.utils.book_append_sheet(wb, wsComparativo, "Comparativo");
+
+                // 2. One worksheet per scenario
+                const nomesUsados = new Set(["Comparativo"]);
+                cenariosValidos.forEach(cenario => {
+                    const wsCenario = this._createScenarioWorksheet(cenario);
+                    XLSX.utils.book_append_sheet(wb, wsCenario, this._getScenarioSheetName(cenario.nome, nomesUsados));
+                });
+
+                XLSX.writeFile(wb, filename);
+
+                console.log("Excel comparison exported successfully:", filename);
+
+                resolve({
+                    success: true,
+                    message: "Comparison exported successfully!",
+                    fileName: filename
+                });
+            } catch (error) {
+                console.error("Error exporting comparison to Excel:", error);
+                alert("Error exporting comparison to Excel. Check console for details.");
+
+                reject({
+                    success: false,
+                    message: `Error exporting comparison to Excel: ${error.message}`,
+                    error: error
+                });
+            }
+        });
+    }
+
+    _createComparisonWorksheet(cenarios) {
+        const manager = new ExportManager();
+        const anos = this._getComparisonYears(cenarios);
+        const base = cenarios[0];
+        const demais = cenarios.slice(1);
+        const totalColunas = 1 + cenarios.length + demais.length;
+
+        const comparisonData = [
+            ["COMPARATIVO DE CENÁRIOS - SPLIT PAYMENT"],
+            ["Expertzy Inteligência Tributária"],
+            ["Data do relatório:", manager.formatDate(new Date())],
+            ["Cenário base (Δ):", base.nome],
+            []
+        ];
+
+        this._getComparisonIndicators().forEach(indicador => {
+            comparisonData.push(
+                [indicador.titulo.toUpperCase()],
+                ["Ano", ...cenarios.map(c => c.nome), ...demais.map(c => `Δ ${c.nome}`)]
+            );
+
+            anos.forEach(ano => {
+                const valores = cenarios.map(c => {
+                    const valor = c.resultados.porAno[ano] ? c.resultados.porAno[ano][indicador.campo] : null;
+                    return valor === null || valor === undefined ? null : valor;
+                });
+                const diferencas = valores.slice(1).map(valor =>
+                    valor === null || valores[0] === null ? "" : valor - valores[0]
+                );
+
+                comparisonData.push([ano, ...valores.map(valor => valor === null ? "" : valor), ...diferencas]);
+            });
+
+            comparisonData.push([]);
+        });
+
+        // Totais do período
+        comparisonData.push(
+            ["TOTAIS DO PERÍODO"],
+            ["Indicador", ...cenarios.map(c => c.nome), ...demais.map(c => `Δ ${c.nome}`)]
+        );
+        [
+            { campo: 'necessidadeCapitalGiro', titulo: 'Necessidade de Capital de Giro' },
+            { campo: 'custoFinanceiro', titulo: 'Custo Financeiro' }
+        ].forEach(total => {
+            const valores = cenarios.map(c => (c.resultados.totais || {})[total.campo] || 0);
+            comparisonData.push([total.titulo, ...valores, ...valores.slice(1).map(valor => valor - valores[0])]);
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(comparisonData);
+
+        ws['!cols'] = [{ wch: 30 }];
+        for (let i = 1; i < totalColunas; i++) {
+            ws['!cols'].push({ wch: 20 });
+        }
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: totalColunas - 1 } } // Mesclar primeira linha do título
+        ];
+
+        return ws;
+    }
+
+    _createScenarioWorksheet(cenario) {
+        const manager = new ExportManager();
+        const indicadores = this._getComparisonIndicators();
+        const porAno = cenario.resultados.porAno;
+        const anos = Object.keys(porAno).map(Number).sort((a, b) => a - b);
+
+        const scenarioData = [
+            [`CENÁRIO: ${cenario.nome}`],
+            ["Expertzy Inteligência Tributária"],
+            ["Última execução:", manager.formatDate(new Date(cenario.timestamp))],
+            [],
+            ["PARÂMETROS"],
+            []
+        ];
+
+        // Valores numéricos brutos; percentuais em formato decimal do Excel
+        this._getComparisonParameters(cenario).forEach(parametro => {
+            scenarioData.push([parametro.rotulo, parametro.valor]);
+        });
+
+        scenarioData.push(
+            [],
+            ["RESULTADOS ANUAIS"],
+            [],
+            ["Ano", ...indicadores.map(indicador => indicador.titulo)]
+        );
+
+        anos.forEach(ano => {
+            scenarioData.push([
+                ano,
+                ...indicadores.map(indicador => {
+                    const valor = porAno[ano][indicador.campo];
+                    return valor === null || valor === undefined ? "" : valor;
+                })
+            ]);
+        });
+
+        const ws = XLSX.utils.aoa_to_sheet(scenarioData);
+
+        ws['!cols'] = [{ wch: 30 }].concat(indicadores.map(() => ({ wch: 22 })));
+        ws['!merges'] = [
+            { s: { r: 0, c: 0 }, e: { r: 0, c: indicadores.length } } // Mesclar primeira linha do título
+        ];
+
+        return ws;
+    }
+
+    /**
+     * Gera um nome de planilha válido e único para um cenário
+     * (máximo de 31 caracteres, sem os caracteres reservados do Excel)
+     * @param {string} nome - Nome do cenário
+     * @param {Set} nomesUsados - Nomes de planilhas já utilizados (atualizado)
+     * @returns {string} Nome da planilha
+     */
+    _getScenarioSheetName(nome, nomesUsados) {
+        const nomeBase = (nome || '').replace(/[\[\]\*\?\/\\:]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 31) || 'Cenário';
+
+        let nomePlanilha = nomeBase;
+        let sufixo = 2;
+        while (nomesUsados.has(nomePlanilha)) {
+            const complemento = ` (${sufixo++})`;
+            nomePlanilha = nomeBase.substring(0, 31 - complemento.length) + complemento;
+        }
+
+        nomesUsados.add(nomePlanilha);
+        return nomePlanilha;
+    }
+
     _createSummaryWorksheet(data, results, equivalentRates) {
         // Verificar se temos o DataManager disponível
         const usarDataManager = typeof window.DataManager !== 'undefined';
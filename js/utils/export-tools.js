@@ -224,11 +224,44 @@ const ExportTools = (function() {
         }
     }
 
+    /**
+     * Exporta o relatório comparativo de cenários salvos
+     * @param {string} formato - 'pdf' ou 'excel'
+     * @param {Array} cenarios - Cenários do CenariosRepository (o primeiro é a base das diferenças)
+     */
+    function exportarComparacaoCenarios(formato, cenarios) {
+        console.log(`Iniciando exportação comparativa de cenários (${formato})...`);
+
+        if (!initialized) {
+            inicializar();
+        }
+
+        const exportador = formato === 'pdf' ? pdfExporter : excelExporter;
+        if (!exportador) {
+            console.error("Exportador não inicializado corretamente para o formato:", formato);
+            alert("Exportador não inicializado corretamente. Verifique o console para detalhes.");
+            return;
+        }
+
+        exportador.exportComparison(cenarios)
+            .then(resultado => {
+                if (resultado.success) {
+                    console.log("Exportação comparativa concluída com sucesso:", resultado.fileName);
+                } else {
+                    console.warn("Exportação comparativa cancelada ou incompleta:", resultado.message);
+                }
+            })
+            .catch(erro => {
+                console.error("Erro na exportação comparativa de cenários:", erro);
+            });
+    }
+
     return {
         inicializar,
         exportarParaPDF,
         exportarParaExcel,
-        exportarMemoriaCalculo
+        exportarMemoriaCalculo,
+        exportarComparacaoCenarios
     };
 })();
 